@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/**
+ * @file alert-monitor.js
+ * @notice Operator alerts for PepedawnRaffle events
+ * @dev Loads the event definitions in deploy/artifacts/events/*.json, follows the logs of every
+ *      event that declares monitoring.alerts, evaluates each alert's condition against the
+ *      decoded event and sends the matches to the configured sinks (see alert-sinks.js).
+ *
+ *      Logs are read with getLogs once they have --confirmations, starting after the last
+ *      processed block, so a restart or an RPC outage never skips an event.
+ *      alert-monitor-state-<contract>.json keeps that block, the most recent values "duplicate"
+ *      rules have seen, and alerts a sink failed to deliver (retried on every check).
+ *
+ * Conditions:
+ *   always                - Every event
+ *   <field> <op> <value>  - op: > >= < <= == != ; value: number with an optional ether/gwei/wei
+ *                           unit, true/false, "text", or 0x-prefixed hex / address
+ *   duplicate <field>     - The field's value already appeared in an earlier event (among the
+ *                           last MAX_SEEN_VALUES distinct values)
+ *
+ * Usage:
+ *   node alert-monitor.js [--sinks console,log,webhook,email] [--confirmations <n>] [--once]
+ *   node alert-monitor.js --test-alert
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { scanLogs } from '@pepedawn/round-engine';
+import { SINKS, createSink, defaultSinks } from './alert-sinks.js';
+import { getOption } from './cli-options.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const DEFAULT_DEFINITIONS_DIR = path.join(__dirname, '../../../deploy/artifacts/events');
+
+// Undelivered alerts are retried on this many checks before they are dropped
+const MAX_DELIVERY_ATTEMPTS = 10;
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+// Distinct values a "duplicate" rule remembers; the oldest are forgotten so the state file stays small
+const MAX_SEEN_VALUES = 5000;
+
+/**
+ * State file path for a contract
+ * @param {string} contractAddress - Contract address
+ * @returns {string} - Path relative to the current directory
+ */
+function monitorStatePath(contractAddress) {
+  return `alert-monitor-state-${contractAddress.toLowerCase()}.json`;
+}
+
+/**
+ * Load saved monitor state (or a fresh one)
+ * @param {string} contractAddress - Contract address
+ * @returns {Object} - { contractAddress, lastBlock, updatedAt, seen, undelivered }
+ */
+function loadState(contractAddress) {
+  const filePath = monitorStatePath(contractAddress);
+  if (!fs.existsSync(filePath)) {
+    return { contractAddress, lastBlock: null, updatedAt: null, seen: {}, undelivered: [] };
+  }
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  // Earlier state files kept each rule's values as an unbounded { value: eventId } object
+  for (const [key, values] of Object.entries(state.seen)) {
+    if (!Array.isArray(values)) state.seen[key] = Object.entries(values).slice(-MAX_SEEN_VALUES);
+  }
+  return state;
+}
+
+/**
+ * Write state atomically (a crash mid-write keeps the previous file)
+ * @param {Object} state - Monitor state
+ */
+function saveState(state) {
+  const filePath = monitorStatePath(state.contractAddress);
+  state.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Parse the value side of a comparison for an event input
+ * @returns {bigint|boolean|string}
+ */
+function parseConditionValue(raw, input, where) {
+  const numeric = raw.match(/^(\d+(?:\.\d+)?)\s*(ether|gwei|wei)?$/);
+  if (numeric) {
+    if (!/^u?int\d*$/.test(input.type)) {
+      throw new Error(`${where}: "${input.name}" is ${input.type}, not a number`);
+    }
+    return ethers.parseUnits(numeric[1], numeric[2] || 'wei');
+  }
+
+  if (raw === 'true' || raw === 'false') {
+    if (input.type !== 'bool') throw new Error(`${where}: "${input.name}" is ${input.type}, not bool`);
+    return raw === 'true';
+  }
+
+  const quoted = raw.match(/^"(.*)"$|^'(.*)'$/);
+  if (quoted) {
+    if (input.type !== 'string') throw new Error(`${where}: "${input.name}" is ${input.type}, not string`);
+    return quoted[1] ?? quoted[2];
+  }
+
+  if (/^0x[0-9a-fA-F]*$/.test(raw)) {
+    if (input.type !== 'address' && !input.type.startsWith('bytes')) {
+      throw new Error(`${where}: "${input.name}" is ${input.type}, not an address or bytes`);
+    }
+    return raw.toLowerCase();
+  }
+
+  throw new Error(`${where}: can't parse value "${raw}"`);
+}
+
+/**
+ * Compile an alert condition into a test function
+ * @param {string} condition - Condition text from the definition file
+ * @param {ethers.EventFragment} fragment - Event the condition applies to
+ * @param {string} where - Location for error messages
+ * @returns {Function} - (args, seen, eventId) => boolean
+ * @throws {Error} - Unsupported condition or unknown field
+ */
+function compileCondition(condition, fragment, where) {
+  const text = condition.trim();
+  const inputFor = (field) => {
+    const input = fragment.inputs.find(candidate => candidate.name === field);
+    if (!input) throw new Error(`${where}: ${fragment.name} has no field "${field}"`);
+    return input;
+  };
+
+  if (text === 'always') {
+    return () => true;
+  }
+
+  const duplicate = text.match(/^duplicate\s+(\w+)$/);
+  if (duplicate) {
+    const field = inputFor(duplicate[1]).name;
+    const key = `${fragment.name}.${field}`;
+    // [value, first event that carried it] pairs, oldest first - replaying that event is not a duplicate
+    return (args, seen, eventId) => {
+      const values = seen[key] || (seen[key] = []);
+      const value = String(args[field]).toLowerCase();
+      const entry = values.find(([seenValue]) => seenValue === value);
+      if (!entry) {
+        values.push([value, eventId]);
+        if (values.length > MAX_SEEN_VALUES) values.splice(0, values.length - MAX_SEEN_VALUES);
+        return false;
+      }
+      return entry[1] !== eventId;
+    };
+  }
+
+  const comparison = text.match(/^(\w+)\s*(>=|<=|==|!=|>|<)\s*(.+)$/);
+  if (!comparison) {
+    throw new Error(`${where}: unsupported condition "${condition}" (expected always, duplicate <field> or <field> <op> <value>)`);
+  }
+
+  const [, field, operator, raw] = comparison;
+  const input = inputFor(field);
+  const expected = parseConditionValue(raw.trim(), input, where);
+  if (typeof expected !== 'bigint' && !['==', '!='].includes(operator)) {
+    throw new Error(`${where}: "${operator}" only works on numbers`);
+  }
+
+  return (args) => {
+    const actual = typeof expected === 'bigint' ? BigInt(args[field])
+      : typeof expected === 'string' ? String(args[field]).toLowerCase()
+        : args[field];
+    const target = typeof expected === 'string' && input.type === 'string' ? expected.toLowerCase() : expected;
+
+    switch (operator) {
+      case '>': return actual > target;
+      case '>=': return actual >= target;
+      case '<': return actual < target;
+      case '<=': return actual <= target;
+      case '==': return actual === target;
+      default: return actual !== target;
+    }
+  };
+}
+
+/**
+ * Load every event definition file and compile its alert rules
+ * @param {string} dir - Directory with *-events.json files
+ * @returns {Map<string, Object>} - Event name -> { file, fragment, alerts: [{ condition, message, severity, test }] }
+ * @throws {Error} - Malformed signature or condition (the monitor refuses to start)
+ */
+function loadAlertRules(dir) {
+  const rules = new Map();
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    const definitions = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      const alerts = definition.monitoring?.alerts || [];
+      if (alerts.length === 0) continue;
+
+      const where = `${file} ${name}`;
+      const fragment = ethers.EventFragment.from(`event ${definition.signature}`);
+      if (fragment.name !== name) {
+        throw new Error(`${where}: signature declares ${fragment.name}`);
+      }
+
+      rules.set(name, {
+        file,
+        fragment,
+        alerts: alerts.map((alert, index) => {
+          const severity = alert.severity || 'warning';
+          if (!SEVERITIES.includes(severity)) {
+            throw new Error(`${where}: unknown severity "${severity}" (expected one of: ${SEVERITIES.join(', ')})`);
+          }
+          const condition = alert.condition || 'always';
+          return {
+            condition,
+            message: alert.message || `${name} alert ${index + 1}`,
+            severity,
+            test: compileCondition(condition, fragment, where)
+          };
+        })
+      });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * JSON-friendly event argument (bigints as decimal strings)
+ */
+function formatArg(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(formatArg);
+  return value;
+}
+
+/**
+ * Create the monitor loop
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} contractAddress - PepedawnRaffle address
+ * @param {Map} rules - From loadAlertRules
+ * @param {Array<Object>} sinks - From createSink
+ * @param {Object} options - { confirmations, fromBlock, pollIntervalSeconds }
+ * @returns {{start: Function, runOnce: Function, stop: Function}}
+ */
+function createAlertMonitor(provider, contractAddress, rules, sinks, options) {
+  const iface = new ethers.Interface([...rules.values()].map(rule => rule.fragment));
+  const topics = [...rules.values()].map(rule => rule.fragment.topicHash);
+  const sinksByName = new Map(sinks.map(sink => [sink.name, sink]));
+  const state = loadState(contractAddress);
+  let chainId = null;
+  let chunkSize;
+  let stopped = false;
+  let running = null;
+  let timer = null;
+  let wake = null;
+
+  // Returns the names of the sinks that failed
+  const deliver = async (alert, names) => {
+    const failed = [];
+    for (const name of names) {
+      const sink = sinksByName.get(name);
+      if (!sink) continue; // sink no longer configured
+      try {
+        await sink.send(alert);
+      } catch (error) {
+        console.error(`❌ ${name} sink failed for ${alert.event} (${alert.id}): ${error.message}`);
+        failed.push(name);
+      }
+    }
+    return failed;
+  };
+
+  const retryUndelivered = async () => {
+    const retries = state.undelivered;
+    state.undelivered = [];
+
+    for (const entry of retries) {
+      const failed = await deliver(entry.alert, entry.sinks);
+      if (failed.length === 0) continue;
+      if (entry.attempts + 1 >= MAX_DELIVERY_ATTEMPTS) {
+        console.error(`❌ Giving up on ${entry.alert.id} for ${failed.join(', ')} after ${MAX_DELIVERY_ATTEMPTS} attempts`);
+      } else {
+        state.undelivered.push({ ...entry, sinks: failed, attempts: entry.attempts + 1 });
+      }
+    }
+  };
+
+  const evaluate = async (log) => {
+    const parsed = iface.parseLog(log);
+    if (!parsed) return;
+
+    const rule = rules.get(parsed.name);
+    const eventId = `${log.transactionHash}:${log.index}`;
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = parsed.args[i];
+    });
+
+    for (const [index, alertRule] of rule.alerts.entries()) {
+      if (!alertRule.test(args, state.seen, eventId)) continue;
+
+      const alert = {
+        id: `${eventId}:${index}`,
+        event: parsed.name,
+        severity: alertRule.severity,
+        message: alertRule.message,
+        condition: alertRule.condition,
+        args: Object.fromEntries(Object.entries(args).map(([name, value]) => [name, formatArg(value)])),
+        contractAddress,
+        chainId,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        detectedAt: new Date().toISOString()
+      };
+
+      const failed = await deliver(alert, sinks.map(sink => sink.name));
+      if (failed.length > 0) {
+        state.undelivered.push({ alert, sinks: failed, attempts: 1 });
+      }
+    }
+  };
+
+  const check = async () => {
+    if (chainId === null) {
+      chainId = Number((await provider.getNetwork()).chainId);
+    }
+    if (state.undelivered.length > 0) {
+      await retryUndelivered();
+      saveState(state);
+    }
+
+    const toBlock = await provider.getBlockNumber() - options.confirmations + 1;
+    if (state.lastBlock === null) {
+      state.lastBlock = (options.fromBlock ?? toBlock + 1) - 1;
+      console.log(`📍 Starting at block ${state.lastBlock + 1}`);
+    }
+
+    const fromBlock = state.lastBlock + 1;
+    if (fromBlock > toBlock) return;
+
+    chunkSize = await scanLogs(provider, { address: contractAddress, topics: [topics] }, fromBlock, toBlock, {
+      chunkSize,
+      onChunk: async (logs, chunkToBlock) => {
+        for (const log of logs) {
+          await evaluate(log);
+        }
+        state.lastBlock = chunkToBlock;
+        saveState(state);
+      }
+    });
+  };
+
+  const loop = async () => {
+    while (!stopped) {
+      try {
+        await check();
+      } catch (error) {
+        console.error(`⚠️  Alert check failed (retrying in ${options.pollIntervalSeconds}s): ${error.message}`);
+      }
+      if (stopped) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, options.pollIntervalSeconds * 1000);
+      });
+    }
+  };
+
+  return {
+    /**
+     * Check for new logs every --poll-interval until stopped
+     */
+    start() {
+      running = loop();
+    },
+
+    /**
+     * Check once (cron)
+     * @throws {Error} - If an alert could not be delivered to every sink
+     */
+    async runOnce() {
+      await check();
+      if (state.undelivered.length > 0) {
+        throw new Error(`${state.undelivered.length} alert(s) not delivered to every sink - they are retried on the next run`);
+      }
+    },
+
+    /**
+     * Finish the current check and save state
+     */
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+      await running;
+      saveState(state);
+    }
+  };
+}
+
+/**
+ * Main CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+PEPEDAWN Alert Monitor
+
+Usage: node alert-monitor.js [options]
+
+Follows the contract events that declare monitoring.alerts in deploy/artifacts/events/*.json
+(EmergencyPauseToggled, CircuitBreakerTriggered, SecurityValidationFailed, EmergencyWithdrawal,
+large wagers, duplicate proofs, ...) and sends every alert whose condition matches to each sink.
+
+Progress is saved to alert-monitor-state-<contract>.json in the current directory, so a
+restarted monitor continues after the last processed block.
+
+Options:
+  --sinks <list>             Comma-separated: ${SINKS.join(', ')}
+                             (default: ALERT_SINKS, or console,log)
+  --definitions <dir>        Event definition files (default: deploy/artifacts/events)
+  --confirmations <n>        Only evaluate logs this many blocks deep (default: 2)
+  --poll-interval <seconds>  Check for new logs this often (default: 30)
+  --from-block <n>           First block on the first run (default: the current block)
+  --once                     Check once, then exit (non-zero if an alert was not delivered)
+  --test-alert               Send a sample alert to every sink, then exit
+
+Environment Variables:
+  CONTRACT_ADDRESS    - Deployed contract address (required)
+  SEPOLIA_RPC_URL     - RPC endpoint (or RPC_URL) (required)
+  ALERT_LOG_FILE      - log sink file (default: alerts.log)
+  ALERT_WEBHOOK_URL   - webhook sink URL (ALERT_WEBHOOK_AUTH: optional Authorization header)
+  SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, ALERT_EMAIL_FROM, ALERT_EMAIL_TO - email sink
+    `);
+    process.exit(0);
+  }
+
+  const options = {
+    sinks: getOption(args, '--sinks') !== null
+      ? getOption(args, '--sinks').split(',').map(name => name.trim()).filter(Boolean)
+      : defaultSinks(),
+    definitionsDir: getOption(args, '--definitions', DEFAULT_DEFINITIONS_DIR),
+    confirmations: Math.max(1, Number(getOption(args, '--confirmations', 2))),
+    pollIntervalSeconds: Number(getOption(args, '--poll-interval', 30)),
+    fromBlock: getOption(args, '--from-block') !== null ? Number(getOption(args, '--from-block')) : null,
+    once: args.includes('--once'),
+    testAlert: args.includes('--test-alert')
+  };
+
+  try {
+    const sinks = options.sinks.map(name => createSink(name, process.env));
+    if (sinks.length === 0) throw new Error('No alert sinks configured');
+
+    if (options.testAlert) {
+      const sample = {
+        id: 'test',
+        event: 'EmergencyPauseToggled',
+        severity: 'info',
+        message: 'Test alert from alert-monitor.js',
+        condition: 'always',
+        args: { paused: true },
+        contractAddress: process.env.CONTRACT_ADDRESS || ethers.ZeroAddress,
+        chainId: null,
+        blockNumber: null,
+        transactionHash: null,
+        detectedAt: new Date().toISOString()
+      };
+      let failed = 0;
+      for (const sink of sinks) {
+        try {
+          await sink.send(sample);
+          console.log(`✅ ${sink.name} → ${sink.target}`);
+        } catch (error) {
+          console.error(`❌ ${sink.name} → ${sink.target}: ${error.message}`);
+          failed++;
+        }
+      }
+      process.exit(failed > 0 ? 1 : 0);
+    }
+
+    const rpcUrl = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL;
+    if (!rpcUrl) throw new Error('SEPOLIA_RPC_URL or RPC_URL not set in environment');
+    if (!process.env.CONTRACT_ADDRESS) throw new Error('CONTRACT_ADDRESS not set in environment');
+
+    const rules = loadAlertRules(options.definitionsDir);
+    if (rules.size === 0) throw new Error(`No event in ${options.definitionsDir} declares monitoring.alerts`);
+
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+
+    console.log('\n=== PEPEDAWN Alert Monitor ===');
+    console.log(`Contract: ${process.env.CONTRACT_ADDRESS}`);
+    console.log(`State: ${monitorStatePath(process.env.CONTRACT_ADDRESS)}`);
+    console.log('Sinks:');
+    for (const sink of sinks) {
+      console.log(`  ${sink.name.padEnd(8)} ${sink.target}`);
+    }
+    console.log('Rules:');
+    for (const [name, rule] of rules) {
+      for (const alert of rule.alerts) {
+        console.log(`  ${name.padEnd(26)} ${alert.severity.padEnd(8)} ${alert.condition}`);
+      }
+    }
+
+    const monitor = createAlertMonitor(provider, process.env.CONTRACT_ADDRESS, rules, sinks, options);
+
+    if (options.once) {
+      await monitor.runOnce();
+      provider.destroy();
+      return;
+    }
+
+    const shutdown = async (signal) => {
+      console.log(`\n${signal} received - finishing the current check and saving state...`);
+      await monitor.stop();
+      provider.destroy();
+      process.exit(0);
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    monitor.start();
+    console.log(`\n👁️  Watching ${rules.size} event(s) (checking every ${options.pollIntervalSeconds}s)`);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
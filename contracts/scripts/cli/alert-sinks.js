@@ -0,0 +1,177 @@
+/**
+ * @file alert-sinks.js
+ * @notice Pluggable notification sinks for the alert monitor
+ * @dev Every sink takes an alert and resolves once it has been delivered (or throws).
+ *
+ * Sinks:
+ *   console  - Prints the alert to stderr; no configuration (local stand-in)
+ *   log      - Appends one JSON line per alert to ALERT_LOG_FILE (default: alerts.log)
+ *   webhook  - POSTs { text, alert } to ALERT_WEBHOOK_URL (Slack-compatible; optional
+ *              ALERT_WEBHOOK_AUTH is sent as the Authorization header)
+ *   email    - Plain-text mail through an SMTP server via nodemailer (SMTP_HOST, SMTP_PORT,
+ *              SMTP_USER, SMTP_PASS, ALERT_EMAIL_FROM, ALERT_EMAIL_TO); port 465 uses TLS from
+ *              the start, other ports upgrade with STARTTLS (required when credentials are set)
+ */
+
+import fs from 'fs';
+import nodemailer from 'nodemailer';
+
+export const SINKS = ['console', 'log', 'webhook', 'email'];
+
+const DEFAULT_LOG_FILE = 'alerts.log';
+const DEFAULT_SMTP_PORT = 587;
+const SMTP_TIMEOUT_MS = 30000;
+
+const SEVERITY_ICONS = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+
+/**
+ * Sinks to use when none are given on the command line
+ * @returns {Array<string>} - ALERT_SINKS (comma-separated), else console and log
+ */
+export function defaultSinks() {
+  if (process.env.ALERT_SINKS) {
+    return process.env.ALERT_SINKS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return ['console', 'log'];
+}
+
+/**
+ * One-line summary of an alert (mail subject, chat preview)
+ * @param {Object} alert - Alert from the monitor
+ * @returns {string}
+ */
+export function alertTitle(alert) {
+  return `[PEPEDAWN ${alert.severity.toUpperCase()}] ${alert.message} (${alert.event})`;
+}
+
+/**
+ * Human-readable alert body
+ * @param {Object} alert - Alert from the monitor
+ * @returns {string}
+ */
+export function formatAlert(alert) {
+  const icon = SEVERITY_ICONS[alert.severity] || SEVERITY_ICONS.warning;
+  const args = Object.entries(alert.args).map(([name, value]) => `${name}=${value}`).join(', ');
+  return [
+    `${icon} ${alertTitle(alert)}`,
+    `Event: ${alert.event}(${args})`,
+    `Rule: ${alert.condition}`,
+    `Contract: ${alert.contractAddress}${alert.chainId !== null ? ` (chain ${alert.chainId})` : ''}`,
+    alert.transactionHash ? `Block: ${alert.blockNumber}  Tx: ${alert.transactionHash}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * POST an alert to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} alert - Alert from the monitor
+ * @param {string} [auth] - Authorization header value
+ */
+export async function postWebhook(url, alert, auth = null) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(auth ? { Authorization: auth } : {})
+    },
+    body: JSON.stringify({ text: formatAlert(alert), alert })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook returned status ${response.status}: ${await response.text()}`);
+  }
+}
+
+/**
+ * Send a plain-text mail over SMTP
+ * @param {Object} server - { host, port, user, pass }
+ * @param {Object} mail - { from, to: Array<string>, subject, text }
+ * @throws {Error} - On connection, authentication or delivery failure
+ */
+export async function sendSmtpMail(server, mail) {
+  const { host, port = DEFAULT_SMTP_PORT, user = null, pass = null } = server;
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    // Never send credentials over an unencrypted connection
+    requireTLS: Boolean(user),
+    auth: user ? { user, pass: pass || '' } : undefined,
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS
+  });
+
+  try {
+    await transport.sendMail({
+      from: mail.from,
+      to: mail.to,
+      subject: mail.subject,
+      text: mail.text
+    });
+  } finally {
+    transport.close();
+  }
+}
+
+/**
+ * Create a sink from environment variables
+ * @param {string} name - One of SINKS
+ * @param {Object} env - e.g. process.env
+ * @returns {{name: string, target: string, send: Function}} - send(alert) resolves once delivered
+ * @throws {Error} - Unknown sink or missing configuration
+ */
+export function createSink(name, env) {
+  switch (name) {
+    case 'console':
+      return {
+        name,
+        target: 'stderr',
+        send: async (alert) => console.error(`\n${formatAlert(alert)}\n`)
+      };
+
+    case 'log': {
+      const logFile = env.ALERT_LOG_FILE || DEFAULT_LOG_FILE;
+      return {
+        name,
+        target: logFile,
+        send: async (alert) => fs.appendFileSync(logFile, `${JSON.stringify(alert)}\n`)
+      };
+    }
+
+    case 'webhook': {
+      if (!env.ALERT_WEBHOOK_URL) throw new Error('The webhook sink requires ALERT_WEBHOOK_URL');
+      return {
+        name,
+        target: new URL(env.ALERT_WEBHOOK_URL).host,
+        send: alert => postWebhook(env.ALERT_WEBHOOK_URL, alert, env.ALERT_WEBHOOK_AUTH || null)
+      };
+    }
+
+    case 'email': {
+      const to = (env.ALERT_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+      if (!env.SMTP_HOST || !env.ALERT_EMAIL_FROM || to.length === 0) {
+        throw new Error('The email sink requires SMTP_HOST, ALERT_EMAIL_FROM and ALERT_EMAIL_TO');
+      }
+      const server = {
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || DEFAULT_SMTP_PORT),
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null
+      };
+      return {
+        name,
+        target: `${to.join(', ')} via ${server.host}:${server.port}`,
+        send: alert => sendSmtpMail(server, {
+          from: env.ALERT_EMAIL_FROM,
+          to,
+          subject: alertTitle(alert),
+          text: formatAlert(alert)
+        })
+      };
+    }
+
+    default:
+      throw new Error(`Unknown alert sink "${name}" (expected one of: ${SINKS.join(', ')})`);
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * @file cli-options.js
+ * @notice Command-line option parsing shared by the owner CLI scripts
+ */
+
+/**
+ * Read a "--flag value" option from the command line
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @param {string} flag - e.g. "--confirmations"
+ * @param {*} [defaultValue] - Returned when the flag is missing or has no value
+ * @returns {string|*}
+ */
+export function getOption(args, flag, defaultValue = null) {
+  const index = args.indexOf(flag);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
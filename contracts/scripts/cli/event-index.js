@@ -0,0 +1,95 @@
+/**
+ * @file event-index.js
+ * @notice File-backed event index for the owner CLI
+ * @dev Persists the round engine's event index to event-index-<contract>.json in the
+ *      current directory (next to the round journals). The first run backfills from the
+ *      deployment block; later runs only scan blocks after the saved checkpoint.
+ */
+
+import fs from 'fs';
+import {
+  createEventIndex,
+  isCompatibleIndex,
+  findDeploymentBlock,
+  syncEvents
+} from '@pepedawn/round-engine';
+
+/**
+ * Index file path for a contract
+ * @param {string} contractAddress - Contract address
+ * @returns {string} - Path relative to the current directory
+ */
+export function eventIndexPath(contractAddress) {
+  return `event-index-${contractAddress.toLowerCase()}.json`;
+}
+
+/**
+ * Write the index (write-then-rename so an interrupted backfill never corrupts it)
+ * @param {Object} index - Event index
+ */
+function saveEventIndex(index) {
+  const filePath = eventIndexPath(index.contractAddress);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(index));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Resolve the contract's deployment block
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} contractAddress - Contract address
+ * @param {number|null} fromBlock - Explicit override (--from-block)
+ * @returns {Promise<number>} - fromBlock, else DEPLOYMENT_BLOCK, else the saved index's start, else a getCode search
+ */
+export async function resolveDeploymentBlock(provider, contractAddress, fromBlock = null) {
+  if (fromBlock !== null && fromBlock !== undefined) return fromBlock;
+  if (process.env.DEPLOYMENT_BLOCK) return Number(process.env.DEPLOYMENT_BLOCK);
+
+  const filePath = eventIndexPath(contractAddress);
+  if (fs.existsSync(filePath)) {
+    const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (isCompatibleIndex(index, contractAddress)) return index.startBlock;
+  }
+
+  console.log('Locating contract deployment block...');
+  return findDeploymentBlock(provider, contractAddress);
+}
+
+/**
+ * Load the saved index for a contract and bring it up to the chain head
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} contractAddress - Contract address
+ * @param {Object} options - { fromBlock } deployment block override (else DEPLOYMENT_BLOCK or a getCode search)
+ * @returns {Promise<Array>} - Every indexed event in chain order
+ */
+export async function syncEventIndex(provider, contractAddress, options = {}) {
+  const filePath = eventIndexPath(contractAddress);
+  let index = null;
+
+  if (fs.existsSync(filePath)) {
+    index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!isCompatibleIndex(index, contractAddress)) {
+      console.warn(`⚠️  ${filePath} is from another contract or format - rebuilding it`);
+      index = null;
+    }
+  }
+
+  if (!index) {
+    const startBlock = await resolveDeploymentBlock(provider, contractAddress, options.fromBlock);
+    console.log(`Creating event index from block ${startBlock}`);
+    index = createEventIndex(contractAddress, startBlock);
+  }
+
+  const head = await provider.getBlockNumber();
+  console.log(`Syncing events from block ${index.checkpoint + 1} to ${head}...`);
+
+  const events = await syncEvents(provider, index, {
+    toBlock: head,
+    onCheckpoint: updated => {
+      saveEventIndex(updated);
+      console.log(`  Indexed through block ${updated.checkpoint} (${updated.events.length} events)`);
+    }
+  });
+
+  console.log(`✅ ${events.length} events indexed (checkpoint: block ${index.checkpoint})`);
+  return events;
+}
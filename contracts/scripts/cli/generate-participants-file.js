@@ -2,10 +2,12 @@
 /**
  * @file generate-participants-file.js
  * @notice Generate Participants File with Merkle tree for a round
- * @dev Queries contract for all participants, calculates weights, builds Merkle tree
+ * @dev Rebuilds participant stats from the event index (one chunked getLogs sweep),
+ *      cross-checks them against the contract, builds Merkle tree
  * 
  * Usage:
  *   node generate-participants-file.js <roundId> [--output participants-round-<roundId>.json]
+ *                                                [--from-block <n>] [--direct]
  * 
  * Output:
  *   - JSON file with participants data and Merkle root
@@ -14,11 +16,12 @@
  */
 
 import { ethers } from 'ethers';
-import { MerkleTree } from 'merkletreejs';
+import { buildRoundState, computeParticipantsRoot, LEAF_FORMATS } from '@pepedawn/round-engine';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { syncEventIndex } from './event-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,59 +37,59 @@ const RAFFLE_ABI = [
 ];
 
 /**
- * Generate Merkle tree leaf for a participant
- * Leaf format: keccak256(abi.encode(address, uint128 weight))
+ * Build participant entries from the event index
+ * @dev Order comes from getRoundParticipants() (the order the raffle uses); stats come from
+ *      WagerPlaced/ProofSubmitted/ProofRejected. Refuses to continue if the events don't add
+ *      up to the contract's own totals - a missed log must never change the Merkle root.
  */
-function generateLeaf(address, weight) {
-  return ethers.solidityPackedKeccak256(
-    ['address', 'uint128'],
-    [address, weight]
-  );
-}
-
-/**
- * Main function to generate participants file
- */
-async function generateParticipantsFile(roundId, outputPath) {
-  console.log('\n=== Generate Participants File ===');
-  console.log(`Round ID: ${roundId}`);
+async function fetchParticipantsFromEvents(provider, contractAddress, roundId, participantAddresses, round, options) {
+  console.log('\nRebuilding participant stats from events...');
+  const events = await syncEventIndex(provider, contractAddress, { fromBlock: options.fromBlock });
+  const state = buildRoundState(events, roundId);
   
-  // Setup provider and contract
-  const rpcUrl = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL;
-  if (!rpcUrl) {
-    throw new Error('SEPOLIA_RPC_URL or RPC_URL not set in environment');
-  }
+  const byAddress = new Map(state.participants.map(p => [p.address.toLowerCase(), p]));
+  const mismatches = [];
   
-  const contractAddress = process.env.CONTRACT_ADDRESS;
-  if (!contractAddress) {
-    throw new Error('CONTRACT_ADDRESS not set in environment');
+  if (state.participantCount !== participantAddresses.length) {
+    mismatches.push(`participants: events ${state.participantCount}, contract ${participantAddresses.length}`);
+  }
+  if (state.totalTickets !== round.totalTickets) {
+    mismatches.push(`total tickets: events ${state.totalTickets}, contract ${round.totalTickets}`);
+  }
+  if (state.totalWeight !== round.totalWeight) {
+    mismatches.push(`total weight: events ${state.totalWeight}, contract ${round.totalWeight}`);
   }
   
-  console.log(`\nConnecting to: ${rpcUrl}`);
-  console.log(`Contract: ${contractAddress}`);
-  
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const contract = new ethers.Contract(contractAddress, RAFFLE_ABI, provider);
-  
-  // Get round data
-  console.log('\nFetching round data...');
-  const round = await contract.getRound(roundId);
-  console.log(`Round status: ${round.status} (3 = Snapshot expected)`);
-  console.log(`Total tickets: ${round.totalTickets}`);
-  console.log(`Total weight: ${round.totalWeight}`);
+  const participants = participantAddresses.map(address => {
+    const stats = byAddress.get(address.toLowerCase());
+    if (!stats) {
+      mismatches.push(`no WagerPlaced events for ${address}`);
+      return null;
+    }
+    return {
+      address: address,
+      weight: stats.weight.toString(),
+      tickets: stats.tickets.toString(),
+      wagered: ethers.formatEther(stats.wagered),
+      hasProof: stats.hasProof
+    };
+  });
   
-  // Validate round status
-  if (round.status !== 3n) { // Snapshot status
-    console.warn(`\n⚠️  Warning: Round is not in Snapshot status (current: ${round.status})`);
-    console.warn('    Expected status: 3 (Snapshot)');
-    console.warn('    Continuing anyway...\n');
+  if (mismatches.length > 0) {
+    throw new Error(
+      `Event index does not match on-chain state for round ${roundId}:\n  - ${mismatches.join('\n  - ')}\n` +
+      'Check --from-block / DEPLOYMENT_BLOCK, or rerun with --direct to read each participant from the contract.'
+    );
   }
   
-  // Get participants
-  console.log('\nFetching participants...');
-  const participantAddresses = await contract.getRoundParticipants(roundId);
-  console.log(`Found ${participantAddresses.length} participants`);
-  
+  console.log(`✅ Event stats match on-chain totals (${participants.length} participants)`);
+  return participants;
+}
+
+/**
+ * Build participant entries with one getUserStats call per participant (--direct)
+ */
+async function fetchParticipantsDirect(contract, roundId, participantAddresses) {
   // Get stats for each participant with rate limiting
   console.log('\nFetching participant stats...');
   const participants = [];
@@ -134,18 +137,67 @@ async function generateParticipantsFile(roundId, outputPath) {
     }
   }
   
+  return participants;
+}
+
+/**
+ * Main function to generate participants file
+ */
+async function generateParticipantsFile(roundId, outputPath, options = {}) {
+  console.log('\n=== Generate Participants File ===');
+  console.log(`Round ID: ${roundId}`);
+  
+  // Setup provider and contract
+  const rpcUrl = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL;
+  if (!rpcUrl) {
+    throw new Error('SEPOLIA_RPC_URL or RPC_URL not set in environment');
+  }
+  
+  const contractAddress = process.env.CONTRACT_ADDRESS;
+  if (!contractAddress) {
+    throw new Error('CONTRACT_ADDRESS not set in environment');
+  }
+  
+  console.log(`\nConnecting to: ${rpcUrl}`);
+  console.log(`Contract: ${contractAddress}`);
+  
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const contract = new ethers.Contract(contractAddress, RAFFLE_ABI, provider);
+  
+  // Get round data
+  console.log('\nFetching round data...');
+  const round = await contract.getRound(roundId);
+  console.log(`Round status: ${round.status} (3 = Snapshot expected)`);
+  console.log(`Total tickets: ${round.totalTickets}`);
+  console.log(`Total weight: ${round.totalWeight}`);
+  
+  // Validate round status
+  if (round.status !== 3n) { // Snapshot status
+    console.warn(`\n⚠️  Warning: Round is not in Snapshot status (current: ${round.status})`);
+    console.warn('    Expected status: 3 (Snapshot)');
+    console.warn('    Continuing anyway...\n');
+  }
+  
+  // Get participants
+  console.log('\nFetching participants...');
+  const participantAddresses = await contract.getRoundParticipants(roundId);
+  console.log(`Found ${participantAddresses.length} participants`);
+  
+  const participants = options.direct
+    ? await fetchParticipantsDirect(contract, roundId, participantAddresses)
+    : await fetchParticipantsFromEvents(provider, contractAddress, roundId, participantAddresses, round, options);
+  
   console.log(`\nProcessed ${participants.length} participants`);
   
   // Generate Merkle tree
   console.log('\nGenerating Merkle tree...');
-  const leaves = participants.map(p => generateLeaf(p.address, p.weight));
-  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
-  const root = tree.getHexRoot();
+  const root = computeParticipantsRoot(participants);
   
   console.log(`Merkle root: ${root}`);
   
   // Create output file structure
   const outputData = {
+    version: "1.0",
     roundId: roundId.toString(),
     totalWeight: round.totalWeight.toString(),
     totalTickets: round.totalTickets.toString(),
@@ -154,7 +206,7 @@ async function generateParticipantsFile(roundId, outputPath) {
     participants: participants,
     merkle: {
       root: root,
-      leafFormat: "keccak256(abi.encode(address, uint128 weight))"
+      leafFormat: LEAF_FORMATS.participants
     }
   };
   
@@ -163,17 +215,19 @@ async function generateParticipantsFile(roundId, outputPath) {
   fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
   console.log('✅ File written successfully!');
   
-  // Auto-copy to frontend for local testing
-  try {
-    const frontendParticipantsDir = path.join(__dirname, '../../../frontend/public/participants');
-    if (!fs.existsSync(frontendParticipantsDir)) {
-      fs.mkdirSync(frontendParticipantsDir, { recursive: true });
+  // Auto-copy to frontend for local testing (--no-frontend-copy skips it)
+  if (options.frontendCopy !== false) {
+    try {
+      const frontendParticipantsDir = path.join(__dirname, '../../../frontend/public/participants');
+      if (!fs.existsSync(frontendParticipantsDir)) {
+        fs.mkdirSync(frontendParticipantsDir, { recursive: true });
+      }
+      const frontendParticipantsPath = path.join(frontendParticipantsDir, `participants-round-${roundId}.json`);
+      fs.copyFileSync(outputPath, frontendParticipantsPath);
+      console.log(`✅ Copied to frontend: ${frontendParticipantsPath}`);
+    } catch (error) {
+      console.warn('⚠️  Could not copy to frontend:', error.message);
     }
-    const frontendParticipantsPath = path.join(frontendParticipantsDir, `participants-round-${roundId}.json`);
-    fs.copyFileSync(outputPath, frontendParticipantsPath);
-    console.log(`✅ Copied to frontend: ${frontendParticipantsPath}`);
-  } catch (error) {
-    console.warn('⚠️  Could not copy to frontend:', error.message);
   }
   
   // Display summary and next steps
@@ -185,11 +239,13 @@ async function generateParticipantsFile(roundId, outputPath) {
   console.log(`Output File: ${outputPath}`);
   
   console.log('\n=== Next Steps ===');
-  console.log('1. Upload file to IPFS:');
+  console.log('1. Reconcile against WagerPlaced / RoundSnapshot logs:');
+  console.log(`   node manage-round.js reconcile ${roundId} --file ${outputPath}`);
+  console.log('\n2. Upload file to IPFS:');
   console.log(`   node upload-to-ipfs.js ${outputPath}`);
-  console.log('\n2. Commit root on-chain:');
+  console.log('\n3. Commit root on-chain:');
   console.log(`   cast send $CONTRACT_ADDRESS "commitParticipantsRoot(uint256,bytes32,string)" ${roundId} ${root} "<IPFS_CID>" --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
-  console.log('\n3. Request VRF:');
+  console.log('\n4. Request VRF:');
   console.log(`   cast send $CONTRACT_ADDRESS "requestVrf(uint256)" ${roundId} --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
   
   return {
@@ -208,14 +264,20 @@ Usage: node generate-participants-file.js <roundId> [--output <path>]
 Arguments:
   <roundId>         Round ID to generate participants file for
   --output <path>   Output file path (default: participants-round-<roundId>.json)
+  --from-block <n>  Block to start indexing from on first run (default: DEPLOYMENT_BLOCK,
+                    else found with eth_getCode - needs an archive RPC)
+  --direct          Skip the event index and call getUserStats for every participant
+  --no-frontend-copy  Don't copy the file to frontend/public/participants/
 
 Example:
   node generate-participants-file.js 1
   node generate-participants-file.js 1 --output custom-participants.json
+  node generate-participants-file.js 1 --from-block 9400000
 
 Environment Variables (required):
   CONTRACT_ADDRESS    - Deployed contract address
   SEPOLIA_RPC_URL     - Sepolia RPC endpoint
+  DEPLOYMENT_BLOCK    - Optional: contract deployment block (speeds up the first index)
   `);
   process.exit(0);
 }
@@ -225,9 +287,15 @@ const outputIndex = args.indexOf('--output');
 const outputPath = outputIndex !== -1 && args[outputIndex + 1]
   ? args[outputIndex + 1]
   : `participants-round-${roundId}.json`;
+const fromBlockIndex = args.indexOf('--from-block');
+const options = {
+  direct: args.includes('--direct'),
+  frontendCopy: !args.includes('--no-frontend-copy'),
+  fromBlock: fromBlockIndex !== -1 && args[fromBlockIndex + 1] ? Number(args[fromBlockIndex + 1]) : null
+};
 
 // Run the script
-generateParticipantsFile(roundId, outputPath)
+generateParticipantsFile(roundId, outputPath, options)
   .then((result) => {
     console.log('\n✅ Success!');
     process.exit(0);
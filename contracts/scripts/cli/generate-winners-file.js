@@ -14,7 +14,14 @@
  */
 
 import { ethers } from 'ethers';
-import { MerkleTree } from 'merkletreejs';
+import {
+  computeWinnersRoot,
+  selectWinnersOffChain,
+  LEAF_FORMATS,
+  NUM_PRIZES,
+  RAFFLE_ALGORITHM,
+  SCALE
+} from '@pepedawn/round-engine';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -31,188 +38,34 @@ const RAFFLE_ABI = [
   "function getRound(uint256) view returns (tuple(uint256 id, uint64 startTime, uint64 endTime, uint8 status, uint256 totalTickets, uint256 totalWeight, uint256 totalWagered, uint256 vrfRequestId, uint64 vrfRequestedAt, bool feesDistributed, uint256 participantCount, bytes32 validProofHash, bytes32 participantsRoot, bytes32 winnersRoot, bytes32 vrfSeed))"
 ];
 
-// Prize tier constants (from contract)
-const FAKE_PACK_TIER = 1;
-const KEK_PACK_TIER = 2;
-const PEPE_PACK_TIER = 3;
-
 /**
- * Generate Merkle tree leaf for a winner
- * Leaf format: keccak256(abi.encodePacked(address, uint8 prizeTier, uint8 prizeIndex))
+ * Print the per-draw trace returned by the round engine
+ * @param {Array} draws - Draw trace from selectWinnersOffChain
+ * @param {bigint} totalWeight - Round total weight (unscaled)
  */
-function generateLeaf(address, prizeTier, prizeIndex) {
-  return ethers.solidityPackedKeccak256(
-    ['address', 'uint8', 'uint8'],
-    [address, prizeTier, prizeIndex]
-  );
-}
-
-/**
- * Select winners off-chain using VRF seed - RAFFLE MODEL
- * @param participants Array of participant objects with {address, weight, tickets, hasProof}
- * @param vrfSeed The VRF seed (bytes32)
- * @param totalWeight Total weight of all participants
- * @return Array of 10 winners with {address, prizeTier, prizeIndex}
- * 
- * RAFFLE LOGIC:
- * - Each ticket can win ONE pack (tickets are consumed on win)
- * - Each participant can win multiple packs (up to their ticket count)
- * - After each win, the winning ticket is removed from the pool
- * - Total weight decreases by the ticket weight (1000 or 1400 scaled units)
- * - Odds change dynamically like a physical raffle
- * 
- * WEIGHT CALCULATION (CRITICAL):
- * - Contract stores TOTAL weight per user (e.g., 5 tickets with proof = weight 7)
- * - We need PER-TICKET weight for consumption: 1000 (no proof) or 1400 (with proof)
- * - Use integer scaling to preserve decimals: SCALE = 1000
- */
-function selectWinnersOffChain(participants, vrfSeed, totalWeight) {
-  const winners = [];
-  const numPrizes = 10;
-  
-  // Convert vrfSeed to uint256 for hashing
-  const seedUint = BigInt(vrfSeed);
-  
-  // Integer scaling to preserve proof bonus (1.4x) precision
-  const SCALE = 1000n;
-  const BASE_WEIGHT_PER_TICKET = 1000n;   // 1.0x = 1000 scaled
-  const PROOF_WEIGHT_PER_TICKET = 1400n;  // 1.4x = 1400 scaled (contract PROOF_MULTIPLIER)
-  
-  // Create mutable participant pool with remaining tickets and weight
-  // CRITICAL: Scale all weights by SCALE to preserve decimals
-  const participantPool = participants.map(p => {
-    const tickets = Number(p.tickets);
-    const totalWeight = Number(p.weight);
-    
-    // Calculate ACTUAL per-ticket weight from participant data
-    // Contract weight = tickets * (hasProof ? 1.4 : 1.0)
-    const actualWeightPerTicket = totalWeight / tickets;
-    const scaledWeightPerTicket = BigInt(Math.round(actualWeightPerTicket * Number(SCALE)));
-    
-    return {
-      address: p.address,
-      ticketsRemaining: tickets,
-      totalRemainingWeight: BigInt(totalWeight) * SCALE, // Scale up to preserve precision
-      // Use ACTUAL per-ticket weight, not fixed constants
-      weightPerTicket: scaledWeightPerTicket,
-      hasProof: p.hasProof || false
-    };
-  });
-  
-  // Scale total weight to match participant pool scaling (for initial display only)
-  let initialTotalWeight = BigInt(totalWeight) * SCALE;
-  
+function logDraws(draws, totalWeight) {
   console.log('\n=== Raffle Selection Process ===');
-  console.log(`Starting total weight: ${initialTotalWeight}`);
-  console.log(`Prizes to distribute: ${numPrizes}\n`);
-  
-  for (let i = 0; i < numPrizes; i++) {
-    // Check if we have any tickets left
-    const totalTicketsRemaining = participantPool.reduce((sum, p) => sum + p.ticketsRemaining, 0);
-    if (totalTicketsRemaining === 0) {
-      console.warn(`⚠️  Only ${i} prizes awarded - no tickets remaining`);
-      break;
-    }
-    
-    // Generate random hash for this prize (deterministic based on VRF seed + prize index)
-    const randomHash = ethers.keccak256(
-      ethers.AbiCoder.defaultAbiCoder().encode(
-        ['uint256', 'uint256'],
-        [seedUint, i]
-      )
-    );
-    
-    // CRITICAL FIX: Calculate current total weight dynamically based on remaining tickets
-    let dynamicTotalWeight = 0n;
-    for (const p of participantPool) {
-      if (p.ticketsRemaining > 0) {
-        dynamicTotalWeight += BigInt(p.ticketsRemaining) * p.weightPerTicket;
-      }
-    }
-    
-    // Convert to random weight in range [0, dynamicTotalWeight)
-    const randomWeight = BigInt(randomHash) % dynamicTotalWeight;
-    
-    
-    // Find winner by cumulative weight (weighted lottery)
-    let cumulative = 0n;
-    let winnerAddress = null;
-    let winnerIndex = -1;
-    
-    for (let j = 0; j < participantPool.length; j++) {
-      const participant = participantPool[j];
-      
-      // Skip participants with no tickets remaining
-      if (participant.ticketsRemaining === 0) continue;
-      
-      // Add weight for each individual ticket this participant has
-      const participantWeight = BigInt(participant.ticketsRemaining) * participant.weightPerTicket;
-      cumulative += participantWeight;
-      
-      
-      if (cumulative > randomWeight) {
-        winnerAddress = participant.address;
-        winnerIndex = j;
-        break;
-      }
-    }
-    
-    // Fallback: shouldn't happen, but pick last participant with tickets
-    if (winnerAddress === null) {
-      for (let j = participantPool.length - 1; j >= 0; j--) {
-        if (participantPool[j].ticketsRemaining > 0) {
-          winnerIndex = j;
-          winnerAddress = participantPool[j].address;
-          break;
-        }
-      }
-    }
-    
-    // Assign prize tier
-    const prizeTier = getPrizeTier(i);
-    
-    winners.push({
-      address: winnerAddress,
-      prizeTier: prizeTier,
-      prizeIndex: i
-    });
-    
-    // CRITICAL: Consume one ticket from the winner (raffle mechanic)
-    const winner = participantPool[winnerIndex];
-    winner.ticketsRemaining -= 1;
-    winner.totalRemainingWeight -= winner.weightPerTicket;
-    
-    // Calculate new total weight for display
-    let newTotalWeight = 0n;
-    for (const p of participantPool) {
-      if (p.ticketsRemaining > 0) {
-        newTotalWeight += BigInt(p.ticketsRemaining) * p.weightPerTicket;
-      }
-    }
-    
-    console.log(`Prize ${i + 1} (Tier ${prizeTier}): ${winnerAddress}`);
-    console.log(`  - Tickets remaining for winner: ${winner.ticketsRemaining}`);
-    console.log(`  - Total weight remaining: ${newTotalWeight}\n`);
+  console.log(`Starting total weight: ${BigInt(totalWeight) * SCALE}`);
+  console.log(`Prizes to distribute: ${NUM_PRIZES}\n`);
+
+  for (const draw of draws) {
+    console.log(`Prize ${draw.prizeIndex + 1} (Tier ${draw.prizeTier}): ${draw.winner}`);
+    console.log(`  - Random weight: ${draw.randomWeight} / ${draw.totalWeight}`);
+    console.log(`  - Tickets remaining for winner: ${draw.ticketsRemaining}`);
+    console.log(`  - Total weight remaining: ${draw.remainingWeight}\n`);
   }
-  
-  console.log('=== Raffle Complete ===\n');
-  
-  return winners;
-}
 
-/**
- * Get prize tier for a given prize index
- */
-function getPrizeTier(prizeIndex) {
-  if (prizeIndex === 0) return FAKE_PACK_TIER;  // 1st place
-  if (prizeIndex === 1) return KEK_PACK_TIER;   // 2nd place
-  return PEPE_PACK_TIER;                        // 3rd-10th place
+  if (draws.length < NUM_PRIZES) {
+    console.warn(`⚠️  Only ${draws.length} prizes awarded - no tickets remaining`);
+  }
+
+  console.log('=== Raffle Complete ===\n');
 }
 
 /**
  * Main function to generate winners file
  */
-async function generateWinnersFile(roundId, outputPath) {
+async function generateWinnersFile(roundId, outputPath, options = {}) {
   console.log('\n=== Generate Winners File ===');
   console.log(`Round ID: ${roundId}`);
   
@@ -268,11 +121,11 @@ async function generateWinnersFile(roundId, outputPath) {
   console.log('\nSelecting winners off-chain using VRF seed...');
   console.log('(This produces identical results to on-chain selection)');
   
-  const winners = selectWinnersOffChain(
+  const { winners, draws } = selectWinnersOffChain(
     participantsData.participants,
-    round.vrfSeed,
-    round.totalWeight
+    round.vrfSeed
   );
+  logDraws(draws, round.totalWeight);
   
   console.log(`Selected ${winners.length} winners`);
   
@@ -291,9 +144,7 @@ async function generateWinnersFile(roundId, outputPath) {
   
   // Generate Merkle tree
   console.log('\nGenerating Merkle tree...');
-  const leaves = winners.map(w => generateLeaf(w.address, w.prizeTier, w.prizeIndex));
-  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
-  const root = tree.getHexRoot();
+  const root = computeWinnersRoot(winners);
   
   console.log(`Merkle root: ${root}`);
   
@@ -308,19 +159,13 @@ async function generateWinnersFile(roundId, outputPath) {
     totalWeight: round.totalWeight.toString(),
     winnerCount: winners.length,
     generatedAt: new Date().toISOString(),
-    algorithm: {
-      type: "weighted-raffle-without-replacement",
-      scale: "1000",
-      baseWeightPerTicket: "1000",
-      proofWeightPerTicket: "1400",
-      description: "Each ticket is consumed on win. Proof bonus = 1.4x weight per ticket."
-    },
+    algorithm: RAFFLE_ALGORITHM,
     derivation: "Winners selected OFF-CHAIN using VRF seed (deterministic, verifiable)",
     selectionMethod: "Weighted raffle with ticket consumption (integer scaling for proof precision)",
     winners: winners,
     merkle: {
       root: root,
-      leafFormat: "keccak256(abi.encodePacked(address, uint8 prizeTier, uint8 prizeIndex))"
+      leafFormat: LEAF_FORMATS.winners
     }
   };
   
@@ -329,17 +174,19 @@ async function generateWinnersFile(roundId, outputPath) {
   fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
   console.log('✅ File written successfully!');
   
-  // Auto-copy to frontend for local testing
-  try {
-    const frontendWinnersDir = path.join(__dirname, '../../../frontend/public/winners');
-    if (!fs.existsSync(frontendWinnersDir)) {
-      fs.mkdirSync(frontendWinnersDir, { recursive: true });
+  // Auto-copy to frontend for local testing (--no-frontend-copy skips it)
+  if (options.frontendCopy !== false) {
+    try {
+      const frontendWinnersDir = path.join(__dirname, '../../../frontend/public/winners');
+      if (!fs.existsSync(frontendWinnersDir)) {
+        fs.mkdirSync(frontendWinnersDir, { recursive: true });
+      }
+      const frontendWinnersPath = path.join(frontendWinnersDir, `winners-round-${roundId}.json`);
+      fs.copyFileSync(outputPath, frontendWinnersPath);
+      console.log(`✅ Copied to frontend: ${frontendWinnersPath}`);
+    } catch (error) {
+      console.warn('⚠️  Could not copy to frontend:', error.message);
     }
-    const frontendWinnersPath = path.join(frontendWinnersDir, `winners-round-${roundId}.json`);
-    fs.copyFileSync(outputPath, frontendWinnersPath);
-    console.log(`✅ Copied to frontend: ${frontendWinnersPath}`);
-  } catch (error) {
-    console.warn('⚠️  Could not copy to frontend:', error.message);
   }
   
   // Display summary and next steps
@@ -373,6 +220,7 @@ Usage: node generate-winners-file.js <roundId> [--output <path>]
 Arguments:
   <roundId>         Round ID to generate winners file for
   --output <path>   Output file path (default: winners-round-<roundId>.json)
+  --no-frontend-copy  Don't copy the file to frontend/public/winners/
 
 Example:
   node generate-winners-file.js 1
@@ -391,8 +239,12 @@ const outputPath = outputIndex !== -1 && args[outputIndex + 1]
   ? args[outputIndex + 1]
   : `winners-round-${roundId}.json`;
 
+const options = {
+  frontendCopy: !args.includes('--no-frontend-copy')
+};
+
 // Run the script
-generateWinnersFile(roundId, outputPath)
+generateWinnersFile(roundId, outputPath, options)
   .then((result) => {
     console.log('\n✅ Success!');
     process.exit(0);
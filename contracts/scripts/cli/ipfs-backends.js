@@ -0,0 +1,314 @@
+/**
+ * @file ipfs-backends.js
+ * @notice Pluggable IPFS upload backends for the owner CLI
+ * @dev Every backend takes a file path and resolves to the CID the file is available under.
+ *
+ * Backends:
+ *   pinata           - Pinata v3 upload API (PINATA_JWT)
+ *   kubo             - Any Kubo node's HTTP RPC API (KUBO_API_URL, optional KUBO_API_AUTH)
+ *   pinning-service  - Any IPFS Pinning Service API provider (PINNING_SERVICE_ENDPOINT,
+ *                      PINNING_SERVICE_TOKEN); the CID is computed locally and the provider
+ *                      fetches the content from PINNING_SERVICE_ORIGINS or the public network
+ *   local            - No network: writes <file>.car and prints the CID for upload elsewhere
+ *
+ * CIDs returned by remote services are recomputed from the file before they are trusted.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+import { CarWriter } from '@ipld/car';
+import { buildUnixFsDag, computeCid, verifyCid } from '@pepedawn/round-engine';
+
+export const BACKENDS = ['pinata', 'kubo', 'pinning-service', 'local'];
+
+const DEFAULT_KUBO_API_URL = 'http://127.0.0.1:5001';
+const PIN_POLL_INTERVAL_MS = 5000;
+const PIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Backend to use when none is given on the command line
+ * @returns {string|null} - IPFS_BACKEND, else "pinata" when a Pinata key is set, else null
+ */
+export function defaultBackend() {
+  if (process.env.IPFS_BACKEND) {
+    return process.env.IPFS_BACKEND;
+  }
+  return process.env.PINATA_JWT || process.env.PINATA_API_KEY ? 'pinata' : null;
+}
+
+/**
+ * Check that a CID (from a service or the command line) addresses exactly this file
+ * @param {string} filePath - Local file
+ * @param {string} cid - CID to check
+ * @throws {Error} - If the file's bytes don't hash to the CID
+ */
+export async function assertCidMatchesFile(filePath, cid) {
+  const { valid, computed } = await verifyCid(fs.readFileSync(filePath), cid);
+  if (!valid) {
+    throw new Error(
+      `CID ${cid} does not match ${path.basename(filePath)} ` +
+      `(computed locally: ${computed || 'unsupported or malformed CID'})`
+    );
+  }
+  console.log(`✅ CID ${cid} verified against the local file`);
+}
+
+/**
+ * Upload file to Pinata automatically using v3 API
+ */
+export async function uploadToPinata(filePath, jwt) {
+  console.log('\n🚀 Uploading to Pinata IPFS...');
+
+  const fileContent = fs.readFileSync(filePath);
+  const fileName = path.basename(filePath);
+
+  return new Promise((resolve, reject) => {
+    const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
+
+    const parts = [];
+
+    // Add file part
+    parts.push(`--${boundary}\r\n`);
+    parts.push(`Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n`);
+    parts.push('Content-Type: application/json\r\n\r\n');
+    parts.push(fileContent);
+    parts.push('\r\n');
+
+    // Add name part
+    parts.push(`--${boundary}\r\n`);
+    parts.push('Content-Disposition: form-data; name="name"\r\n\r\n');
+    parts.push(fileName);
+    parts.push('\r\n');
+
+    // Add network parameter to make file public
+    parts.push(`--${boundary}\r\n`);
+    parts.push('Content-Disposition: form-data; name="network"\r\n\r\n');
+    parts.push('public');
+    parts.push('\r\n');
+
+    // End boundary
+    parts.push(`--${boundary}--\r\n`);
+
+    const body = Buffer.concat(parts.map(p => Buffer.isBuffer(p) ? p : Buffer.from(p, 'utf8')));
+
+    const options = {
+      hostname: 'uploads.pinata.cloud',
+      path: '/v3/files',
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${jwt}`,
+        'Content-Type': `multipart/form-data; boundary=${boundary}`,
+        'Content-Length': body.length
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            const result = JSON.parse(responseData);
+            console.log('✅ Upload successful!');
+            console.log(`📋 IPFS CID: ${result.data?.cid || result.cid || result.IpfsHash}`);
+            resolve(result.data?.cid || result.cid || result.IpfsHash);
+          } catch (error) {
+            console.error('❌ Failed to parse Pinata response:', error);
+            reject(new Error('Failed to parse Pinata response: ' + responseData));
+          }
+        } else {
+          console.error(`❌ Upload failed with status ${res.statusCode}:`, responseData);
+          reject(new Error(`Upload failed with status ${res.statusCode}: ${responseData}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Add and pin a file on a Kubo node through its HTTP RPC API
+ * @param {string} filePath - File to upload
+ * @param {string} apiUrl - RPC API base URL (e.g. http://127.0.0.1:5001)
+ * @param {string} [auth] - Authorization header value for hosted nodes (e.g. "Basic ...")
+ * @returns {Promise<string>} - CIDv1 of the file
+ */
+export async function uploadToKubo(filePath, apiUrl = DEFAULT_KUBO_API_URL, auth = null) {
+  console.log(`\n🚀 Adding to Kubo node at ${apiUrl}...`);
+
+  const form = new FormData();
+  const blob = new Blob([fs.readFileSync(filePath)], { type: 'application/json' });
+  form.append('file', blob, path.basename(filePath));
+
+  const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/v0/add?cid-version=1&pin=true`, {
+    method: 'POST',
+    headers: auth ? { Authorization: auth } : {},
+    body: form
+  });
+
+  const responseText = await response.text();
+  if (!response.ok) {
+    throw new Error(`Kubo add failed with status ${response.status}: ${responseText}`);
+  }
+
+  // One JSON object per line; the last one is the file itself
+  const result = JSON.parse(responseText.trim().split('\n').pop());
+  console.log('✅ Added and pinned!');
+  console.log(`📋 IPFS CID: ${result.Hash}`);
+  return result.Hash;
+}
+
+/**
+ * Ask a Pinning Service API provider to pin a file's CID and wait until it is pinned
+ * @dev The service fetches the content itself, so the file must be reachable from
+ *      `origins` (multiaddrs of a node that has it) or already be on the network.
+ * @param {string} filePath - File to pin
+ * @param {Object} service - { endpoint, token, origins }
+ * @returns {Promise<string>} - Locally computed CIDv1 of the file
+ */
+export async function pinWithPinningService(filePath, { endpoint, token, origins = [] }) {
+  const cid = await computeCid(fs.readFileSync(filePath));
+  const baseUrl = endpoint.replace(/\/$/, '');
+  const headers = {
+    Authorization: `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+
+  console.log(`\n🚀 Requesting pin of ${cid} from ${baseUrl}...`);
+
+  const response = await fetch(`${baseUrl}/pins`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ cid, name: path.basename(filePath), origins })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Pin request failed with status ${response.status}: ${await response.text()}`);
+  }
+
+  let pinStatus = await response.json();
+  const deadline = Date.now() + PIN_TIMEOUT_MS;
+
+  // queued -> pinning -> pinned | failed
+  while (pinStatus.status !== 'pinned') {
+    if (pinStatus.status === 'failed') {
+      throw new Error(`Pinning service failed to pin ${cid} (request ${pinStatus.requestid})`);
+    }
+    if (Date.now() > deadline) {
+      throw new Error(
+        `Pin of ${cid} still "${pinStatus.status}" after ${PIN_TIMEOUT_MS / 60000} minutes ` +
+        `(request ${pinStatus.requestid}). Check that the content is reachable from the service.`
+      );
+    }
+
+    console.log(`   Pin status: ${pinStatus.status}...`);
+    await new Promise(resolve => setTimeout(resolve, PIN_POLL_INTERVAL_MS));
+
+    const statusResponse = await fetch(`${baseUrl}/pins/${pinStatus.requestid}`, { headers });
+    if (!statusResponse.ok) {
+      throw new Error(`Pin status check failed with status ${statusResponse.status}: ${await statusResponse.text()}`);
+    }
+    pinStatus = await statusResponse.json();
+  }
+
+  console.log('✅ Pinned!');
+  console.log(`📋 IPFS CID: ${cid}`);
+  return cid;
+}
+
+/**
+ * Compute a file's CID offline and write its blocks to a CAR file next to it
+ * @dev The CAR can be imported anywhere (`ipfs dag import`, web3.storage, Pinata, ...)
+ *      and will produce exactly the printed CID.
+ * @param {string} filePath - File to package
+ * @returns {Promise<{cid: string, carPath: string}>}
+ */
+export async function writeLocalCar(filePath) {
+  const { cid, blocks } = await buildUnixFsDag(fs.readFileSync(filePath));
+  const carPath = filePath.replace(/\.json$/, '') + '.car';
+
+  const { writer, out } = CarWriter.create([cid]);
+  const chunks = [];
+  const collecting = (async () => {
+    for await (const chunk of out) {
+      chunks.push(chunk);
+    }
+  })();
+
+  // Repeated chunks produce the same block; a CAR only needs it once
+  const written = new Set();
+  for (const block of blocks) {
+    const key = block.cid.toString();
+    if (written.has(key)) continue;
+    written.add(key);
+    await writer.put(block);
+  }
+  await writer.close();
+  await collecting;
+
+  fs.writeFileSync(carPath, Buffer.concat(chunks));
+
+  console.log(`\n📦 Wrote ${carPath} (${written.size} block${written.size === 1 ? '' : 's'})`);
+  console.log(`📋 IPFS CID: ${cid.toString()}`);
+  console.log('   Nothing was uploaded - import the CAR into a pinning service or node before committing.');
+
+  return { cid: cid.toString(), carPath };
+}
+
+/**
+ * Upload (or package) a file with the named backend
+ * @param {string} backend - One of BACKENDS
+ * @param {string} filePath - File to upload
+ * @returns {Promise<string>} - CID of the file
+ */
+export async function uploadWithBackend(backend, filePath) {
+  switch (backend) {
+    case 'pinata': {
+      const jwt = process.env.PINATA_JWT || process.env.PINATA_API_KEY;
+      if (!jwt) throw new Error('The pinata backend requires PINATA_JWT');
+      const cid = await uploadToPinata(filePath, jwt);
+      await assertCidMatchesFile(filePath, cid);
+      return cid;
+    }
+
+    case 'kubo': {
+      const cid = await uploadToKubo(
+        filePath,
+        process.env.KUBO_API_URL || DEFAULT_KUBO_API_URL,
+        process.env.KUBO_API_AUTH || null
+      );
+      await assertCidMatchesFile(filePath, cid);
+      return cid;
+    }
+
+    case 'pinning-service': {
+      const endpoint = process.env.PINNING_SERVICE_ENDPOINT;
+      const token = process.env.PINNING_SERVICE_TOKEN;
+      if (!endpoint || !token) {
+        throw new Error('The pinning-service backend requires PINNING_SERVICE_ENDPOINT and PINNING_SERVICE_TOKEN');
+      }
+      const origins = (process.env.PINNING_SERVICE_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+      return pinWithPinningService(filePath, { endpoint, token, origins });
+    }
+
+    case 'local':
+      return (await writeLocalCar(filePath)).cid;
+
+    default:
+      throw new Error(`Unknown IPFS backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+}
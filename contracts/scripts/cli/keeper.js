@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * @file keeper.js
+ * @notice Long-running round keeper
+ * @dev Wakes up on RoundOpened, RoundClosed, RoundSnapshot, ParticipantsRootCommitted,
+ *      VRFFulfilled and VRFTimeoutDetected and drives the round with the same journaled steps as
+ *      "manage-round.js run": autoCloseRound once endTime passes, snapshotRound,
+ *      commitParticipantsRoot (reconciled file, real IPFS upload), requestVrf and submitWinnersRoot.
+ *      A VRF request that outlives VRF_REQUEST_TIMEOUT is alerted, and reset and requested
+ *      again with --reset-on-timeout.
+ *
+ *      Events only say which round to look at. The next step is always read from getRound(),
+ *      so a missed or duplicated event can't skip or repeat one, and a periodic check covers
+ *      dropped subscriptions. keeper-state-<contract>.json keeps the last processed block and
+ *      each round's retry backoff; the round journals keep every file, upload and transaction.
+ *
+ * Usage:
+ *   node keeper.js [--confirmations <n>] [--poll-interval <seconds>] [--reset-on-timeout] [--once]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import {
+  createRaffleClient,
+  readGasSettings,
+  scanLogs,
+  statusName,
+  ROUND_STATUS
+} from '@pepedawn/round-engine';
+import { defaultBackend } from './ipfs-backends.js';
+import { loadJournal } from './round-journal.js';
+import {
+  DEFAULT_MAX_VRF_REQUESTS,
+  alertVrfTimeout,
+  getVrfTimeout,
+  nextStep,
+  resetTimedOutVrf,
+  runStep,
+  waitForAdvance
+} from './round-steps.js';
+import { getOption } from './cli-options.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const KEEPER_EVENTS = [
+  'RoundOpened',
+  'RoundClosed',
+  'RoundSnapshot',
+  'ParticipantsRootCommitted',
+  'VRFFulfilled',
+  'VRFTimeoutDetected'
+];
+
+// Restart replay starts this many blocks before the saved block (re-checking a round is harmless)
+const REPLAY_OVERLAP_BLOCKS = 20;
+
+// Seconds after endTime before autoCloseRound, and after the VRF timeout before resetVrf
+// (block timestamps can lag the wall clock)
+const CLOSE_GRACE_SECONDS = 15;
+
+/**
+ * State file path for a contract
+ * @param {string} contractAddress - Contract address
+ * @returns {string} - Path relative to the current directory
+ */
+function keeperStatePath(contractAddress) {
+  return `keeper-state-${contractAddress.toLowerCase()}.json`;
+}
+
+/**
+ * Load (or create) the keeper state for a contract
+ * @param {string} contractAddress - Contract address
+ * @returns {Object} - { contractAddress, lastBlock, rounds: { [roundId]: { attempts, nextAttemptAt, lastError } } }
+ */
+function loadState(contractAddress) {
+  const filePath = keeperStatePath(contractAddress);
+  if (!fs.existsSync(filePath)) {
+    return { contractAddress, lastBlock: null, updatedAt: null, rounds: {} };
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Persist the keeper state (write-then-rename so a crash never truncates it)
+ * @param {Object} state - Keeper state
+ */
+function saveState(state) {
+  const filePath = keeperStatePath(state.contractAddress);
+  state.updatedAt = new Date().toISOString();
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Retry delay after a failed attempt: base * 2^(attempts - 1), capped
+ * @param {number} attempts - Failed attempts so far (>= 1)
+ * @param {Object} options - { backoffBaseSeconds, backoffMaxSeconds }
+ * @returns {number} - Milliseconds
+ */
+function backoffDelay(attempts, options) {
+  const seconds = Math.min(options.backoffBaseSeconds * 2 ** (attempts - 1), options.backoffMaxSeconds);
+  return seconds * 1000;
+}
+
+/**
+ * Create a keeper
+ * @param {Object} client - Signing raffle client (createRaffleClient)
+ * @param {Object} options - Parsed command line options
+ * @returns {{start: Function, stop: Function, runOnce: Function}}
+ */
+function createKeeper(client, options) {
+  const { contract, provider } = client;
+  const contractAddress = contract.target;
+  const state = loadState(contractAddress);
+  const timers = new Map();   // roundId -> timeout for a scheduled check
+  const queue = new Set();    // roundIds waiting for a check
+  const lastSeen = new Map(); // roundId -> last logged status
+  let draining = null;
+  let pollTimer = null;
+  let stopped = false;
+  let failures = 0;
+
+  const kick = () => {
+    if (!draining) {
+      draining = drain().finally(() => {
+        draining = null;
+        if (queue.size > 0 && !stopped) kick(); // enqueued while the last pass was finishing
+      });
+    }
+    return draining;
+  };
+
+  const enqueue = (roundId) => {
+    if (stopped) return draining;
+    queue.add(String(roundId));
+    return kick();
+  };
+
+  const scheduleAt = (roundId, at) => {
+    const key = String(roundId);
+    if (options.once) return;
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      enqueue(key);
+    }, Math.max(0, at - Date.now())));
+  };
+
+  // Close an open round once its window has passed
+  const closeExpired = async (roundId, round) => {
+    const latest = await provider.getBlock('latest');
+    const closesAt = Number(round.endTime) + CLOSE_GRACE_SECONDS;
+
+    if (latest.timestamp < closesAt) {
+      console.log(`⏰ Round ${roundId} is open until ${new Date(Number(round.endTime) * 1000).toISOString()} - closing it then`);
+      scheduleAt(roundId, Date.now() + (closesAt - latest.timestamp) * 1000);
+      return false;
+    }
+
+    // autoCloseRound never refunds, so an under-filled round would go on to a raffle;
+    // the owner's closeRound refunds it instead
+    const minTickets = await contract.MIN_TICKETS_FOR_DISTRIBUTION();
+    const method = round.totalTickets < minTickets ? 'closeRound' : 'autoCloseRound';
+    if (method === 'closeRound') {
+      console.log(`   Only ${round.totalTickets} ticket(s) (minimum ${minTickets}) - closeRound refunds the round`);
+    }
+
+    console.log(`\n📤 ${method}(${roundId})`);
+    const receipt = await client.execute(method, [roundId], {}, {
+      confirmations: options.confirmations,
+      onSent: tx => console.log(`   Tx hash: ${tx.hash}`)
+    });
+    console.log(`✅ ${method} confirmed in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+    return true;
+  };
+
+  // Alert (and optionally reset) a VRF request that outlived VRF_REQUEST_TIMEOUT
+  const checkVrfTimeout = async (roundId, round, changed) => {
+    const timeout = await getVrfTimeout(contract, round);
+
+    if (!timeout.timedOut) {
+      if (changed) {
+        console.log(`   Waiting for VRFFulfilled (request ${timeout.requestId}, resetVrf allowed after ${new Date(timeout.resetAfter * 1000).toISOString()})`);
+      }
+      scheduleAt(roundId, Date.now() + (timeout.secondsLeft + CLOSE_GRACE_SECONDS) * 1000);
+      return false;
+    }
+
+    const journal = loadJournal(roundId, contractAddress);
+    alertVrfTimeout(journal, roundId, timeout);
+    if (!options.resetOnTimeout) return false; // the operator runs "manage-round.js reset-vrf"
+
+    const ctx = { contract, client, journal, confirmations: options.confirmations };
+    await resetTimedOutVrf(ctx, roundId, timeout, { maxRequests: options.maxVrfRequests, fromBlock: options.fromBlock });
+    return true;
+  };
+
+  // Perform at most one step for a round; returns true if it should be checked again right away
+  const advance = async (roundId) => {
+    const round = await client.getRound(roundId);
+    const changed = lastSeen.get(roundId) !== round.status;
+    lastSeen.set(roundId, round.status);
+    if (changed) {
+      console.log(`\n▶ Round ${roundId}: ${statusName(round.status)} (${round.status})`);
+    }
+
+    switch (round.status) {
+      case ROUND_STATUS.Created:
+        return false; // the owner opens it (RoundOpened wakes us up)
+      case ROUND_STATUS.Open:
+        if (!await closeExpired(roundId, round)) return false;
+        break;
+      case ROUND_STATUS.VRFRequested:
+        if (!await checkVrfTimeout(roundId, round, changed)) return false;
+        break;
+      case ROUND_STATUS.Refunded:
+        return false;
+      default: {
+        const step = nextStep(round);
+        if (step === 'complete') {
+          if (changed) console.log(`✅ Round ${roundId} is complete`);
+          return false;
+        }
+        const journal = loadJournal(roundId, contractAddress);
+        const ctx = { contract, client, journal, confirmations: options.confirmations };
+        await runStep(ctx, roundId, step, options);
+      }
+    }
+
+    await waitForAdvance(contract, roundId, round);
+    return true;
+  };
+
+  // Check queued rounds one at a time (one signer, one nonce sequence)
+  const drain = async () => {
+    while (queue.size > 0 && !stopped) {
+      const roundId = queue.values().next().value;
+      queue.delete(roundId);
+
+      const retry = state.rounds[roundId];
+      if (retry && retry.nextAttemptAt && Date.parse(retry.nextAttemptAt) > Date.now()) {
+        console.log(`⏳ Round ${roundId} is backing off until ${retry.nextAttemptAt} (last error: ${retry.lastError})`);
+        scheduleAt(roundId, Date.parse(retry.nextAttemptAt));
+        continue;
+      }
+
+      try {
+        const again = await advance(roundId);
+        delete state.rounds[roundId];
+        if (again) queue.add(roundId);
+      } catch (error) {
+        const entry = state.rounds[roundId] || { attempts: 0 };
+        entry.attempts++;
+        entry.lastError = error.message;
+        const delay = backoffDelay(entry.attempts, options);
+        entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        state.rounds[roundId] = entry;
+        failures++;
+        console.error(`❌ Round ${roundId} (attempt ${entry.attempts}): ${error.message}`);
+
+        if (!options.once) {
+          console.error(`   Retrying in ${Math.round(delay / 1000)}s`);
+          scheduleAt(roundId, Date.now() + delay);
+        }
+      }
+      saveState(state);
+    }
+  };
+
+  const onEvent = (name, roundId, payload) => {
+    const blockNumber = payload.log.blockNumber;
+    console.log(`\n📣 ${name}(round ${roundId}) in block ${blockNumber}`);
+    state.lastBlock = Math.max(state.lastBlock ?? blockNumber, blockNumber);
+
+    // A new event is new information: skip the rest of the backoff
+    if (state.rounds[roundId]) state.rounds[roundId].nextAttemptAt = null;
+    enqueue(roundId);
+  };
+
+  const listeners = KEEPER_EVENTS.map(name => [name, (...args) => onEvent(name, args[0].toString(), args[args.length - 1])]);
+
+  // Rounds with events since the last run (plus the current round and any still backing off)
+  const catchUp = async () => {
+    const head = await provider.getBlockNumber();
+    const rounds = new Set(Object.keys(state.rounds));
+
+    if (state.lastBlock !== null) {
+      const fromBlock = Math.max(0, state.lastBlock - REPLAY_OVERLAP_BLOCKS);
+      const topics = KEEPER_EVENTS.map(name => contract.interface.getEvent(name).topicHash);
+      await scanLogs(provider, { address: contractAddress, topics: [topics] }, fromBlock, head, {
+        onChunk: logs => {
+          for (const log of logs) rounds.add(BigInt(log.topics[1]).toString());
+        }
+      });
+      console.log(`🔁 Replayed blocks ${fromBlock}-${head}`);
+    }
+
+    const currentRoundId = await client.getCurrentRoundId();
+    if (currentRoundId > 0) rounds.add(String(currentRoundId));
+
+    state.lastBlock = head;
+    saveState(state);
+    for (const roundId of rounds) enqueue(roundId);
+    return draining;
+  };
+
+  // Safety net for dropped subscriptions: re-check the current round
+  const poll = async () => {
+    try {
+      const [head, currentRoundId] = await Promise.all([provider.getBlockNumber(), client.getCurrentRoundId()]);
+      state.lastBlock = Math.max(state.lastBlock ?? head, head);
+      saveState(state);
+      if (currentRoundId > 0 && !timers.has(String(currentRoundId))) enqueue(currentRoundId);
+    } catch (error) {
+      console.warn(`⚠️  Periodic check failed: ${error.message}`);
+    }
+  };
+
+  return {
+    /**
+     * Catch up, subscribe to the keeper events and keep running
+     */
+    async start() {
+      for (const [name, listener] of listeners) {
+        await contract.on(name, listener);
+      }
+      pollTimer = setInterval(poll, options.pollIntervalSeconds * 1000);
+      await catchUp();
+    },
+
+    /**
+     * Catch up and work through every round that can move, then return
+     */
+    async runOnce() {
+      await catchUp();
+      if (failures > 0) {
+        throw new Error(`${failures} step(s) failed - rerun after fixing the errors above (retry state is in ${keeperStatePath(contractAddress)})`);
+      }
+    },
+
+    /**
+     * Unsubscribe, cancel timers and save state (an in-flight step finishes first)
+     */
+    async stop() {
+      stopped = true;
+      clearInterval(pollTimer);
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      for (const [name, listener] of listeners) {
+        await contract.off(name, listener);
+      }
+      if (draining) await draining.catch(() => {});
+      saveState(state);
+    }
+  };
+}
+
+/**
+ * Main CLI handler
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+PEPEDAWN Round Keeper
+
+Usage: node keeper.js [options]
+
+Listens for RoundOpened, RoundClosed, RoundSnapshot, ParticipantsRootCommitted,
+VRFFulfilled and VRFTimeoutDetected, and performs the next owner step of that round:
+  Open (endTime passed)  autoCloseRound (closeRound if below the ticket minimum, which refunds)
+  Closed                 snapshotRound
+  Snapshot               generate + reconcile + upload participants file, commitParticipantsRoot,
+                         then requestVrf
+  VRFRequested           past VRF_REQUEST_TIMEOUT: alert; with --reset-on-timeout resetVrf,
+                         then requestVrf again
+  WinnersReady           generate + upload winners file, submitWinnersRoot
+
+Progress is saved to keeper-state-<contract>.json and round-<id>-journal.json in the
+current directory, so a restarted keeper continues where it stopped.
+
+Options:
+  --confirmations <n>        Confirmations to wait for per transaction (default: 1)
+  --poll-interval <seconds>  Re-check the current round this often (default: 60)
+  --backoff-base <seconds>   First retry delay after a failure (default: 30)
+  --backoff-max <seconds>    Longest retry delay (default: 900)
+  --ipfs-backend <name>      pinata | kubo | pinning-service (default: IPFS_BACKEND,
+                             or pinata when PINATA_JWT is set)
+  --from-block <n>           First block for participants reconciliation
+                             (default: DEPLOYMENT_BLOCK or the event index)
+  --reset-on-timeout         Reset a VRF request older than VRF_REQUEST_TIMEOUT and request again
+                             (default: alert only)
+  --max-vrf-requests <n>     VRF requests per round before resets stop (default: ${DEFAULT_MAX_VRF_REQUESTS})
+  --once                     Catch up on every round, then exit (non-zero on a failed step)
+
+Environment Variables (required):
+  CONTRACT_ADDRESS    - Deployed contract address
+  SEPOLIA_RPC_URL     - RPC endpoint (or RPC_URL)
+  PRIVATE_KEY         - Owner key (run one keeper per key)
+  PINATA_JWT / IPFS_BACKEND - IPFS upload backend (see upload-to-ipfs.js --help)
+  MAX_FEE_PER_GAS_GWEI, MAX_PRIORITY_FEE_PER_GAS_GWEI, GAS_LIMIT_MULTIPLIER_PCT - Optional gas settings
+    `);
+    process.exit(0);
+  }
+
+  const options = {
+    once: args.includes('--once'),
+    ipfsBackend: getOption(args, '--ipfs-backend'),
+    fromBlock: getOption(args, '--from-block') !== null ? Number(getOption(args, '--from-block')) : null,
+    confirmations: Number(getOption(args, '--confirmations', 1)),
+    pollIntervalSeconds: Number(getOption(args, '--poll-interval', 60)),
+    backoffBaseSeconds: Number(getOption(args, '--backoff-base', 30)),
+    backoffMaxSeconds: Number(getOption(args, '--backoff-max', 900)),
+    resetOnTimeout: args.includes('--reset-on-timeout'),
+    maxVrfRequests: Number(getOption(args, '--max-vrf-requests', DEFAULT_MAX_VRF_REQUESTS))
+  };
+
+  try {
+    const rpcUrl = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL;
+    if (!rpcUrl) throw new Error('SEPOLIA_RPC_URL or RPC_URL not set in environment');
+    if (!process.env.CONTRACT_ADDRESS) throw new Error('CONTRACT_ADDRESS not set in environment');
+    if (!process.env.PRIVATE_KEY) throw new Error('PRIVATE_KEY not set in environment');
+
+    // The keeper commits real CIDs only, so it needs a backend that publishes files
+    const backend = options.ipfsBackend || defaultBackend();
+    if (!backend || backend === 'local') {
+      throw new Error('The keeper needs an IPFS backend that publishes files: set PINATA_JWT or IPFS_BACKEND (kubo | pinning-service), or pass --ipfs-backend');
+    }
+
+    const client = createRaffleClient({
+      rpcUrl,
+      address: process.env.CONTRACT_ADDRESS,
+      privateKey: process.env.PRIVATE_KEY,
+      gas: readGasSettings(process.env),
+      confirmations: options.confirmations
+    });
+
+    console.log('\n=== PEPEDAWN Round Keeper ===');
+    console.log(`Contract: ${process.env.CONTRACT_ADDRESS}`);
+    console.log(`Signer: ${client.account}`);
+    console.log(`IPFS backend: ${backend}`);
+    console.log(`State: ${keeperStatePath(process.env.CONTRACT_ADDRESS)}`);
+
+    const keeper = createKeeper(client, options);
+
+    if (options.once) {
+      await keeper.runOnce();
+      client.provider.destroy();
+      return;
+    }
+
+    const shutdown = async (signal) => {
+      console.log(`\n${signal} received - finishing the current step and saving state...`);
+      await keeper.stop();
+      client.provider.destroy();
+      process.exit(0);
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+
+    await keeper.start();
+    console.log(`\n👁️  Listening for ${KEEPER_EVENTS.join(', ')} (re-checking every ${options.pollIntervalSeconds}s)`);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
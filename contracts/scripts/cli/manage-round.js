@@ -9,6 +9,12 @@
  *   snapshot <roundId>         - Run snapshot workflow (generate participants file)
  *   request-vrf <roundId>      - Request VRF randomness
  *   commit-winners <roundId>   - Generate and commit winners
+ *   reconcile <roundId>        - Check the participants file against WagerPlaced/RoundSnapshot logs
+ *   run <roundId>              - Execute the remaining lifecycle on-chain (signs with PRIVATE_KEY)
+ *   resume <roundId>           - Continue an interrupted run from its journal
+ *   reset-vrf <roundId>        - Reset a VRF request that outlived VRF_REQUEST_TIMEOUT and request again
+ *
+ *   --dry-run                  - Simulate owner transactions (eth_call + gas estimate) instead of sending
  *   interactive                - Interactive mode with step-by-step guidance
  */
 
@@ -18,6 +24,31 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { execSync } from 'child_process';
+import {
+  createRaffleClient,
+  describeRevert,
+  readGasSettings,
+  statusName
+} from '@pepedawn/round-engine';
+import {
+  journalPath,
+  journalExists,
+  loadJournal,
+  recordStep,
+  findLast,
+  printJournal
+} from './round-journal.js';
+import {
+  DEFAULT_MAX_VRF_REQUESTS,
+  alertVrfTimeout,
+  assertParticipantsReconciled,
+  getVrfTimeout,
+  nextStep,
+  resetTimedOutVrf,
+  runStep,
+  waitForAdvance
+} from './round-steps.js';
+import { getOption } from './cli-options.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,31 +56,27 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-// ABI for the functions we need
-const RAFFLE_ABI = [
-  "function getRound(uint256) view returns (tuple(uint256 id, uint64 startTime, uint64 endTime, uint8 status, uint256 totalTickets, uint256 totalWeight, uint256 totalWagered, uint256 vrfRequestId, uint64 vrfRequestedAt, bool feesDistributed, uint256 participantCount, bytes32 validProofHash, bytes32 participantsRoot, bytes32 winnersRoot, bytes32 vrfSeed))",
-  "function currentRoundId() view returns (uint256)",
-  "function getParticipantsData(uint256) view returns (bytes32, string)",
-  "function getWinnersData(uint256) view returns (bytes32, string)"
-];
-
-// Round status enum
-const RoundStatus = {
-  0: 'Created',
-  1: 'Open',
-  2: 'Closed',
-  3: 'Snapshot',
-  4: 'VRFRequested',
-  5: 'WinnersReady',
-  6: 'Distributed',
-  7: 'Refunded'
+// Expected effect of each owner action on the round when it succeeds
+const EXPECTED_TRANSITIONS = {
+  snapshotRound: { from: 2, to: 3 },
+  commitParticipantsRoot: { from: 3, to: 3, note: 'participantsRoot and participants CID set' },
+  requestVrf: { from: 3, to: 4, note: 'VRF coordinator later moves it to WinnersReady (5)' },
+  resetVrf: { from: 4, to: 3, note: 'request cleared, participants root kept - request VRF again' },
+  submitWinnersRoot: { from: 5, to: 6, note: 'winnersRoot set, fees distributed' }
 };
 
+// Journal steps reset-vrf writes (timeout, resetVrf, the new requestVrf)
+const VRF_MAINTENANCE_STEPS = ['vrf', 'resetVrf', 'requestVrf'];
+
+// Stand-in CID for dry runs when the file has not been uploaded yet
+const DRY_RUN_CID = 'dry-run-placeholder-cid';
+
 /**
  * Setup contract connection
+ * @param {string} [rpcUrlOverride] - Use this RPC instead (e.g. a local anvil fork for dry runs)
  */
-function setupContract() {
-  const rpcUrl = process.env.SEPOLIA_RPC_URL || process.env.RPC_URL;
+function setupContract(rpcUrlOverride = null) {
+  const rpcUrl = rpcUrlOverride || process.env.SEPOLIA_RPC_URL || process.env.RPC_URL;
   if (!rpcUrl) {
     throw new Error('SEPOLIA_RPC_URL or RPC_URL not set in environment');
   }
@@ -59,10 +86,87 @@ function setupContract() {
     throw new Error('CONTRACT_ADDRESS not set in environment');
   }
   
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const contract = new ethers.Contract(contractAddress, RAFFLE_ABI, provider);
+  const client = createRaffleClient({ rpcUrl, address: contractAddress });
+  
+  return { contract: client.contract, client, contractAddress, rpcUrl };
+}
+
+/**
+ * Setup contract connection with the owner signer (PRIVATE_KEY)
+ * @dev Transactions go through the shared raffle client: simulated first, nonces from a
+ *      NonceManager, gas capped by MAX_FEE_PER_GAS_GWEI / MAX_PRIORITY_FEE_PER_GAS_GWEI.
+ */
+function setupSigner() {
+  const { contractAddress, rpcUrl } = setupContract();
+  
+  const privateKey = process.env.PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('PRIVATE_KEY not set in environment');
+  }
   
-  return { contract, contractAddress, rpcUrl };
+  const client = createRaffleClient({
+    rpcUrl,
+    address: contractAddress,
+    privateKey,
+    gas: readGasSettings(process.env)
+  });
+  return { contract: client.contract, client, account: client.account, contractAddress, rpcUrl };
+}
+
+/**
+ * Address owner transactions are simulated from (--from, otherwise PRIVATE_KEY's address)
+ */
+function getDryRunSender(options) {
+  if (options.from) {
+    return ethers.getAddress(options.from);
+  }
+  if (process.env.PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.PRIVATE_KEY).address;
+  }
+  throw new Error('Dry run needs a sender: pass --from <ownerAddress> or set PRIVATE_KEY');
+}
+
+/**
+ * Simulate an owner transaction without broadcasting it
+ * @dev eth_call against the latest block of the configured RPC (or --fork-url), at the
+ *      current gas price so gas-price guards like requestVrf's maxGasPrice apply.
+ * @param {ethers.Contract} contract - Read-only contract
+ * @param {string} from - Simulated sender (the owner)
+ * @param {string} label - Function name
+ * @param {Array} args - Function arguments
+ * @param {Object} round - getRound() result before the call
+ * @returns {Promise<{ok: boolean, gas?: bigint, reason?: string}>}
+ */
+async function simulateOwnerCall(contract, from, label, args, round) {
+  const provider = contract.runner;
+  const feeData = await provider.getFeeData();
+  const overrides = { from, gasPrice: feeData.gasPrice };
+  
+  console.log(`\n🧪 Dry run: ${label}(${args.join(', ')})`);
+  console.log(`   From: ${from}`);
+  
+  let gas;
+  try {
+    await contract[label].staticCall(...args, overrides);
+    gas = await contract[label].estimateGas(...args, overrides);
+  } catch (error) {
+    const reason = describeRevert(error);
+    console.log(`   Result: ❌ would revert - ${reason}`);
+    return { ok: false, reason };
+  }
+  
+  const transition = EXPECTED_TRANSITIONS[label];
+  const current = Number(round.status);
+  
+  console.log('   Result: ✅ would succeed');
+  console.log(`   Estimated gas: ${gas} (~${ethers.formatEther(gas * feeData.gasPrice)} ETH at ${ethers.formatUnits(feeData.gasPrice, 'gwei')} gwei)`);
+  console.log(`   Status: ${statusName(current)} (${current}) → ${statusName(transition.to)} (${transition.to})${transition.note ? ` - ${transition.note}` : ''}`);
+  
+  if (current !== transition.from) {
+    console.log(`   ⚠️  Expected to start from ${statusName(transition.from)} (${transition.from})`);
+  }
+  
+  return { ok: true, gas };
 }
 
 /**
@@ -74,7 +178,7 @@ async function displayStatus(roundId) {
   const { contract } = setupContract();
   const round = await contract.getRound(roundId);
   
-  const status = RoundStatus[Number(round.status)];
+  const status = statusName(round.status);
   const startDate = new Date(Number(round.startTime) * 1000).toISOString();
   const endDate = new Date(Number(round.endTime) * 1000).toISOString();
   
@@ -119,19 +223,28 @@ async function displayStatus(roundId) {
   console.log(`  VRF Request ID: ${round.vrfRequestId === 0n ? 'Not requested' : round.vrfRequestId}`);
   console.log(`  VRF Seed: ${round.vrfSeed === ethers.ZeroHash ? 'Not fulfilled' : round.vrfSeed}`);
   
+  let vrfTimeout = null;
+  if (Number(round.status) === 4) {
+    vrfTimeout = await getVrfTimeout(contract, round);
+    console.log(`  Requested At: ${new Date(vrfTimeout.requestedAt * 1000).toISOString()}`);
+    console.log(`  Reset Allowed After: ${new Date(vrfTimeout.resetAfter * 1000).toISOString()} ` +
+      (vrfTimeout.timedOut ? '(⚠️  timed out)' : `(in ${Math.ceil(vrfTimeout.secondsLeft / 60)}m)`));
+  }
+  
   console.log(`\nFinancial:`);
   console.log(`  Fees Distributed: ${round.feesDistributed ? 'Yes' : 'No'}`);
   
   // Display next steps based on status
-  displayNextSteps(round, roundId);
+  displayNextSteps(round, roundId, vrfTimeout);
   
   return round;
 }
 
 /**
  * Display next steps based on current status
+ * @param {Object|null} vrfTimeout - getVrfTimeout() result while VRFRequested
  */
-function displayNextSteps(round, roundId) {
+function displayNextSteps(round, roundId, vrfTimeout = null) {
   const status = Number(round.status);
   
   console.log('\n=== Next Steps ===');
@@ -145,6 +258,9 @@ function displayNextSteps(round, roundId) {
     console.log(`   cast send $CONTRACT_ADDRESS "closeRound(uint256)" ${roundId} --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
     console.log(`\nNote: If round has <10 tickets, closeRound() will automatically refund all participants.`);
   } else if (status === 2) { // Closed
+    console.log('Run every remaining step on-chain in one go:');
+    console.log(`   node manage-round.js run ${roundId}`);
+    console.log('\nOr step by step:');
     console.log('1. Take snapshot:');
     console.log(`   node manage-round.js snapshot ${roundId}`);
     console.log('   OR manually:');
@@ -157,6 +273,11 @@ function displayNextSteps(round, roundId) {
       console.log('1. Request VRF:');
       console.log(`   node manage-round.js request-vrf ${roundId}`);
     }
+  } else if (status === 4 && vrfTimeout && vrfTimeout.timedOut) { // VRFRequested, past VRF_REQUEST_TIMEOUT
+    console.log(`⚠️  VRF request ${vrfTimeout.requestId} was not fulfilled within VRF_REQUEST_TIMEOUT.`);
+    console.log('1. Check the VRF subscription (LINK balance, consumer added): https://vrf.chain.link/');
+    console.log('2. Reset the request and request VRF again:');
+    console.log(`   node manage-round.js reset-vrf ${roundId}`);
   } else if (status === 4) { // VRFRequested
     console.log('Waiting for VRF fulfillment...');
     console.log('This usually takes 5-30 minutes depending on network confirmations.');
@@ -180,21 +301,41 @@ function displayNextSteps(round, roundId) {
   }
 }
 
+/**
+ * Reconcile workflow: check a participants file without committing anything
+ */
+async function reconcileWorkflow(roundId, options = {}) {
+  console.log('\n=== Reconcile Participants File ===');
+  console.log(`Round ID: ${roundId}`);
+  
+  const filePath = options.file || `participants-round-${roundId}.json`;
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${filePath} not found. Generate it with: node generate-participants-file.js ${roundId}`);
+  }
+  console.log(`File: ${filePath}`);
+  
+  const { contract } = setupContract();
+  await assertParticipantsReconciled(contract, roundId, JSON.parse(fs.readFileSync(filePath, 'utf8')), options);
+}
+
 /**
  * Snapshot workflow: generate participants file
  */
-async function snapshotWorkflow(roundId) {
+async function snapshotWorkflow(roundId, options = {}) {
   console.log('\n=== Snapshot Workflow ===');
   console.log(`Round ID: ${roundId}`);
   
   // Check round status
-  const { contract } = setupContract();
+  const { contract } = setupContract(options.dryRun ? options.forkUrl : null);
   const round = await contract.getRound(roundId);
   
   if (Number(round.status) !== 3) {
-    console.log(`\n⚠️  Round is not in Snapshot status (current: ${RoundStatus[Number(round.status)]})`);
+    console.log(`\n⚠️  Round is not in Snapshot status (current: ${statusName(round.status)})`);
     console.log('You need to call snapshotRound() first:');
     console.log(`   cast send $CONTRACT_ADDRESS "snapshotRound(uint256)" ${roundId} --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
+    if (options.dryRun) {
+      await simulateOwnerCall(contract, getDryRunSender(options), 'snapshotRound', [roundId], round);
+    }
     return;
   }
   
@@ -215,25 +356,32 @@ async function snapshotWorkflow(roundId) {
   const participantsData = JSON.parse(fs.readFileSync(participantsFile, 'utf8'));
   const root = participantsData.merkle.root;
   
+  await assertParticipantsReconciled(contract, roundId, participantsData, options);
+  
   console.log('\n2. Next: Upload to IPFS');
   console.log(`   node upload-to-ipfs.js ${participantsFile}`);
   console.log('\n3. Then commit root on-chain:');
   console.log(`   cast send $CONTRACT_ADDRESS "commitParticipantsRoot(uint256,bytes32,string)" ${roundId} ${root} "<IPFS_CID>" --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
+  
+  if (options.dryRun) {
+    const cid = options.participantsCid || DRY_RUN_CID;
+    await simulateOwnerCall(contract, getDryRunSender(options), 'commitParticipantsRoot', [roundId, root, cid], round);
+  }
 }
 
 /**
  * Request VRF workflow
  */
-async function requestVrfWorkflow(roundId) {
+async function requestVrfWorkflow(roundId, options = {}) {
   console.log('\n=== Request VRF Workflow ===');
   console.log(`Round ID: ${roundId}`);
   
   // Check round status
-  const { contract, contractAddress } = setupContract();
+  const { contract, contractAddress } = setupContract(options.dryRun ? options.forkUrl : null);
   const round = await contract.getRound(roundId);
   
   if (Number(round.status) !== 3) {
-    throw new Error(`Round must be in Snapshot status (current: ${RoundStatus[Number(round.status)]})`);
+    throw new Error(`Round must be in Snapshot status (current: ${statusName(round.status)})`);
   }
   
   if (round.participantsRoot === ethers.ZeroHash) {
@@ -244,21 +392,25 @@ async function requestVrfWorkflow(roundId) {
   console.log('\nExecute this command:');
   console.log(`cast send ${contractAddress} "requestVrf(uint256)" ${roundId} --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
   console.log('\nNote: Make sure your VRF subscription has enough LINK tokens!');
+  
+  if (options.dryRun) {
+    await simulateOwnerCall(contract, getDryRunSender(options), 'requestVrf', [roundId], round);
+  }
 }
 
 /**
  * Commit winners workflow
  */
-async function commitWinnersWorkflow(roundId) {
+async function commitWinnersWorkflow(roundId, options = {}) {
   console.log('\n=== Commit Winners Workflow ===');
   console.log(`Round ID: ${roundId}`);
   
   // Check round status
-  const { contract } = setupContract();
+  const { contract } = setupContract(options.dryRun ? options.forkUrl : null);
   const round = await contract.getRound(roundId);
   
   if (Number(round.status) !== 5) {
-    throw new Error(`Round must be in WinnersReady status (current: ${RoundStatus[Number(round.status)]})`);
+    throw new Error(`Round must be in WinnersReady status (current: ${statusName(round.status)})`);
   }
   
   if (round.vrfSeed === ethers.ZeroHash) {
@@ -286,6 +438,252 @@ async function commitWinnersWorkflow(roundId) {
   console.log(`   node upload-to-ipfs.js ${winnersFile}`);
   console.log('\n3. Then submit winners root on-chain:');
   console.log(`   cast send $CONTRACT_ADDRESS "submitWinnersRoot(uint256,bytes32,string)" ${roundId} ${root} "<IPFS_CID>" --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
+  
+  if (options.dryRun) {
+    const cid = options.winnersCid || DRY_RUN_CID;
+    await simulateOwnerCall(contract, getDryRunSender(options), 'submitWinnersRoot', [roundId, root, cid], round);
+  }
+}
+
+/**
+ * Journal a VRF reset done outside this run (reset-vrf, the keeper, resetVrfTimeout via cast),
+ * unless whoever reset it already journaled it
+ */
+function recordExternalVrfReset(journal, requestId) {
+  const known = journal.entries.some(entry =>
+    entry.step === 'vrf' && entry.type === 'reset' && entry.requestId === requestId);
+  if (!known) {
+    recordStep(journal, 'vrf', 'reset', { requestId, external: true });
+  }
+}
+
+/**
+ * Poll getRound() until the VRF request is fulfilled
+ * @dev Fulfillment moves the round to WinnersReady (or on to Distributed). A round back in
+ *      Snapshot was reset outside this run - the run loop then sends requestVrf again; a new
+ *      request ID while still VRFRequested means it was reset and re-requested, and the wait
+ *      follows the new request.
+ *      Once the request outlives the contract's VRF_REQUEST_TIMEOUT the timeout is alerted
+ *      and journaled; with --reset-on-timeout the request is reset (the run loop then sends
+ *      requestVrf again), otherwise the run stops.
+ */
+async function waitForVrf(ctx, roundId, options) {
+  const { contract, journal } = ctx;
+  console.log('\n⏳ Waiting for VRF fulfillment...');
+  console.log('This usually takes 5-30 minutes depending on network confirmations.');
+  
+  const deadline = Date.now() + options.vrfTimeoutMinutes * 60 * 1000;
+  let requestId = (await contract.getRound(roundId)).vrfRequestId.toString();
+  let timeout = null;
+  
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, options.pollIntervalSeconds * 1000));
+    
+    const round = await contract.getRound(roundId);
+    const status = Number(round.status);
+    
+    if (status === 5 || status === 6) { // WinnersReady, or Distributed if the root went in meanwhile
+      console.log(`✅ VRF fulfilled! Seed: ${round.vrfSeed}`);
+      recordStep(journal, 'vrf', 'fulfilled', { requestId: round.vrfRequestId.toString(), seed: round.vrfSeed });
+      return;
+    }
+    if (status === 3) { // Snapshot
+      console.log(`↩️  VRF request ${requestId} was reset outside this run - the round is back in Snapshot`);
+      recordExternalVrfReset(journal, requestId);
+      return;
+    }
+    if (status !== 4) {
+      throw new Error(`Round ${roundId} left VRFRequested unexpectedly (now ${statusName(status)})`);
+    }
+    if (round.vrfRequestId.toString() !== requestId) {
+      console.log(`↩️  VRF request ${requestId} was reset and replaced by request ${round.vrfRequestId} outside this run`);
+      recordExternalVrfReset(journal, requestId);
+      requestId = round.vrfRequestId.toString();
+    }
+    
+    timeout = await getVrfTimeout(contract, round);
+    if (timeout.timedOut) {
+      alertVrfTimeout(journal, roundId, timeout);
+      if (!options.resetOnTimeout) {
+        throw new Error(
+          `VRF request ${timeout.requestId} timed out. Reset it and request again with ` +
+          `"node manage-round.js reset-vrf ${roundId}", or rerun "resume ${roundId} --reset-on-timeout".`
+        );
+      }
+      await resetTimedOutVrf(ctx, roundId, timeout, { maxRequests: options.maxVrfRequests, fromBlock: options.fromBlock });
+      return;
+    }
+    
+    const remaining = Math.ceil((deadline - Date.now()) / 60000);
+    console.log(`   Still VRFRequested (${remaining}m left before giving up, resetVrf allowed in ${Math.ceil(timeout.secondsLeft / 60)}m)`);
+  }
+  
+  throw new Error(`VRF not fulfilled after ${options.vrfTimeoutMinutes} minutes. Rerun "resume ${roundId}" to keep waiting` +
+    (timeout ? ` (resetVrf is allowed after ${new Date(timeout.resetAfter * 1000).toISOString()}).` : '.'));
+}
+
+/**
+ * Reset VRF workflow: clear a timed-out VRF request and request randomness again
+ * @dev resetVrf only succeeds after VRF_REQUEST_TIMEOUT. The timeout, the reset and the new
+ *      request ID are all journaled, so the journal lists every VRF request the round used.
+ */
+async function resetVrfWorkflow(roundId, options) {
+  console.log('\n=== Reset VRF Workflow ===');
+  console.log(`Round ID: ${roundId}`);
+  
+  if (options.dryRun) {
+    const { contract } = setupContract(options.forkUrl);
+    const round = await contract.getRound(roundId);
+    await simulateOwnerCall(contract, getDryRunSender(options), 'resetVrf', [roundId], round);
+    return;
+  }
+  
+  const { contract, client, account, contractAddress } = setupSigner();
+  console.log(`Contract: ${contractAddress}`);
+  console.log(`Signer: ${account}`);
+  
+  const round = await contract.getRound(roundId);
+  if (Number(round.status) !== 4) {
+    throw new Error(`Round must be in VRFRequested status (current: ${statusName(round.status)})`);
+  }
+  
+  const timeout = await getVrfTimeout(contract, round);
+  if (!timeout.timedOut) {
+    throw new Error(
+      `VRF request ${timeout.requestId} has not timed out yet - resetVrf is allowed after ` +
+      `${new Date(timeout.resetAfter * 1000).toISOString()} (in ${Math.ceil(timeout.secondsLeft / 60)}m)`
+    );
+  }
+  
+  const journal = loadJournal(roundId, contractAddress);
+  const ctx = { contract, client, journal, confirmations: options.confirmations };
+  
+  alertVrfTimeout(journal, roundId, timeout);
+  await resetTimedOutVrf(ctx, roundId, timeout, { maxRequests: options.maxVrfRequests ?? Infinity, fromBlock: options.fromBlock });
+  await waitForAdvance(contract, roundId, round);
+  
+  if (options.noRequest) {
+    console.log(`\n✅ Round ${roundId} is back in Snapshot. Request VRF again with: node manage-round.js resume ${roundId}`);
+    return;
+  }
+  
+  await runStep(ctx, roundId, 'requestVrf', options);
+  console.log(`\n✅ VRF requested again. Continue with: node manage-round.js resume ${roundId}`);
+}
+
+/**
+ * Run workflow: drive the round from Closed to Distributed on-chain
+ * @dev Each iteration reads getRound().status and performs exactly one step. Every
+ *      step is journaled, so "resume" never regenerates, re-uploads or resends
+ *      anything that already happened.
+ */
+async function runWorkflow(roundId, options, { resume = false } = {}) {
+  console.log(`\n=== ${resume ? 'Resume' : 'Run'} Round Workflow ===`);
+  console.log(`Round ID: ${roundId}`);
+  
+  const existing = journalExists(roundId);
+  if (resume && !existing) {
+    throw new Error(`No journal found (${journalPath(roundId)}). Start with: node manage-round.js run ${roundId}`);
+  }
+  
+  const { contract, client, account, contractAddress } = setupSigner();
+  console.log(`Contract: ${contractAddress}`);
+  console.log(`Signer: ${account}`);
+  
+  const journal = loadJournal(roundId, contractAddress);
+  if (!resume && existing) {
+    // reset-vrf (run by hand or by automate-round) journals VRF entries only - "run" may take those over
+    if (journal.entries.some(entry => !VRF_MAINTENANCE_STEPS.includes(entry.step))) {
+      throw new Error(`${journalPath(roundId)} already exists. Continue with: node manage-round.js resume ${roundId}`);
+    }
+    console.log(`📓 Continuing ${journalPath(roundId)} (VRF resets recorded by reset-vrf)`);
+  }
+  if (resume) {
+    printJournal(journal);
+  }
+  
+  const ctx = { contract, client, journal, confirmations: options.confirmations };
+  
+  for (;;) {
+    const round = await contract.getRound(roundId);
+    const status = Number(round.status);
+    console.log(`\n▶ Round status: ${statusName(status)} (${status})`);
+    
+    const step = nextStep(round);
+    
+    if (step === 'complete') {
+      console.log('\n✅ Round is complete! Winners can now claim their prizes via the frontend.');
+      return;
+    } else if (step === 'refunded') {
+      console.log('\n✅ Round was refunded (had <10 tickets). Nothing to run.');
+      return;
+    } else if (step === 'waitForVrf') {
+      await waitForVrf(ctx, roundId, options);
+    } else {
+      await runStep(ctx, roundId, step, options);
+    }
+    
+    await waitForAdvance(contract, roundId, round);
+  }
+}
+
+/**
+ * Dry run of "run"/"resume": simulate the next owner transaction without sending it
+ * @dev Nothing is journaled or uploaded. Root-committing steps use the local round file
+ *      (generated if missing) and the journaled/--*-cid CID, or a placeholder CID.
+ */
+async function dryRunWorkflow(roundId, options) {
+  console.log('\n=== Dry Run ===');
+  console.log(`Round ID: ${roundId}`);
+  
+  const { contract, contractAddress, rpcUrl } = setupContract(options.forkUrl);
+  const from = getDryRunSender(options);
+  console.log(`Contract: ${contractAddress}`);
+  console.log(`RPC: ${options.forkUrl ? `${rpcUrl} (fork)` : rpcUrl}`);
+  
+  const round = await contract.getRound(roundId);
+  const status = Number(round.status);
+  console.log(`\n▶ Round status: ${statusName(status)} (${status})`);
+  
+  const step = nextStep(round);
+  
+  if (step === 'complete' || step === 'refunded') {
+    console.log('\nNothing left to send for this round.');
+    return;
+  }
+  if (step === 'waitForVrf') {
+    console.log('\nNext step is waiting for VRF fulfillment - there is no owner transaction to simulate.');
+    return;
+  }
+  
+  let args = [roundId];
+  if (step === 'commitParticipantsRoot' || step === 'submitWinnersRoot') {
+    const kind = step === 'commitParticipantsRoot' ? 'participants' : 'winners';
+    const filePath = `${kind}-round-${roundId}.json`;
+    
+    if (!fs.existsSync(filePath)) {
+      console.log(`\n📄 ${filePath} not found - generating it (read-only on-chain)...`);
+      execSync(`node ${path.join(__dirname, `generate-${kind}-file.js`)} ${roundId}`, {
+        stdio: 'inherit'
+      });
+    }
+    
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (kind === 'participants') {
+      await assertParticipantsReconciled(contract, roundId, data, options);
+    }
+    const journaled = journalExists(roundId)
+      ? findLast(loadJournal(roundId, contractAddress), `${kind}-upload`, 'uploaded')
+      : null;
+    const cid = options[`${kind}Cid`] || (journaled && journaled.cid) || DRY_RUN_CID;
+    
+    if (cid === DRY_RUN_CID) {
+      console.log(`\n💡 No CID yet - simulating with "${DRY_RUN_CID}" (the contract only checks it is non-empty)`);
+    }
+    args = [roundId, data.merkle.root, cid];
+  }
+  
+  await simulateOwnerCall(contract, from, step, args, round);
 }
 
 /**
@@ -305,23 +703,89 @@ Commands:
   snapshot <roundId>         Generate participants file and show upload instructions
   request-vrf <roundId>      Show VRF request command (validates prerequisites)
   commit-winners <roundId>   Generate winners file and show upload instructions
+  reconcile <roundId>        Check participants-round-<id>.json against the round's
+                             WagerPlaced/ProofSubmitted logs and RoundSnapshot totals
+                             (also runs automatically before every participants commit)
+  run <roundId> [options]    Sign and send every remaining step (snapshotRound,
+                             commitParticipantsRoot, requestVrf, submitWinnersRoot),
+                             waiting for each receipt and for VRF fulfillment
+  resume <roundId> [options] Continue an interrupted run from round-<id>-journal.json
+                             (waits on in-flight transactions instead of resending)
+
+Run/resume options:
+  --participants-cid <cid>   CID of the uploaded participants file
+  --winners-cid <cid>        CID of the uploaded winners file
+                             (omit both to upload automatically with the IPFS backend)
+  --ipfs-backend <name>      pinata | kubo | pinning-service (default: IPFS_BACKEND,
+                             or pinata when PINATA_JWT is set; see upload-to-ipfs.js --help)
+  --confirmations <n>        Confirmations to wait for per transaction (default: 1)
+  --vrf-timeout <minutes>    How long to wait for VRF fulfillment (default: 30)
+  --poll-interval <seconds>  VRF status polling interval (default: 15)
+  --reset-on-timeout         When the VRF request outlives VRF_REQUEST_TIMEOUT, reset it
+                             and request again instead of stopping
+  --max-vrf-requests <n>     Stop resetting after this many VRF requests for the round
+                             (default: ${DEFAULT_MAX_VRF_REQUESTS}; reset-vrf has no limit unless given)
+
+Reset VRF:
+  reset-vrf <roundId>        Reset a VRF request older than VRF_REQUEST_TIMEOUT (1 hour),
+                             then request VRF again. Every request ID is journaled.
+  --no-request               Only reset (round goes back to Snapshot)
+
+Reconciliation options (reconcile, snapshot, run, resume):
+  --file <path>              Participants file to check (reconcile only)
+  --from-block <n>           First block to scan (default: DEPLOYMENT_BLOCK, the event
+                             index's start block, or an eth_getCode search)
+
+Dry run (snapshot, request-vrf, commit-winners, reset-vrf, run, resume):
+  --dry-run                  Simulate the owner transaction with eth_call instead of sending it:
+                             reports revert reason, estimated gas and the status transition
+  --fork-url <url>           Simulate against this RPC instead (e.g. anvil --fork-url $SEPOLIA_RPC_URL)
+  --from <address>           Owner address to simulate from (default: PRIVATE_KEY's address)
   
 Examples:
   node manage-round.js status 1
   node manage-round.js snapshot 1
   node manage-round.js request-vrf 1
   node manage-round.js commit-winners 1
+  node manage-round.js reconcile 1 --from-block 9400000
+  node manage-round.js run 1 --participants-cid bafy... --confirmations 2
+  node manage-round.js resume 1
+  node manage-round.js resume 1 --reset-on-timeout --vrf-timeout 120
+  node manage-round.js reset-vrf 1
+  node manage-round.js run 1 --dry-run
+  node manage-round.js commit-winners 1 --dry-run --fork-url http://127.0.0.1:8545
 
 Environment Variables (required):
   CONTRACT_ADDRESS    - Deployed contract address
   SEPOLIA_RPC_URL     - Sepolia RPC endpoint
-  PRIVATE_KEY         - Private key for transactions (for cast commands)
+  PRIVATE_KEY         - Private key for transactions (signs "run", cast commands otherwise)
+  PINATA_JWT          - Optional: lets "run" upload files to IPFS itself
+  MAX_FEE_PER_GAS_GWEI, MAX_PRIORITY_FEE_PER_GAS_GWEI, GAS_LIMIT_MULTIPLIER_PCT
+                      - Optional: gas settings for transactions sent by "run"
+  IPFS_BACKEND        - Optional: upload backend for "run" (kubo and pinning-service
+                        read KUBO_API_URL / PINNING_SERVICE_ENDPOINT + PINNING_SERVICE_TOKEN)
     `);
     process.exit(0);
   }
   
   const command = args[0];
   const roundId = args[1];
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    forkUrl: getOption(args, '--fork-url'),
+    from: getOption(args, '--from'),
+    participantsCid: getOption(args, '--participants-cid'),
+    winnersCid: getOption(args, '--winners-cid'),
+    ipfsBackend: getOption(args, '--ipfs-backend'),
+    file: getOption(args, '--file'),
+    fromBlock: getOption(args, '--from-block') !== null ? Number(getOption(args, '--from-block')) : null,
+    confirmations: Number(getOption(args, '--confirmations', 1)),
+    vrfTimeoutMinutes: Number(getOption(args, '--vrf-timeout', 30)),
+    pollIntervalSeconds: Number(getOption(args, '--poll-interval', 15)),
+    resetOnTimeout: args.includes('--reset-on-timeout'),
+    maxVrfRequests: getOption(args, '--max-vrf-requests') !== null ? Number(getOption(args, '--max-vrf-requests')) : null,
+    noRequest: args.includes('--no-request')
+  };
   
   try {
     switch (command) {
@@ -332,17 +796,37 @@ Environment Variables (required):
         
       case 'snapshot':
         if (!roundId) throw new Error('Round ID required');
-        await snapshotWorkflow(roundId);
+        await snapshotWorkflow(roundId, options);
         break;
         
       case 'request-vrf':
         if (!roundId) throw new Error('Round ID required');
-        await requestVrfWorkflow(roundId);
+        await requestVrfWorkflow(roundId, options);
         break;
         
       case 'commit-winners':
         if (!roundId) throw new Error('Round ID required');
-        await commitWinnersWorkflow(roundId);
+        await commitWinnersWorkflow(roundId, options);
+        break;
+        
+      case 'reconcile':
+        if (!roundId) throw new Error('Round ID required');
+        await reconcileWorkflow(roundId, options);
+        break;
+        
+      case 'reset-vrf':
+        if (!roundId) throw new Error('Round ID required');
+        await resetVrfWorkflow(roundId, options);
+        break;
+        
+      case 'run':
+      case 'resume':
+        if (!roundId) throw new Error('Round ID required');
+        if (options.dryRun) {
+          await dryRunWorkflow(roundId, options);
+        } else {
+          await runWorkflow(roundId, options, { resume: command === 'resume' });
+        }
         break;
         
       default:
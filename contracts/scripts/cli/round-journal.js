@@ -0,0 +1,141 @@
+/**
+ * @file round-journal.js
+ * @notice Per-round operation journal for the owner CLI
+ * @dev Every step of a round run (file generated, CID uploaded, tx sent, receipt
+ *      confirmed) is appended to round-<roundId>-journal.json next to the generated
+ *      files, so an interrupted run can be resumed without regenerating files,
+ *      re-uploading them or resending transactions.
+ *
+ * Entry shape: { at, step, type, ...details }
+ *   step: participants-file | participants-upload | snapshotRound | commitParticipantsRoot |
+ *         requestVrf | vrf | resetVrf | winners-file | winners-upload | submitWinnersRoot
+ *   type: generated | reconciled | uploaded | sent | confirmed | failed | dropped |
+ *         requested | timed-out | reset | fulfilled
+ *   "vrf" entries carry the requestId, so the journal lists every VRF request a round used.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * Journal file path for a round
+ * @param {string|number} roundId - Round ID
+ * @returns {string} - Path relative to the current directory
+ */
+export function journalPath(roundId) {
+  return `round-${roundId}-journal.json`;
+}
+
+/**
+ * Check whether a journal exists for a round
+ * @param {string|number} roundId - Round ID
+ * @returns {boolean}
+ */
+export function journalExists(roundId) {
+  return fs.existsSync(journalPath(roundId));
+}
+
+/**
+ * Load (or create) the journal for a round
+ * @param {string|number} roundId - Round ID
+ * @param {string} contractAddress - Contract the round lives on
+ * @returns {Object} - Journal data
+ */
+export function loadJournal(roundId, contractAddress) {
+  const filePath = journalPath(roundId);
+
+  if (!fs.existsSync(filePath)) {
+    return {
+      roundId: roundId.toString(),
+      contractAddress,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      entries: []
+    };
+  }
+
+  const journal = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  // A journal from another deployment would point at transactions that never happened here
+  if (journal.contractAddress.toLowerCase() !== contractAddress.toLowerCase()) {
+    throw new Error(
+      `Journal ${filePath} belongs to contract ${journal.contractAddress}, not ${contractAddress}. ` +
+      'Move it aside before running this round again.'
+    );
+  }
+
+  return journal;
+}
+
+/**
+ * Append an entry and persist the journal (write-then-rename so a crash never truncates it)
+ * @param {Object} journal - Journal data
+ * @param {string} step - Step name
+ * @param {string} type - Entry type
+ * @param {Object} details - Extra fields (hash, cid, txHash, blockNumber, ...)
+ * @returns {Object} - The recorded entry
+ */
+export function recordStep(journal, step, type, details = {}) {
+  const entry = { at: new Date().toISOString(), step, type, ...details };
+  journal.entries.push(entry);
+  journal.updatedAt = entry.at;
+
+  const filePath = journalPath(journal.roundId);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(journal, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+
+  return entry;
+}
+
+/**
+ * Find the most recent entry for a step (optionally of a given type)
+ * @param {Object} journal - Journal data
+ * @param {string} step - Step name
+ * @param {string} [type] - Entry type
+ * @returns {Object|null}
+ */
+export function findLast(journal, step, type = null) {
+  for (let i = journal.entries.length - 1; i >= 0; i--) {
+    const entry = journal.entries[i];
+    if (entry.step === step && (type === null || entry.type === type)) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Transaction sent for a step whose outcome was never recorded
+ * @param {Object} journal - Journal data
+ * @param {string} step - Transaction step name
+ * @returns {Object|null} - The "sent" entry, or null if nothing is in flight
+ */
+export function findPendingTx(journal, step) {
+  const last = findLast(journal, step);
+  return last && last.type === 'sent' ? last : null;
+}
+
+/**
+ * SHA-256 of a file's bytes (identifies exactly which file was uploaded/committed)
+ * @param {string} filePath - File to hash
+ * @returns {string} - Hex digest
+ */
+export function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Print the journal in a compact, human-readable form
+ * @param {Object} journal - Journal data
+ */
+export function printJournal(journal) {
+  console.log(`\nJournal: ${journalPath(journal.roundId)} (${journal.entries.length} entries)`);
+
+  for (const entry of journal.entries) {
+    const detail = [
+      entry.requestId !== undefined ? `request ${entry.requestId}` : null,
+      entry.txHash || entry.cid || entry.hash || entry.seed
+    ].filter(Boolean).join('  ');
+    console.log(`  ${entry.at}  ${entry.step.padEnd(22)} ${entry.type.padEnd(10)} ${detail}`);
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * @file round-steps.js
+ * @notice Owner lifecycle steps shared by "manage-round.js run" and the keeper
+ * @dev Everything here is journaled (round-journal.js), so whichever process performs a
+ *      step - an interactive run, a resume, or the keeper after a restart - never
+ *      regenerates, re-uploads or resends what an earlier process already did.
+ */
+
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { execSync } from 'child_process';
+import { fetchRoundLedger, reconcileParticipants, scanLogs, statusName } from '@pepedawn/round-engine';
+import { assertCidMatchesFile, defaultBackend, uploadWithBackend } from './ipfs-backends.js';
+import { resolveDeploymentBlock } from './event-index.js';
+import { recordStep, findLast, findPendingTx, hashFile } from './round-journal.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Automatic VRF resets stop after this many requests for one round (each one spends LINK)
+export const DEFAULT_MAX_VRF_REQUESTS = 3;
+
+/**
+ * Reconcile a participants file against the round's event logs, or throw
+ * @dev Independent of how the file was generated: sums WagerPlaced tickets and weights
+ *      (ProofSubmitted replaces a weight) from a fresh getLogs scan, and compares them with
+ *      every file entry and with the RoundSnapshot totals. A wrong participants root can't be
+ *      replaced once VRF is requested, so nothing is uploaded or committed past a discrepancy.
+ * @returns {Promise<Object>} - Totals replayed from the logs
+ */
+export async function assertParticipantsReconciled(contract, roundId, data, options = {}) {
+  console.log('\n🔍 Reconciling participants file against WagerPlaced / RoundSnapshot logs...');
+  const provider = contract.runner.provider || contract.runner;
+  const contractAddress = await contract.getAddress();
+  const fromBlock = await resolveDeploymentBlock(provider, contractAddress, options.fromBlock);
+  
+  const ledger = await fetchRoundLedger(provider, contractAddress, roundId, { fromBlock });
+  const result = reconcileParticipants(data, ledger);
+  
+  if (!result.ok) {
+    throw new Error(
+      `Participants file for round ${roundId} does not reconcile with on-chain events ` +
+      `(blocks ${fromBlock}-${ledger.toBlock}):\n  - ${result.discrepancies.join('\n  - ')}\n` +
+      'Do not commit this root. Regenerate the file (try --direct) and reconcile again.'
+    );
+  }
+  
+  console.log(`✅ Reconciled: ${result.expected.participantCount} participants, ` +
+    `${result.expected.totalTickets} tickets, weight ${result.expected.totalWeight} match the logs and RoundSnapshot`);
+  return result.expected;
+}
+
+/**
+ * Settle a transaction sent by a previous (interrupted) run
+ * @returns {Object|null} - Receipt if it was mined, null if it was dropped and must be resent
+ */
+async function settlePendingTx(provider, journal, label, pending, confirmations) {
+  console.log(`\n🔁 ${label} was already sent by a previous run: ${pending.txHash}`);
+  
+  const tx = await provider.getTransaction(pending.txHash);
+  if (!tx) {
+    console.warn(`⚠️  ${pending.txHash} is unknown to the node (dropped) - sending ${label} again`);
+    recordStep(journal, label, 'dropped', { txHash: pending.txHash });
+    return null;
+  }
+  
+  console.log(`   Waiting for ${confirmations} confirmation(s)...`);
+  const receipt = await provider.waitForTransaction(pending.txHash, confirmations);
+  if (receipt.status !== 1) {
+    recordStep(journal, label, 'failed', { txHash: pending.txHash, blockNumber: receipt.blockNumber });
+    throw new Error(`${label} failed (tx ${pending.txHash}). Rerun "resume" to send it again.`);
+  }
+  
+  recordStep(journal, label, 'confirmed', {
+    txHash: pending.txHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  });
+  console.log(`✅ ${label} confirmed in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+  return receipt;
+}
+
+/**
+ * Send an owner transaction and wait for its receipt, journaling both
+ * @param {Object} ctx - { contract, journal, confirmations }
+ * @param {string} label - Function name (also the journal step)
+ * @param {Function} send - Returns the transaction promise
+ */
+export async function sendAndWait(ctx, label, send) {
+  const { contract, journal, confirmations } = ctx;
+  
+  // Never resend a transaction that may still land
+  const pending = findPendingTx(journal, label);
+  if (pending) {
+    const receipt = await settlePendingTx(contract.runner.provider, journal, label, pending, confirmations);
+    if (receipt) return receipt;
+  }
+  
+  console.log(`\n📤 Sending ${label}...`);
+  const tx = await send();
+  recordStep(journal, label, 'sent', { txHash: tx.hash, nonce: tx.nonce });
+  console.log(`   Tx hash: ${tx.hash}`);
+  console.log(`   Waiting for ${confirmations} confirmation(s)...`);
+  
+  let receipt;
+  try {
+    receipt = await tx.wait(confirmations);
+  } catch (error) {
+    if (error.receipt) {
+      recordStep(journal, label, 'failed', { txHash: tx.hash, blockNumber: error.receipt.blockNumber });
+    }
+    throw error;
+  }
+  
+  recordStep(journal, label, 'confirmed', {
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  });
+  console.log(`✅ ${label} confirmed in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+  return receipt;
+}
+
+/**
+ * Generate a round file, or reuse the one recorded in the journal
+ * @dev Regenerating changes generatedAt and therefore the file hash and CID, so a
+ *      resumed run keeps the exact file it already uploaded when it is still on disk.
+ * @param {Object} journal - Round journal
+ * @param {string} kind - 'participants' or 'winners'
+ * @param {string} roundId - Round ID
+ * @returns {{data: Object, hash: string, filePath: string}}
+ */
+export function prepareFile(journal, kind, roundId) {
+  const filePath = `${kind}-round-${roundId}.json`;
+  const script = `generate-${kind}-file.js`;
+  
+  const generated = findLast(journal, `${kind}-file`, 'generated');
+  if (generated && fs.existsSync(filePath) && hashFile(filePath) === generated.hash) {
+    console.log(`\n📄 Reusing ${filePath} from the journal (sha256 ${generated.hash.slice(0, 12)}...)`);
+    return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')), hash: generated.hash, filePath };
+  }
+  
+  console.log(`\n📄 Generating ${kind} file...`);
+  try {
+    execSync(`node ${path.join(__dirname, script)} ${roundId}`, {
+      stdio: 'inherit'
+    });
+  } catch (error) {
+    console.error(`Failed to run ${script}`);
+    throw error;
+  }
+  
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const hash = hashFile(filePath);
+  recordStep(journal, `${kind}-file`, 'generated', { file: filePath, hash, root: data.merkle.root });
+  
+  return { data, hash, filePath };
+}
+
+/**
+ * Get the IPFS CID for a generated file
+ * @dev Reuses a CID already journaled for the same file hash, then the CID passed on
+ *      the command line, then uploads with the configured IPFS backend (--ipfs-backend,
+ *      IPFS_BACKEND, or Pinata when PINATA_JWT is set). Never commits a root without a real CID,
+ *      and never one that doesn't hash to the file's bytes.
+ */
+export async function resolveCid(journal, kind, file, options) {
+  const cidFlag = `--${kind}-cid`;
+  const cidFromArgs = options[`${kind}Cid`];
+  const uploaded = findLast(journal, `${kind}-upload`, 'uploaded');
+  
+  if (!cidFromArgs && uploaded && uploaded.hash === file.hash) {
+    console.log(`\n📋 Reusing CID from the journal: ${uploaded.cid}`);
+    return uploaded.cid;
+  }
+  
+  const backend = options.ipfsBackend || defaultBackend();
+  
+  let cid;
+  if (cidFromArgs) {
+    console.log(`\n📋 Using CID from ${cidFlag}: ${cidFromArgs}`);
+    await assertCidMatchesFile(file.filePath, cidFromArgs);
+    cid = cidFromArgs;
+  } else if (backend === 'local') {
+    // A CAR on disk is not retrievable; committing its CID would publish a dead link
+    throw new Error(
+      `The local IPFS backend does not publish ${file.filePath}. Write the CAR with ` +
+      `"node upload-to-ipfs.js ${file.filePath} --backend local", import it into a pinning service, ` +
+      `and rerun with ${cidFlag} <CID>.`
+    );
+  } else if (backend) {
+    cid = await uploadWithBackend(backend, file.filePath);
+  } else {
+    throw new Error(
+      `No IPFS CID for ${file.filePath}. Upload it (node upload-to-ipfs.js ${file.filePath}) ` +
+      `and rerun with ${cidFlag} <CID>, or configure an IPFS backend (--ipfs-backend, IPFS_BACKEND or PINATA_JWT).`
+    );
+  }
+  
+  recordStep(journal, `${kind}-upload`, 'uploaded', {
+    file: file.filePath,
+    hash: file.hash,
+    cid,
+    source: cidFromArgs ? 'argument' : backend
+  });
+  return cid;
+}
+
+/**
+ * Wait until getRound() reflects the step we just confirmed
+ * @dev Load-balanced RPCs can briefly serve state from before the receipt's block
+ */
+export async function waitForAdvance(contract, roundId, before) {
+  const key = r => `${r.status}:${r.participantsRoot}:${r.winnersRoot}`;
+  
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const round = await contract.getRound(roundId);
+    if (key(round) !== key(before)) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+  
+  throw new Error(`Round ${roundId} did not advance after the last step (still ${statusName(before.status)})`);
+}
+
+/**
+ * Decide the next lifecycle step from on-chain state
+ * @param {Object} round - getRound() result
+ * @returns {string} - Owner function name, 'waitForVrf', 'complete' or 'refunded'
+ */
+export function nextStep(round) {
+  const status = Number(round.status);
+  
+  switch (status) {
+    case 0:
+    case 1:
+      throw new Error(`Round must be closed before it can be run (current: ${statusName(status)}). Call closeRound(${round.id}) first.`);
+    case 2: // Closed
+      return 'snapshotRound';
+    case 3: // Snapshot
+      return round.participantsRoot === ethers.ZeroHash ? 'commitParticipantsRoot' : 'requestVrf';
+    case 4: // VRFRequested
+      return 'waitForVrf';
+    case 5: // WinnersReady
+      return 'submitWinnersRoot';
+    case 6: // Distributed
+      if (round.winnersRoot === ethers.ZeroHash) {
+        throw new Error('Status is Distributed but winnersRoot not set - needs manual investigation');
+      }
+      return 'complete';
+    default: // Refunded
+      return 'refunded';
+  }
+}
+
+/**
+ * Perform one owner step for a round
+ * @dev Root-committing steps generate (or reuse) the round file, reconcile a participants
+ *      file against the event logs, resolve its CID (journal, --*-cid, or an upload with the
+ *      IPFS backend) and only then send the transaction through the raffle client.
+ * @param {Object} ctx - { contract, client, journal, confirmations }
+ * @param {string|number} roundId - Round ID
+ * @param {string} step - From nextStep(): snapshotRound, commitParticipantsRoot, requestVrf or submitWinnersRoot
+ * @param {Object} options - { participantsCid, winnersCid, ipfsBackend, fromBlock }
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+export async function runStep(ctx, roundId, step, options) {
+  const { contract, client, journal } = ctx;
+  
+  if (step === 'commitParticipantsRoot' || step === 'submitWinnersRoot') {
+    const kind = step === 'commitParticipantsRoot' ? 'participants' : 'winners';
+    const file = prepareFile(journal, kind, roundId);
+    if (kind === 'participants') {
+      const totals = await assertParticipantsReconciled(contract, roundId, file.data, options);
+      recordStep(journal, 'participants-file', 'reconciled', { hash: file.hash, ...totals });
+    }
+    const cid = await resolveCid(journal, kind, file, options);
+    return sendAndWait(ctx, step, () => client.send(step, [roundId, file.data.merkle.root, cid]));
+  }
+  
+  const receipt = await sendAndWait(ctx, step, () => client.send(step, [roundId]));
+  if (step === 'requestVrf') {
+    await recordVrfRequest(journal, contract, roundId, receipt, options);
+  }
+  return receipt;
+}
+
+/**
+ * Journal the request ID of a confirmed requestVrf (one "vrf requested" entry per attempt)
+ * @param {Object} journal - Round journal
+ * @param {ethers.Contract} contract - PepedawnRaffle
+ * @param {string|number} roundId - Round ID
+ * @param {ethers.TransactionReceipt} receipt - requestVrf receipt
+ * @param {Object} [options] - { fromBlock } deployment block override
+ * @returns {Promise<string|null>} - VRF request ID
+ */
+export async function recordVrfRequest(journal, contract, roundId, receipt, options = {}) {
+  const parsed = receipt.logs
+    .filter(log => log.address.toLowerCase() === contract.target.toLowerCase())
+    .map(log => contract.interface.parseLog(log))
+    .find(event => event && event.name === 'VRFRequested');
+  const requestId = parsed ? parsed.args.requestId.toString() : null;
+  const attempt = await countVrfRequests(contract, roundId, options);
+  
+  recordStep(journal, 'vrf', 'requested', {
+    requestId,
+    attempt,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber
+  });
+  console.log(`🎲 VRF request #${attempt}: request ID ${requestId}`);
+  return requestId;
+}
+
+/**
+ * Number of VRF requests made for the round, counted from its VRFRequested events
+ * @dev Includes requests sent outside the journal (watch mode, cast, another machine), so
+ *      the request limit holds however the earlier requests were made.
+ * @param {ethers.Contract} contract - PepedawnRaffle
+ * @param {string|number} roundId - Round ID
+ * @param {Object} [options] - { fromBlock } deployment block override
+ * @returns {Promise<number>}
+ */
+export async function countVrfRequests(contract, roundId, options = {}) {
+  const provider = contract.runner.provider || contract.runner;
+  const contractAddress = await contract.getAddress();
+  const [fromBlock, toBlock, topics] = await Promise.all([
+    resolveDeploymentBlock(provider, contractAddress, options.fromBlock),
+    provider.getBlockNumber(),
+    contract.filters.VRFRequested(roundId).getTopicFilter()
+  ]);
+  
+  let count = 0;
+  await scanLogs(provider, { address: contractAddress, topics }, fromBlock, toBlock, {
+    onChunk: async (logs) => {
+      count += logs.length;
+    }
+  });
+  return count;
+}
+
+/**
+ * Where a round's VRF request stands against the contract's VRF_REQUEST_TIMEOUT
+ * @dev Measured in block time, the clock resetVrf checks.
+ * @param {ethers.Contract} contract - PepedawnRaffle
+ * @param {Object} round - getRound() result for a VRFRequested round
+ * @returns {Promise<{requestId: string, requestedAt: number, resetAfter: number, timedOut: boolean, secondsLeft: number}>}
+ *   requestedAt / resetAfter are unix seconds; resetVrf is allowed once the block time passes resetAfter
+ */
+export async function getVrfTimeout(contract, round) {
+  const provider = contract.runner.provider || contract.runner;
+  const [timeout, latest] = await Promise.all([contract.VRF_REQUEST_TIMEOUT(), provider.getBlock('latest')]);
+  const requestedAt = Number(round.vrfRequestedAt);
+  const resetAfter = requestedAt + Number(timeout);
+  
+  return {
+    requestId: round.vrfRequestId.toString(),
+    requestedAt,
+    resetAfter,
+    timedOut: latest.timestamp > resetAfter,
+    secondsLeft: Math.max(0, resetAfter - latest.timestamp)
+  };
+}
+
+/**
+ * Alert that a VRF request outlived VRF_REQUEST_TIMEOUT, journaling it once per request ID
+ * @param {Object} journal - Round journal
+ * @param {string|number} roundId - Round ID
+ * @param {Object} timeout - From getVrfTimeout
+ * @returns {boolean} - True the first time this request ID is reported
+ */
+export function alertVrfTimeout(journal, roundId, timeout) {
+  const known = journal.entries.some(entry =>
+    entry.step === 'vrf' && entry.type === 'timed-out' && entry.requestId === timeout.requestId);
+  if (known) return false;
+  
+  const requestedAt = new Date(timeout.requestedAt * 1000).toISOString();
+  console.error(`\n🚨 VRF TIMEOUT: round ${roundId} request ${timeout.requestId} (requested ${requestedAt}) ` +
+    `was not fulfilled within VRF_REQUEST_TIMEOUT. Check the subscription's LINK balance at https://vrf.chain.link/`);
+  recordStep(journal, 'vrf', 'timed-out', { requestId: timeout.requestId, requestedAt });
+  return true;
+}
+
+/**
+ * Reset a timed-out VRF request on-chain
+ * @dev resetVrf moves the round back to Snapshot and keeps its participants root, so the
+ *      next step is a fresh requestVrf (journaled as another "vrf requested" attempt).
+ * @param {Object} ctx - { contract, client, journal, confirmations }
+ * @param {string|number} roundId - Round ID
+ * @param {Object} timeout - From getVrfTimeout
+ * @param {Object} [options] - { maxRequests: refuse once the round made this many VRF requests, fromBlock }
+ * @returns {Promise<ethers.TransactionReceipt>}
+ */
+export async function resetTimedOutVrf(ctx, roundId, timeout, options = {}) {
+  const { contract, client, journal } = ctx;
+  const maxRequests = options.maxRequests ?? DEFAULT_MAX_VRF_REQUESTS;
+  const requests = await countVrfRequests(contract, roundId, options);
+  
+  if (requests >= maxRequests) {
+    throw new Error(
+      `Round ${roundId} already used ${requests} VRF requests (limit ${maxRequests}) - not resetting again. ` +
+      `Investigate the VRF subscription, then run "node manage-round.js reset-vrf ${roundId}" by hand.`
+    );
+  }
+  
+  const receipt = await sendAndWait(ctx, 'resetVrf', () => client.send('resetVrf', [roundId]));
+  recordStep(journal, 'vrf', 'reset', { requestId: timeout.requestId, txHash: receipt.hash });
+  return receipt;
+}
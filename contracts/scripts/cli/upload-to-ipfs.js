@@ -5,9 +5,11 @@
  * @dev Provides instructions and validates file before upload
  * 
  * Usage:
- *   node upload-to-ipfs.js <file-path>
+ *   node upload-to-ipfs.js <file-path> [--backend pinata|kubo|pinning-service|local]
  * 
- * Supported Services:
+ * Automatic backends: see ipfs-backends.js
+ * 
+ * Supported Services (manual upload):
  *   - NFT.Storage (recommended, free, 100GB)
  *   - Web3.Storage (free, 1TB)
  *   - Pinata (free tier: 1GB)
@@ -17,7 +19,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import https from 'https';
+import { BACKENDS, defaultBackend, uploadWithBackend } from './ipfs-backends.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -64,89 +66,6 @@ function validateFile(filePath) {
   return { data, isParticipants, isWinners };
 }
 
-/**
- * Upload file to Pinata automatically using v3 API
- */
-async function uploadToPinata(filePath, jwt) {
-  console.log('\n🚀 Uploading to Pinata IPFS...');
-  
-  const fileContent = fs.readFileSync(filePath);
-  const fileName = path.basename(filePath);
-  
-  return new Promise((resolve, reject) => {
-    const boundary = '----WebKitFormBoundary' + Math.random().toString(36).substring(2);
-    
-    const parts = [];
-    
-    // Add file part
-    parts.push(`--${boundary}\r\n`);
-    parts.push(`Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n`);
-    parts.push('Content-Type: application/json\r\n\r\n');
-    parts.push(fileContent);
-    parts.push('\r\n');
-    
-    // Add name part
-    parts.push(`--${boundary}\r\n`);
-    parts.push('Content-Disposition: form-data; name="name"\r\n\r\n');
-    parts.push(fileName);
-    parts.push('\r\n');
-    
-    // Add network parameter to make file public
-    parts.push(`--${boundary}\r\n`);
-    parts.push('Content-Disposition: form-data; name="network"\r\n\r\n');
-    parts.push('public');
-    parts.push('\r\n');
-    
-    // End boundary
-    parts.push(`--${boundary}--\r\n`);
-    
-    const body = Buffer.concat(parts.map(p => Buffer.isBuffer(p) ? p : Buffer.from(p, 'utf8')));
-
-    const options = {
-      hostname: 'uploads.pinata.cloud',
-      path: '/v3/files',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${jwt}`,
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': body.length
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let responseData = '';
-
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const result = JSON.parse(responseData);
-            console.log('✅ Upload successful!');
-            console.log(`📋 IPFS CID: ${result.data?.cid || result.cid || result.IpfsHash}`);
-            resolve(result.data?.cid || result.cid || result.IpfsHash);
-          } catch (error) {
-            console.error('❌ Failed to parse Pinata response:', error);
-            reject(new Error('Failed to parse Pinata response: ' + responseData));
-          }
-        } else {
-          console.error(`❌ Upload failed with status ${res.statusCode}:`, responseData);
-          reject(new Error(`Upload failed with status ${res.statusCode}: ${responseData}`));
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.write(body);
-    req.end();
-  });
-}
-
 /**
  * Display upload instructions
  */
@@ -214,6 +133,29 @@ function displayInstructions(filePath, data, isParticipants) {
   console.log('   The file will remain accessible as long as it\'s pinned by at least one service.');
 }
 
+/**
+ * Display access links and the commit command for an uploaded file
+ */
+function displayNextSteps(cid, data, isParticipants) {
+  console.log(`\n🔗 Access file at:`);
+  console.log(`   https://gateway.pinata.cloud/ipfs/${cid}`);
+  console.log(`   https://ipfs.io/ipfs/${cid}`);
+  console.log(`   https://cloudflare-ipfs.com/ipfs/${cid}`);
+  
+  // Generate commit command (PowerShell syntax)
+  const contractAddress = process.env.CONTRACT_ADDRESS || '$env:CONTRACT_ADDRESS';
+  const rpcUrl = process.env.SEPOLIA_RPC_URL || '$env:SEPOLIA_RPC_URL';
+  
+  console.log(`\n📝 Next Step - Commit on-chain: (GRAB THIS CMD FROM TERMINAL OUTPUT)`);
+  console.log('─────────────────────────────────────────────────');
+  
+  if (isParticipants) {
+    console.log(`cast send ${contractAddress} "commitParticipantsRoot(uint256,bytes32,string)" ${data.roundId} ${data.merkle.root} "${cid}" --private-key $env:PRIVATE_KEY --rpc-url ${rpcUrl}`);
+  } else {
+    console.log(`cast send ${contractAddress} "submitWinnersRoot(uint256,bytes32,string)" ${data.roundId} ${data.merkle.root} "${cid}" --private-key $env:PRIVATE_KEY --rpc-url ${rpcUrl}`);
+  }
+}
+
 /**
  * Main function
  */
@@ -222,24 +164,41 @@ async function main() {
   
   if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
     console.log(`
-Usage: node upload-to-ipfs.js <file-path>
+Usage: node upload-to-ipfs.js <file-path> [--backend <name>]
 
 Arguments:
-  <file-path>    Path to the participants or winners JSON file
+  <file-path>          Path to the participants or winners JSON file
+
+Options:
+  --backend <name>     Upload backend: ${BACKENDS.join(' | ')}
+                       (default: IPFS_BACKEND, or pinata when PINATA_JWT is set)
+
+Backends:
+  pinata               Pinata v3 upload API
+  kubo                 Add and pin on a Kubo node through its HTTP RPC API
+  pinning-service      Any IPFS Pinning Service API provider (CID computed locally,
+                       the provider fetches the content from PINNING_SERVICE_ORIGINS)
+  local                No upload: writes <file>.car and prints the CID it will have
 
 Environment Variables:
-  PINATA_JWT           Optional: Enables automatic upload to Pinata (recommended)
-  PINATA_API_KEY       Optional: Alternative Pinata auth (JWT preferred)
+  IPFS_BACKEND               Optional: default backend
+  PINATA_JWT                 Pinata JWT (PINATA_API_KEY also accepted)
+  KUBO_API_URL               Kubo RPC API URL (default: http://127.0.0.1:5001)
+  KUBO_API_AUTH              Optional: Authorization header for a hosted Kubo API
+  PINNING_SERVICE_ENDPOINT   Pinning Service API base URL (e.g. https://api.example.com/psa)
+  PINNING_SERVICE_TOKEN      Pinning Service API access token
+  PINNING_SERVICE_ORIGINS    Optional: comma-separated multiaddrs that have the content
 
 Example:
   node upload-to-ipfs.js participants-round-1.json
-  node upload-to-ipfs.js winners-round-1.json
+  node upload-to-ipfs.js winners-round-1.json --backend kubo
+  node upload-to-ipfs.js winners-round-1.json --backend local
 
 Description:
   This script validates your file and uploads it to IPFS.
   
-  If NFT_STORAGE_API_KEY is set, it will automatically upload to NFT.Storage.
-  Otherwise, it displays manual upload instructions for various IPFS services.
+  With a backend selected it uploads automatically. Otherwise it displays
+  manual upload instructions for various IPFS services.
 
   After upload, you'll receive a CID and the ready-to-run cast command.
     `);
@@ -247,41 +206,32 @@ Description:
   }
   
   const filePath = path.resolve(args[0]);
+  const backendIndex = args.indexOf('--backend');
+  const backend = backendIndex !== -1 ? args[backendIndex + 1] : defaultBackend();
   
   try {
     // Validate file
-    const { data, isParticipants, isWinners } = validateFile(filePath);
+    const { data, isParticipants } = validateFile(filePath);
     
-    // Check for Pinata API key (preferred) or NFT.Storage
-    const pinataKey = process.env.PINATA_JWT || process.env.PINATA_API_KEY;
-    const nftStorageKey = process.env.NFT_STORAGE_API_KEY;
+    if (backend && !BACKENDS.includes(backend)) {
+      throw new Error(`Unknown backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+    }
     
-    if (pinataKey) {
-      // Automatic upload to Pinata
-      console.log('\n✅ Pinata API key detected - uploading automatically...');
+    if (backend === 'local') {
+      // Offline: CID + CAR file, nothing is reachable yet
+      const cid = await uploadWithBackend(backend, filePath);
+      console.log('\n✅ CAR file ready - import it into your IPFS node or pinning service, then commit this CID.');
+      displayNextSteps(cid, data, isParticipants);
+      
+    } else if (backend) {
+      console.log(`\n✅ Using the ${backend} backend - uploading automatically...`);
       
       try {
-        const cid = await uploadToPinata(filePath, pinataKey);
+        const cid = await uploadWithBackend(backend, filePath);
         
         console.log('\n✅ Upload successful!');
         console.log(`\n📋 IPFS CID: ${cid}`);
-        console.log(`\n🔗 Access file at:`);
-        console.log(`   https://gateway.pinata.cloud/ipfs/${cid}`);
-        console.log(`   https://ipfs.io/ipfs/${cid}`);
-        console.log(`   https://cloudflare-ipfs.com/ipfs/${cid}`);
-        
-        // Generate commit command (PowerShell syntax)
-        const contractAddress = process.env.CONTRACT_ADDRESS || '$env:CONTRACT_ADDRESS';
-        const rpcUrl = process.env.SEPOLIA_RPC_URL || '$env:SEPOLIA_RPC_URL';
-        
-        console.log(`\n📝 Next Step - Commit on-chain: (GRAB THIS CMD FROM TERMINAL OUTPUT)`);
-        console.log('─────────────────────────────────────────────────');
-        
-        if (isParticipants) {
-          console.log(`cast send ${contractAddress} "commitParticipantsRoot(uint256,bytes32,string)" ${data.roundId} ${data.merkle.root} "${cid}" --private-key $env:PRIVATE_KEY --rpc-url ${rpcUrl}`);
-        } else {
-          console.log(`cast send ${contractAddress} "submitWinnersRoot(uint256,bytes32,string)" ${data.roundId} ${data.merkle.root} "${cid}" --private-key $env:PRIVATE_KEY --rpc-url ${rpcUrl}`);
-        }
+        displayNextSteps(cid, data, isParticipants);
         
         console.log('\n✅ File uploaded and ready to commit!');
         
@@ -293,7 +243,7 @@ Description:
       
     } else {
       // Manual upload instructions
-      console.log('\n💡 Tip: Set PINATA_JWT environment variable for automatic uploads!');
+      console.log('\n💡 Tip: Set PINATA_JWT (or pass --backend) for automatic uploads!');
       console.log('   Get a free Pinata account and JWT at: https://pinata.cloud/');
       displayInstructions(filePath, data, isParticipants);
       
@@ -4,7 +4,7 @@ pragma solidity ^0.8.20;
 import {Test} from "forge-std/Test.sol";
 import {PepedawnRaffle} from "../src/PepedawnRaffle.sol";
 import {MockVRFCoordinatorV2Plus} from "./mocks/MockVRFCoordinatorV2Plus.sol";
-import {IERC1155} from "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import {MockERC1155} from "./mocks/MockERC1155.sol";
 
 /**
  * @title ClaimsTest  
@@ -488,147 +488,3 @@ contract ClaimsTest is Test {
         uint256 tokenId
     );
 }
-
-/**
- * @notice Mock ERC1155 for testing NFT transfers (Emblem Vault uses ERC1155)
- */
-contract MockERC1155 is IERC1155 {
-    string public uri;
-    
-    // Mapping from token ID to account balances
-    mapping(uint256 => mapping(address => uint256)) private _balances;
-    
-    // Mapping from account to operator approvals
-    mapping(address => mapping(address => bool)) private _operatorApprovals;
-    
-    constructor(string memory _uri) {
-        uri = _uri;
-    }
-    
-    function mint(address to, uint256 id, uint256 amount, bytes memory data) external {
-        require(to != address(0), "Mint to zero address");
-        require(amount > 0, "Amount must be greater than 0");
-        
-        _balances[id][to] += amount;
-        
-        emit TransferSingle(msg.sender, address(0), to, id, amount);
-        
-        _doSafeTransferAcceptanceCheck(msg.sender, address(0), to, id, amount, data);
-    }
-    
-    function balanceOf(address account, uint256 id) external view returns (uint256) {
-        require(account != address(0), "Balance query for zero address");
-        return _balances[id][account];
-    }
-    
-    function balanceOfBatch(
-        address[] memory accounts,
-        uint256[] memory ids
-    ) external view returns (uint256[] memory) {
-        require(accounts.length == ids.length, "Accounts and IDs length mismatch");
-        
-        uint256[] memory batchBalances = new uint256[](accounts.length);
-        
-        for (uint256 i = 0; i < accounts.length; ++i) {
-            batchBalances[i] = _balances[ids[i]][accounts[i]];
-        }
-        
-        return batchBalances;
-    }
-    
-    function setApprovalForAll(address operator, bool approved) external {
-        require(msg.sender != operator, "Setting approval for self");
-        _operatorApprovals[msg.sender][operator] = approved;
-        emit ApprovalForAll(msg.sender, operator, approved);
-    }
-    
-    function isApprovedForAll(address account, address operator) external view returns (bool) {
-        return _operatorApprovals[account][operator];
-    }
-    
-    function safeTransferFrom(
-        address from,
-        address to,
-        uint256 id,
-        uint256 amount,
-        bytes memory data
-    ) external {
-        require(
-            from == msg.sender || _operatorApprovals[from][msg.sender],
-            "Caller is not owner nor approved"
-        );
-        require(to != address(0), "Transfer to zero address");
-        
-        uint256 fromBalance = _balances[id][from];
-        require(fromBalance >= amount, "Insufficient balance");
-        
-        _balances[id][from] = fromBalance - amount;
-        _balances[id][to] += amount;
-        
-        emit TransferSingle(msg.sender, from, to, id, amount);
-        
-        _doSafeTransferAcceptanceCheck(msg.sender, from, to, id, amount, data);
-    }
-    
-    function safeBatchTransferFrom(
-        address from,
-        address to,
-        uint256[] memory ids,
-        uint256[] memory amounts,
-        bytes memory data
-    ) external {
-        require(
-            from == msg.sender || _operatorApprovals[from][msg.sender],
-            "Caller is not owner nor approved"
-        );
-        require(ids.length == amounts.length, "IDs and amounts length mismatch");
-        require(to != address(0), "Transfer to zero address");
-        
-        for (uint256 i = 0; i < ids.length; ++i) {
-            uint256 id = ids[i];
-            uint256 amount = amounts[i];
-            
-            uint256 fromBalance = _balances[id][from];
-            require(fromBalance >= amount, "Insufficient balance");
-            
-            _balances[id][from] = fromBalance - amount;
-            _balances[id][to] += amount;
-        }
-        
-        emit TransferBatch(msg.sender, from, to, ids, amounts);
-        
-        _doSafeBatchTransferAcceptanceCheck(msg.sender, from, to, ids, amounts, data);
-    }
-    
-    function supportsInterface(bytes4) external pure returns (bool) {
-        return true;
-    }
-    
-    function _doSafeTransferAcceptanceCheck(
-        address operator,
-        address from,
-        address to,
-        uint256 id,
-        uint256 amount,
-        bytes memory data
-    ) private {
-        if (to.code.length > 0) {
-            // Contract recipient - would normally check onERC1155Received
-            // For testing, we skip this check
-        }
-    }
-    
-    function _doSafeBatchTransferAcceptanceCheck(
-        address operator,
-        address from,
-        address to,
-        uint256[] memory ids,
-        uint256[] memory amounts,
-        bytes memory data
-    ) private {
-        if (to.code.length > 0) {
-            // Contract recipient - would normally check onERC1155BatchReceived
-            // For testing, we skip this check
-        }
-    }
-}
@@ -0,0 +1,207 @@
+/**
+ * Activity Panel Component
+ * Floating list of the transactions sent from this browser (services/tx-manager.js):
+ * pending, confirmed and failed entries survive reloads, and a transaction that confirms
+ * while no flow is waiting for it (resumed after a reload, or the tab is in the background)
+ * raises a toast - plus a system notification if the user allowed them.
+ */
+
+import { getDeployment } from '../contract-config.js';
+import { clearFinishedTransactions, getTransactions, subscribeTransactions } from '../services/tx-manager.js';
+import { formatTxHash } from '../utils/formatters.js';
+import { showTransactionStatus } from '../ui.js';
+
+const STATUS_DISPLAY = {
+  pending: { icon: '⏳', text: 'Pending' },
+  confirmed: { icon: '✅', text: 'Confirmed' },
+  failed: { icon: '❌', text: 'Failed' },
+  cancelled: { icon: '↩️', text: 'Cancelled' },
+  replaced: { icon: '🔁', text: 'Replaced' },
+  dropped: { icon: '⚠️', text: 'Dropped' }
+};
+
+let account = null;
+
+/**
+ * "3 min ago" style timestamp
+ */
+function timeAgo(timestamp) {
+  const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Build one activity row (DOM only - labels and errors are set as text)
+ */
+function createActivityItem(record) {
+  const status = STATUS_DISPLAY[record.status] || STATUS_DISPLAY.pending;
+  const item = document.createElement('li');
+  item.className = `activity-item activity-${record.status}`;
+
+  const icon = document.createElement('span');
+  icon.className = 'activity-icon';
+  icon.textContent = status.icon;
+  item.appendChild(icon);
+
+  const body = document.createElement('div');
+  body.className = 'activity-body';
+
+  const label = document.createElement('div');
+  label.className = 'activity-label';
+  label.textContent = record.label;
+  body.appendChild(label);
+
+  const meta = document.createElement('div');
+  meta.className = 'activity-meta';
+  const parts = [status.text, timeAgo(record.submittedAt)];
+  if (record.originalHash) parts.push('sped up');
+  meta.textContent = parts.join(' · ');
+
+  const explorerUrl = getDeployment(record.chainId)?.explorerUrl;
+  if (explorerUrl) {
+    const link = document.createElement('a');
+    link.className = 'activity-link';
+    link.href = `${explorerUrl}/tx/${record.hash}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = formatTxHash(record.hash);
+    meta.append(' · ', link);
+  }
+  body.appendChild(meta);
+
+  if (record.error) {
+    const error = document.createElement('div');
+    error.className = 'activity-error';
+    error.textContent = record.error;
+    body.appendChild(error);
+  }
+
+  item.appendChild(body);
+  return item;
+}
+
+/**
+ * Redraw the list and the pending badge
+ */
+function renderActivity() {
+  const list = document.getElementById('activity-list');
+  const badge = document.getElementById('activity-badge');
+  if (!list || !badge) return;
+
+  const records = getTransactions({ account });
+  const pending = records.filter(record => record.status === 'pending').length;
+
+  badge.textContent = String(pending);
+  badge.style.display = pending > 0 ? 'flex' : 'none';
+
+  list.replaceChildren(...records.map(createActivityItem));
+  document.getElementById('activity-empty').style.display = records.length === 0 ? 'block' : 'none';
+  document.getElementById('activity-clear').disabled = records.every(record => record.status === 'pending');
+
+  const notifyBtn = document.getElementById('activity-notify');
+  notifyBtn.style.display = typeof Notification !== 'undefined' && Notification.permission === 'default'
+    ? 'inline-block'
+    : 'none';
+}
+
+/**
+ * Tell the user about a transaction that finished while nothing on screen was waiting for it
+ */
+function notifyBackgroundResult(record) {
+  const status = STATUS_DISPLAY[record.status] || STATUS_DISPLAY.pending;
+  const message = `${status.icon} ${record.label}: ${status.text.toLowerCase()}`;
+
+  showTransactionStatus(message, record.status === 'confirmed' ? 'success' : 'warning');
+
+  if (document.hidden && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+    try {
+      new Notification('PEPEDAWN', { body: message, icon: '/PEPEDAWN_thumbnail.png', tag: record.hash });
+    } catch (error) {
+      console.log('System notification failed:', error.message);
+    }
+  }
+}
+
+function togglePanel(open) {
+  const panel = document.getElementById('activity-panel');
+  const toggle = document.getElementById('activity-toggle');
+  if (!panel || !toggle) return;
+
+  const show = open ?? !panel.classList.contains('open');
+  panel.classList.toggle('open', show);
+  toggle.setAttribute('aria-expanded', String(show));
+  if (show) renderActivity();
+}
+
+/**
+ * Create the activity button and panel (once per page)
+ */
+export function initActivityPanel() {
+  if (document.getElementById('activity-panel')) return;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.id = 'activity-toggle';
+  toggle.className = 'activity-toggle';
+  toggle.title = 'Transaction activity';
+  toggle.setAttribute('aria-controls', 'activity-panel');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.innerHTML = '<span class="activity-toggle-icon">📜</span><span class="activity-badge" id="activity-badge"></span>';
+
+  const panel = document.createElement('aside');
+  panel.id = 'activity-panel';
+  panel.className = 'activity-panel';
+  panel.setAttribute('aria-label', 'Transaction activity');
+  panel.innerHTML = `
+    <div class="activity-header">
+      <h3>Activity</h3>
+      <button type="button" class="activity-close" id="activity-close" aria-label="Close">×</button>
+    </div>
+    <p class="activity-empty" id="activity-empty">No transactions from this browser yet.</p>
+    <ul class="activity-list" id="activity-list"></ul>
+    <div class="activity-actions">
+      <button type="button" class="activity-action" id="activity-notify">🔔 Notify me</button>
+      <button type="button" class="activity-action" id="activity-clear">Clear finished</button>
+    </div>
+  `;
+
+  document.body.appendChild(toggle);
+  document.body.appendChild(panel);
+
+  toggle.addEventListener('click', () => togglePanel());
+  panel.querySelector('#activity-close').addEventListener('click', () => togglePanel(false));
+  panel.querySelector('#activity-clear').addEventListener('click', () => clearFinishedTransactions(account));
+  panel.querySelector('#activity-notify').addEventListener('click', async () => {
+    await Notification.requestPermission();
+    renderActivity();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') togglePanel(false);
+  });
+
+  subscribeTransactions(({ type, record, background }) => {
+    renderActivity();
+
+    if (type === 'added') {
+      // New transaction: show where it is being tracked
+      document.getElementById('activity-toggle')?.classList.add('activity-toggle-pulse');
+      setTimeout(() => document.getElementById('activity-toggle')?.classList.remove('activity-toggle-pulse'), 1500);
+    } else if (type === 'updated' && record.status !== 'pending' && (background || document.hidden)) {
+      notifyBackgroundResult(record);
+    }
+  });
+
+  renderActivity();
+}
+
+/**
+ * Show the connected account's transactions (null = every account used in this browser)
+ * @param {string|null} address - Connected address
+ */
+export function setActivityAccount(address) {
+  account = address || null;
+  renderActivity();
+}
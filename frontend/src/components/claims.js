@@ -1,8 +1,10 @@
 // Claims Component - Handles prize claiming UI and Merkle proof generation
 import { ethers } from 'ethers';
-import { fetchWinnersFile } from '../services/ipfs.js';
+import { fetchWinnersFile } from '../services/round-data.js';
 import { generateWinnerProof, getPrizesForAddress, getPrizeTierName, verifyWinnersFile } from '../services/merkle.js';
-import { showTransactionStatus } from '../ui.js';
+import { handleTransactionError, showPreflightModal, showTransactionStatus } from '../ui.js';
+import { trackTransaction } from '../services/tx-manager.js';
+import { describeGasCost, simulateTransaction } from '../services/preflight.js';
 import { calculateLuckStats, displayLuckAnalysis } from './luck-analysis.js';
 
 /**
@@ -53,7 +55,7 @@ export async function displayClaimablePrizes(contract, userAddress, roundId) {
     // Fetch winners file from IPFS
     let winnersFile;
     try {
-      winnersFile = await fetchWinnersFile(winnersCID, roundId);
+      winnersFile = await fetchWinnersFile(winnersCID, roundId, roundData.winnersRoot);
     } catch (error) {
       console.error('Failed to fetch winners file:', error);
       
@@ -199,6 +201,21 @@ async function claimPrize(contract, userAddress, roundId, prizeIndex, prizeTier,
     // Generate Merkle proof
     const proof = generateWinnerProof(winnersFile.winners, userAddress, prizeIndex);
     
+    // Pre-flight: simulate the claim (checks the proof on-chain) before the wallet prompt
+    showTransactionStatus('Simulating claim...', 'info');
+    const simulation = await simulateTransaction(contract, 'claim', [roundId, prizeIndex, prizeTier, proof]);
+    const userConfirmed = await showPreflightModal({
+      title: `Simulated: claim round ${roundId} prize #${prizeIndex + 1}`,
+      lines: [
+        `${getPrizeTierName(prizeTier)} NFT transferred to your wallet`,
+        describeGasCost(simulation)
+      ]
+    });
+    if (!userConfirmed) {
+      showTransactionStatus('Claim cancelled', 'info');
+      return;
+    }
+    
     showTransactionStatus('Submitting claim transaction...', 'info');
     
     // Call contract claim function
@@ -206,7 +223,10 @@ async function claimPrize(contract, userAddress, roundId, prizeIndex, prizeTier,
     
     showTransactionStatus('Waiting for confirmation...', 'info');
     
-    const receipt = await tx.wait();
+    const receipt = await trackTransaction(tx, {
+      action: 'claim',
+      label: `Claim round ${roundId} prize #${prizeIndex + 1}`
+    });
     
     console.log('Prize claimed successfully:', receipt);
     showTransactionStatus(`✅ Prize claimed successfully! NFT transferred to your wallet.`, 'success');
@@ -217,22 +237,7 @@ async function claimPrize(contract, userAddress, roundId, prizeIndex, prizeTier,
     }, 2000);
     
   } catch (error) {
-    console.error('Error claiming prize:', error);
-    let errorMsg = 'Failed to claim prize';
-    
-    if (error.message.includes('user rejected')) {
-      errorMsg = 'Transaction cancelled by user';
-    } else if (error.message.includes('already claimed')) {
-      errorMsg = 'This prize has already been claimed';
-    } else if (error.message.includes('invalid proof')) {
-      errorMsg = 'Invalid Merkle proof - verification failed';
-    } else if (error.message.includes('Claim limit')) {
-      errorMsg = 'You have reached your claim limit for this round';
-    } else {
-      errorMsg = `Failed to claim: ${error.message}`;
-    }
-    
-    showTransactionStatus(errorMsg, 'error');
+    handleTransactionError(error, 'Claim Prize');
   }
 }
 
@@ -289,7 +294,7 @@ export async function displayWinners(contract, roundId) {
     // Fetch winners file
     let winnersFile;
     try {
-      winnersFile = await fetchWinnersFile(winnersCID, roundId);
+      winnersFile = await fetchWinnersFile(winnersCID, roundId, roundData.winnersRoot);
     } catch (error) {
       console.error('Failed to fetch winners file:', error);
       
@@ -447,13 +452,29 @@ export async function displayRefundButton(contract, userAddress) {
  */
 async function withdrawRefund(contract, userAddress) {
   try {
+    // Pre-flight: simulate the withdrawal before the wallet prompt
+    showTransactionStatus('Simulating refund withdrawal...', 'info');
+    const simulation = await simulateTransaction(contract, 'withdrawRefund');
+    const refundBalance = await contract.refunds(userAddress);
+    const userConfirmed = await showPreflightModal({
+      title: 'Simulated: withdraw refund',
+      lines: [
+        `${ethers.formatEther(refundBalance)} ETH sent to your wallet`,
+        describeGasCost(simulation)
+      ]
+    });
+    if (!userConfirmed) {
+      showTransactionStatus('Refund withdrawal cancelled', 'info');
+      return;
+    }
+    
     showTransactionStatus('Withdrawing refund...', 'info');
     
     const tx = await contract.withdrawRefund();
     
     showTransactionStatus('Waiting for confirmation...', 'info');
     
-    const receipt = await tx.wait();
+    const receipt = await trackTransaction(tx, { action: 'refund', label: 'Withdraw refund' });
     
     console.log('Refund withdrawn successfully:', receipt);
     showTransactionStatus('✅ Refund withdrawn successfully!', 'success');
@@ -464,17 +485,6 @@ async function withdrawRefund(contract, userAddress) {
     }, 2000);
     
   } catch (error) {
-    console.error('Error withdrawing refund:', error);
-    let errorMsg = 'Failed to withdraw refund';
-    
-    if (error.message.includes('user rejected')) {
-      errorMsg = 'Transaction cancelled by user';
-    } else if (error.message.includes('No refund')) {
-      errorMsg = 'No refund available';
-    } else {
-      errorMsg = `Failed to withdraw: ${error.message}`;
-    }
-    
-    showTransactionStatus(errorMsg, 'error');
+    handleTransactionError(error, 'Withdraw Refund');
   }
 }
@@ -0,0 +1,167 @@
+// Draw Verifier Component - Reruns a round's raffle in the browser and shows the trace
+import { ethers } from 'ethers';
+import { fetchParticipantsFile, fetchWinnersFile } from '../services/round-data.js';
+import { auditDraw, getPrizeTierName } from '../services/merkle.js';
+import { formatAddress } from '../utils/formatters.js';
+import { isValidAddress } from '../utils/validation.js';
+
+/**
+ * Escape text from files or contract state before inserting it as HTML
+ * @param {string} text - Untrusted text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an address from an IPFS file (untrusted) for display
+ * @param {string} address - Address from a Participants/Winners file
+ * @returns {string} - Short address HTML, or a placeholder if malformed
+ */
+function renderAddress(address) {
+  if (!isValidAddress(address)) {
+    return '<span class="verify-invalid">invalid address</span>';
+  }
+  return `<span class="address" title="${address}">${formatAddress(address)}</span>`;
+}
+
+/**
+ * Render the summary checks list
+ * @param {Array} checks - Checks from auditDraw
+ * @returns {string} - HTML
+ */
+function renderChecks(checks) {
+  return `
+    <ul class="verify-checks">
+      ${checks.map(check => `
+        <li class="verify-check ${check.passed ? 'pass' : 'fail'}">
+          <span class="verify-check-icon">${check.passed ? '✅' : '❌'}</span>
+          <span class="verify-check-label">${check.label}</span>
+          <span class="verify-check-detail">${check.passed ? '' : escapeHtml(check.detail)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Render the per-draw trace table
+ * @param {Array} draws - Draw trace from auditDraw
+ * @returns {string} - HTML
+ */
+function renderTrace(draws) {
+  return `
+    <div class="verify-trace">
+      <div class="verify-trace-header">
+        <span>#</span>
+        <span>Prize</span>
+        <span>Random weight / pool</span>
+        <span>Recomputed winner</span>
+        <span>Published winner</span>
+        <span></span>
+      </div>
+      ${draws.map(draw => `
+        <div class="verify-trace-row ${draw.match ? 'pass' : 'fail'}">
+          <span class="verify-trace-index">${draw.prizeIndex + 1}</span>
+          <span>${getPrizeTierName(draw.prizeTier)}</span>
+          <span class="verify-trace-weight" title="hash ${draw.randomHash}">${draw.randomWeight} / ${draw.totalWeight}</span>
+          <span>${renderAddress(draw.winner)}</span>
+          <span>${draw.published ? renderAddress(draw.published.address) : '<span class="verify-invalid">missing</span>'}</span>
+          <span>${draw.match ? '✅' : '❌'}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Verify a round's draw and display the result
+ * @param {ethers.Contract} contract - Contract instance (read-only is enough)
+ * @param {number} roundId - Round ID
+ */
+export async function displayDrawVerification(contract, roundId) {
+  const verifyContainer = document.getElementById('verify-container');
+  const verifyTitle = document.getElementById('verify-title');
+  if (!verifyContainer) return;
+
+  if (verifyTitle) {
+    verifyTitle.textContent = `Verify Draw - Round ${roundId}`;
+  }
+
+  try {
+    const roundData = await contract.getRound(roundId);
+    const status = Number(roundData.status);
+
+    if (status === 7) {
+      verifyContainer.innerHTML = `<p class="info">Round ${roundId} was refunded - there is no draw to verify.</p>`;
+      return;
+    }
+
+    if (!roundData.winnersRoot || roundData.winnersRoot === ethers.ZeroHash) {
+      verifyContainer.innerHTML = '<p class="info">Winners not yet determined for this round</p>';
+      return;
+    }
+
+    const [participantsCID, winnersCID] = await Promise.all([
+      contract.participantsCIDs(roundId),
+      contract.winnersCIDs(roundId)
+    ]);
+
+    if (!participantsCID || !winnersCID) {
+      verifyContainer.innerHTML = '<p class="info">Participants or winners file not yet published for this round</p>';
+      return;
+    }
+
+    verifyContainer.innerHTML = '<p class="info">Loading participants and winners files from IPFS...</p>';
+
+    let participantsFile;
+    let winnersFile;
+    try {
+      [participantsFile, winnersFile] = await Promise.all([
+        fetchParticipantsFile(participantsCID, roundId, roundData.participantsRoot),
+        fetchWinnersFile(winnersCID, roundId, roundData.winnersRoot)
+      ]);
+    } catch (error) {
+      console.error('Failed to fetch round files:', error);
+      verifyContainer.innerHTML = `
+        <div class="info-card">
+          <h3>🔄 Files Unavailable</h3>
+          <p>We couldn't retrieve this round's files from IPFS right now.</p>
+          <p class="small-text">If this persists, try refreshing the page in a few minutes.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const result = auditDraw(participantsFile, winnersFile, {
+      participantsRoot: roundData.participantsRoot,
+      winnersRoot: roundData.winnersRoot,
+      vrfSeed: roundData.vrfSeed
+    });
+
+    verifyContainer.innerHTML = `
+      <div class="verify-summary ${result.passed ? 'pass' : 'fail'}">
+        <h3>${result.passed ? '✅ Draw verified' : '❌ Draw does not match'}</h3>
+        <p class="small-text">
+          Reran the ${result.draws.length}-draw raffle in your browser from
+          ${participantsFile.participants.length} participants and VRF seed
+          <span class="address" title="${roundData.vrfSeed}">${roundData.vrfSeed.slice(0, 10)}...</span>
+        </p>
+      </div>
+      ${renderChecks(result.checks)}
+      ${result.draws.length > 0 ? renderTrace(result.draws) : ''}
+      <p class="small-text verify-sources">
+        Participants CID: <code>${escapeHtml(participantsCID)}</code><br>
+        Winners CID: <code>${escapeHtml(winnersCID)}</code>
+      </p>
+    `;
+  } catch (error) {
+    console.error('Error verifying draw:', error);
+    verifyContainer.innerHTML = '<p class="error">Unable to verify this round. Please check your connection and refresh.</p>';
+  }
+}
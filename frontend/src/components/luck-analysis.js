@@ -46,15 +46,22 @@ function getLuckTier(luckPercent) {
 
 /**
  * Calculate luck statistics for a user in a specific round
+ * @param {Object} knownStats - Optional { tickets, weight, hasProof, totalWeight } already loaded
+ *   (e.g. from the event index) to skip the getUserStats/getRound calls
  */
-export async function calculateLuckStats(contract, roundId, userAddress, winnersFile = null) {
+export async function calculateLuckStats(contract, roundId, userAddress, winnersFile = null, knownStats = null) {
   try {
-    // Get user stats
-    const [, tickets, weight, hasProof] = await contract.getUserStats(roundId, userAddress);
-    
-    // Get round data
-    const round = await contract.getRound(roundId);
-    const totalWeight = round.totalWeight;
+    let tickets, weight, hasProof, totalWeight;
+    if (knownStats) {
+      ({ tickets, weight, hasProof, totalWeight } = knownStats);
+    } else {
+      // Get user stats
+      [, tickets, weight, hasProof] = await contract.getUserStats(roundId, userAddress);
+      
+      // Get round data
+      const round = await contract.getRound(roundId);
+      totalWeight = round.totalWeight;
+    }
     
     // Count how many prizes the user won (from winners file, not claimers)
     let actualWins = 0;
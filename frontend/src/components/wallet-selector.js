@@ -0,0 +1,161 @@
+/**
+ * Wallet Selector Component
+ * Lists every wallet found via EIP-6963 (plus legacy window.ethereum) and remembers the
+ * user's choice, so a browser with both Rabby and MetaMask connects through the one they picked
+ */
+
+const STORAGE_KEY = 'pepedawn.wallet';
+
+/**
+ * Key that identifies a wallet across visits
+ * EIP-6963 uuids change on every page load; rdns (e.g. "io.metamask") doesn't.
+ * Legacy window.ethereum entries have no rdns and fall back to their name.
+ */
+export function walletKey(wallet) {
+  return wallet.rdns || `name:${wallet.name}`;
+}
+
+/**
+ * Remember the wallet the user connected with
+ */
+export function saveWalletChoice(wallet) {
+  try {
+    localStorage.setItem(STORAGE_KEY, walletKey(wallet));
+  } catch {
+    // Storage disabled - the picker is shown again next visit
+  }
+}
+
+/**
+ * The remembered wallet, if it is still installed
+ * @param {Array<Object>} wallets - getAllProviders() entries
+ * @returns {Object|null}
+ */
+export function findSavedWallet(wallets) {
+  let key = null;
+  try {
+    key = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  return key ? wallets.find(wallet => walletKey(wallet) === key) || null : null;
+}
+
+/**
+ * EIP-6963 icons must be data URIs; anything else is not loaded
+ */
+function isSafeIcon(icon) {
+  return typeof icon === 'string' && /^data:image\/(png|jpeg|gif|webp|svg\+xml)[;,]/i.test(icon);
+}
+
+/**
+ * Build one wallet row (names and icons come from extensions, so no innerHTML)
+ */
+function createWalletOption(wallet, badge) {
+  const item = document.createElement('li');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'wallet-option';
+  if (badge) button.classList.add('wallet-option-highlighted');
+
+  if (isSafeIcon(wallet.icon)) {
+    const icon = document.createElement('img');
+    icon.className = 'wallet-option-icon';
+    icon.src = wallet.icon;
+    icon.alt = '';
+    button.appendChild(icon);
+  } else {
+    const icon = document.createElement('span');
+    icon.className = 'wallet-option-icon wallet-option-icon-fallback';
+    icon.textContent = '👛';
+    button.appendChild(icon);
+  }
+
+  const name = document.createElement('span');
+  name.className = 'wallet-option-name';
+  name.textContent = wallet.name;
+  button.appendChild(name);
+
+  if (badge) {
+    const label = document.createElement('span');
+    label.className = 'wallet-option-badge';
+    label.textContent = badge;
+    button.appendChild(label);
+  }
+
+  item.appendChild(button);
+  return { item, button };
+}
+
+/**
+ * Show the wallet picker
+ * @param {Array<Object>} wallets - getAllProviders() entries { name, icon, provider, uuid, rdns }
+ * @param {Object} [options]
+ * @param {Object} [options.current] - Wallet currently connected (marked "Connected")
+ * @param {string} [options.title] - Modal title (default: "Choose a Wallet")
+ * @returns {Promise<Object|null>} - The clicked wallet, or null if dismissed
+ */
+export function showWalletSelector(wallets, options = {}) {
+  return new Promise((resolve) => {
+    document.getElementById('wallet-selector-modal')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'wallet-selector-modal';
+    overlay.innerHTML = `
+      <div class="modal-content wallet-selector" role="dialog" aria-modal="true" aria-labelledby="wallet-selector-title">
+        <div class="modal-header">
+          <span class="modal-icon">👛</span>
+          <h2 class="modal-title" id="wallet-selector-title"></h2>
+        </div>
+        <ul class="wallet-selector-list"></ul>
+        <div class="modal-actions">
+          <button class="modal-btn modal-btn-cancel" id="wallet-selector-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+    overlay.querySelector('#wallet-selector-title').textContent = options.title || 'Choose a Wallet';
+
+    let settled = false;
+    const close = (choice) => {
+      if (settled) return;
+      settled = true;
+      document.removeEventListener('keydown', escapeHandler);
+      resolve(choice);
+      overlay.classList.remove('show');
+      setTimeout(() => overlay.remove(), 300); // Match CSS transition duration
+    };
+
+    const escapeHandler = (e) => {
+      if (e.key === 'Escape') close(null);
+    };
+
+    // Connected wallet first, then the remembered one, then discovery order
+    // (getAllProviders() builds new entries on every call, so compare providers)
+    const saved = findSavedWallet(wallets);
+    const isCurrent = wallet => Boolean(options.current) && wallet.provider === options.current.provider;
+    const rank = wallet => (isCurrent(wallet) ? 0 : wallet === saved ? 1 : 2);
+    const list = overlay.querySelector('.wallet-selector-list');
+    let firstButton = null;
+
+    [...wallets].sort((a, b) => rank(a) - rank(b)).forEach(wallet => {
+      const badge = isCurrent(wallet) ? 'Connected' : wallet === saved ? 'Last used' : null;
+      const { item, button } = createWalletOption(wallet, badge);
+      button.addEventListener('click', () => close(wallet));
+      list.appendChild(item);
+      firstButton = firstButton || button;
+    });
+
+    overlay.querySelector('#wallet-selector-cancel').addEventListener('click', () => close(null));
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close(null);
+    });
+    document.addEventListener('keydown', escapeHandler);
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => {
+      overlay.classList.add('show');
+      if (firstButton) firstButton.focus();
+    });
+  });
+}
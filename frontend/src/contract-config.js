@@ -1,24 +1,86 @@
 // Contract configuration for PepedawnRaffle deployment
 // Last updated: 2025-10-08T06:00:00.000Z
-// Deployed on: Sepolia Testnet
+// Deployments: deploy/artifacts/addresses.json (one entry per chainId)
 // 
 // NOTE: This ABI includes Merkle claims system functions.
 // If you need to update the ABI, run: cd contracts && forge build
 // Then copy from: contracts/out/PepedawnRaffle.sol/PepedawnRaffle.json
 
+import DEPLOYMENTS from '../../deploy/artifacts/addresses.json';
+
 export const VERSION = 'v0.6.1';
 
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Chains this build can serve: registry entries with a deployed PepedawnRaffle
+const DEPLOYED_CHAIN_IDS = Object.keys(DEPLOYMENTS)
+  .filter(chainId => DEPLOYMENTS[chainId].PepedawnRaffle)
+  .map(Number);
+
+// Chain used until a wallet reports one (read-only visitors, wrong-network prompts).
+// VITE_DEFAULT_CHAIN_ID overrides; otherwise Sepolia if deployed, else the first deployed chain.
+const DEFAULT_CHAIN_ID = Number(import.meta.env?.VITE_DEFAULT_CHAIN_ID) ||
+  (DEPLOYED_CHAIN_IDS.includes(11155111) ? 11155111 : DEPLOYED_CHAIN_IDS[0]);
+
+let activeChainId = DEFAULT_CHAIN_ID;
+
 export const CONTRACT_CONFIG = {
-  // Contract address from latest deployment with binary search optimization
-  address: "0xfd4BE1898Ee3d529aE06741001D3211914C1B90A", // Deployed on 2025-02-06 - Binary search optimization
+  // Everything chain-specific comes from the active registry entry (see selectNetwork).
+  // Run scripts/update-contract-address.js after a deployment to update the registry.
+  get address() { return getDeployment(activeChainId)?.PepedawnRaffle || ZERO_ADDRESS; },
+  get chainId() { return activeChainId ?? null; },
+  get network() { return DEPLOYMENTS[activeChainId]?.network || 'unknown'; },
+  get explorerUrl() { return DEPLOYMENTS[activeChainId]?.explorerUrl || null; },
+  get rpcUrls() { return DEPLOYMENTS[activeChainId]?.rpcUrls || []; },
+  get vrf() { return DEPLOYMENTS[activeChainId]?.vrf || null; },
+  get abiVersion() { return DEPLOYMENTS[activeChainId]?.abiVersion || null; },
+  
+  // Block the contract was deployed in - where the event index (services/event-index.js)
+  // starts scanning. null = find it with eth_getCode (needs an RPC that serves old state)
+  get deploymentBlock() { return DEPLOYMENTS[activeChainId]?.deploymentBlock ?? null; },
   
-  // Network configuration (automatically updated by update-contract-address.js)
-  network: 'sepolia',
-  chainId: 11155111,
+  // Blocks a contract event must be buried under before the UI treats it as final
+  // (services/contract-events.js). Shallower events are pending and can still be reorged out.
+  get eventConfirmations() {
+    if (this.chainId === 31337) return 1;
+    return this.chainId === 1 ? 12 : 3;
+  },
   
   // Development mode - automatically determined from chainId (no manual update needed!)
   get DEV_MODE() { return this.chainId !== 1; },  // false for mainnet (chainId: 1), true for testnets
   
+  // IPFS gateways for Participants/Winners files. fetchFromIPFS races several at once and
+  // keeps the first CID-verified response; this order is only the starting preference,
+  // each browser reorders by the success/latency it observes.
+  ipfsGateways: [
+    'https://dweb.link/ipfs',             // Most reliable, CORS-friendly
+    'https://ipfs.io/ipfs',               // Official gateway
+    'https://w3s.link/ipfs',              // Web3.Storage gateway
+    'https://nftstorage.link/ipfs',       // NFT.Storage gateway - very reliable
+    'https://cloudflare-ipfs.com/ipfs',   // Cloudflare (try both variations)
+    'https://cf-ipfs.com/ipfs',           // Cloudflare alternate
+    'https://gateway.pinata.cloud/ipfs'   // Has rate limits but good fallback
+  ],
+  
+  // Where Participants/Winners files come from (services/round-data.js):
+  //   'ipfs'           - race ipfsGateways, CID-verified (default)
+  //   'mirror-url'     - <roundDataMirrorUrl>/<cid>, CID-verified (self-hosted copy of the files)
+  //   'local-fixtures' - public/participants/ and public/winners/, checked against the on-chain root
+  // Build flags VITE_ROUND_DATA_SOURCE / VITE_ROUND_DATA_MIRROR_URL override; a local
+  // chain (anvil, 31337) uses fixtures since nothing it commits is on IPFS.
+  get roundDataSource() {
+    return import.meta.env?.VITE_ROUND_DATA_SOURCE || (this.chainId === 31337 ? 'local-fixtures' : 'ipfs');
+  },
+  get roundDataMirrorUrl() {
+    return import.meta.env?.VITE_ROUND_DATA_MIRROR_URL || null;
+  },
+
+  // WalletConnect Cloud project ID (build flag VITE_WALLETCONNECT_PROJECT_ID).
+  // Without one the WalletConnect option is hidden and only injected wallets are offered.
+  get walletConnectProjectId() {
+    return import.meta.env?.VITE_WALLETCONNECT_PROJECT_ID || null;
+  },
+  
   // Latest ABI for PepedawnRaffle contract with binary search and enhanced security features
   abi: [
     {
@@ -2752,38 +2814,12 @@ export const CONTRACT_CONFIG = {
   ]
 };
 
-// VRF Configuration from deployment artifacts
-export const VRF_CONFIG = {
-  "coordinator": "0x8103B0A8A00be2DDC778e6e7eaa21791Cd364625",
-  "subscriptionId": 1,
-  "keyHash": "0x474e34a077df58807dbe9c96d3c009b23b3c6d0cce433e59bbf5b34f823bc56c",
-  "callbackGasLimit": 500000,
-  "requestConfirmations": 5
-};
-
-// Network-specific settings
-export const NETWORKS = {
-  sepolia: {
-    name: 'Sepolia Testnet',
-    chainId: 11155111,
-    rpcUrl: 'https://sepolia.infura.io/v3/',
-    blockExplorer: 'https://sepolia.etherscan.io'
-  },
-  mainnet: {
-    name: 'Ethereum Mainnet',
-    chainId: 11155111,
-    rpcUrl: 'https://mainnet.infura.io/v3/',
-    blockExplorer: 'https://etherscan.io'
-  }
-};
-
 // Security configuration for enhanced contract interaction
 export const SECURITY_CONFIG = {
-  // Network validation
-  NETWORK_NAMES: {
-    11155111: 'Sepolia',
-    1: 'Ethereum Mainnet'
-  },
+  // Network validation (display names for every registry entry, deployed or not)
+  NETWORK_NAMES: Object.fromEntries(
+    Object.entries(DEPLOYMENTS).map(([chainId, deployment]) => [chainId, deployment.name])
+  ),
   
   // Contract interaction limits
   MAX_RETRY_ATTEMPTS: 3,
@@ -2794,10 +2830,21 @@ export const SECURITY_CONFIG = {
   ENABLE_NETWORK_VALIDATION: true
 };
 
+// Registry entry for a chain, or null if PepedawnRaffle isn't deployed there
+export function getDeployment(chainId) {
+  const deployment = DEPLOYMENTS[Number(chainId)];
+  return deployment?.PepedawnRaffle ? { chainId: Number(chainId), ...deployment } : null;
+}
+
+// Chain IDs with a deployed contract
+export function getSupportedChainIds() {
+  return [...DEPLOYED_CHAIN_IDS];
+}
+
 // Helper function to validate contract configuration
 export function validateContractConfig() {
-  if (CONTRACT_CONFIG.address === "0x0000000000000000000000000000000000000000") {
-    console.warn("⚠️ Contract address not set! Please update CONTRACT_CONFIG.address with your deployed contract address.");
+  if (CONTRACT_CONFIG.address === ZERO_ADDRESS) {
+    console.warn("⚠️ No PepedawnRaffle deployment in deploy/artifacts/addresses.json! Run scripts/update-contract-address.js after deploying.");
     return false;
   }
   
@@ -2806,7 +2853,12 @@ export function validateContractConfig() {
     return false;
   }
   
-  console.log("✅ Contract configuration valid:", CONTRACT_CONFIG.address);
+  // The ABI above is for this frontend's VERSION; an older deployment may lack newer functions
+  if (CONTRACT_CONFIG.abiVersion && CONTRACT_CONFIG.abiVersion !== VERSION) {
+    console.warn(`⚠️ ${CONTRACT_CONFIG.network} deployment is ${CONTRACT_CONFIG.abiVersion}, frontend ABI is ${VERSION}`);
+  }
+  
+  console.log("✅ Contract configuration valid:", CONTRACT_CONFIG.address, `(${CONTRACT_CONFIG.network})`);
   return true;
 }
 
@@ -2814,8 +2866,10 @@ export function validateContractConfig() {
 export function validateNetwork(chainId) {
   const numericChainId = Number(chainId);
   
-  if (!SECURITY_CONFIG.NETWORK_NAMES[numericChainId]) {
-    const error = `Unsupported network: ${numericChainId}`;
+  if (!getDeployment(numericChainId)) {
+    const supported = DEPLOYED_CHAIN_IDS.map(id => `${SECURITY_CONFIG.NETWORK_NAMES[id]} (${id})`).join(', ');
+    const name = SECURITY_CONFIG.NETWORK_NAMES[numericChainId];
+    const error = `Unsupported network: ${name ? `${name} (${numericChainId})` : numericChainId}. PEPEDAWN is deployed on: ${supported || 'no networks'}`;
     console.error("❌", error);
     throw new Error(error);
   }
@@ -2825,6 +2879,19 @@ export function validateNetwork(chainId) {
   return true;
 }
 
+// Point CONTRACT_CONFIG at the wallet's chain. Throws (like validateNetwork) if the chain
+// has no deployment, leaving the previous chain active. Returns true if the chain changed.
+export function selectNetwork(chainId) {
+  validateNetwork(chainId);
+  
+  const numericChainId = Number(chainId);
+  if (numericChainId === activeChainId) return false;
+  
+  activeChainId = numericChainId;
+  console.log(`🔀 Using ${CONTRACT_CONFIG.network} deployment:`, CONTRACT_CONFIG.address);
+  return true;
+}
+
 // Input sanitization for security
 export function sanitizeInput(input, type) {
   if (typeof input !== 'string') {
@@ -12,12 +12,13 @@ import {
   validateTransactionParams,
   handleTransactionError,
   populateRoundSelector,
-  showWalletWarningModal
+  showWalletWarningModal,
+  showPreflightModal
 } from './ui.js';
 import { 
   CONTRACT_CONFIG, 
   validateContractConfig, 
-  validateNetwork,
+  selectNetwork,
   sanitizeInput,
   checkRateLimit,
   validateSecurityState,
@@ -26,6 +27,19 @@ import {
 import { displayClaimablePrizes, displayRefundButton } from './components/claims.js';
 import { formatAddress } from './utils/formatters.js';
 import { initTributeSlideout } from './components/tribute-slideout.js';
+import { initActivityPanel, setActivityAccount } from './components/activity-panel.js';
+import { findSavedWallet, saveWalletChoice, showWalletSelector } from './components/wallet-selector.js';
+import {
+  connectWalletConnect,
+  disconnectWalletConnect,
+  getWalletConnectEntry,
+  isWalletConnectAvailable,
+  restoreWalletConnect
+} from './services/walletconnect.js';
+import { clearIPFSCache, getCacheStats } from './services/ipfs-cache.js';
+import { createEventPipeline } from './services/contract-events.js';
+import { resumePendingTransactions, trackTransaction } from './services/tx-manager.js';
+import { describeGasCost, projectBuyOutcome, projectProofOutcome, simulateTransaction } from './services/preflight.js';
 
 // Suppress harmless MetaMask filter errors
 const originalError = console.error;
@@ -44,8 +58,9 @@ let signer = null;
 let contract = null;
 let userAddress = null;
 let currentRoundStatus = null; // Track current round status for UI updates
-let eventListenersSetup = false; // Prevent duplicate event listener setup
-const processedEvents = new Set(); // Track processed events to prevent duplicates
+let eventPipeline = null; // Confirmation-aware contract event pipeline (services/contract-events.js)
+let activeWallet = null; // getAllProviders() entry the user connected through
+let walletEventsProvider = null; // EIP-1193 provider our chainChanged/accountsChanged listeners are on
 
 // Initialize Eruda console for mobile debugging in DEV mode
 if (CONTRACT_CONFIG.DEV_MODE && isMobileDevice()) {
@@ -360,13 +375,24 @@ function getAllProviders() {
     }
   }
   
+  // WalletConnect last: pairs a phone wallet when the browser has none injected (mobile Safari/Chrome)
+  const walletConnect = getWalletConnectEntry();
+  if (walletConnect) {
+    providers.push(walletConnect);
+  }
+  
   console.log(`✅ Found ${providers.length} wallet provider(s):`, providers.map(p => p.name).join(', '));
   return providers;
 }
 
-// Get the best available provider (handles multiple wallet scenarios)
-// Now returns the first available, but can be extended with user selection UI
-function detectProvider() {
+// Whether the browser itself provides a wallet (EIP-6963 or window.ethereum)
+function hasInjectedWallet() {
+  return getAllProviders().some(wallet => !wallet.walletConnect);
+}
+
+// Get the best available wallet (handles multiple wallet scenarios)
+// The wallet picked in the wallet selector wins; otherwise the priority list decides
+function detectWallet() {
   const providers = getAllProviders();
   
   if (providers.length === 0) {
@@ -374,6 +400,12 @@ function detectProvider() {
     return null;
   }
   
+  const savedWallet = findSavedWallet(providers);
+  if (savedWallet) {
+    console.log(`✅ Using last selected wallet: ${savedWallet.name}`);
+    return savedWallet;
+  }
+  
   // Priority order for auto-selection when multiple wallets exist
   const priorityOrder = [
     'MetaMask',           // Most popular
@@ -388,7 +420,7 @@ function detectProvider() {
   // If MetaMask Mobile Browser, use it
   if (navigator.userAgent.includes('MetaMaskMobile') && providers.length > 0) {
     console.log('✅ MetaMask Mobile Browser detected');
-    return providers[0].provider;
+    return providers[0];
   }
   
   // Try to find preferred wallet from priority list
@@ -403,13 +435,37 @@ function detectProvider() {
           providers.filter(p => p.name !== 'Brave Wallet').map(p => p.name).join(', '));
       }
       
-      return wallet.provider;
+      return wallet;
     }
   }
   
   // Fallback: return first provider
   console.log(`✅ Using first available provider: ${providers[0].name}`);
-  return providers[0].provider;
+  return providers[0];
+}
+
+// Ask which wallet to connect when more than one is available (WalletConnect included)
+// Returns null if the user closed the selector
+async function chooseWallet() {
+  const providers = getAllProviders();
+  
+  // One wallet, or the MetaMask mobile in-app browser - nothing to choose
+  if (providers.length <= 1 || navigator.userAgent.includes('MetaMaskMobile')) {
+    return detectWallet();
+  }
+  
+  return showWalletSelector(providers, { current: activeWallet });
+}
+
+// Switch to another wallet (one click in the selector)
+async function switchWallet() {
+  const wallet = await showWalletSelector(getAllProviders(), {
+    current: activeWallet,
+    title: 'Switch Wallet'
+  });
+  
+  if (!wallet || wallet.provider === activeWallet?.provider) return;
+  await connectWallet(wallet);
 }
 
 // Initialize page-specific data (read-only, no wallet required)
@@ -446,6 +502,18 @@ async function initializePageData() {
       }
     }
     
+    // Show error message on verify page
+    if (window.location.pathname.includes('verify.html')) {
+      const verifySelect = document.getElementById('verify-round-select');
+      const verifyContainer = document.getElementById('verify-container');
+      if (verifySelect) {
+        verifySelect.innerHTML = '<option value="">Contract unavailable</option>';
+      }
+      if (verifyContainer) {
+        verifyContainer.innerHTML = '<p style="text-align: center; padding: 2rem; color: var(--text-secondary);">Unable to load contract data. Please check your connection and refresh.</p>';
+      }
+    }
+    
     return;
   }
   
@@ -474,6 +542,16 @@ async function initializePageData() {
       // Note: displayClaimablePrizes will be called in setupWalletConnection() when user connects
     }
     
+    // Initialize verify page (read-only, no wallet required)
+    if (window.location.pathname.includes('verify.html')) {
+      console.log('🔎 Initializing verify page...');
+      await populateRoundSelector(contract);
+      if (currentRoundId.toString() !== '0') {
+        const { displayDrawVerification } = await import('./components/draw-verifier.js');
+        await displayDrawVerification(contract, Number(currentRoundId));
+      }
+    }
+    
     // Initialize rules page
     if (window.location.pathname.includes('rules.html')) {
       console.log('📜 Initializing rules page...');
@@ -495,23 +573,38 @@ async function init() {
   // Initialize tribute slideout (global component)
   initTributeSlideout();
   
+  // Transaction activity panel (global component)
+  initActivityPanel();
+  
   // Set up event listeners
   setupEventListeners();
   
-  // Set up round selectors for leaderboard and claim pages
-  if (window.location.pathname.includes('leaderboard.html') || window.location.pathname.includes('claim.html')) {
+  // Set up round selectors for leaderboard, claim and verify pages
+  if (window.location.pathname.includes('leaderboard.html') ||
+      window.location.pathname.includes('claim.html') ||
+      window.location.pathname.includes('verify.html')) {
     setupLeaderboardRoundSelector();
   }
   
-  // Detect the best provider
-  const detectedProvider = detectProvider();
+  // Detect the best wallet (the one selected last visit, if still installed)
+  const detectedWallet = detectWallet();
   
   // Check if wallet is already connected (with conflict protection)
-  if (detectedProvider) {
+  if (detectedWallet?.walletConnect) {
+    // Session from a previous visit - reconnect without showing the QR modal
     try {
-      const accounts = await detectedProvider.request({ method: 'eth_accounts' });
+      const walletConnectProvider = await restoreWalletConnect();
+      if (walletConnectProvider) {
+        await connectWalletSilent({ ...detectedWallet, provider: walletConnectProvider });
+      }
+    } catch (error) {
+      console.log('No WalletConnect session restored:', error);
+    }
+  } else if (detectedWallet) {
+    try {
+      const accounts = await detectedWallet.provider.request({ method: 'eth_accounts' });
       if (accounts.length > 0) {
-        await connectWalletSilent(); // Silent connection - no toast
+        await connectWalletSilent(detectedWallet); // Silent connection - no toast
       }
     } catch (error) {
       console.log('No wallet auto-connection:', error);
@@ -538,9 +631,22 @@ async function init() {
 function setupEventListeners() {
   const connectBtn = document.getElementById('connect-wallet');
   if (connectBtn) {
-    connectBtn.addEventListener('click', connectWallet);
+    connectBtn.addEventListener('click', () => connectWallet());
   }
   
+  const switchWalletBtn = document.getElementById('switch-wallet');
+  if (switchWalletBtn) {
+    switchWalletBtn.addEventListener('click', switchWallet);
+  }
+  
+  // Catch up on contract events missed while the tab slept or the connection was down
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      resumeContractEventListeners();
+    }
+  });
+  window.addEventListener('online', resumeContractEventListeners);
+  
   // Hamburger menu functionality
   const hamburgerMenu = document.getElementById('hamburger-menu');
   const mainNav = document.getElementById('main-nav');
@@ -595,6 +701,28 @@ function setupEventListeners() {
   if (submitProofBtn) {
     submitProofBtn.addEventListener('click', submitProof);
   }
+  
+  // Footer control for the IndexedDB cache of Participants/Winners files
+  const clearCacheBtn = document.getElementById('clear-ipfs-cache');
+  if (clearCacheBtn) {
+    updateCacheButtonLabel(clearCacheBtn);
+    clearCacheBtn.addEventListener('click', async () => {
+      const cleared = await clearIPFSCache();
+      showTransactionStatus(
+        cleared ? 'Cached round files cleared - they will be re-downloaded from IPFS' : 'Could not clear cached round files',
+        cleared ? 'success' : 'error'
+      );
+      updateCacheButtonLabel(clearCacheBtn);
+    });
+  }
+}
+
+// Show how many round files are cached on the clear-cache button
+async function updateCacheButtonLabel(button) {
+  const { entries, bytes } = await getCacheStats();
+  button.textContent = entries > 0
+    ? `Clear cached round files (${entries}, ${Math.ceil(bytes / 1024)} KB)`
+    : 'Clear cached round files';
 }
 
 // Set up leaderboard round selector
@@ -635,6 +763,19 @@ function setupLeaderboardRoundSelector() {
       }
     });
   }
+  
+  const verifyRoundSelect = document.getElementById('verify-round-select');
+  if (verifyRoundSelect) {
+    verifyRoundSelect.addEventListener('change', async function() {
+      const selectedValue = this.value;
+      
+      // Rerun the draw for the selected round
+      if (contract) {
+        const { displayDrawVerification } = await import('./components/draw-verifier.js');
+        await displayDrawVerification(contract, Number(selectedValue));
+      }
+    });
+  }
 }
 
 // Check for unclaimed prizes across recent rounds
@@ -663,11 +804,11 @@ async function checkUnclaimedPrizes(contract, userAddress) {
         const winnersCID = await contract.winnersCIDs(roundId);
         if (!winnersCID || winnersCID === '') continue;
         
-        // Fetch winners file (local, fast)
-        const { fetchWinnersFile } = await import('./services/ipfs.js');
+        // Fetch winners file (cached by CID after the first load)
+        const { fetchWinnersFile } = await import('./services/round-data.js');
         const { getPrizesForAddress } = await import('./services/merkle.js');
         
-        const winnersFile = await fetchWinnersFile(winnersCID, roundId);
+        const winnersFile = await fetchWinnersFile(winnersCID, roundId, roundState.round.winnersRoot);
         if (!winnersFile || !winnersFile.winners) continue;
         
         // Get user's prizes in this round
@@ -831,7 +972,8 @@ function copyToClipboard(elementId) {
 window.copyToClipboard = copyToClipboard;
 
 // Connect to wallet with enhanced security validations
-async function connectWallet() {
+// selectedWallet: getAllProviders() entry picked in the wallet selector (asks when omitted)
+async function connectWallet(selectedWallet = null) {
   try {
     // === DIAGNOSTIC LOGGING (DEV MODE ONLY) ===
     if (CONTRACT_CONFIG.DEV_MODE) {
@@ -858,7 +1000,8 @@ async function connectWallet() {
     }
     
     // Check if mobile Brave FIRST - known to have issues with dapps
-    if (isMobileBrave()) {
+    // (when WalletConnect is available the selector offers it instead of a MetaMask redirect)
+    if (isMobileBrave() && !isWalletConnectAvailable()) {
       console.log('⚠️ Mobile Brave detected - Brave Wallet has limited dapp support on mobile');
       
       // Show warning immediately for mobile Brave
@@ -881,9 +1024,9 @@ async function connectWallet() {
     }
     
     // On mobile, give wallet providers extra time to initialize
-    let detectedProvider = detectProvider();
+    let hasWallet = hasInjectedWallet();
     
-    if (!detectedProvider && isMobileDevice()) {
+    if (!selectedWallet && !hasWallet && isMobileDevice()) {
       console.log('📱 No provider detected on mobile, waiting for wallet to initialize...');
       showTransactionStatus('Waiting for wallet to initialize...', 'info');
       
@@ -894,10 +1037,11 @@ async function connectWallet() {
       window.dispatchEvent(new Event('eip6963:requestProvider'));
       await new Promise(resolve => setTimeout(resolve, 100));
       
-      detectedProvider = detectProvider();
+      hasWallet = hasInjectedWallet();
     }
     
-    if (!detectedProvider) {
+    // No injected wallet and no WalletConnect fallback
+    if (!selectedWallet && !hasWallet && !isWalletConnectAvailable()) {
       // On mobile, redirect to MetaMask app
       if (isMobileDevice() && !navigator.userAgent.includes('MetaMaskMobile')) {
         const currentUrl = window.location.href;
@@ -920,12 +1064,23 @@ async function connectWallet() {
       return;
     }
     
+    // Several wallets installed: let the user pick instead of guessing
+    let wallet = selectedWallet || await chooseWallet();
+    if (!wallet) return; // Selector closed
+    
+    // WalletConnect has no provider until it is paired (QR code on desktop, deep link on mobile)
+    if (wallet.walletConnect) {
+      showTransactionStatus('Scan the QR code or pick your wallet app to connect...', 'info');
+      wallet = { ...wallet, provider: await connectWalletConnect() };
+    }
+    const detectedProvider = wallet.provider;
+    
     // Warn if using Brave Wallet (suboptimal experience)
     if (detectedProvider.isBraveWallet && !detectedProvider.isMetaMask) {
       showTransactionStatus('Brave Wallet detected. For best experience, install MetaMask extension.', 'warning');
     }
     
-    showTransactionStatus('Connecting to wallet...', 'info');
+    showTransactionStatus(`Connecting to ${wallet.name}...`, 'info');
     
     // Request account access using the detected provider
     if (CONTRACT_CONFIG.DEV_MODE) console.log('🔐 Requesting accounts from provider...');
@@ -940,10 +1095,21 @@ async function connectWallet() {
     if (CONTRACT_CONFIG.DEV_MODE) console.log('🔧 Getting address...');
     userAddress = await signer.getAddress();
     
-    console.log('✅ Wallet connected:', userAddress);
+    // Remember the choice so the next visit reconnects through the same wallet
+    const previousWallet = activeWallet;
+    activeWallet = wallet;
+    saveWalletChoice(wallet);
+    
+    console.log(`✅ Wallet connected via ${wallet.name}:`, userAddress);
     
     await setupWalletConnection(true); // true = show success toast
     
+    // Switched away from WalletConnect: end the session so the phone wallet drops this site
+    // (after setupWalletConnection, so its disconnect event no longer reaches our listeners)
+    if (previousWallet?.walletConnect && !wallet.walletConnect) {
+      await disconnectWalletConnect();
+    }
+    
   } catch (error) {
     console.error('❌ Error connecting wallet:', error);
     
@@ -968,6 +1134,14 @@ async function connectWallet() {
     } else {
       // Special handling for mobile Brave empty error
       if (isMobileBrave() && (!error.message || error.message === '[]' || JSON.stringify(error) === '{}')) {
+        if (isWalletConnectAvailable()) {
+          showTransactionStatus(
+            'Brave Wallet mobile connection failed. Connect again and choose WalletConnect to use your wallet app.',
+            'error'
+          );
+          return;
+        }
+        
         showTransactionStatus(
           'Brave Wallet mobile connection failed. Please use MetaMask Mobile app browser for reliable connection.',
           'error'
@@ -1016,15 +1190,13 @@ async function connectWallet() {
 }
 
 // Silent wallet connection for auto-connection on page load
-async function connectWalletSilent() {
+async function connectWalletSilent(wallet) {
   try {
-    const detectedProvider = detectProvider();
-    if (!detectedProvider) return;
-    
     // Create provider and signer without requesting permission
-    provider = new ethers.BrowserProvider(detectedProvider);
+    provider = new ethers.BrowserProvider(wallet.provider);
     signer = await provider.getSigner();
     userAddress = await signer.getAddress();
+    activeWallet = wallet;
     
     console.log('Wallet auto-connected:', userAddress);
     
@@ -1038,25 +1210,44 @@ async function connectWalletSilent() {
 
 // Common wallet setup logic
 async function setupWalletConnection(showSuccessToast = true) {
-  // Validate network
+  // Validate network and switch to its deployment
   try {
     const network = await provider.getNetwork();
-    validateNetwork(network.chainId);
+    selectNetwork(network.chainId);
     console.log('✅ Network validated:', SECURITY_CONFIG.NETWORK_NAMES[Number(network.chainId)]);
   } catch (networkError) {
     console.warn('⚠️ Network validation failed:', networkError.message);
     showTransactionStatus(networkError.message, 'warning');
   }
   
-  // Set up network change listener with detected provider
-  const detectedProvider = detectProvider();
-  if (detectedProvider && detectedProvider.on) {
-    detectedProvider.on('chainChanged', handleNetworkChange);
-    detectedProvider.on('accountsChanged', handleAccountChange);
+  // Listen for network/account changes on the connected wallet only
+  // (after a switch, the previous wallet's events no longer apply)
+  if (walletEventsProvider !== activeWallet.provider) {
+    if (walletEventsProvider?.removeListener) {
+      walletEventsProvider.removeListener('chainChanged', handleNetworkChange);
+      walletEventsProvider.removeListener('accountsChanged', handleAccountChange);
+      walletEventsProvider.removeListener('disconnect', handleWalletConnectDisconnect);
+    }
+    walletEventsProvider = activeWallet.provider.on ? activeWallet.provider : null;
+    if (walletEventsProvider) {
+      walletEventsProvider.on('chainChanged', handleNetworkChange);
+      walletEventsProvider.on('accountsChanged', handleAccountChange);
+      // Injected wallets emit 'disconnect' when their RPC drops; only a WalletConnect one means the session ended
+      if (activeWallet.walletConnect) {
+        walletEventsProvider.on('disconnect', handleWalletConnectDisconnect);
+      }
+    }
+  }
+  
+  // One-click switching when more than one wallet is available
+  const switchWalletBtn = document.getElementById('switch-wallet');
+  if (switchWalletBtn) {
+    switchWalletBtn.style.display = getAllProviders().length > 1 ? 'inline-block' : 'none';
   }
   
   // Update UI
   await updateWalletInfo(userAddress, provider);
+  setActivityAccount(userAddress);
   
   // Load contract with signer
   await loadContract();
@@ -1106,12 +1297,11 @@ function handleNetworkChange(chainId) {
   console.log('Network changed to:', chainId);
   
   try {
-    validateNetwork(chainId);
+    selectNetwork(chainId);
     console.log('✅ Network change validated');
     
-    // Reset event listeners flag on network change
-    eventListenersSetup = false;
-    processedEvents.clear(); // Clear processed events
+    // Drop listeners bound to the old network's contract
+    stopContractEventListeners();
     
     // Reload contract and update UI
     loadContract().then(async () => {
@@ -1145,8 +1335,8 @@ function handleAccountChange(accounts) {
     userAddress = null;
     signer = null;
     contract = null;
-    eventListenersSetup = false; // Reset listener flag
-    processedEvents.clear(); // Clear processed events
+    stopContractEventListeners();
+    setActivityAccount(null);
     
     // Reset UI
     const walletInfo = document.getElementById('wallet-info');
@@ -1166,6 +1356,11 @@ function handleAccountChange(accounts) {
   }
 }
 
+// WalletConnect session ended from the phone wallet (or expired)
+function handleWalletConnectDisconnect() {
+  handleAccountChange([]);
+}
+
 // Reconnect wallet when account changes
 async function reconnectWallet(newAddress) {
   try {
@@ -1175,22 +1370,21 @@ async function reconnectWallet(newAddress) {
     // Update global state
     userAddress = newAddress;
     
-    // Detect provider and create new provider and signer
-    const detectedProvider = detectProvider();
-    if (!detectedProvider) {
-      console.error('No provider detected during reconnection');
+    // Same wallet, new account - create new provider and signer
+    if (!activeWallet) {
+      console.error('No connected wallet during reconnection');
       return;
     }
     
-    provider = new ethers.BrowserProvider(detectedProvider);
+    provider = new ethers.BrowserProvider(activeWallet.provider);
     signer = await provider.getSigner();
     
-    // Reset event listeners flag
-    eventListenersSetup = false;
-    processedEvents.clear();
+    // Drop listeners bound to the previous account's contract
+    stopContractEventListeners();
     
     // Update UI with new wallet info
     await updateWalletInfo(userAddress, provider);
+    setActivityAccount(userAddress);
     
     // Load contract with new signer
     await loadContract();
@@ -1233,16 +1427,8 @@ async function reconnectWallet(newAddress) {
 // Create fallback public provider for read-only access
 async function createFallbackProvider() {
   // Try multiple public RPC endpoints in order (in case of rate limiting)
-  // Dynamic based on DEV_MODE
-  const rpcEndpoints = CONTRACT_CONFIG.DEV_MODE ? [
-    'https://rpc.sepolia.org',
-    'https://ethereum-sepolia.publicnode.com',
-    'https://1rpc.io/sepolia'
-  ] : [
-    'https://eth.llamarpc.com',
-    'https://eth.merkle.io',
-    'https://rpc.ankr.com/eth'
-  ];
+  // From the active deployment's registry entry
+  const rpcEndpoints = CONTRACT_CONFIG.rpcUrls;
   
   for (const rpcUrl of rpcEndpoints) {
     try {
@@ -1290,7 +1476,7 @@ async function loadContract() {
       providerToUse = signer;
       console.log('✅ Using signer for read/write access');
       
-      // Log network info on mobile for debugging (but don't block - let validateNetwork handle it)
+      // Log network info on mobile for debugging (but don't block - let selectNetwork handle it)
       if (isMobileDevice()) {
         try {
           const network = await provider.getNetwork();
@@ -1306,10 +1492,10 @@ async function loadContract() {
       isReadOnly = true;
       console.log('✅ Using provider for read-only access');
       
-      // Check if we're on the correct network
+      // Check if we're on a supported network
       try {
         const network = await provider.getNetwork();
-        validateNetwork(network.chainId);
+        selectNetwork(network.chainId);
         console.log('✅ Network validated for contract loading');
       } catch (networkError) {
         console.warn('⚠️ Network validation failed:', networkError.message);
@@ -1402,436 +1588,314 @@ async function loadContract() {
       setupContractEventListeners();
     }
     
+    // Keep watching transactions a previous page load left pending (no-op once they are watched)
+    if (contract) {
+      resumePendingTransactions(contract.runner.provider);
+    }
+    
   } catch (error) {
     console.error('Error loading contract:', error);
     showTransactionStatus('Failed to load contract: ' + error.message, 'error');
   }
 }
 
-// Set up comprehensive contract event listeners with error handling
-function setupContractEventListeners() {
+// Is this address the connected wallet?
+function isCurrentUser(address) {
+  return Boolean(userAddress) && address?.toLowerCase() === userAddress.toLowerCase();
+}
+
+// Event args with bigints as strings, for logging
+function describeContractEvent(event) {
+  const data = {};
+  for (const [name, value] of Object.entries(event.args)) {
+    data[name] = typeof value === 'bigint' ? value.toString() : value;
+  }
+  return { ...data, blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+}
+
+// Tell the current user one of their transactions is in a block but not final yet
+function showPendingConfirmation(message, event) {
+  const confirmations = CONTRACT_CONFIG.eventConfirmations;
+  if (confirmations > 1) {
+    showTransactionStatus(`⏳ ${message} in block ${event.blockNumber} - waiting for ${confirmations} confirmations`, 'info');
+  }
+}
+
+// Show a proof result in the proof form
+function showProofStatus(message, className) {
+  const proofStatus = document.getElementById('proof-status');
+  if (proofStatus) {
+    proofStatus.textContent = message;
+    proofStatus.className = className;
+    proofStatus.style.display = 'block';
+  }
+}
+
+// An event the UI already reacted to was reorged out - re-read everything from the chain
+function rollbackContractEvent(event) {
   if (!contract) return;
   
-  // Prevent duplicate listener setup
-  if (eventListenersSetup) {
-    console.log('⏭️ Event listeners already set up, skipping...');
-    return;
-  }
+  showTransactionStatus(`↩️ ${event.name} in block ${event.blockNumber} was reverted by a chain reorganization. Refreshing...`, 'warning');
   
-  try {
-    console.log('🎧 Setting up enhanced contract event listeners...');
-    
-    // Remove any existing listeners to prevent duplicates
-    contract.removeAllListeners();
-    
-    // Mark as set up
-    eventListenersSetup = true;
-    
-    // Note: Using contract.on() only listens to NEW events (from current block forward)
-    // Historical events are not replayed automatically in ethers v6
-    
-    // Round lifecycle events
-    contract.on('RoundCreated', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId, startTime, endTime] = args;
-      
-      // Deduplicate events
-      const eventId = `RoundCreated-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = { 
-        roundId: roundId.toString(), 
-        startTime: Number(startTime), 
-        endTime: Number(endTime),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('🆕 Round created:', eventData);
-      logEvent('RoundCreated', eventData);
-      
-      showTransactionStatus(`New round #${eventData.roundId} created!`, 'success');
+  updateRoundStatus(contract, provider);
+  updateProgressIndicator(contract);
+  updateLeaderboard(contract);
+  updateButtonStates();
+  if (userAddress) {
+    updateUserStats(contract, userAddress);
+    showSecurityStatus(contract, userAddress);
+  }
+}
+
+// Contract event handlers, keyed by event name. Each stage gets the typed event from
+// services/contract-events.js: { name, args (named), blockNumber, blockHash, transactionHash }.
+// confirmed() runs once the event is eventConfirmations blocks deep; removed() defaults to
+// rollbackContractEvent.
+const CONTRACT_EVENT_HANDLERS = {
+  // Round lifecycle events
+  RoundCreated: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`New round #${args.roundId} created!`, 'success');
       updateRoundStatus(contract, provider);
       updateButtonStates();
-    });
-    
-    contract.on('RoundOpened', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId] = args;
-      
-      // Deduplicate events
-      const eventId = `RoundOpened-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = { 
-        roundId: roundId.toString(),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('🟢 Round opened:', eventData);
-      logEvent('RoundOpened', eventData);
-      
-      showTransactionStatus(`Round #${eventData.roundId} is now open for betting!`, 'success');
+    }
+  },
+  
+  RoundOpened: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`Round #${args.roundId} is now open for betting!`, 'success');
       updateRoundStatus(contract, provider);
       updateButtonStates();
-    });
-    
-    contract.on('RoundClosed', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId] = args;
-      
-      // Deduplicate events using transaction hash
-      const eventId = `RoundClosed-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) {
-        return; // Already processed this event
-      }
-      processedEvents.add(eventId);
-      
-      const eventData = { 
-        roundId: roundId.toString(),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('🔴 Round closed:', eventData);
-      logEvent('RoundClosed', eventData);
-      
-      showTransactionStatus(`Round #${eventData.roundId} closed. No more bets accepted.`, 'info');
+    }
+  },
+  
+  RoundClosed: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`Round #${args.roundId} closed. No more bets accepted.`, 'info');
       updateRoundStatus(contract, provider);
       updateButtonStates();
-    });
-    
-    contract.on('RoundSnapshot', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId, totalTickets, totalWeight] = args;
-      
-      // Deduplicate events
-      const eventId = `RoundSnapshot-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = { 
-        roundId: roundId.toString(),
-        totalTickets: totalTickets.toString(),
-        totalWeight: totalWeight.toString(),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('📸 Round snapshot:', eventData);
-      logEvent('RoundSnapshot', eventData);
-      
-      showTransactionStatus(`Round #${eventData.roundId} snapshot taken. Preparing for draw...`, 'info');
+    }
+  },
+  
+  RoundSnapshot: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`Round #${args.roundId} snapshot taken. Preparing for draw...`, 'info');
       updateRoundStatus(contract, provider);
-    });
-    
-    // User interaction events
-    contract.on('WagerPlaced', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId, user, amount, tickets, weight] = args;
-      
-      // Deduplicate events
-      const eventId = `WagerPlaced-${user}-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        user: user.toLowerCase(),
-        amount: ethers.formatEther(amount),
-        tickets: tickets.toString(),
-        weight: weight.toString(),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('🎲 Bet placed:', eventData);
-      logEvent('WagerPlaced', eventData);
-      
-      // Update UI if it's the current user
-      if (eventData.user === userAddress?.toLowerCase()) {
-        showTransactionStatus(`✅ Your bet confirmed! ${eventData.tickets} tickets for ${eventData.amount} ETH`, 'success');
+    }
+  },
+  
+  // User interaction events
+  WagerPlaced: {
+    pending: (event) => {
+      if (isCurrentUser(event.args.wallet)) {
+        showPendingConfirmation('Your bet is', event);
+      }
+    },
+    confirmed: ({ args }) => {
+      if (isCurrentUser(args.wallet)) {
+        showTransactionStatus(`✅ Your bet confirmed! ${args.tickets} tickets for ${ethers.formatEther(args.amount)} ETH`, 'success');
         updateUserStats(contract, userAddress);
         updateButtonStates(); // User can now submit proof
       } else {
-        showTransactionStatus(`New bet: ${eventData.tickets} tickets by ${formatAddress(eventData.user)}`, 'info');
+        showTransactionStatus(`New bet: ${args.tickets} tickets by ${formatAddress(args.wallet)}`, 'info');
       }
       
-      // Update leaderboard, progress, and round status
       updateRoundStatus(contract, provider);
       updateProgressIndicator(contract);
       updateLeaderboard(contract);
-    });
-    
-    contract.on('ProofSubmitted', (roundId, user, weight, event) => {
-      // Deduplicate events
-      const eventId = `ProofSubmitted-${user}-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        user: user.toLowerCase(),
-        weight: weight.toString(),
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('🧩 Proof submitted:', eventData);
-      logEvent('ProofSubmitted', eventData);
-      
-      // Update UI if it's the current user
-      if (eventData.user === userAddress?.toLowerCase()) {
-        showTransactionStatus(`✅ Puzzle proof confirmed! Weight bonus applied.`, 'success');
-        
-        // Update proof status element
-        const proofStatus = document.getElementById('proof-status');
-        if (proofStatus) {
-          proofStatus.textContent = '✅ Puzzle proof confirmed! Weight bonus applied.';
-          proofStatus.className = 'success';
-          proofStatus.style.display = 'block';
-        }
-        
+    }
+  },
+  
+  ProofSubmitted: {
+    pending: (event) => {
+      if (isCurrentUser(event.args.wallet)) {
+        showPendingConfirmation('Your puzzle proof is', event);
+      }
+    },
+    confirmed: ({ args }) => {
+      if (isCurrentUser(args.wallet)) {
+        showTransactionStatus('✅ Puzzle proof confirmed! Weight bonus applied.', 'success');
+        showProofStatus('✅ Puzzle proof confirmed! Weight bonus applied.', 'success');
         updateUserStats(contract, userAddress);
         updateButtonStates(); // Proof button should now be disabled
       } else {
-        showTransactionStatus(`Puzzle solved by ${formatAddress(eventData.user)}!`, 'info');
+        showTransactionStatus(`Puzzle solved by ${formatAddress(args.wallet)}!`, 'info');
       }
       
-      // Update leaderboard
       updateLeaderboard(contract);
-    });
-    
-    contract.on('ProofRejected', (user, roundId, proofHash, event) => {
-      // Deduplicate events
-      const eventId = `ProofRejected-${user}-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        user: user.toLowerCase(),
-        proofHash: proofHash,
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('❌ Proof rejected:', eventData);
-      logEvent('ProofRejected', eventData);
-      
-      // Update UI if it's the current user
-      if (eventData.user === userAddress?.toLowerCase()) {
-        showTransactionStatus(`❌ Puzzle proof incorrect. No weight bonus applied.`, 'warning');
-        
-        // Update proof status element
-        const proofStatus = document.getElementById('proof-status');
-        if (proofStatus) {
-          proofStatus.textContent = '❌ Puzzle proof incorrect. No weight bonus applied.';
-          proofStatus.className = 'error';
-          proofStatus.style.display = 'block';
-        }
-        
+    }
+  },
+  
+  ProofRejected: {
+    pending: (event) => {
+      if (isCurrentUser(event.args.wallet)) {
+        showPendingConfirmation('Your puzzle proof is', event);
+      }
+    },
+    confirmed: ({ args }) => {
+      if (isCurrentUser(args.wallet)) {
+        showTransactionStatus('❌ Puzzle proof incorrect. No weight bonus applied.', 'warning');
+        showProofStatus('❌ Puzzle proof incorrect. No weight bonus applied.', 'error');
         updateUserStats(contract, userAddress);
         updateButtonStates(); // Proof button should now be disabled
       }
       
-      // Update leaderboard (even for rejected proofs, user stats may change)
+      // Even rejected proofs change user stats (proof submitted flag)
       updateLeaderboard(contract);
-    });
-    
-    // VRF and prize distribution events
-    contract.on('VRFRequested', (roundId, requestId, event) => {
-      // Deduplicate events
-      const eventId = `VRFRequested-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        requestId: requestId.toString(),
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('🎰 VRF requested:', eventData);
-      logEvent('VRFRequested', eventData);
-      
-      showTransactionStatus(`🎰 Random number requested for round #${eventData.roundId}. Drawing winners...`, 'info');
+    }
+  },
+  
+  // VRF, winners and prize events
+  VRFRequested: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`🎰 Random number requested for round #${args.roundId}. Drawing winners...`, 'info');
       updateRoundStatus(contract, provider);
-    });
-    
-    // Note: RoundPrizesDistributed listener removed - duplicate of listener at line 813
-    
-    // Emblem Vault integration events
-    contract.on('EmblemVaultPrizeAssigned', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId, winner, assetId, timestamp] = args;
-      
-      // Deduplicate events
-      const eventId = `EmblemVaultPrizeAssigned-${roundId.toString()}-${winner.toLowerCase()}-${assetId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        winner: winner.toLowerCase(),
-        assetId: assetId.toString(),
-        timestamp: Number(timestamp),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('🎁 Emblem Vault prize assigned:', eventData);
-      logEvent('EmblemVaultPrizeAssigned', eventData);
+    }
+  },
+  
+  VRFFulfilled: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`🎲 Randomness received for round #${args.roundId}. Winners are being finalized...`, 'info');
+      updateRoundStatus(contract, provider);
+      updateButtonStates();
+    }
+  },
+  
+  WinnersCommitted: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`🏆 Winners for round #${args.roundId} are published!`, 'success');
+      updateRoundStatus(contract, provider);
+      updateButtonStates();
       
-      // Show notification if it's the current user
-      if (eventData.winner === userAddress?.toLowerCase()) {
-        showTransactionStatus(`🎁 Congratulations! You won asset #${eventData.assetId}!`, 'success');
+      if (userAddress && window.location.pathname.includes('claim.html')) {
+        displayClaimablePrizes(contract, userAddress, Number(args.roundId));
+      }
+      if (userAddress && window.location.pathname.includes('main.html')) {
+        displayUnclaimedPrizesNotification(contract, userAddress);
+      }
+    }
+  },
+  
+  PrizeClaimed: {
+    pending: (event) => {
+      if (isCurrentUser(event.args.winner)) {
+        showPendingConfirmation('Your prize claim is', event);
+      }
+    },
+    confirmed: ({ args }) => {
+      const prizeNumber = Number(args.prizeIndex) + 1;
+      if (isCurrentUser(args.winner)) {
+        showTransactionStatus(`🎁 Prize #${prizeNumber} claim confirmed on-chain!`, 'success');
+      } else {
+        showTransactionStatus(`Prize #${prizeNumber} of round #${args.roundId} claimed by ${formatAddress(args.winner)}`, 'info');
       }
-    });
-    
-    contract.on('RoundPrizesDistributed', (...args) => {
-      const event = args[args.length - 1]; // Event is always the last parameter
-      const [roundId, winnerCount, timestamp] = args;
-      
-      // Deduplicate events
-      const eventId = `RoundPrizesDistributed-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        winnerCount: Number(winnerCount),
-        timestamp: Number(timestamp),
-        blockNumber: event?.blockNumber,
-        transactionHash: event?.transactionHash
-      };
-      console.log('🏆 Round prizes distribution completed:', eventData);
-      logEvent('RoundPrizesDistributed', eventData);
       
-      showTransactionStatus(`🏆 Round #${eventData.roundId} completed! ${eventData.winnerCount} prizes distributed.`, 'success');
+      if (userAddress && window.location.pathname.includes('claim.html')) {
+        displayClaimablePrizes(contract, userAddress, Number(args.roundId));
+      }
+    }
+  },
+  
+  EmblemVaultPrizeAssigned: {
+    confirmed: ({ args }) => {
+      if (isCurrentUser(args.winner)) {
+        showTransactionStatus(`🎁 Congratulations! You won asset #${args.assetId}!`, 'success');
+      }
+    }
+  },
+  
+  RoundPrizesDistributed: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`🏆 Round #${args.roundId} completed! ${args.winnerCount} prizes distributed.`, 'success');
       updateRoundStatus(contract, provider);
-    });
-    
-    contract.on('FeesDistributed', (roundId, creatorsAmount, nextRoundAmount, event) => {
-      // Deduplicate events
-      const eventId = `FeesDistributed-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        creatorsAmount: ethers.formatEther(creatorsAmount),
-        nextRoundAmount: ethers.formatEther(nextRoundAmount),
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('💰 Fees distributed:', eventData);
-      logEvent('FeesDistributed', eventData);
-    });
-    
-    // Security events
-    contract.on('AddressDenylisted', (user, status, event) => {
-      // Deduplicate events
-      const eventId = `AddressDenylisted-${user}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        user: user.toLowerCase(),
-        status: status,
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('🚫 Address denylist status changed:', eventData);
-      logEvent('AddressDenylisted', eventData);
-      
-      if (eventData.user === userAddress?.toLowerCase()) {
-        const message = status ? 'Your address has been denylisted' : 'Your address has been removed from denylist';
-        showTransactionStatus(message, status ? 'error' : 'success');
+    }
+  },
+  
+  FeesDistributed: {
+    confirmed: () => {} // Logged only
+  },
+  
+  // Security events
+  AddressDenylisted: {
+    confirmed: ({ args }) => {
+      if (isCurrentUser(args.wallet)) {
+        const message = args.denylisted ? 'Your address has been denylisted' : 'Your address has been removed from denylist';
+        showTransactionStatus(message, args.denylisted ? 'error' : 'success');
         showSecurityStatus(contract, userAddress);
       }
-    });
-    
-    contract.on('EmergencyPauseToggled', (paused, event) => {
-      // Deduplicate events
-      const eventId = `EmergencyPauseToggled-${paused}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        paused: paused,
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('⚠️ Emergency pause toggled:', eventData);
-      logEvent('EmergencyPauseToggled', eventData);
-      
-      const message = paused ? 'Emergency pause activated' : 'Emergency pause deactivated';
-      showTransactionStatus(message, paused ? 'warning' : 'success');
+    }
+  },
+  
+  EmergencyPauseToggled: {
+    confirmed: ({ args }) => {
+      const message = args.paused ? 'Emergency pause activated' : 'Emergency pause deactivated';
+      showTransactionStatus(message, args.paused ? 'warning' : 'success');
       
       if (userAddress) {
         showSecurityStatus(contract, userAddress);
       }
-    });
-    
-    contract.on('CircuitBreakerTriggered', (roundId, reason, event) => {
-      // Deduplicate events
-      const eventId = `CircuitBreakerTriggered-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        reason: reason,
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('🔒 Circuit breaker triggered:', eventData);
-      logEvent('CircuitBreakerTriggered', eventData);
-      
-      showTransactionStatus(`⚠️ Circuit breaker: ${eventData.reason}`, 'warning');
-    });
-    
-    contract.on('SecurityValidationFailed', (user, reason, event) => {
-      // Deduplicate events
-      const eventId = `SecurityValidationFailed-${user}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        user: user.toLowerCase(),
-        reason: reason,
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('❌ Security validation failed:', eventData);
-      logEvent('SecurityValidationFailed', eventData);
-      
-      if (eventData.user === userAddress?.toLowerCase()) {
-        showTransactionStatus(`Security validation failed: ${eventData.reason}`, 'error');
+    }
+  },
+  
+  CircuitBreakerTriggered: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`⚠️ Circuit breaker: ${args.reason}`, 'warning');
+    }
+  },
+  
+  SecurityValidationFailed: {
+    confirmed: ({ args }) => {
+      if (isCurrentUser(args.user)) {
+        showTransactionStatus(`Security validation failed: ${args.reason}`, 'error');
       }
-    });
-    
-    // VRF security events
-    contract.on('VRFTimeoutDetected', (roundId, requestTime, event) => {
-      // Deduplicate events
-      const eventId = `VRFTimeoutDetected-${roundId.toString()}-${event?.transactionHash || 'unknown'}`;
-      if (processedEvents.has(eventId)) return;
-      processedEvents.add(eventId);
-      
-      const eventData = {
-        roundId: roundId.toString(),
-        requestTime: requestTime.toString(),
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
-      };
-      console.log('⏰ VRF timeout detected:', eventData);
-      logEvent('VRFTimeoutDetected', eventData);
-      
-      showTransactionStatus(`⏰ VRF timeout detected for round #${eventData.roundId}`, 'warning');
-    });
-    
-    console.log('✅ Contract event listeners set up successfully');
-    
-  } catch (error) {
+    }
+  },
+  
+  VRFTimeoutDetected: {
+    confirmed: ({ args }) => {
+      showTransactionStatus(`⏰ VRF timeout detected for round #${args.roundId}`, 'warning');
+    }
+  }
+};
+
+// Stop the contract event pipeline (wallet, account or network changed)
+function stopContractEventListeners() {
+  if (eventPipeline) {
+    eventPipeline.stop().catch(error => console.warn('Error stopping event pipeline:', error.message));
+    eventPipeline = null;
+  }
+}
+
+// Replay contract events emitted since the pipeline's last processed block
+function resumeContractEventListeners() {
+  if (eventPipeline) {
+    eventPipeline.resume().catch(error => console.warn('Error replaying missed events:', error.message));
+  }
+}
+
+// Route every contract event through one confirmation-aware pipeline
+function setupContractEventListeners() {
+  if (!contract) return;
+  
+  // Prevent duplicate listener setup for the same contract instance
+  if (eventPipeline?.contract === contract) {
+    console.log('⏭️ Event listeners already set up, skipping...');
+    return;
+  }
+  
+  stopContractEventListeners();
+  
+  // contract.on() only sees new logs; the pipeline replays anything emitted since the last
+  // block it processed this session (e.g. while reconnectWallet swapped contracts)
+  eventPipeline = createEventPipeline(contract, CONTRACT_EVENT_HANDLERS, {
+    onRemoved: rollbackContractEvent,
+    onEvent: (stage, event) => logEvent(`${event.name} (${stage})`, describeContractEvent(event))
+  });
+  
+  eventPipeline.start().catch(error => {
     console.error('❌ Error setting up contract event listeners:', error);
     showTransactionStatus('Failed to set up event listeners', 'error');
-  }
+  });
 }
 
 // Select ticket bundle
@@ -1949,16 +2013,35 @@ async function buyTickets() {
       return;
     }
     
-    // Show wallet warning modal BEFORE proceeding
-    const userConfirmed = await showWalletWarningModal();
+    // Convert amount to wei
+    const amountWei = ethers.parseEther(amount.toString());
+    
+    // Pre-flight: simulate the exact purchase so a revert shows up before the wallet prompt
+    let preflight;
+    try {
+      showTransactionStatus('Simulating purchase...', 'info');
+      const simulation = await simulateTransaction(contract, 'buyTickets', [tickets], { value: amountWei });
+      const outcome = await projectBuyOutcome(contract, userAddress, tickets);
+      preflight = {
+        title: `Simulated: ${tickets} ticket${tickets === 1 ? '' : 's'} for ${amount} ETH`,
+        lines: [
+          `Your weight: ${outcome.weightBefore} → ${outcome.weightAfter}`,
+          `Your fake pack odds: ${outcome.oddsBefore} → ${outcome.oddsAfter}`,
+          describeGasCost(simulation)
+        ]
+      };
+    } catch (simulationError) {
+      handleTransactionError(simulationError, 'Buy Tickets');
+      return;
+    }
+    
+    // Show wallet warning modal (with the simulated outcome) BEFORE proceeding
+    const userConfirmed = await showWalletWarningModal(preflight);
     if (!userConfirmed) {
       showTransactionStatus('Purchase cancelled', 'info');
       return;
     }
     
-    // Convert amount to wei
-    const amountWei = ethers.parseEther(amount.toString());
-    
     console.log(`Placing bet: ${tickets} tickets for ${amount} ETH`);
     
     // Get button reference before try block for error handling
@@ -1997,8 +2080,11 @@ async function buyTickets() {
       showTransactionStatus('Transaction submitted, waiting for confirmation...', 'info');
       console.log('Transaction hash:', tx.hash);
       
-      // Wait for transaction confirmation
-      const receipt = await tx.wait();
+      // Wait for confirmation (tracked in the activity panel, follows wallet speed-ups)
+      const receipt = await trackTransaction(tx, {
+        action: 'buy',
+        label: `Buy ${tickets} ticket${tickets === 1 ? '' : 's'} (${amount} ETH)`
+      });
       
       console.log('Bet placed successfully:', receipt);
       showTransactionStatus(`✅ Bet placed successfully! ${tickets} tickets for ${amount} ETH`, 'success');
@@ -2120,6 +2206,27 @@ async function submitProof() {
         throw new Error('You have already submitted a proof for this round');
       }
       
+      // Hash the proof for on-chain storage
+      const proofHash = ethers.keccak256(ethers.toUtf8Bytes(sanitizedProof));
+      
+      // Pre-flight: simulate the exact submission so a revert shows up before the wallet prompt
+      showTransactionStatus('Simulating proof submission...', 'info');
+      const simulation = await simulateTransaction(contract, 'submitProof', [proofHash]);
+      const outcome = await projectProofOutcome(contract, userAddress);
+      const userConfirmed = await showPreflightModal({
+        title: 'Simulated: submit puzzle proof',
+        lines: [
+          `If your proof is correct, your weight: ${outcome.weightBefore} → ${outcome.weightIfCorrect} (+40%)`,
+          `If your proof is correct, your fake pack odds: ${outcome.oddsBefore} → ${outcome.oddsIfCorrect}`,
+          'A wrong proof still uses up your one submission for this round',
+          describeGasCost(simulation)
+        ]
+      });
+      if (!userConfirmed) {
+        showTransactionStatus('Proof submission cancelled', 'info');
+        return;
+      }
+      
       showTransactionStatus('Submitting puzzle proof...', 'info');
       
       // Disable submit button to prevent double-submission
@@ -2130,17 +2237,14 @@ async function submitProof() {
         submitProofBtn.textContent = 'Submitting...';
       }
       
-      // Hash the proof for on-chain storage
-      const proofHash = ethers.keccak256(ethers.toUtf8Bytes(sanitizedProof));
-      
       // Call contract method (enhanced version uses proofHash parameter)
       const tx = await contract.submitProof(proofHash);
       
       showTransactionStatus('Transaction submitted, waiting for confirmation...', 'info');
       console.log('Transaction hash:', tx.hash);
       
-      // Wait for transaction confirmation
-      const receipt = await tx.wait();
+      // Wait for confirmation (tracked in the activity panel, follows wallet speed-ups)
+      const receipt = await trackTransaction(tx, { action: 'proof', label: 'Submit puzzle proof' });
       
       console.log('Proof transaction confirmed:', receipt);
       showTransactionStatus('Proof submitted, validating...', 'info');
@@ -0,0 +1,279 @@
+// Contract Events Service - One confirmation-aware pipeline for PepedawnRaffle events
+// Every log moves through the same stages:
+//   pending   - seen, fewer than `confirmations` blocks deep
+//   confirmed - deep enough and its block hash is still the canonical one at that height
+//   removed   - ethers delivered it with `removed: true`, or the block at its height changed
+// Handlers show success only on confirmed, and get removed() to roll the UI back.
+//
+// contract.on() only sees new logs, so the pipeline remembers the last block it processed
+// (per contract, for this page session) and replays logs from there on start() and resume() -
+// after reconnectWallet rebuilds the pipeline, or a phone tab wakes up. That cursor only moves
+// once getLogs has covered the blocks: a new block head triggers a sweep every few blocks, so a
+// subscription that silently stops delivering logs can't make the pipeline skip them.
+import { scanLogs } from '@pepedawn/round-engine';
+import { CONTRACT_CONFIG } from '../contract-config.js';
+
+// Confirmed event IDs kept for de-duplication (oldest dropped first)
+const MAX_CONFIRMED_EVENTS = 500;
+
+// Replay re-reads at least this many blocks before the cursor, in case the subscription
+// hadn't delivered the newest block's logs yet (already-confirmed events are skipped)
+const REPLAY_OVERLAP_BLOCKS = 5;
+
+// Longer gaps only replay the most recent blocks; the periodic poll covers the rest
+const MAX_REPLAY_BLOCKS = 10000;
+
+// New block heads sweep getLogs once the cursor is this many blocks behind
+const SWEEP_INTERVAL_BLOCKS = 5;
+
+// Contract address -> { lastBlock, confirmed } shared by every pipeline for that contract
+const sessions = new Map();
+
+/**
+ * Session state for a contract (survives the pipeline being stopped and recreated)
+ * @param {string} contractAddress - Contract address
+ * @returns {{lastBlock: number|null, confirmed: Map<string, Object>}}
+ */
+function sessionFor(contractAddress) {
+  const key = contractAddress.toLowerCase();
+  if (!sessions.has(key)) {
+    sessions.set(key, { lastBlock: null, confirmed: new Map() });
+  }
+  return sessions.get(key);
+}
+
+/**
+ * Turn a decoded log into a typed event with named args
+ * @param {ethers.Log} log - Raw or EventLog
+ * @param {ethers.EventFragment} fragment - Event fragment the log matched
+ * @param {ethers.Result} decoded - Decoded event arguments
+ * @returns {Object} - { id, name, args, blockNumber, blockHash, transactionHash, logIndex }
+ */
+function toContractEvent(log, fragment, decoded) {
+  const args = {};
+  fragment.inputs.forEach((input, i) => {
+    args[input.name] = decoded[i];
+  });
+
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    name: fragment.name,
+    args,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index
+  };
+}
+
+/**
+ * Create an event pipeline for a contract
+ * @param {ethers.Contract} contract - PepedawnRaffle instance (runner must have a provider)
+ * @param {Object} handlers - Event name -> { pending?(event), confirmed?(event), removed?(event) }
+ *   Events without an entry are ignored.
+ * @param {Object} options
+ * @param {number} [options.confirmations] - Depth before confirmed (default: CONTRACT_CONFIG.eventConfirmations)
+ * @param {Function} [options.onRemoved] - Fallback removed() for handlers that don't define one
+ * @param {Function} [options.onEvent] - Called with (stage, event) for every stage of every handled event
+ * @returns {{contract: ethers.Contract, start: Function, stop: Function, resume: Function, getPendingEvents: Function}}
+ */
+export function createEventPipeline(contract, handlers, options = {}) {
+  const provider = contract.runner?.provider || contract.runner;
+  const confirmations = Math.max(1, options.confirmations ?? CONTRACT_CONFIG.eventConfirmations);
+  const pending = new Map();
+  let session = null;
+  let checking = Promise.resolve();
+  let replaying = null;
+  let running = false;
+
+  const run = (stage, event) => {
+    if (options.onEvent) options.onEvent(stage, event);
+    const handler = handlers[event.name]?.[stage] || (stage === 'removed' ? options.onRemoved : null);
+    if (!handler) return;
+    try {
+      Promise.resolve(handler(event)).catch(error => {
+        console.error(`${event.name} ${stage} handler failed:`, error);
+      });
+    } catch (error) {
+      console.error(`${event.name} ${stage} handler failed:`, error);
+    }
+  };
+
+  const remove = (id, reason) => {
+    const event = pending.get(id) || session.confirmed.get(id);
+    if (!event) return;
+    pending.delete(id);
+    session.confirmed.delete(id);
+    console.warn(`↩️ ${event.name} in block ${event.blockNumber} removed (${reason})`);
+    run('removed', event);
+  };
+
+  const confirm = (event) => {
+    pending.delete(event.id);
+    session.confirmed.set(event.id, event);
+    if (session.confirmed.size > MAX_CONFIRMED_EVENTS) {
+      session.confirmed.delete(session.confirmed.keys().next().value);
+    }
+    run('confirmed', event);
+  };
+
+  // Re-check every pending event against the canonical chain at `head`
+  const checkPending = async (head) => {
+    const hashes = new Map();
+
+    for (const event of [...pending.values()]) {
+      try {
+        if (!hashes.has(event.blockNumber)) {
+          const block = await provider.getBlock(event.blockNumber);
+          hashes.set(event.blockNumber, block ? block.hash : null);
+        }
+      } catch (error) {
+        console.warn(`Could not load block ${event.blockNumber} for ${event.name}:`, error.message);
+        continue; // retried on the next block
+      }
+
+      const canonicalHash = hashes.get(event.blockNumber);
+      if (canonicalHash === null) continue; // node hasn't seen the block yet
+
+      if (canonicalHash !== event.blockHash) {
+        remove(event.id, 'block hash changed');
+      } else if (head - event.blockNumber + 1 >= confirmations) {
+        confirm(event);
+      }
+    }
+  };
+
+  // Serialize checks so a slow getBlock never confirms the same event twice
+  const scheduleCheck = (head) => {
+    checking = checking.then(async () => {
+      if (!running || pending.size === 0) return;
+      await checkPending(head ?? await provider.getBlockNumber());
+    }).catch(error => {
+      console.warn('Event confirmation check failed:', error.message);
+    });
+    return checking;
+  };
+
+  // Feed one decoded log into the pipeline; returns true if it was new
+  const ingest = (log, fragment, decoded) => {
+    if (!handlers[fragment.name]) return false;
+
+    const event = toContractEvent(log, fragment, decoded);
+
+    if (log.removed) {
+      remove(event.id, 'removed by the node');
+      return false;
+    }
+
+    const known = pending.get(event.id) || session.confirmed.get(event.id);
+    if (known) {
+      if (known.blockHash === event.blockHash) return false; // duplicate delivery
+      remove(event.id, 'mined again in another block');
+    }
+
+    pending.set(event.id, event);
+    run('pending', event);
+    return true;
+  };
+
+  const onLog = (payload) => {
+    const log = payload.log;
+    if (!log?.fragment) return;
+    if (ingest(log, log.fragment, log.args)) {
+      scheduleCheck();
+    }
+  };
+
+  // Query logs emitted since the session's last processed block
+  const replay = async () => {
+    const head = await provider.getBlockNumber();
+    if (session.lastBlock === null) {
+      session.lastBlock = head; // first pipeline this page load - the UI just read fresh state
+      return;
+    }
+
+    let fromBlock = Math.max(0, session.lastBlock - Math.max(confirmations, REPLAY_OVERLAP_BLOCKS) + 1);
+    if (head - fromBlock + 1 > MAX_REPLAY_BLOCKS) {
+      console.warn(`⚠️ ${head - session.lastBlock} blocks since the last processed event - replaying only the last ${MAX_REPLAY_BLOCKS}`);
+      fromBlock = head - MAX_REPLAY_BLOCKS + 1;
+    }
+
+    let replayed = 0;
+    await scanLogs(provider, { address: await contract.getAddress() }, fromBlock, head, {
+      onChunk: (logs, chunkToBlock) => {
+        for (const log of logs) {
+          const parsed = contract.interface.parseLog(log);
+          if (parsed && ingest(log, parsed.fragment, parsed.args)) replayed++;
+        }
+        // Every log up to chunkToBlock has been ingested
+        session.lastBlock = Math.max(session.lastBlock, chunkToBlock);
+      }
+    });
+
+    if (replayed > 0) {
+      console.log(`🔁 Replayed ${replayed} missed contract event(s) from blocks ${fromBlock}-${head}`);
+    }
+    await scheduleCheck(head);
+  };
+
+  // One replay at a time (start, resume and block sweeps share it)
+  const catchUp = () => {
+    if (!replaying) {
+      replaying = replay().finally(() => { replaying = null; });
+    }
+    return replaying;
+  };
+
+  const onBlock = (blockNumber) => {
+    scheduleCheck(blockNumber);
+    if (session.lastBlock !== null && blockNumber - session.lastBlock >= SWEEP_INTERVAL_BLOCKS) {
+      catchUp().catch(error => {
+        console.warn('Contract log sweep failed (retried on the next block):', error.message);
+      });
+    }
+  };
+
+  return {
+    contract,
+
+    /**
+     * Subscribe to contract logs and new blocks
+     */
+    async start() {
+      if (running) return;
+      running = true;
+      session = sessionFor(await contract.getAddress());
+      await contract.on('*', onLog);
+      await provider.on('block', onBlock);
+      console.log(`🎧 Contract event pipeline started (${confirmations} confirmation${confirmations === 1 ? '' : 's'})`);
+      await this.resume();
+    },
+
+    /**
+     * Replay logs missed since the last processed block (tab woke up, connection came back)
+     */
+    async resume() {
+      if (!running) return;
+      await catchUp();
+    },
+
+    /**
+     * Unsubscribe and forget every tracked event
+     */
+    async stop() {
+      if (!running) return;
+      running = false;
+      pending.clear(); // Replayed by the next pipeline, which starts below session.lastBlock
+      await contract.off('*', onLog);
+      await provider.off('block', onBlock);
+    },
+
+    /**
+     * Events seen but not yet confirmed
+     * @returns {Array<Object>}
+     */
+    getPendingEvents() {
+      return [...pending.values()];
+    }
+  };
+}
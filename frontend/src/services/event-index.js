@@ -0,0 +1,99 @@
+// Event Index Service - Per-browser event index for leaderboard and stats pages
+// One chunked getLogs sweep (then only new blocks) replaces a getUserStats call per participant.
+import { ethers } from 'ethers';
+import {
+  createEventIndex,
+  isCompatibleIndex,
+  findDeploymentBlock,
+  syncEvents,
+  buildRoundState
+} from '@pepedawn/round-engine';
+import { CONTRACT_CONFIG } from '../contract-config.js';
+
+const STORAGE_PREFIX = 'pepedawn.eventIndex.';
+
+// Contract address -> in-flight sync, so concurrent callers share one sweep
+const pendingSyncs = new Map();
+
+/**
+ * Load the stored index for a contract
+ * @param {string} contractAddress - Contract address
+ * @returns {Object|null} - Index, or null if missing/incompatible
+ */
+function loadIndex(contractAddress) {
+  try {
+    const index = JSON.parse(localStorage.getItem(STORAGE_PREFIX + contractAddress.toLowerCase()));
+    return isCompatibleIndex(index, contractAddress) ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist an index after a confirmed chunk
+ * @param {Object} index - Index
+ */
+function saveIndex(index) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + index.contractAddress.toLowerCase(), JSON.stringify(index));
+  } catch {
+    // Storage full or disabled - the index is rebuilt next visit
+  }
+}
+
+/**
+ * Sync the event index for a contract and return all events up to the chain head
+ * @param {ethers.Contract} contract - PepedawnRaffle instance (any runner with a provider)
+ * @returns {Promise<Array>} - Events in chain order
+ */
+export async function syncEventIndex(contract) {
+  const contractAddress = await contract.getAddress();
+  const key = contractAddress.toLowerCase();
+
+  if (pendingSyncs.has(key)) {
+    return pendingSyncs.get(key);
+  }
+
+  const pending = (async () => {
+    const provider = contract.runner?.provider || contract.runner;
+    let index = loadIndex(contractAddress);
+
+    if (!index) {
+      const startBlock = CONTRACT_CONFIG.deploymentBlock ?? await findDeploymentBlock(provider, contractAddress);
+      index = createEventIndex(contractAddress, startBlock);
+    }
+
+    return syncEvents(provider, index, { onCheckpoint: saveIndex });
+  })();
+
+  pendingSyncs.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    pendingSyncs.delete(key);
+  }
+}
+
+/**
+ * Participant stats for a round, rebuilt from events
+ * @param {ethers.Contract} contract - PepedawnRaffle instance
+ * @param {number|string|bigint} roundId - Round ID
+ * @returns {Promise<Object>} - Round state from buildRoundState
+ */
+export async function getIndexedRoundState(contract, roundId) {
+  const events = await syncEventIndex(contract);
+  return buildRoundState(events, roundId);
+}
+
+/**
+ * One participant's stats for a round, shaped like getUserStats()
+ * @param {ethers.Contract} contract - PepedawnRaffle instance
+ * @param {number|string|bigint} roundId - Round ID
+ * @param {string} address - Participant address
+ * @returns {Promise<{wagered: bigint, tickets: bigint, weight: bigint, hasProof: boolean, proofVerified: boolean}>}
+ */
+export async function getIndexedUserStats(contract, roundId, address) {
+  const state = await getIndexedRoundState(contract, roundId);
+  const participant = state.participants.find(p => p.address === ethers.getAddress(address));
+  return participant || { wagered: 0n, tickets: 0n, weight: 0n, hasProof: false, proofVerified: false };
+}
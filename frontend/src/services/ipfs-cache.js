@@ -0,0 +1,160 @@
+// IPFS Cache Service - Persistent IndexedDB cache for Participants and Winners files
+// CIDs are content-addressed, so a cached entry never goes stale; eviction only bounds size.
+// Every operation degrades to "no cache" if IndexedDB is unavailable (private mode, old browsers).
+
+const DB_NAME = 'pepedawn-ipfs-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+
+const MAX_ENTRIES = 100;
+const MAX_BYTES = 25 * 1024 * 1024; // 25 MB of JSON
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'cid' });
+        store.createIndex('lastAccessedAt', 'lastAccessedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call retry instead of caching the failure forever
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve when the transaction completes
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store; may return an IDBRequest
+ * @returns {Promise<*>} - The returned request's result, if any
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Get a cached file by CID
+ * @param {string} cid - IPFS CID
+ * @returns {Promise<Object|null>} - Parsed JSON file, or null on a miss
+ */
+export async function getCachedFile(cid) {
+  try {
+    const entry = await withStore('readwrite', store => {
+      const request = store.get(cid);
+      request.onsuccess = () => {
+        if (request.result) {
+          // Touch for least-recently-used eviction
+          store.put({ ...request.result, lastAccessedAt: Date.now() });
+        }
+      };
+      return request;
+    });
+    return entry ? entry.data : null;
+  } catch (error) {
+    console.warn('IPFS cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a verified file under its CID, then evict least-recently-used entries over the limits
+ * @param {string} cid - IPFS CID the content was verified against
+ * @param {Object} data - Parsed JSON file
+ */
+export async function cacheFile(cid, data) {
+  try {
+    const now = Date.now();
+    await withStore('readwrite', store => {
+      store.put({ cid, data, size: JSON.stringify(data).length, storedAt: now, lastAccessedAt: now });
+    });
+    await evictEntries();
+  } catch (error) {
+    console.warn('IPFS cache write failed:', error.message);
+  }
+}
+
+/**
+ * Delete least-recently-used entries until the cache is within MAX_ENTRIES and MAX_BYTES
+ */
+async function evictEntries() {
+  await withStore('readwrite', store => {
+    const entries = [];
+    const cursorRequest = store.index('lastAccessedAt').openCursor();
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        entries.push({ cid: cursor.value.cid, size: cursor.value.size });
+        cursor.continue();
+        return;
+      }
+
+      // Oldest first - drop from the front until within limits
+      let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+      let count = entries.length;
+      for (const entry of entries) {
+        if (count <= MAX_ENTRIES && totalBytes <= MAX_BYTES) break;
+        store.delete(entry.cid);
+        count--;
+        totalBytes -= entry.size;
+      }
+    };
+  });
+}
+
+/**
+ * Cache size for display
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export async function getCacheStats() {
+  try {
+    const all = await withStore('readonly', store => store.getAll());
+    return {
+      entries: all.length,
+      bytes: all.reduce((sum, entry) => sum + entry.size, 0)
+    };
+  } catch {
+    return { entries: 0, bytes: 0 };
+  }
+}
+
+/**
+ * Remove every cached file
+ * @returns {Promise<boolean>} - True if the cache was cleared
+ */
+export async function clearIPFSCache() {
+  try {
+    await withStore('readwrite', store => {
+      store.clear();
+    });
+    console.log('🧹 IPFS cache cleared');
+    return true;
+  } catch (error) {
+    console.warn('IPFS cache clear failed:', error.message);
+    return false;
+  }
+}
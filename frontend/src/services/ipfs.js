@@ -1,181 +1,260 @@
-// IPFS Service for fetching Participants and Winners files
-// Implements gateway fallback strategy with timeout handling
-
-const IPFS_GATEWAYS = [
-  'https://dweb.link/ipfs',             // Most reliable, CORS-friendly
-  'https://ipfs.io/ipfs',               // Official gateway
-  'https://w3s.link/ipfs',              // Web3.Storage gateway
-  'https://nftstorage.link/ipfs',       // NFT.Storage gateway - very reliable
-  'https://cloudflare-ipfs.com/ipfs',   // Cloudflare (try both variations)
-  'https://cf-ipfs.com/ipfs',           // Cloudflare alternate
-  'https://gateway.pinata.cloud/ipfs'   // Has rate limits but good fallback
-];
+// IPFS Service for fetching content-addressed files
+// Races several gateways at once, ordered by per-browser health scores
+// Content is only accepted if its bytes hash to the requested CID, then cached by CID
+import { verifyCid } from '@pepedawn/round-engine';
+import { CONTRACT_CONFIG } from '../contract-config.js';
+import { getCachedFile, cacheFile } from './ipfs-cache.js';
 
 const DEFAULT_TIMEOUT = 60000; // 60 seconds as per spec
+const RACE_WIDTH = 3; // Gateways in flight at once; a failure starts the next one
+const HEALTH_STORAGE_KEY = 'pepedawn.ipfsGatewayHealth';
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the latency average
+
+// CID -> in-flight fetch, so concurrent callers (claims, leaderboard, 60s polls) share one request
+const pendingFetches = new Map();
 
 /**
- * Fetch a file from IPFS with local fallback and gateway fallback
- * @param {string} cid - IPFS CID
- * @param {number} timeout - Timeout in milliseconds
- * @param {string} fileType - Type of file ('winners' or 'participants')
+ * Read a response as JSON, but only if its raw bytes are the content addressed by the CID
+ * @dev Gateways and local copies are untrusted - a different but well-formed file would
+ *      pass every shape check, so the CID is recomputed from the bytes before parsing.
+ * @param {Response} response - Fetch response
+ * @param {string} cid - CID the content was requested by
+ * @param {string} source - Gateway or URL (for error messages)
  * @returns {Promise<Object>} - Parsed JSON object
  */
-export async function fetchFromIPFS(cid, timeout = DEFAULT_TIMEOUT, fileType = null, roundId = null) {
-  if (!cid || cid.trim() === '') {
-    throw new Error('Invalid CID provided');
+async function readVerifiedJson(response, cid, source) {
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const { valid, computed } = await verifyCid(bytes, cid);
+  
+  if (!valid) {
+    throw new Error(
+      `Content from ${source} does not match CID ${cid}` + (computed ? ` (content hashes to ${computed})` : '')
+    );
   }
-
-  const errors = [];
   
-  // Try local file first (for development) - only try relevant file type
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Load per-gateway health from localStorage
+ * @returns {Object} - { [gateway]: { successes, failures, latencyMs } }
+ */
+function loadGatewayHealth() {
   try {
-    console.log('🏠 Attempting to fetch from local files...');
-    
-    let localUrls = [];
-    if (fileType === 'winners') {
-      // Use provided roundId or fallback to round 1
-      const targetRound = roundId || 1;
-      localUrls = [`/winners/winners-round-${targetRound}.json`];
-    } else if (fileType === 'participants') {
-      // Use provided roundId or fallback to round 1
-      const targetRound = roundId || 1;
-      localUrls = [`/participants/participants-round-${targetRound}.json`];
-    } else {
-      // Fallback: try both (for backward compatibility)
-      const targetRound = roundId || 1;
-      localUrls = [
-        `/winners/winners-round-${targetRound}.json`,
-        `/participants/participants-round-${targetRound}.json`
-      ];
-    }
-    
-    for (const localUrl of localUrls) {
-      try {
-        const response = await fetch(localUrl);
-        if (response.ok) {
-          const data = await response.json();
-          console.log(`✅ Successfully fetched from local file: ${localUrl}`);
-          return data;
-        }
-      } catch {
-        // Continue to next local file
-      }
-    }
+    return JSON.parse(localStorage.getItem(HEALTH_STORAGE_KEY)) || {};
   } catch {
-    console.log('🏠 Local files not available, trying IPFS gateways...');
-  }
-  
-  // Try each gateway in sequence
-  for (const gateway of IPFS_GATEWAYS) {
-    try {
-      console.log(`Attempting to fetch from ${gateway}...`);
-      const url = `${gateway}/${cid}`;
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-      
-      const response = await fetch(url, {
-        signal: controller.signal,
-        mode: 'cors',
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      console.log(`✅ Successfully fetched from ${gateway}`);
-      return data;
-      
-    } catch (error) {
-      const errorMsg = error.name === 'AbortError' 
-        ? `Timeout after ${timeout}ms` 
-        : error.message;
-      console.warn(`❌ Failed to fetch from ${gateway}: ${errorMsg}`);
-      errors.push({ gateway, error: errorMsg });
-      
-      // Small delay before trying next gateway to avoid hammering
-      if (IPFS_GATEWAYS.indexOf(gateway) < IPFS_GATEWAYS.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
-    }
+    // Storage disabled or corrupted - start fresh
+    return {};
   }
-  
-  // All gateways failed
-  throw new Error(
-    `Failed to fetch CID ${cid} from all gateways. Errors: ${
-      errors.map(e => `${e.gateway}: ${e.error}`).join('; ')
-    }`
-  );
 }
 
 /**
- * Fetch Participants File for a round
- * @param {string} cid - IPFS CID from contract
- * @param {number} roundId - Round ID for validation
- * @returns {Promise<Object>} - Participants file data
+ * Record the outcome of one gateway request
+ * @param {string} gateway - Gateway base URL
+ * @param {boolean} success - Whether it returned verified content
+ * @param {number} latencyMs - Time to verified content (successes only)
  */
-export async function fetchParticipantsFile(cid, roundId) {
-  const data = await fetchFromIPFS(cid, DEFAULT_TIMEOUT, 'participants', roundId);
+function recordGatewayResult(gateway, success, latencyMs = null) {
+  const health = loadGatewayHealth();
+  const entry = health[gateway] || { successes: 0, failures: 0, latencyMs: null };
   
-  // Validate file structure
-  if (data.version !== '1.0') {
-    throw new Error(`Unsupported Participants File version: ${data.version}`);
+  if (success) {
+    entry.successes++;
+    entry.latencyMs = entry.latencyMs === null
+      ? latencyMs
+      : Math.round(entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  } else {
+    entry.failures++;
   }
   
-  if (data.roundId.toString() !== roundId.toString()) {
-    throw new Error(`Round ID mismatch: expected ${roundId}, got ${data.roundId}`);
-  }
-  
-  if (!data.participants || !Array.isArray(data.participants)) {
-    throw new Error('Invalid Participants File: missing participants array');
-  }
-  
-  if (!data.merkle || !data.merkle.root) {
-    throw new Error('Invalid Participants File: missing merkle root');
+  health[gateway] = entry;
+  try {
+    localStorage.setItem(HEALTH_STORAGE_KEY, JSON.stringify(health));
+  } catch {
+    // Storage full or disabled - scores just won't persist
   }
-  
-  console.log(`✅ Participants File validated for round ${roundId}`);
-  return data;
 }
 
 /**
- * Fetch Winners File for a round
- * @param {string} cid - IPFS CID from contract
- * @param {number} roundId - Round ID for validation
- * @returns {Promise<Object>} - Winners file data
+ * Score a gateway: smoothed success rate divided by average latency in seconds
+ * @dev Unknown gateways score as a coin flip at 1s so they still get tried
  */
-export async function fetchWinnersFile(cid, roundId) {
-  const data = await fetchFromIPFS(cid, DEFAULT_TIMEOUT, 'winners', roundId);
+function gatewayScore(entry) {
+  if (!entry) return 0.5;
+  const successRate = (entry.successes + 1) / (entry.successes + entry.failures + 2);
+  return successRate / Math.max((entry.latencyMs ?? 1000) / 1000, 0.1);
+}
+
+/**
+ * Gateways, best score first (configured order breaks ties)
+ * @param {string[]} gateways - Gateway base URLs
+ * @returns {string[]} - Gateway base URLs
+ */
+function rankGateways(gateways) {
+  const health = loadGatewayHealth();
+  return gateways
+    .map((gateway, index) => ({ gateway, index, score: gatewayScore(health[gateway]) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ gateway }) => gateway);
+}
+
+/**
+ * Fetch and verify a CID from one gateway
+ * @param {string} gateway - Gateway base URL
+ * @param {string} cid - IPFS CID
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortController} controller - Aborted by the race once another gateway wins
+ * @returns {Promise<Object>} - Parsed, CID-verified JSON
+ */
+async function fetchFromGateway(gateway, cid, timeout, controller) {
+  const startedAt = performance.now();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
   
-  // Validate file structure
-  if (data.version !== '1.0') {
-    throw new Error(`Unsupported Winners File version: ${data.version}`);
+  try {
+    const response = await fetch(`${gateway}/${cid}`, {
+      signal: controller.signal,
+      mode: 'cors',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    return {
+      data: await readVerifiedJson(response, cid, gateway),
+      latencyMs: Math.round(performance.now() - startedAt)
+    };
+  } finally {
+    clearTimeout(timeoutId);
   }
+}
+
+/**
+ * Race the configured gateways for a CID
+ * @dev Keeps RACE_WIDTH requests in flight, best-scored gateways first. The first
+ *      CID-verified response wins and the rest are aborted; losers cancelled this way
+ *      are not counted against their score.
+ * @param {string} cid - IPFS CID
+ * @param {number} timeout - Per-gateway timeout in milliseconds
+ * @param {string[]} candidates - Gateway base URLs
+ * @returns {Promise<Object>} - Parsed JSON object
+ */
+function raceGateways(cid, timeout, candidates) {
+  const gateways = rankGateways(candidates);
+  const controllers = new Map();
+  const errors = [];
+  let next = 0;
+  let inFlight = 0;
+  let settled = false;
   
-  if (data.roundId.toString() !== roundId.toString()) {
-    throw new Error(`Round ID mismatch: expected ${roundId}, got ${data.roundId}`);
+  return new Promise((resolve, reject) => {
+    const launch = () => {
+      while (!settled && inFlight < RACE_WIDTH && next < gateways.length) {
+        const gateway = gateways[next++];
+        const controller = new AbortController();
+        controllers.set(gateway, controller);
+        inFlight++;
+        console.log(`Attempting to fetch from ${gateway}...`);
+        
+        fetchFromGateway(gateway, cid, timeout, controller)
+          .then(({ data, latencyMs }) => {
+            inFlight--;
+            if (settled) return;
+            settled = true;
+            
+            recordGatewayResult(gateway, true, latencyMs);
+            controllers.forEach((other, otherGateway) => {
+              if (otherGateway !== gateway) other.abort();
+            });
+            
+            console.log(`✅ Successfully fetched from ${gateway} in ${latencyMs}ms (CID verified)`);
+            resolve(data);
+          })
+          .catch(error => {
+            inFlight--;
+            if (settled) return;
+            
+            const errorMsg = error.name === 'AbortError'
+              ? `Timeout after ${timeout}ms`
+              : error.message;
+            console.warn(`❌ Failed to fetch from ${gateway}: ${errorMsg}`);
+            errors.push({ gateway, error: errorMsg });
+            recordGatewayResult(gateway, false);
+            
+            if (inFlight === 0 && next >= gateways.length) {
+              settled = true;
+              // All gateways failed
+              reject(new Error(
+                `Failed to fetch CID ${cid} from all gateways. Errors: ${
+                  errors.map(e => `${e.gateway}: ${e.error}`).join('; ')
+                }`
+              ));
+            } else {
+              launch();
+            }
+          });
+      }
+    };
+    
+    if (gateways.length === 0) {
+      reject(new Error('No IPFS gateways configured'));
+      return;
+    }
+    launch();
+  });
+}
+
+/**
+ * Fetch a file from IPFS, served from the IndexedDB cache when possible
+ * @dev Every gateway response is verified against the CID; a mismatch counts as a failed
+ *      gateway. Verified files are cached forever (content-addressed), bounded by LRU eviction.
+ *      Round files should go through services/round-data.js, which picks the data source.
+ * @param {string} cid - IPFS CID
+ * @param {number} timeout - Per-gateway timeout in milliseconds
+ * @param {string[]} gateways - Gateway base URLs (default: CONTRACT_CONFIG.ipfsGateways)
+ * @returns {Promise<Object>} - Parsed JSON object
+ */
+export async function fetchFromIPFS(cid, timeout = DEFAULT_TIMEOUT, gateways = CONTRACT_CONFIG.ipfsGateways) {
+  if (!cid || cid.trim() === '') {
+    throw new Error('Invalid CID provided');
   }
   
-  if (!data.winners || !Array.isArray(data.winners)) {
-    throw new Error('Invalid Winners File: missing winners array');
+  if (pendingFetches.has(cid)) {
+    return pendingFetches.get(cid);
   }
   
-  if (data.winners.length !== 10) {
-    throw new Error(`Invalid Winners File: expected 10 winners, got ${data.winners.length}`);
-  }
+  const pending = (async () => {
+    const cached = await getCachedFile(cid);
+    if (cached) {
+      console.log(`⚡ Loaded ${cid} from cache`);
+      return cached;
+    }
+    
+    const data = await fetchUncached(cid, timeout, gateways);
+    await cacheFile(cid, data);
+    return data;
+  })();
   
-  if (!data.merkle || !data.merkle.root) {
-    throw new Error('Invalid Winners File: missing merkle root');
+  pendingFetches.set(cid, pending);
+  try {
+    return await pending;
+  } finally {
+    pendingFetches.delete(cid);
   }
-  
-  console.log(`✅ Winners File validated for round ${roundId}`);
-  return data;
+}
+
+/**
+ * Fetch a file from the gateways without touching the cache
+ * @param {string} cid - IPFS CID
+ * @param {number} timeout - Per-gateway timeout in milliseconds
+ * @param {string[]} gateways - Gateway base URLs to race
+ * @returns {Promise<Object>} - Parsed JSON object
+ */
+function fetchUncached(cid, timeout, gateways) {
+  return raceGateways(cid, timeout, gateways);
 }
 
 /**
@@ -187,7 +266,7 @@ export async function checkIPFSHealth() {
   const testCid = 'QmQPeNsJPyVWPFDVHb77w8G42Fvo15z4bG2X8D2GhfbSXc';
   
   try {
-    await fetchFromIPFS(testCid, 10000, null); // 10 second timeout for health check, no file type
+    await fetchUncached(testCid, 10000, CONTRACT_CONFIG.ipfsGateways); // 10 second timeout, bypasses the cache
     return true;
   } catch (error) {
     console.error('IPFS health check failed:', error.message);
@@ -1,165 +1,31 @@
 // Merkle Service for proof generation and verification
-// Uses merkletreejs library with keccak256 hashing
+// Thin wrapper around @pepedawn/round-engine (merkletreejs + keccak256)
 
-import { ethers } from 'ethers';
-import { MerkleTree } from 'merkletreejs';
 import { Buffer } from 'buffer';
+import {
+  buildParticipantsTree,
+  buildWinnersTree,
+  selectWinnersOffChain,
+  RAFFLE_ALGORITHM
+} from '@pepedawn/round-engine';
 
 // Make Buffer available globally for merkletreejs
 if (typeof window !== 'undefined') {
   window.Buffer = Buffer;
 }
 
-/**
- * Build Merkle tree from participants data
- * @param {Array} participants - Array of participant objects with address and weight
- * @returns {MerkleTree} - Constructed Merkle tree
- */
-export function buildParticipantsTree(participants) {
-  if (!participants || participants.length === 0) {
-    throw new Error('Cannot build tree: no participants provided');
-  }
-  
-  // Generate leaves: keccak256(abi.encode(address, uint128 weight))
-  const leaves = participants.map(p => {
-    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
-      ['address', 'uint128'],
-      [p.address, BigInt(p.weight)]
-    );
-    return ethers.keccak256(encoded);
-  });
-  
-  // Build tree with sorted pairs for deterministic root
-  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
-  
-  return tree;
-}
-
-/**
- * Build Merkle tree from winners data
- * @param {Array} winners - Array of winner objects with address, prizeTier, and prizeIndex
- * @returns {MerkleTree} - Constructed Merkle tree
- */
-export function buildWinnersTree(winners) {
-  if (!winners || winners.length === 0) {
-    throw new Error('Cannot build tree: no winners provided');
-  }
-  
-  // Generate leaves: keccak256(abi.encodePacked(address, uint8 prizeTier, uint8 prizeIndex))
-  const leaves = winners.map(w => {
-    return ethers.solidityPackedKeccak256(
-      ['address', 'uint8', 'uint8'],
-      [w.address, w.prizeTier, w.prizeIndex]
-    );
-  });
-  
-  // Build tree with sorted pairs for deterministic root
-  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
-  
-  return tree;
-}
-
-/**
- * Generate Merkle proof for a participant
- * @param {Array} participants - Array of all participants
- * @param {string} address - Address to generate proof for
- * @returns {Array<string>} - Merkle proof (array of hashes)
- */
-export function generateParticipantProof(participants, address) {
-  const tree = buildParticipantsTree(participants);
-  
-  // Find the participant
-  const participant = participants.find(
-    p => p.address.toLowerCase() === address.toLowerCase()
-  );
-  
-  if (!participant) {
-    throw new Error(`Address ${address} not found in participants`);
-  }
-  
-  // Generate leaf for this participant
-  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
-    ['address', 'uint128'],
-    [participant.address, BigInt(participant.weight)]
-  );
-  const leaf = ethers.keccak256(encoded);
-  
-  // Get proof
-  const proof = tree.getHexProof(leaf);
-  
-  return proof;
-}
-
-/**
- * Generate Merkle proof for a winner
- * @param {Array} winners - Array of all winners
- * @param {string} address - Address to generate proof for
- * @param {number} prizeIndex - Prize index to generate proof for
- * @returns {Array<string>} - Merkle proof (array of hashes)
- */
-export function generateWinnerProof(winners, address, prizeIndex) {
-  const tree = buildWinnersTree(winners);
-  
-  // Find the winner entry
-  const winner = winners.find(
-    w => w.address.toLowerCase() === address.toLowerCase() && w.prizeIndex === prizeIndex
-  );
-  
-  if (!winner) {
-    throw new Error(`Winner not found: ${address} for prize ${prizeIndex}`);
-  }
-  
-  // Generate leaf for this winner
-  const leaf = ethers.solidityPackedKeccak256(
-    ['address', 'uint8', 'uint8'],
-    [winner.address, winner.prizeTier, winner.prizeIndex]
-  );
-  
-  // Get proof
-  const proof = tree.getHexProof(leaf);
-  
-  return proof;
-}
-
-/**
- * Verify a participant proof against a root
- * @param {Array<string>} proof - Merkle proof
- * @param {string} root - Merkle root
- * @param {string} address - Participant address
- * @param {string} weight - Participant weight
- * @returns {boolean} - True if proof is valid
- */
-export function verifyParticipantProof(proof, root, address, weight) {
-  // Generate leaf
-  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
-    ['address', 'uint128'],
-    [address, BigInt(weight)]
-  );
-  const leaf = ethers.keccak256(encoded);
-  
-  // Verify proof
-  return MerkleTree.verify(proof, leaf, root, ethers.keccak256, { sortPairs: true });
-}
-
-/**
- * Verify a winner proof against a root
- * @param {Array<string>} proof - Merkle proof
- * @param {string} root - Merkle root
- * @param {string} address - Winner address
- * @param {number} prizeTier - Prize tier
- * @param {number} prizeIndex - Prize index
- * @returns {boolean} - True if proof is valid
- */
-export function verifyWinnerProof(proof, root, address, prizeTier, prizeIndex) {
-  // Generate leaf
-  const leaf = ethers.solidityPackedKeccak256(
-    ['address', 'uint8', 'uint8'],
-    [address, prizeTier, prizeIndex]
-  );
-  
-  // Verify proof
-  return MerkleTree.verify(proof, leaf, root, ethers.keccak256, { sortPairs: true });
-}
+// Leaf encoding, tree building and proofs live in the shared round engine so the
+// frontend always agrees with the CLI that generated the committed roots.
+export {
+  buildParticipantsTree,
+  buildWinnersTree,
+  computeParticipantsRoot,
+  computeWinnersRoot,
+  generateParticipantProof,
+  generateWinnerProof,
+  verifyParticipantProof,
+  verifyWinnerProof
+} from '@pepedawn/round-engine';
 
 /**
  * Get all prizes won by a specific address
@@ -237,3 +103,90 @@ export function verifyParticipantsFile(participantsFile, onChainRoot) {
   console.log('✅ Participants File verified against on-chain data');
   return true;
 }
+
+/**
+ * Check that a Winners File's algorithm block describes the raffle we can rerun
+ * @param {Object} algorithm - `algorithm` block from the Winners File
+ * @returns {boolean} - True if the round engine implements this algorithm
+ */
+export function isSupportedAlgorithm(algorithm) {
+  if (!algorithm) return false;
+  return ['type', 'scale', 'baseWeightPerTicket', 'proofWeightPerTicket']
+    .every(key => String(algorithm[key]) === RAFFLE_ALGORITHM[key]);
+}
+
+/**
+ * Audit a draw: rerun the raffle from the Participants File and VRF seed and
+ * compare every draw against the published Winners File and on-chain roots
+ * @param {Object} participantsFile - Participants file from IPFS
+ * @param {Object} winnersFile - Winners file from IPFS
+ * @param {Object} onChain - { participantsRoot, winnersRoot, vrfSeed } from getRound()
+ * @returns {{passed: boolean, checks: Array, draws: Array}} - Summary checks and per-draw trace
+ */
+export function auditDraw(participantsFile, winnersFile, onChain) {
+  const checks = [];
+  const addCheck = (label, passed, detail) => checks.push({ label, passed, detail });
+  const sameHex = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+  addCheck(
+    'Round ID',
+    participantsFile.roundId.toString() === winnersFile.roundId.toString(),
+    `participants ${participantsFile.roundId}, winners ${winnersFile.roundId}`
+  );
+
+  addCheck('VRF seed', sameHex(winnersFile.vrfSeed, onChain.vrfSeed), onChain.vrfSeed);
+
+  const participantsRoot = buildParticipantsTree(participantsFile.participants).getHexRoot();
+  addCheck(
+    'Participants root',
+    sameHex(participantsRoot, onChain.participantsRoot),
+    `computed ${participantsRoot}, on-chain ${onChain.participantsRoot}`
+  );
+
+  const winnersRoot = buildWinnersTree(winnersFile.winners).getHexRoot();
+  addCheck(
+    'Winners root',
+    sameHex(winnersRoot, onChain.winnersRoot),
+    `computed ${winnersRoot}, on-chain ${onChain.winnersRoot}`
+  );
+
+  const supported = isSupportedAlgorithm(winnersFile.algorithm);
+  addCheck(
+    'Algorithm',
+    supported,
+    winnersFile.algorithm ? winnersFile.algorithm.type : 'missing algorithm block'
+  );
+
+  // Without a known algorithm there is nothing meaningful to rerun
+  if (!supported) {
+    return { passed: false, checks, draws: [] };
+  }
+
+  // Rerun against the on-chain seed, not the one written in the file
+  const { winners, draws } = selectWinnersOffChain(participantsFile.participants, onChain.vrfSeed);
+
+  const trace = draws.map(draw => {
+    const published = winnersFile.winners.find(w => Number(w.prizeIndex) === draw.prizeIndex) || null;
+    const match = published !== null &&
+      sameHex(published.address, draw.winner) &&
+      Number(published.prizeTier) === draw.prizeTier;
+    return { ...draw, published, match };
+  });
+
+  addCheck(
+    'Winner count',
+    winners.length === winnersFile.winners.length,
+    `recomputed ${winners.length}, published ${winnersFile.winners.length}`
+  );
+  addCheck(
+    'Draws',
+    trace.every(d => d.match),
+    `${trace.filter(d => d.match).length}/${trace.length} draws match`
+  );
+
+  return {
+    passed: checks.every(c => c.passed),
+    checks,
+    draws: trace
+  };
+}
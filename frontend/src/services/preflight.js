@@ -0,0 +1,102 @@
+// Pre-flight Service - Simulates a user transaction before the wallet is asked to sign it
+// staticCall runs the exact call (same sender, value and arguments) against the latest block, so a
+// revert surfaces here with its reason (utils/contract-errors.js) instead of as a failed transaction;
+// estimateGas gives the gas the wallet is about to ask for. None of the raffle's write functions
+// return anything, so the projected outcome (weight and odds after a buy, refund amount) is worked
+// out from read calls the same way the contract computes it.
+
+import { ethers } from 'ethers';
+import { formatPercentage } from '../utils/formatters.js';
+
+/**
+ * Simulate a contract call and estimate its gas - nothing is signed or sent
+ * @param {ethers.Contract} contract - Contract connected to the user's signer
+ * @param {string} method - Function name, e.g. 'buyTickets'
+ * @param {Array} args - Function arguments
+ * @param {Object} [overrides] - e.g. { value }
+ * @returns {Promise<{gasLimit: bigint, gasCost: bigint|null}>} - gasCost is the most the network fee
+ *          can be at the current max fee per gas (null if fee data is unavailable)
+ * @throws {Error} - The revert or wallet/RPC error (decode with decodeContractError)
+ */
+export async function simulateTransaction(contract, method, args = [], overrides = {}) {
+  const fn = contract.getFunction(method);
+
+  await fn.staticCall(...args, overrides);
+
+  const [gasLimit, feeData] = await Promise.all([
+    fn.estimateGas(...args, overrides),
+    contract.runner.provider.getFeeData().catch(() => null)
+  ]);
+  const feePerGas = feeData?.maxFeePerGas ?? feeData?.gasPrice ?? null;
+
+  return { gasLimit, gasCost: feePerGas === null ? null : gasLimit * feePerGas };
+}
+
+/**
+ * "Network fee: up to 0.00012 ETH" line for a simulation result
+ * @param {Object} simulation - Result of simulateTransaction()
+ * @returns {string}
+ */
+export function describeGasCost(simulation) {
+  if (simulation.gasCost === null) {
+    return `Gas: ${simulation.gasLimit.toLocaleString()} units`;
+  }
+  const eth = Number(ethers.formatEther(simulation.gasCost));
+  return `Network fee: up to ${eth < 0.000001 ? '<0.000001' : eth.toFixed(6)} ETH`;
+}
+
+function odds(weight, totalWeight) {
+  return totalWeight > 0n ? formatPercentage(Number(weight * 10000n / totalWeight) / 100) : '0%';
+}
+
+/**
+ * Weight and odds after buying a ticket bundle in the current round
+ * Mirrors buyTickets(): the bundle adds `tickets` weight, x1.4 if a proof was already submitted.
+ * @param {ethers.Contract} contract - Contract instance
+ * @param {string} userAddress - Buyer
+ * @param {number} tickets - Bundle size
+ * @returns {Promise<Object>} - { weightBefore, weightAfter, oddsBefore, oddsAfter }
+ */
+export async function projectBuyOutcome(contract, userAddress, tickets) {
+  const roundId = await contract.currentRoundId();
+  const [round, stats, proofMultiplier] = await Promise.all([
+    contract.getRound(roundId),
+    contract.getUserStats(roundId, userAddress),
+    contract.PROOF_MULTIPLIER()
+  ]);
+
+  const added = stats.hasProof ? (BigInt(tickets) * proofMultiplier) / 1000n : BigInt(tickets);
+  const weightAfter = stats.weight + added;
+
+  return {
+    weightBefore: stats.weight,
+    weightAfter,
+    oddsBefore: odds(stats.weight, round.totalWeight),
+    oddsAfter: odds(weightAfter, round.totalWeight + added)
+  };
+}
+
+/**
+ * Weight and odds if a submitted proof turns out to be correct
+ * Mirrors submitProof(): a correct proof sets the weight to tickets x1.4; a wrong one changes nothing.
+ * @param {ethers.Contract} contract - Contract instance
+ * @param {string} userAddress - Submitter
+ * @returns {Promise<Object>} - { weightBefore, weightIfCorrect, oddsBefore, oddsIfCorrect }
+ */
+export async function projectProofOutcome(contract, userAddress) {
+  const roundId = await contract.currentRoundId();
+  const [round, stats, proofMultiplier] = await Promise.all([
+    contract.getRound(roundId),
+    contract.getUserStats(roundId, userAddress),
+    contract.PROOF_MULTIPLIER()
+  ]);
+
+  const weightIfCorrect = (stats.tickets * proofMultiplier) / 1000n;
+
+  return {
+    weightBefore: stats.weight,
+    weightIfCorrect,
+    oddsBefore: odds(stats.weight, round.totalWeight),
+    oddsIfCorrect: odds(weightIfCorrect, round.totalWeight - stats.weight + weightIfCorrect)
+  };
+}
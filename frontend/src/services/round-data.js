@@ -0,0 +1,159 @@
+// Round Data Service - Loads Participants and Winners files from the configured data source
+// Sources (CONTRACT_CONFIG.roundDataSource):
+//   ipfs           - gateway race, CID-verified, cached by CID
+//   mirror-url     - a self-hosted copy served as <mirror>/<cid>, CID-verified, cached by CID
+//   local-fixtures - files under public/ for development; there is no CID to check against,
+//                    so the file's Merkle root must match the on-chain root instead
+import { ethers } from 'ethers';
+import { CONTRACT_CONFIG } from '../contract-config.js';
+import { fetchFromIPFS } from './ipfs.js';
+import { computeParticipantsRoot, computeWinnersRoot } from './merkle.js';
+
+const DEFAULT_TIMEOUT = 60000; // 60 seconds as per spec
+const DATA_SOURCES = ['ipfs', 'mirror-url', 'local-fixtures'];
+
+/**
+ * Resolve the configured data source
+ * @returns {{mode: string, mirrorUrl: string|null}}
+ */
+export function getRoundDataSource() {
+  const mode = CONTRACT_CONFIG.roundDataSource;
+
+  if (!DATA_SOURCES.includes(mode)) {
+    throw new Error(`Unknown round data source "${mode}" (expected one of: ${DATA_SOURCES.join(', ')})`);
+  }
+
+  if (mode === 'mirror-url' && !CONTRACT_CONFIG.roundDataMirrorUrl) {
+    throw new Error('Round data source "mirror-url" requires VITE_ROUND_DATA_MIRROR_URL');
+  }
+
+  return { mode, mirrorUrl: CONTRACT_CONFIG.roundDataMirrorUrl };
+}
+
+/**
+ * Load a development fixture and check it against the on-chain root
+ * @param {string} fileType - 'participants' or 'winners'
+ * @param {number} roundId - Round ID (never defaulted - a wrong round must not load)
+ * @param {string} expectedRoot - Root committed on-chain for this file
+ * @returns {Promise<Object>} - Parsed fixture
+ */
+async function fetchFixture(fileType, roundId, expectedRoot) {
+  if (roundId === null || roundId === undefined) {
+    throw new Error(`Round ID required to load the ${fileType} fixture`);
+  }
+  if (!expectedRoot || expectedRoot === ethers.ZeroHash) {
+    throw new Error(`On-chain ${fileType} root required to use the ${fileType} fixture for round ${roundId}`);
+  }
+
+  const url = `/${fileType}/${fileType}-round-${roundId}.json`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Fixture ${url} not found (HTTP ${response.status})`);
+  }
+
+  const data = await response.json();
+  const entries = fileType === 'participants' ? data.participants : data.winners;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Fixture ${url} has no ${fileType} array`);
+  }
+
+  const computedRoot = fileType === 'participants'
+    ? computeParticipantsRoot(entries)
+    : computeWinnersRoot(entries);
+
+  if (computedRoot.toLowerCase() !== expectedRoot.toLowerCase()) {
+    throw new Error(
+      `Fixture ${url} does not match round ${roundId} on-chain (root ${computedRoot}, expected ${expectedRoot})`
+    );
+  }
+
+  console.log(`🧪 Loaded ${fileType} fixture for round ${roundId} (root matches on-chain)`);
+  return data;
+}
+
+/**
+ * Load a round file from the configured data source
+ * @param {string} cid - CID committed on-chain
+ * @param {string} fileType - 'participants' or 'winners'
+ * @param {number} roundId - Round ID
+ * @param {string} expectedRoot - Root committed on-chain (required for local fixtures)
+ * @returns {Promise<Object>} - Parsed file (not yet shape-validated)
+ */
+async function loadRoundFile(cid, fileType, roundId, expectedRoot) {
+  const { mode, mirrorUrl } = getRoundDataSource();
+
+  switch (mode) {
+    case 'local-fixtures':
+      return fetchFixture(fileType, roundId, expectedRoot);
+    case 'mirror-url':
+      return fetchFromIPFS(cid, DEFAULT_TIMEOUT, [mirrorUrl.replace(/\/$/, '')]);
+    default:
+      return fetchFromIPFS(cid, DEFAULT_TIMEOUT);
+  }
+}
+
+/**
+ * Fetch Participants File for a round
+ * @param {string} cid - IPFS CID from contract
+ * @param {number} roundId - Round ID for validation
+ * @param {string} expectedRoot - participantsRoot from contract (required for local fixtures)
+ * @returns {Promise<Object>} - Participants file data
+ */
+export async function fetchParticipantsFile(cid, roundId, expectedRoot = null) {
+  const data = await loadRoundFile(cid, 'participants', roundId, expectedRoot);
+
+  // Validate file structure (files from before versioning have no version field)
+  if (data.version !== undefined && data.version !== '1.0') {
+    throw new Error(`Unsupported Participants File version: ${data.version}`);
+  }
+
+  if (data.roundId.toString() !== roundId.toString()) {
+    throw new Error(`Round ID mismatch: expected ${roundId}, got ${data.roundId}`);
+  }
+
+  if (!data.participants || !Array.isArray(data.participants)) {
+    throw new Error('Invalid Participants File: missing participants array');
+  }
+
+  if (!data.merkle || !data.merkle.root) {
+    throw new Error('Invalid Participants File: missing merkle root');
+  }
+
+  console.log(`✅ Participants File validated for round ${roundId}`);
+  return data;
+}
+
+/**
+ * Fetch Winners File for a round
+ * @param {string} cid - IPFS CID from contract
+ * @param {number} roundId - Round ID for validation
+ * @param {string} expectedRoot - winnersRoot from contract (required for local fixtures)
+ * @returns {Promise<Object>} - Winners file data
+ */
+export async function fetchWinnersFile(cid, roundId, expectedRoot = null) {
+  const data = await loadRoundFile(cid, 'winners', roundId, expectedRoot);
+
+  // Validate file structure
+  if (data.version !== '1.0') {
+    throw new Error(`Unsupported Winners File version: ${data.version}`);
+  }
+
+  if (data.roundId.toString() !== roundId.toString()) {
+    throw new Error(`Round ID mismatch: expected ${roundId}, got ${data.roundId}`);
+  }
+
+  if (!data.winners || !Array.isArray(data.winners)) {
+    throw new Error('Invalid Winners File: missing winners array');
+  }
+
+  if (data.winners.length !== 10) {
+    throw new Error(`Invalid Winners File: expected 10 winners, got ${data.winners.length}`);
+  }
+
+  if (!data.merkle || !data.merkle.root) {
+    throw new Error('Invalid Winners File: missing merkle root');
+  }
+
+  console.log(`✅ Winners File validated for round ${roundId}`);
+  return data;
+}
@@ -0,0 +1,308 @@
+// Transaction Manager - Tracks every transaction the site sends until it is final
+// Records live in localStorage, so a reload (or closing the tab) doesn't lose a pending tx:
+// resumePendingTransactions() picks them up again on the next page load.
+// Wallet "speed up" (same call, higher fee) follows the new hash; "cancel" or any other tx that
+// takes the same nonce marks the entry cancelled. ethers' wait() does the replacement scan.
+// A reverted receipt carries no reason, so the call is replayed at its block to recover it.
+
+import { ethers } from 'ethers';
+import { decodeContractError, replayRevert } from '../utils/contract-errors.js';
+
+const STORAGE_KEY = 'pepedawn.transactions';
+const MAX_RECORDS = 50;
+
+// A pending tx the node has never heard of (and whose nonce is still unused) is treated as
+// dropped once it is this old - it was never broadcast or fell out of every mempool
+const DROPPED_AFTER_MS = 10 * 60 * 1000;
+
+// Finding what replaced a tx means reading every block since it was sent; past this many
+// blocks (e.g. a tab reopened days later) the entry is marked replaced without the scan
+const MAX_REPLACEMENT_SCAN_BLOCKS = 100;
+
+// Statuses: pending -> confirmed | failed | cancelled (replaced by a different call) |
+//           replaced (nonce reused, outcome not scanned) | dropped
+export const TX_FINAL_STATUSES = ['confirmed', 'failed', 'cancelled', 'replaced', 'dropped'];
+
+const listeners = new Set();
+const watching = new Set(); // hashes with a live wait() in this tab
+
+function loadRecords() {
+  try {
+    const records = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(records) ? records : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveRecords(records) {
+  // Newest first; once over the limit, drop the oldest finished entries (never a pending one)
+  let kept = records.sort((a, b) => b.submittedAt - a.submittedAt);
+  while (kept.length > MAX_RECORDS) {
+    const index = kept.findLastIndex(record => record.status !== 'pending');
+    if (index === -1) break;
+    kept = kept.filter((_, i) => i !== index);
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  } catch (error) {
+    console.warn('Could not save transaction history:', error.message);
+  }
+}
+
+function emit(change) {
+  listeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Transaction listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Update a record and tell subscribers
+ * @param {string} hash - Hash the record is stored under
+ * @param {Object} fields - Fields to change (may include a new hash after a speed-up)
+ * @param {boolean} background - True if no page flow is awaiting this tx
+ */
+function updateRecord(hash, fields, background) {
+  const records = loadRecords();
+  const record = records.find(entry => entry.hash === hash);
+  if (!record) return null;
+
+  Object.assign(record, fields, { updatedAt: Date.now() });
+  saveRecords(records);
+  emit({ type: 'updated', record: { ...record }, background });
+  return record;
+}
+
+/**
+ * Error for a reverted receipt, with the revert reason when replaying the call recovers it
+ * @param {Object} record - Stored record (from, to, data, value of the call)
+ * @param {ethers.TransactionReceipt|null} receipt - Reverted receipt
+ * @param {ethers.Provider} provider - Provider for the record's chain
+ * @param {Error} [fallback] - Error to use when the reason can't be recovered
+ * @returns {Promise<Error>} - code CALL_EXCEPTION
+ */
+async function revertedError(record, receipt, provider, fallback) {
+  const replayed = receipt && provider
+    ? await replayRevert(provider, { ...record, value: BigInt(record.value) }, receipt.blockNumber).catch(() => null)
+    : null;
+  return replayed || fallback || Object.assign(new Error('Transaction reverted'), { code: 'CALL_EXCEPTION', receipt });
+}
+
+/**
+ * Wait for a transaction to become final and record the outcome
+ * @param {Object} record - Stored record
+ * @param {ethers.TransactionResponse} response - Replaceable response for record.hash
+ * @param {boolean} background - True if no page flow is awaiting this tx
+ * @returns {Promise<ethers.TransactionReceipt>}
+ * @throws {Error} - Reverted (code CALL_EXCEPTION) or cancelled in the wallet (code TRANSACTION_REPLACED)
+ */
+async function watchTransaction(record, response, background) {
+  watching.add(record.hash);
+  try {
+    const receipt = await response.wait();
+    updateRecord(record.hash, { status: 'confirmed', blockNumber: receipt.blockNumber }, background);
+    return receipt;
+  } catch (error) {
+    if (ethers.isError(error, 'TRANSACTION_REPLACED')) {
+      if (!error.cancelled) {
+        // Sped up in the wallet: same call under a new hash
+        const confirmed = error.receipt.status === 1;
+        const reverted = confirmed ? null : await revertedError(record, error.receipt, response.provider);
+        updateRecord(record.hash, {
+          hash: error.hash,
+          originalHash: record.originalHash || record.hash,
+          status: confirmed ? 'confirmed' : 'failed',
+          blockNumber: error.receipt.blockNumber,
+          error: reverted ? decodeContractError(reverted).message : null
+        }, background);
+        if (confirmed) return error.receipt;
+        throw reverted;
+      }
+
+      updateRecord(record.hash, {
+        status: 'cancelled',
+        replacedBy: error.hash,
+        blockNumber: error.receipt.blockNumber,
+        error: 'Replaced by another transaction from your wallet'
+      }, background);
+      throw new Error('Transaction was cancelled or replaced in your wallet', { cause: error });
+    }
+
+    if (ethers.isError(error, 'CALL_EXCEPTION')) {
+      const reverted = await revertedError(record, error.receipt, response.provider, error);
+      updateRecord(record.hash, {
+        status: 'failed',
+        blockNumber: error.receipt?.blockNumber ?? null,
+        error: decodeContractError(reverted).message
+      }, background);
+      throw reverted;
+    }
+    // Anything else (RPC hiccup) leaves the entry pending for the next page load
+    throw error;
+  } finally {
+    watching.delete(record.hash);
+  }
+}
+
+/**
+ * Record a submitted transaction and wait for it (replaces tx.wait() in user flows)
+ * @param {ethers.TransactionResponse} tx - Response from a contract call
+ * @param {Object} details
+ * @param {string} details.action - Flow that sent it ('buy', 'proof', 'claim', 'refund')
+ * @param {string} details.label - Shown in the activity panel, e.g. "Buy 5 tickets"
+ * @returns {Promise<ethers.TransactionReceipt>}
+ * @throws {Error} - Reverted (code CALL_EXCEPTION) or cancelled in the wallet
+ */
+export async function trackTransaction(tx, details) {
+  const now = Date.now();
+  const record = {
+    hash: tx.hash,
+    chainId: Number(tx.chainId),
+    from: ethers.getAddress(tx.from),
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: tx.value.toString(),
+    // First block to scan for a replacement after a reload (null = don't scan)
+    startBlock: await tx.provider.getBlockNumber().catch(() => null),
+    action: details.action,
+    label: details.label,
+    status: 'pending',
+    submittedAt: now,
+    updatedAt: now,
+    blockNumber: null,
+    originalHash: null,
+    replacedBy: null,
+    error: null
+  };
+
+  const records = loadRecords().filter(entry => entry.hash !== record.hash);
+  records.push(record);
+  saveRecords(records);
+  emit({ type: 'added', record: { ...record }, background: false });
+
+  return watchTransaction(record, tx, false);
+}
+
+/**
+ * Rebuild a replaceable TransactionResponse from a stored record
+ * The node may have forgotten a replaced tx, so this doesn't depend on eth_getTransactionByHash.
+ */
+function restoreResponse(record, provider) {
+  const response = new ethers.TransactionResponse({
+    blockNumber: null,
+    blockHash: null,
+    hash: record.hash,
+    index: 0,
+    type: 2,
+    to: record.to,
+    from: record.from,
+    nonce: record.nonce,
+    gasLimit: 0n,
+    gasPrice: 0n,
+    maxPriorityFeePerGas: null,
+    maxFeePerGas: null,
+    maxFeePerBlobGas: null,
+    data: record.data,
+    value: BigInt(record.value),
+    chainId: BigInt(record.chainId),
+    signature: null,
+    accessList: null
+  }, provider);
+  return record.startBlock === null ? response : response.replaceableTransaction(record.startBlock);
+}
+
+/**
+ * Keep watching transactions that were still pending when the page was left
+ * Outcomes are reported to subscribers with background = true.
+ * @param {ethers.Provider} provider - Provider for the chain the page is on
+ */
+export async function resumePendingTransactions(provider) {
+  let chainId;
+  try {
+    chainId = Number((await provider.getNetwork()).chainId);
+  } catch (error) {
+    console.warn('Cannot resume pending transactions:', error.message);
+    return;
+  }
+
+  const pending = loadRecords().filter(record =>
+    record.status === 'pending' && record.chainId === chainId && !watching.has(record.hash));
+
+  for (const record of pending) {
+    try {
+      const [known, usedNonces, head] = await Promise.all([
+        provider.getTransaction(record.hash),
+        provider.getTransactionCount(record.from, 'latest'),
+        provider.getBlockNumber()
+      ]);
+      if (!known && usedNonces > record.nonce &&
+          (record.startBlock === null || head - record.startBlock > MAX_REPLACEMENT_SCAN_BLOCKS)) {
+        updateRecord(record.hash, {
+          status: 'replaced',
+          error: 'Another transaction from your wallet used the same nonce - check your wallet for the outcome'
+        }, true);
+        continue;
+      }
+      if (!known && usedNonces <= record.nonce && Date.now() - record.submittedAt > DROPPED_AFTER_MS) {
+        updateRecord(record.hash, { status: 'dropped', error: 'Never mined - no longer in the mempool' }, true);
+        continue;
+      }
+    } catch (error) {
+      console.warn(`Could not check transaction ${record.hash}:`, error.message);
+    }
+
+    console.log(`📡 Resuming pending transaction: ${record.label} (${record.hash})`);
+    watchTransaction(record, restoreResponse(record, provider), true).catch(error => {
+      console.log(`Transaction ${record.hash} did not confirm:`, error.message);
+    });
+  }
+}
+
+/**
+ * Stored transactions, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.account] - Only transactions sent from this address
+ * @returns {Array<Object>}
+ */
+export function getTransactions(filter = {}) {
+  const account = filter.account ? filter.account.toLowerCase() : null;
+  return loadRecords()
+    .filter(record => !account || record.from.toLowerCase() === account)
+    .sort((a, b) => b.submittedAt - a.submittedAt);
+}
+
+/**
+ * Remove finished entries (pending ones stay)
+ * @param {string} [account] - Only this address's entries
+ */
+export function clearFinishedTransactions(account = null) {
+  const owner = account ? account.toLowerCase() : null;
+  saveRecords(loadRecords().filter(record =>
+    record.status === 'pending' || (owner && record.from.toLowerCase() !== owner)));
+  emit({ type: 'cleared', record: null, background: false });
+}
+
+/**
+ * Listen for transaction changes
+ * @param {Function} listener - Called with { type: 'added'|'updated'|'cleared'|'synced', record, background }
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeTransactions(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Another tab changed the history - let panels re-render
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEY) {
+      emit({ type: 'synced', record: null, background: true });
+    }
+  });
+}
@@ -0,0 +1,168 @@
+// WalletConnect Service - WalletConnect v2 connector for browsers without an injected wallet
+// (mobile Safari/Chrome, desktop browsers without an extension). The SDK is loaded on first use,
+// so visitors who never pick WalletConnect don't download it.
+// Desktop: the WalletConnect modal shows a QR code to scan with a phone wallet.
+// Mobile: the modal lists wallet apps and deep-links into the chosen one; the SDK remembers the
+// app and opens it again for every signature request (buy tickets, submit proof, claim).
+
+import { CONTRACT_CONFIG, getDeployment, getSupportedChainIds } from '../contract-config.js';
+
+// Set while a session is live, so page loads only fetch the SDK when there is one to restore
+const SESSION_FLAG_KEY = 'pepedawn.walletconnect';
+
+const WALLETCONNECT_ICON = 'data:image/svg+xml,' + encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">' +
+  '<rect width="32" height="32" rx="8" fill="#3396FF"/>' +
+  '<path fill="#fff" d="M9.59 11.86a9.3 9.3 0 0 1 12.82 0l.43.42a.45.45 0 0 1 0 .64l-1.46 1.46a.23.23 0 0 1-.32 0l-.59-.59a6.4 6.4 0 0 0-8.94 0l-.63.63a.23.23 0 0 1-.32 0l-1.46-1.46a.45.45 0 0 1 0-.64l.47-.46Zm15.84 3.01 1.3 1.3a.45.45 0 0 1 0 .64l-5.85 5.85a.45.45 0 0 1-.64 0l-4.15-4.15a.11.11 0 0 0-.16 0l-4.15 4.15a.45.45 0 0 1-.64 0l-5.85-5.85a.45.45 0 0 1 0-.64l1.3-1.3a.45.45 0 0 1 .64 0l4.15 4.15c.04.04.12.04.16 0l4.15-4.15a.45.45 0 0 1 .64 0l4.15 4.15c.04.04.12.04.16 0l4.15-4.15a.45.45 0 0 1 .64 0Z"/>' +
+  '</svg>'
+);
+
+let providerPromise = null;
+let walletConnectProvider = null;
+
+function setSessionFlag(active) {
+  try {
+    if (active) {
+      localStorage.setItem(SESSION_FLAG_KEY, '1');
+    } else {
+      localStorage.removeItem(SESSION_FLAG_KEY);
+    }
+  } catch {
+    // Storage disabled - the session is not restored on the next page load
+  }
+}
+
+function hasSessionFlag() {
+  try {
+    return localStorage.getItem(SESSION_FLAG_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether this build can offer WalletConnect (needs a project ID and a deployed chain)
+ * @returns {boolean}
+ */
+export function isWalletConnectAvailable() {
+  return Boolean(CONTRACT_CONFIG.walletConnectProjectId) && getSupportedChainIds().length > 0;
+}
+
+/**
+ * Wallet-selector entry for WalletConnect (same shape as getAllProviders() entries)
+ * provider stays null until the SDK is loaded - use connectWalletConnect() to get it
+ * @returns {Object|null} - null when WalletConnect is not configured
+ */
+export function getWalletConnectEntry() {
+  if (!isWalletConnectAvailable()) return null;
+
+  return {
+    name: 'WalletConnect',
+    icon: WALLETCONNECT_ICON,
+    provider: walletConnectProvider,
+    uuid: 'walletconnect',
+    rdns: 'walletconnect',
+    walletConnect: true
+  };
+}
+
+/**
+ * Load the SDK and create the EIP-1193 provider (once per page)
+ * Restores a session from a previous visit if the SDK has one stored.
+ * @returns {Promise<Object>} - WalletConnect EthereumProvider
+ */
+function loadWalletConnectProvider() {
+  if (!providerPromise) {
+    providerPromise = (async () => {
+      const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+
+      // Every deployed chain, the one the page is showing first. Reads (eth_call, balances) go
+      // straight to rpcMap, so each registry rpcUrls host must be in the pages' connect-src CSP.
+      const chains = getSupportedChainIds().sort((a, b) =>
+        (b === CONTRACT_CONFIG.chainId) - (a === CONTRACT_CONFIG.chainId));
+      const rpcMap = {};
+      for (const chainId of chains) {
+        const rpcUrl = getDeployment(chainId)?.rpcUrls?.[0];
+        if (rpcUrl) rpcMap[chainId] = rpcUrl;
+      }
+
+      const instance = await EthereumProvider.init({
+        projectId: CONTRACT_CONFIG.walletConnectProjectId,
+        optionalChains: chains,
+        rpcMap,
+        showQrModal: true,
+        metadata: {
+          name: 'PEPEDAWN',
+          description: 'PEPEDAWN raffle - buy tickets and claim packs',
+          url: window.location.origin,
+          icons: [`${window.location.origin}/PEPEDAWN_thumbnail.png`]
+        }
+      });
+
+      instance.on('connect', () => setSessionFlag(true));
+      instance.on('disconnect', () => setSessionFlag(false));
+
+      walletConnectProvider = instance;
+      return instance;
+    })();
+
+    // Let a later call retry instead of caching the failure forever
+    providerPromise.catch(() => { providerPromise = null; });
+  }
+  return providerPromise;
+}
+
+/**
+ * Pair with a wallet (QR modal on desktop, wallet list with deep links on mobile)
+ * Reuses the live session if there is one.
+ * @returns {Promise<Object>} - Connected EIP-1193 provider
+ * @throws {Error} - code 4001 if the user closed the modal
+ */
+export async function connectWalletConnect() {
+  const provider = await loadWalletConnectProvider();
+
+  if (!provider.session) {
+    try {
+      await provider.connect();
+    } catch (error) {
+      // Closing the modal rejects with "Connection request reset" - report it like a wallet rejection
+      if (/request reset/i.test(error?.message || '')) {
+        throw Object.assign(new Error('WalletConnect pairing cancelled'), { code: 4001 });
+      }
+      throw error;
+    }
+  }
+
+  setSessionFlag(true);
+  return provider;
+}
+
+/**
+ * Provider for a session left open on a previous visit, without showing the modal
+ * @returns {Promise<Object|null>} - null if there is no session (or it has expired)
+ */
+export async function restoreWalletConnect() {
+  if (!isWalletConnectAvailable() || !hasSessionFlag()) return null;
+
+  const provider = await loadWalletConnectProvider();
+  if (!provider.session) {
+    setSessionFlag(false);
+    return null;
+  }
+  return provider;
+}
+
+/**
+ * End the WalletConnect session (after switching to another wallet)
+ * The phone wallet drops this site from its connected apps.
+ */
+export async function disconnectWalletConnect() {
+  setSessionFlag(false);
+  if (!walletConnectProvider?.session) return;
+
+  try {
+    await walletConnectProvider.disconnect();
+  } catch (error) {
+    console.warn('WalletConnect disconnect failed:', error.message);
+  }
+}
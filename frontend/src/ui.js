@@ -1,9 +1,11 @@
 import { ethers } from 'ethers';
-import { validateNetwork, SECURITY_CONFIG, CONTRACT_CONFIG, VERSION } from './contract-config.js';
+import { validateNetwork, getDeployment, SECURITY_CONFIG, CONTRACT_CONFIG, VERSION } from './contract-config.js';
 import { formatAddress } from './utils/formatters.js';
+import { decodeContractError } from './utils/contract-errors.js';
 import { createCountdownTimer } from './utils/timers.js';
 import { calculateLuckStats } from './components/luck-analysis.js';
-import { fetchWinnersFile } from './services/ipfs.js';
+import { fetchWinnersFile } from './services/round-data.js';
+import { getIndexedRoundState } from './services/event-index.js';
 
 // Initialize UI components
 export function initUI() {
@@ -151,11 +153,15 @@ export async function updateWalletInfo(address, provider) {
       }
     }
     
-    // Update verification link based on DEV_MODE
+    // Update verification link for the active deployment (local chains have no explorer)
     const verificationLink = document.getElementById('verification-link');
     if (verificationLink) {
-      const etherscanBase = CONTRACT_CONFIG.DEV_MODE ? 'sepolia.etherscan.io' : 'etherscan.io';
-      verificationLink.href = `https://${etherscanBase}/address/${CONTRACT_CONFIG.address}#code`;
+      if (CONTRACT_CONFIG.explorerUrl) {
+        verificationLink.href = `${CONTRACT_CONFIG.explorerUrl}/address/${CONTRACT_CONFIG.address}#code`;
+        verificationLink.style.display = '';
+      } else {
+        verificationLink.style.display = 'none';
+      }
     }
     
     // Update version display in contract verification (ALL MODES)
@@ -393,6 +399,7 @@ export async function populateRoundSelector(contract) {
     const roundSelect = document.getElementById('round-select');
     const winnersRoundSelect = document.getElementById('winners-round-select');
     const claimsRoundSelect = document.getElementById('claims-round-select');
+    const verifyRoundSelect = document.getElementById('verify-round-select');
     if (!contract) return;
     
     // Get current round ID
@@ -453,6 +460,23 @@ export async function populateRoundSelector(contract) {
       }
     }
     
+    // Populate verify selector (draws can be audited for any round with winners)
+    if (verifyRoundSelect) {
+      // Clear existing options
+      verifyRoundSelect.innerHTML = '';
+      
+      for (let i = Math.max(1, currentRoundNum - 5); i <= currentRoundNum; i++) {
+        const option = document.createElement('option');
+        option.value = i.toString();
+        option.textContent = `Round ${i}`;
+        if (i === currentRoundNum) {
+          option.textContent += ' (Current)';
+          option.selected = true;
+        }
+        verifyRoundSelect.appendChild(option);
+      }
+    }
+    
   } catch (error) {
     console.error('Error populating round selector:', error);
   }
@@ -562,7 +586,7 @@ export async function updateLeaderboard(contract, selectedRoundId = null) {
       try {
         const winnersCID = await contract.winnersCIDs(displayRoundId);
         if (winnersCID) {
-          winnersFile = await fetchWinnersFile(winnersCID, displayRoundId);
+          winnersFile = await fetchWinnersFile(winnersCID, displayRoundId, roundData.winnersRoot);
         }
       } catch (error) {
         console.warn('Could not fetch winners file for luck calculation:', error);
@@ -571,60 +595,99 @@ export async function updateLeaderboard(contract, selectedRoundId = null) {
     
     // Winners section removed - winners are displayed in their own dedicated section
     
-    // Get ALL participants (fixed: was only showing current user)
-    const leaderboardData = [];
+    // Participant stats come from the event index (one getLogs sweep, then only new blocks);
+    // per-participant contract reads are the fallback when the RPC can't serve the logs
+    let leaderboardData = null;
     try {
-      const participants = await contract.getRoundParticipants(displayRoundId);
+      const indexed = await getIndexedRoundState(contract, displayRoundId);
+      leaderboardData = await Promise.all(indexed.participants.map(async participant => {
+        const fakeOdds = roundData.totalWeight > 0
+          ? ((Number(participant.weight) / Number(roundData.totalWeight)) * 100).toFixed(1)
+          : '0.0';
+        
+        let luckScore = null;
+        if (isDistributed && winnersFile) {
+          try {
+            const luckStats = await calculateLuckStats(contract, displayRoundId, participant.address, winnersFile, {
+              tickets: participant.tickets,
+              weight: participant.weight,
+              hasProof: participant.hasProof,
+              totalWeight: roundData.totalWeight
+            });
+            luckScore = luckStats.luckPercent;
+          } catch {
+            // Silent fail - luck score will show as "-"
+          }
+        }
+        
+        return {
+          address: participant.address,
+          tickets: Number(participant.tickets),
+          weight: Number(participant.weight),
+          fakeOdds: fakeOdds + '%',
+          hasVerifiedProof: participant.proofVerified,
+          luckScore: luckScore
+        };
+      }));
+    } catch (error) {
+      console.warn('Event index unavailable, reading participant stats from the contract:', error.message);
+    }
+    
+    if (!leaderboardData) {
+      leaderboardData = [];
+      try {
+        const participants = await contract.getRoundParticipants(displayRoundId);
       
-      // Get stats for each participant
-      for (let i = 0; i < participants.length; i++) {
-        const participant = participants[i];
-        try {
-          const stats = await contract.getUserStats(displayRoundId, participant);
-          const fakeOdds = roundData.totalWeight > 0 
-            ? ((Number(stats.weight) / Number(roundData.totalWeight)) * 100).toFixed(1)
-            : '0.0';
+        // Get stats for each participant
+        for (let i = 0; i < participants.length; i++) {
+          const participant = participants[i];
+          try {
+            const stats = await contract.getUserStats(displayRoundId, participant);
+            const fakeOdds = roundData.totalWeight > 0 
+              ? ((Number(stats.weight) / Number(roundData.totalWeight)) * 100).toFixed(1)
+              : '0.0';
           
-          // Check if user has a verified proof (correct proof)
-          let hasVerifiedProof = false;
-          if (stats.hasProof) {
-            try {
-              const proofData = await contract.userProofInRound(displayRoundId, participant);
-              hasVerifiedProof = proofData.verified;
-            } catch {
-              // If we can't get proof data, default to false
-              hasVerifiedProof = false;
+            // Check if user has a verified proof (correct proof)
+            let hasVerifiedProof = false;
+            if (stats.hasProof) {
+              try {
+                const proofData = await contract.userProofInRound(displayRoundId, participant);
+                hasVerifiedProof = proofData.verified;
+              } catch {
+                // If we can't get proof data, default to false
+                hasVerifiedProof = false;
+              }
             }
-          }
           
-          // Calculate luck score if round is distributed and we have winners file
-          let luckScore = null;
-          if (isDistributed && winnersFile) {
-            try {
-              const luckStats = await calculateLuckStats(contract, displayRoundId, participant, winnersFile);
-              luckScore = luckStats.luckPercent;
-            } catch (error) {
-              // Silent fail - luck score will show as "-"
-              luckScore = null;
+            // Calculate luck score if round is distributed and we have winners file
+            let luckScore = null;
+            if (isDistributed && winnersFile) {
+              try {
+                const luckStats = await calculateLuckStats(contract, displayRoundId, participant, winnersFile);
+                luckScore = luckStats.luckPercent;
+              } catch (error) {
+                // Silent fail - luck score will show as "-"
+                luckScore = null;
+              }
             }
-          }
           
-          leaderboardData.push({
-            address: participant,
-            tickets: Number(stats.tickets),
-            weight: Number(stats.weight),
-            fakeOdds: fakeOdds + '%',
-            hasVerifiedProof: hasVerifiedProof,
-            luckScore: luckScore
-          });
-        } catch (error) {
-          // Skip participant if stats can't be retrieved (silent)
+            leaderboardData.push({
+              address: participant,
+              tickets: Number(stats.tickets),
+              weight: Number(stats.weight),
+              fakeOdds: fakeOdds + '%',
+              hasVerifiedProof: hasVerifiedProof,
+              luckScore: luckScore
+            });
+          } catch (error) {
+            // Skip participant if stats can't be retrieved (silent)
+          }
+        }
+      } catch (error) {
+        // Silently handle expected errors when no round exists
+        if (!error.message.includes('execution reverted') && !error.message.includes('Round not initialized')) {
+          console.warn('Error fetching participants for leaderboard:', error);
         }
-      }
-    } catch (error) {
-      // Silently handle expected errors when no round exists
-      if (!error.message.includes('execution reverted') && !error.message.includes('Round not initialized')) {
-        console.warn('Error fetching participants for leaderboard:', error);
       }
     }
     
@@ -886,7 +949,8 @@ export function hideTransactionStatus() {
 }
 
 // Show wallet warning modal before purchase
-export function showWalletWarningModal() {
+// preflight (optional): { title, lines } - simulated outcome shown above the buttons
+export function showWalletWarningModal(preflight = null) {
   return new Promise((resolve) => {
     // Create modal overlay
     const overlay = document.createElement('div');
@@ -919,6 +983,7 @@ export function showWalletWarningModal() {
           <p><strong>What should you do?</strong></p>
           <p>Review the transaction details in your wallet and proceed if you understand the risks. You are participating in an art drop with verifiable randomness.</p>
         </div>
+        <div class="modal-preflight" id="modal-preflight" style="display: none;"></div>
         <div class="modal-actions">
           <button class="modal-btn modal-btn-cancel" id="modal-cancel">Cancel</button>
           <button class="modal-btn modal-btn-confirm" id="modal-confirm">I Understand, Continue</button>
@@ -926,41 +991,81 @@ export function showWalletWarningModal() {
       </div>
     `;
     
-    // Append to body
-    document.body.appendChild(overlay);
-    
-    // Trigger animation
-    requestAnimationFrame(() => {
-      overlay.classList.add('show');
-    });
-    
-    // Handle cancel
-    const cancelBtn = overlay.querySelector('#modal-cancel');
-    cancelBtn.addEventListener('click', () => {
-      closeModal(overlay, false, resolve);
-    });
+    openConfirmModal(overlay, preflight, resolve);
+  });
+}
+
+// Show a simulated transaction's outcome before the wallet prompt (proof, claim, refund)
+// preflight: { title, lines } - resolves true if the user continues to their wallet
+export function showPreflightModal(preflight) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'preflight-modal';
     
-    // Handle confirm
-    const confirmBtn = overlay.querySelector('#modal-confirm');
-    confirmBtn.addEventListener('click', () => {
-      closeModal(overlay, true, resolve);
-    });
+    overlay.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <span class="modal-icon">🧪</span>
+          <h2 class="modal-title">Simulation Passed</h2>
+        </div>
+        <div class="modal-preflight" id="modal-preflight" style="display: none;"></div>
+        <div class="modal-actions">
+          <button class="modal-btn modal-btn-cancel" id="modal-cancel">Cancel</button>
+          <button class="modal-btn modal-btn-confirm" id="modal-confirm">Continue to Wallet</button>
+        </div>
+      </div>
+    `;
     
-    // Handle backdrop click
-    overlay.addEventListener('click', (e) => {
-      if (e.target === overlay) {
-        closeModal(overlay, false, resolve);
-      }
+    openConfirmModal(overlay, preflight, resolve);
+  });
+}
+
+// Fill in the simulated outcome, show the modal and resolve with the user's choice
+function openConfirmModal(overlay, preflight, resolve) {
+  // Simulated outcome (set as text - lines may contain contract data)
+  if (preflight) {
+    const preflightEl = overlay.querySelector('#modal-preflight');
+    const title = document.createElement('strong');
+    title.textContent = preflight.title;
+    preflightEl.appendChild(document.createElement('p')).appendChild(title);
+    preflight.lines.forEach(line => {
+      const p = document.createElement('p');
+      p.textContent = `• ${line}`;
+      preflightEl.appendChild(p);
     });
-    
-    // Handle escape key
-    const escapeHandler = (e) => {
-      if (e.key === 'Escape') {
-        closeModal(overlay, false, resolve);
-        document.removeEventListener('keydown', escapeHandler);
-      }
-    };
-    document.addEventListener('keydown', escapeHandler);
+    preflightEl.style.display = 'block';
+  }
+  
+  // Append to body
+  document.body.appendChild(overlay);
+  
+  // Trigger animation
+  requestAnimationFrame(() => {
+    overlay.classList.add('show');
+  });
+  
+  // Handle escape key
+  const escapeHandler = (e) => {
+    if (e.key === 'Escape') {
+      close(false);
+    }
+  };
+  const close = (confirmed) => {
+    document.removeEventListener('keydown', escapeHandler);
+    closeModal(overlay, confirmed, resolve);
+  };
+  document.addEventListener('keydown', escapeHandler);
+  
+  // Handle cancel / confirm
+  overlay.querySelector('#modal-cancel').addEventListener('click', () => close(false));
+  overlay.querySelector('#modal-confirm').addEventListener('click', () => close(true));
+  
+  // Handle backdrop click
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      close(false);
+    }
   });
 }
 
@@ -1007,33 +1112,24 @@ export function showNetworkSwitchPrompt() {
   }
 }
 
-// Switch to required network (dynamic based on DEV_MODE)
+// Switch to required network (the active deployment's registry entry)
 export async function switchToRequiredNetwork() {
   if (!window.ethereum) {
     throw new Error('Wallet not detected');
   }
   
-  const chainIdHex = '0x' + CONTRACT_CONFIG.chainId.toString(16);
-  const networkConfig = CONTRACT_CONFIG.DEV_MODE ? {
-    chainId: chainIdHex,
-    chainName: 'Sepolia Testnet',
-    nativeCurrency: {
-      name: 'SepoliaETH',
-      symbol: 'ETH',
-      decimals: 18,
-    },
-    rpcUrls: ['https://sepolia.infura.io/v3/'],
-    blockExplorerUrls: ['https://sepolia.etherscan.io/'],
-  } : {
+  const deployment = getDeployment(CONTRACT_CONFIG.chainId);
+  if (!deployment) {
+    throw new Error('No PepedawnRaffle deployment to switch to');
+  }
+  
+  const chainIdHex = '0x' + deployment.chainId.toString(16);
+  const networkConfig = {
     chainId: chainIdHex,
-    chainName: 'Ethereum Mainnet',
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18,
-    },
-    rpcUrls: ['https://eth.llamarpc.com'],
-    blockExplorerUrls: ['https://etherscan.io/'],
+    chainName: deployment.name,
+    nativeCurrency: deployment.nativeCurrency,
+    rpcUrls: deployment.rpcUrls,
+    ...(deployment.explorerUrl && { blockExplorerUrls: [`${deployment.explorerUrl}/`] }),
   };
   
   try {
@@ -1113,45 +1209,22 @@ export function validateTransactionParams(params) {
   return true;
 }
 
-// Simple transaction monitoring for small-scale site
-export function monitorTransaction(txHash, type) {
-  console.log(`📡 ${type} transaction: ${txHash}`);
-  return { hash: txHash, type: type };
-}
-
-// Simple transaction status update
-export function updateTransactionStatus(txHash, status) {
-  console.log(`📊 Transaction ${txHash}: ${status}`);
-}
-
 // Enhanced error handling with user feedback
+// Decodes wallet/RPC errors and contract reverts (utils/contract-errors.js) and shows the
+// message together with what the user can do about it
 export function handleTransactionError(error, txType) {
   console.error(`Transaction error (${txType}):`, error);
   
-  let userMessage = 'Transaction failed';
-  let errorType = 'error';
-  
-  // Parse common error types
-  if (error.message.includes('user rejected')) {
-    userMessage = 'Transaction cancelled by user';
-    errorType = 'info';
-  } else if (error.message.includes('insufficient funds')) {
-    userMessage = 'Insufficient ETH balance for transaction';
-  } else if (error.message.includes('gas')) {
-    userMessage = 'Transaction failed due to gas issues';
-  } else if (error.message.includes('nonce')) {
-    userMessage = 'Transaction nonce error - please try again';
-  } else if (error.message.includes('network')) {
-    userMessage = 'Network error - please check connection';
-  } else if (error.code === 'CALL_EXCEPTION') {
-    userMessage = 'Contract call failed - check requirements';
-  }
+  const decoded = decodeContractError(error);
+  const userMessage = decoded.action ? `${decoded.message} ${decoded.action}` : decoded.message;
   
-  showTransactionStatus(userMessage, errorType);
+  showTransactionStatus(userMessage, decoded.type);
   
   return {
+    id: decoded.id,
     message: userMessage,
-    type: errorType,
+    type: decoded.type,
+    action: decoded.action,
     originalError: error
   };
 }
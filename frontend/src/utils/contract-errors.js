@@ -0,0 +1,332 @@
+/* ===================================================================
+   CONTRACT ERRORS
+   Turns wallet, RPC and PepedawnRaffle revert errors into user-facing
+   messages with a suggested action
+   =================================================================== */
+
+import { ethers } from 'ethers';
+import { CONTRACT_CONFIG } from '../contract-config.js';
+
+// Revert (custom error name or require string) -> message id, and how loud to show it
+const REVERTS = {
+  // Custom errors
+  EnforcedPause: 'paused',
+  ExpectedPause: 'not-paused',
+  OnlyCoordinatorCanFulfill: 'admin-only',
+  OnlyOwnerOrCoordinator: 'admin-only',
+  ReentrancyGuardReentrantCall: 'reentrancy',
+  ZeroAddress: 'zero-address',
+
+  // Shared modifiers
+  'Address is denylisted': 'denylisted',
+  'Emergency pause is active': 'emergency-paused',
+  'Round does not exist': 'round-missing',
+  'Invalid amount: must be greater than zero': 'zero-amount',
+
+  // Round window (buyTickets, submitProof)
+  'No active round': 'no-active-round',
+  'Round not open for ticket purchases': 'round-not-open',
+  'Round not open for proofs': 'round-not-open',
+  'Round not open': 'round-not-open',
+  'Round ended': 'round-closed',
+  'Round window closed': 'round-closed',
+
+  // buyTickets
+  'Max participants reached for this round': 'round-full',
+  'Invalid ticket count (must be 1, 5, or 10)': 'invalid-bundle',
+  'Incorrect payment amount': 'wrong-payment',
+  'Exceeds wallet cap of 1.0 ETH': 'wallet-cap',
+  'Max total wager reached for this round': 'round-wager-cap',
+
+  // submitProof
+  'Must place wager before submitting proof': 'proof-needs-tickets',
+  'Proof already submitted for this round': 'proof-already-submitted',
+  'Invalid proof hash': 'invalid-proof',
+  'Invalid proof: empty hash': 'invalid-proof',
+  'Invalid proof: trivial hash': 'invalid-proof',
+
+  // claim
+  'Invalid prize index': 'invalid-prize',
+  'Round not ready for claims': 'claims-not-ready',
+  'Winners not committed': 'claims-not-ready',
+  'Prize already claimed': 'prize-claimed',
+  'Invalid Merkle proof': 'invalid-merkle-proof',
+  'No tickets in round': 'no-tickets',
+  'Claim limit exceeded': 'claim-limit',
+  'Prize not set': 'prize-not-set',
+
+  // withdrawRefund
+  'No refund available': 'no-refund',
+  'Refund transfer failed': 'refund-transfer-failed'
+};
+
+// ethers error codes that never reach the contract
+const RPC_ERRORS = {
+  ACTION_REJECTED: 'rejected',
+  INSUFFICIENT_FUNDS: 'insufficient-funds',
+  NONCE_EXPIRED: 'nonce',
+  REPLACEMENT_UNDERPRICED: 'replacement-underpriced',
+  NETWORK_ERROR: 'network',
+  TIMEOUT: 'network',
+  TRANSACTION_REPLACED: 'replaced'
+};
+
+// Shown as info/warning instead of error
+const MESSAGE_TYPES = {
+  rejected: 'info',
+  paused: 'warning',
+  'emergency-paused': 'warning',
+  'no-active-round': 'warning',
+  'round-not-open': 'warning',
+  'round-closed': 'warning',
+  'round-full': 'warning',
+  'round-wager-cap': 'warning',
+  'claims-not-ready': 'warning'
+};
+
+// Message catalog per language. {reason} / {detail} are filled in from the error.
+// Shipped: English (en) and Spanish (es), picked from the browser language.
+// To add a language, add an entry with the same ids; missing ids fall back to English.
+const MESSAGES = {
+  en: {
+    rejected: { message: 'You rejected the request in your wallet.', action: 'Nothing was sent - try again when you are ready.' },
+    'insufficient-funds': { message: 'Your wallet does not have enough ETH for this transaction plus gas.', action: 'Add ETH to your wallet or pick a smaller bundle.' },
+    nonce: { message: 'Your wallet used a nonce that is already taken.', action: 'Wait for your pending transactions to confirm, then try again.' },
+    'replacement-underpriced': { message: 'A pending transaction from your wallet is blocking this one.', action: 'Speed up or cancel the pending transaction in your wallet, then try again.' },
+    network: { message: 'The network request failed.', action: 'Check your connection and try again.' },
+    replaced: { message: 'The transaction was cancelled or replaced from your wallet.', action: 'Check your wallet activity and send it again if needed.' },
+
+    paused: { message: 'The raffle is paused.', action: 'Try again once the pause is lifted.' },
+    'not-paused': { message: 'This action is only available while the raffle is paused.', action: null },
+    'emergency-paused': { message: 'The raffle is under an emergency pause.', action: 'Try again once the pause is lifted.' },
+    'admin-only': { message: 'Only the raffle owner or the Chainlink VRF coordinator can do this.', action: null },
+    reentrancy: { message: 'The contract refused a nested call.', action: 'Try again; if it keeps happening, please report it.' },
+    'zero-address': { message: 'An address in this request was empty.', action: 'Reconnect your wallet and try again.' },
+    denylisted: { message: 'This address is blocked from participating.', action: null },
+    'round-missing': { message: 'That round does not exist.', action: 'Pick another round.' },
+    'zero-amount': { message: 'The amount must be greater than zero.', action: 'Pick a ticket bundle.' },
+
+    'no-active-round': { message: 'There is no active round right now.', action: 'Check back when the next round opens.' },
+    'round-not-open': { message: 'This round is not open.', action: 'Wait for the next round to open.' },
+    'round-closed': { message: 'This round has closed.', action: 'Wait for the next round to open.' },
+    'round-full': { message: 'This round has reached its participant limit.', action: 'Wait for the next round.' },
+    'invalid-bundle': { message: 'Tickets come in bundles of 1, 5 or 10.', action: 'Pick one of the ticket bundles.' },
+    'wrong-payment': { message: 'The ETH amount does not match the bundle price.', action: 'Reload the page to get the current prices and try again.' },
+    'wallet-cap': { message: 'This purchase would take you past the 1.0 ETH per-wallet cap for this round.', action: 'Pick a smaller bundle - your stats show how much you have wagered.' },
+    'round-wager-cap': { message: 'This round has reached its total wager limit.', action: 'Wait for the next round.' },
+
+    'proof-needs-tickets': { message: 'You need tickets in this round before submitting a proof.', action: 'Buy a ticket bundle first.' },
+    'proof-already-submitted': { message: 'You already submitted a proof for this round.', action: 'Only one proof per round counts.' },
+    'invalid-proof': { message: 'That proof is not valid.', action: 'Check your puzzle solution and submit it again.' },
+
+    'invalid-prize': { message: 'That prize does not exist.', action: 'Refresh the page and pick a prize from the list.' },
+    'claims-not-ready': { message: 'Prizes for this round cannot be claimed yet.', action: 'Wait until the winners are published.' },
+    'prize-claimed': { message: 'This prize has already been claimed.', action: 'Refresh to see your remaining prizes.' },
+    'invalid-merkle-proof': { message: 'The winners file does not prove this prize is yours.', action: 'Clear the IPFS cache, reload the page and try again.' },
+    'no-tickets': { message: 'You had no tickets in this round.', action: null },
+    'claim-limit': { message: 'You have claimed as many prizes as you had tickets in this round.', action: null },
+    'prize-not-set': { message: 'No NFT has been assigned to this prize yet.', action: 'Please contact the team.' },
+
+    'no-refund': { message: 'There is no refund to withdraw.', action: 'Refresh - it may already have been withdrawn.' },
+    'refund-transfer-failed': { message: 'The refund could not be sent to your address.', action: 'If you use a smart-contract wallet, make sure it can receive ETH.' },
+
+    revert: { message: 'The contract rejected this transaction: "{reason}".', action: null },
+    'custom-error': { message: 'The contract rejected this transaction ({reason}).', action: null },
+    panic: { message: 'The contract hit an internal error ({reason}).', action: 'Please report it to the team.' },
+    'unknown-revert': { message: 'The contract rejected this transaction without a reason.', action: 'Refresh the page to check the round state and try again.' },
+    unknown: { message: '{detail}', action: null }
+  },
+
+  es: {
+    rejected: { message: 'Rechazaste la solicitud en tu billetera.', action: 'No se envió nada; inténtalo de nuevo cuando quieras.' },
+    'insufficient-funds': { message: 'Tu billetera no tiene suficiente ETH para esta transacción más el gas.', action: 'Añade ETH a tu billetera o elige un paquete más pequeño.' },
+    nonce: { message: 'Tu billetera usó un nonce que ya está ocupado.', action: 'Espera a que se confirmen tus transacciones pendientes y vuelve a intentarlo.' },
+    'replacement-underpriced': { message: 'Una transacción pendiente de tu billetera está bloqueando esta.', action: 'Acelera o cancela la transacción pendiente en tu billetera y vuelve a intentarlo.' },
+    network: { message: 'La solicitud a la red falló.', action: 'Revisa tu conexión y vuelve a intentarlo.' },
+    replaced: { message: 'La transacción se canceló o se reemplazó desde tu billetera.', action: 'Revisa la actividad de tu billetera y vuelve a enviarla si hace falta.' },
+
+    paused: { message: 'La rifa está en pausa.', action: 'Vuelve a intentarlo cuando se levante la pausa.' },
+    'not-paused': { message: 'Esta acción solo está disponible mientras la rifa está en pausa.', action: null },
+    'emergency-paused': { message: 'La rifa está en pausa de emergencia.', action: 'Vuelve a intentarlo cuando se levante la pausa.' },
+    'admin-only': { message: 'Solo el propietario de la rifa o el coordinador VRF de Chainlink pueden hacer esto.', action: null },
+    reentrancy: { message: 'El contrato rechazó una llamada anidada.', action: 'Vuelve a intentarlo; si sigue pasando, avísanos.' },
+    'zero-address': { message: 'Una dirección de esta solicitud estaba vacía.', action: 'Vuelve a conectar tu billetera e inténtalo de nuevo.' },
+    denylisted: { message: 'Esta dirección tiene bloqueada la participación.', action: null },
+    'round-missing': { message: 'Esa ronda no existe.', action: 'Elige otra ronda.' },
+    'zero-amount': { message: 'El importe debe ser mayor que cero.', action: 'Elige un paquete de boletos.' },
+
+    'no-active-round': { message: 'Ahora mismo no hay ninguna ronda activa.', action: 'Vuelve cuando abra la próxima ronda.' },
+    'round-not-open': { message: 'Esta ronda no está abierta.', action: 'Espera a que abra la próxima ronda.' },
+    'round-closed': { message: 'Esta ronda ya cerró.', action: 'Espera a que abra la próxima ronda.' },
+    'round-full': { message: 'Esta ronda alcanzó su límite de participantes.', action: 'Espera a la próxima ronda.' },
+    'invalid-bundle': { message: 'Los boletos vienen en paquetes de 1, 5 o 10.', action: 'Elige uno de los paquetes de boletos.' },
+    'wrong-payment': { message: 'El importe en ETH no coincide con el precio del paquete.', action: 'Recarga la página para ver los precios actuales y vuelve a intentarlo.' },
+    'wallet-cap': { message: 'Esta compra superaría el límite de 1.0 ETH por billetera en esta ronda.', action: 'Elige un paquete más pequeño; tus estadísticas muestran cuánto has apostado.' },
+    'round-wager-cap': { message: 'Esta ronda alcanzó su límite total de apuestas.', action: 'Espera a la próxima ronda.' },
+
+    'proof-needs-tickets': { message: 'Necesitas boletos en esta ronda antes de enviar una prueba.', action: 'Compra primero un paquete de boletos.' },
+    'proof-already-submitted': { message: 'Ya enviaste una prueba en esta ronda.', action: 'Solo cuenta una prueba por ronda.' },
+    'invalid-proof': { message: 'Esa prueba no es válida.', action: 'Revisa la solución del acertijo y vuelve a enviarla.' },
+
+    'invalid-prize': { message: 'Ese premio no existe.', action: 'Recarga la página y elige un premio de la lista.' },
+    'claims-not-ready': { message: 'Todavía no se pueden reclamar los premios de esta ronda.', action: 'Espera a que se publiquen los ganadores.' },
+    'prize-claimed': { message: 'Este premio ya fue reclamado.', action: 'Recarga para ver los premios que te quedan.' },
+    'invalid-merkle-proof': { message: 'El archivo de ganadores no demuestra que este premio sea tuyo.', action: 'Borra la caché de IPFS, recarga la página y vuelve a intentarlo.' },
+    'no-tickets': { message: 'No tenías boletos en esta ronda.', action: null },
+    'claim-limit': { message: 'Ya reclamaste tantos premios como boletos tenías en esta ronda.', action: null },
+    'prize-not-set': { message: 'Todavía no se ha asignado ningún NFT a este premio.', action: 'Contacta con el equipo.' },
+
+    'no-refund': { message: 'No hay ningún reembolso para retirar.', action: 'Recarga la página; puede que ya se haya retirado.' },
+    'refund-transfer-failed': { message: 'No se pudo enviar el reembolso a tu dirección.', action: 'Si usas una billetera de contrato inteligente, asegúrate de que pueda recibir ETH.' },
+
+    revert: { message: 'El contrato rechazó esta transacción: "{reason}".', action: null },
+    'custom-error': { message: 'El contrato rechazó esta transacción ({reason}).', action: null },
+    panic: { message: 'El contrato sufrió un error interno ({reason}).', action: 'Avisa al equipo, por favor.' },
+    'unknown-revert': { message: 'El contrato rechazó esta transacción sin indicar el motivo.', action: 'Recarga la página para comprobar el estado de la ronda y vuelve a intentarlo.' },
+    unknown: { message: '{detail}', action: null }
+  }
+};
+
+let contractInterface = null;
+
+function getInterface() {
+  if (!contractInterface) {
+    contractInterface = new ethers.Interface(CONTRACT_CONFIG.abi);
+  }
+  return contractInterface;
+}
+
+/**
+ * Find raw revert data anywhere in a (possibly wrapped) wallet or ethers error
+ * @param {Error} error - Error thrown by ethers or the wallet
+ * @returns {string|null} - 0x-prefixed revert data (at least a selector)
+ */
+export function findRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) continue;
+    seen.add(current);
+
+    const data = current.data;
+    if (typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data)) return data;
+    if (data && typeof data === 'object') queue.push(data);
+
+    queue.push(current.error, current.info?.error, current.cause);
+  }
+  return null;
+}
+
+/**
+ * Revert name/reason from an error: decoded by ethers already, or decoded here from raw data
+ * @returns {{name: string, args: Array}|null} - name is the custom error, or 'Error'/'Panic' for builtins
+ */
+function extractRevert(error) {
+  if (error?.revert?.name) {
+    return { name: error.revert.name, args: [...error.revert.args] };
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      const parsed = getInterface().parseError(data);
+      if (parsed) return { name: parsed.name, args: [...parsed.args] };
+    } catch {
+      // Malformed data - fall through
+    }
+    return { name: null, args: [], selector: data.slice(0, 10) };
+  }
+
+  if (typeof error?.reason === 'string' && error.reason) {
+    return { name: 'Error', args: [error.reason] };
+  }
+  return null;
+}
+
+function isUserRejection(error) {
+  const code = error?.info?.error?.code ?? error?.error?.code ?? error?.code;
+  return code === 4001 || code === 'ACTION_REJECTED' ||
+    /user (rejected|denied)|rejected by user|request rejected/i.test(error?.message || '');
+}
+
+function catalog(locale) {
+  const language = (locale || (typeof navigator !== 'undefined' && navigator.language) || 'en').split('-')[0];
+  return MESSAGES[language] || MESSAGES.en;
+}
+
+function render(text, values) {
+  return text.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+}
+
+/**
+ * Decode an error from estimateGas, a call, a sent transaction or a reverted receipt
+ * @param {Error} error - Error thrown by ethers, the wallet or services/tx-manager.js
+ * @param {Object} [options]
+ * @param {string} [options.locale] - 'en' or 'es' (default: the browser language, falling back to English)
+ * @returns {{id: string, message: string, action: string|null, type: string, revert: Object|null}}
+ *          type is the showTransactionStatus() type; revert is { name, args } when the contract reverted
+ */
+export function decodeContractError(error, options = {}) {
+  const messages = catalog(options.locale);
+  let id = 'unknown';
+  let revert = null;
+  const values = { detail: error?.shortMessage || error?.message || String(error), reason: '' };
+
+  if (isUserRejection(error)) {
+    id = 'rejected';
+  } else if (RPC_ERRORS[error?.code] || RPC_ERRORS[error?.cause?.code]) {
+    id = RPC_ERRORS[error.code] || RPC_ERRORS[error.cause.code];
+  } else if ((revert = extractRevert(error))) {
+    if (revert.name === 'Error') {
+      values.reason = String(revert.args[0] ?? '');
+      id = REVERTS[values.reason] || 'revert';
+    } else if (revert.name === 'Panic') {
+      values.reason = `panic 0x${Number(revert.args[0]).toString(16)}`;
+      id = 'panic';
+    } else if (revert.name) {
+      values.reason = `${revert.name}(${revert.args.join(', ')})`;
+      id = REVERTS[revert.name] || 'custom-error';
+    } else {
+      values.reason = `unknown error ${revert.selector}`;
+      id = 'custom-error';
+    }
+  } else if (error?.code === 'CALL_EXCEPTION') {
+    id = 'unknown-revert';
+  }
+
+  const entry = messages[id] || MESSAGES.en[id];
+  return {
+    id,
+    message: render(entry.message, values),
+    action: entry.action ? render(entry.action, values) : null,
+    type: MESSAGE_TYPES[id] || 'error',
+    revert
+  };
+}
+
+/**
+ * Re-run a mined transaction as eth_call to recover its revert reason
+ * (receipts only say that a transaction failed, not why). The call runs against the state at the
+ * end of that block, which includes any later transactions in the same block, so the reason is a
+ * best guess: usually what made the transaction revert, occasionally missing or different.
+ * @param {ethers.Provider} provider - Provider for the transaction's chain
+ * @param {Object} tx - { from, to, data, value }
+ * @param {number} blockNumber - Block the transaction was mined in
+ * @returns {Promise<Error|null>} - The call's revert error, or null if the call succeeds at that state
+ */
+export async function replayRevert(provider, tx, blockNumber) {
+  try {
+    await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      blockTag: blockNumber
+    });
+    return null;
+  } catch (error) {
+    return findRevertData(error) || error.revert || error.reason ? error : null;
+  }
+}
@@ -9,7 +9,11 @@ export default defineConfig({
     // HTTPS disabled for now - causes certificate issues in local dev
     // The SSL error in Brave/Chrome when connecting to MetaMask is expected behavior
     // It WILL work in production with proper HTTPS
-    https: false
+    https: false,
+    // Allow serving the linked round engine from ../packages
+    fs: {
+      allow: ['..']
+    }
   },
   
   // Multi-page application configuration
@@ -19,6 +23,7 @@ export default defineConfig({
         main: 'index.html',
         betting: 'main.html',
         claim: 'claim.html',
+        verify: 'verify.html',
         leaderboard: 'leaderboard.html',
         rules: 'rules.html'
       }
@@ -49,6 +54,8 @@ export default defineConfig({
   resolve: {
     alias: {
       buffer: 'buffer'
-    }
+    },
+    // The round engine is linked from ../packages - make it share our copies
+    dedupe: ['ethers', 'merkletreejs']
   }
 })
@@ -0,0 +1,108 @@
+/**
+ * @file cid.js
+ * @notice Local IPFS CID computation for Participants and Winners files
+ * @dev Chunks the file into a UnixFS DAG exactly like `ipfs add --cid-version=1`
+ *      (Kubo) and Pinata do: 256 KiB fixed-size chunks, raw leaves, balanced layout.
+ *      Small files collapse to a single raw block (bafkrei...). Nothing touches the
+ *      network - the blocks stay in memory so callers can also write a CAR file.
+ */
+
+import { importer } from 'ipfs-unixfs-importer';
+import { CID } from 'multiformats/cid';
+
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+
+/**
+ * Importer options matching Kubo/Pinata CIDv1 defaults
+ */
+export const CID_OPTIONS = {
+  cidVersion: 1,
+  rawLeaves: true,
+  reduceSingleLeafToSelf: true
+};
+
+/**
+ * Build the UnixFS DAG for a file in memory
+ * @param {Uint8Array} bytes - File contents (exact bytes that are/will be uploaded)
+ * @param {Object} options - Importer overrides (e.g. { cidVersion: 0, rawLeaves: false })
+ * @returns {Promise<{cid: CID, blocks: Array<{cid: CID, bytes: Uint8Array}>}>} - Root CID and
+ *   every block of the DAG in the order they were produced (root last)
+ */
+export async function buildUnixFsDag(bytes, options = {}) {
+  const blocks = [];
+  const blockstore = {
+    put: async (cid, block) => {
+      blocks.push({ cid, bytes: block });
+      return cid;
+    }
+  };
+
+  let root = null;
+  for await (const entry of importer([{ content: bytes }], blockstore, { ...CID_OPTIONS, ...options })) {
+    root = entry.cid;
+  }
+
+  return { cid: root, blocks };
+}
+
+/**
+ * Compute the IPFS CID a file will have once uploaded
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} options - Importer overrides
+ * @returns {Promise<string>} - CID string (base32 for v1, base58 for v0)
+ */
+export async function computeCid(bytes, options = {}) {
+  const { cid } = await buildUnixFsDag(bytes, options);
+  return cid.toString();
+}
+
+/**
+ * Importer settings that could have produced a CID, derived from its version and codec
+ * @dev v0 is always dag-pb with dag-pb leaves. v1 raw is a single raw block. v1 dag-pb
+ *      is either a multi-chunk file with raw leaves (Kubo/Pinata default) or an upload
+ *      made with --raw-leaves=false.
+ * @param {CID} cid - Parsed CID
+ * @returns {Array<Object>} - Importer overrides to try, most likely first
+ */
+function candidateOptions(cid) {
+  if (cid.version === 0) {
+    return [{ cidVersion: 0, rawLeaves: false }];
+  }
+  if (cid.code === RAW_CODEC) {
+    return [{}];
+  }
+  return [{}, { rawLeaves: false }];
+}
+
+/**
+ * Check that bytes are exactly the content addressed by a CID
+ * @param {Uint8Array} bytes - Content as received (e.g. from a gateway)
+ * @param {string} expectedCid - CID the content was requested by
+ * @returns {Promise<{valid: boolean, computed: string|null}>} - computed is the CID the
+ *   bytes actually hash to (with the expected CID's settings), null if it can't be checked
+ */
+export async function verifyCid(bytes, expectedCid) {
+  let expected;
+  try {
+    expected = CID.parse(expectedCid.trim());
+  } catch {
+    return { valid: false, computed: null };
+  }
+
+  // Every IPFS upload path we use hashes with sha2-256; anything else can't be recomputed here
+  if (expected.multihash.code !== SHA2_256) {
+    return { valid: false, computed: null };
+  }
+
+  let computed = null;
+  for (const options of candidateOptions(expected)) {
+    const { cid } = await buildUnixFsDag(bytes, options);
+    if (cid.toString() === expected.toString()) {
+      return { valid: true, computed: cid.toString() };
+    }
+    computed = computed || cid.toString();
+  }
+
+  return { valid: false, computed };
+}
@@ -0,0 +1,282 @@
+/**
+ * @file client.js
+ * @notice Typed ethers client for PepedawnRaffle owner and keeper scripts
+ * @dev One place for the contract ABI, the round status enum, revert decoding, nonce
+ *      management and gas settings, so automation reads numbers from getRound() instead of
+ *      parsing CLI output, and every transaction is simulated before it is signed.
+ */
+
+import { ethers } from 'ethers';
+
+export const RAFFLE_ABI = [
+  'function getRound(uint256 roundId) view returns (tuple(uint256 id, uint64 startTime, uint64 endTime, uint8 status, uint256 totalTickets, uint256 totalWeight, uint256 totalWagered, uint256 vrfRequestId, uint64 vrfRequestedAt, bool feesDistributed, uint256 participantCount, bytes32 validProofHash, bytes32 participantsRoot, bytes32 winnersRoot, bytes32 vrfSeed))',
+  'function currentRoundId() view returns (uint256)',
+  'function getParticipantsData(uint256 roundId) view returns (bytes32, string)',
+  'function getWinnersData(uint256 roundId) view returns (bytes32, string)',
+  'function owner() view returns (address)',
+  'function maxGasPrice() view returns (uint256)',
+  'function MIN_TICKETS_FOR_DISTRIBUTION() view returns (uint256)',
+  'function VRF_REQUEST_TIMEOUT() view returns (uint256)',
+  'function createRound()',
+  'function setPrizesForRound(uint256 roundId, uint256[] tokenIds)',
+  'function setValidProof(uint256 roundId, bytes32 proofHash)',
+  'function openRound(uint256 roundId)',
+  'function buyTickets(uint256 tickets) payable',
+  'function closeRound(uint256 roundId)',
+  'function autoCloseRound(uint256 roundId)',
+  'function snapshotRound(uint256 roundId)',
+  'function commitParticipantsRoot(uint256 roundId, bytes32 root, string cid)',
+  'function requestVrf(uint256 roundId)',
+  'function resetVrf(uint256 roundId)',
+  'function submitWinnersRoot(uint256 roundId, bytes32 winnersRoot, string ipfsHash)',
+  'event RoundOpened(uint256 indexed roundId)',
+  'event RoundClosed(uint256 indexed roundId)',
+  'event RoundSnapshot(uint256 indexed roundId, uint256 totalTickets, uint256 totalWeight)',
+  'event ParticipantsRootCommitted(uint256 indexed roundId, bytes32 root, string cid)',
+  'event VRFRequested(uint256 indexed roundId, uint256 indexed requestId)',
+  'event VRFFulfilled(uint256 indexed roundId, uint256 indexed requestId, uint256[] randomWords)',
+  'event VRFTimeoutDetected(uint256 indexed roundId, uint256 requestId)',
+  'event WinnersCommitted(uint256 indexed roundId, bytes32 root, string cid)',
+  'error EnforcedPause()',
+  'error ExpectedPause()',
+  'error OnlyCoordinatorCanFulfill(address have, address want)',
+  'error OnlyOwnerOrCoordinator(address have, address owner, address coordinator)',
+  'error ReentrancyGuardReentrantCall()',
+  'error ZeroAddress()'
+];
+
+// PepedawnRaffle.RoundStatus
+export const ROUND_STATUS = Object.freeze({
+  Created: 0,
+  Open: 1,
+  Closed: 2,
+  Snapshot: 3,
+  VRFRequested: 4,
+  WinnersReady: 5,
+  Distributed: 6,
+  Refunded: 7
+});
+
+export const ROUND_STATUS_NAMES = Object.freeze(Object.keys(ROUND_STATUS));
+
+export const DEFAULT_GAS_SETTINGS = Object.freeze({
+  gasLimitMultiplierPct: 120, // estimateGas * 1.2
+  maxFeePerGas: null,         // wei cap; null = whatever the node suggests
+  maxPriorityFeePerGas: null  // wei; null = node suggestion
+});
+
+// ethers error codes that never reach the contract
+const RPC_ERROR_HINTS = {
+  INSUFFICIENT_FUNDS: 'signer has insufficient ETH for value + gas',
+  NONCE_EXPIRED: 'nonce already used (another process sent from this key)',
+  REPLACEMENT_UNDERPRICED: 'a pending transaction with this nonce needs a higher fee to replace',
+  TIMEOUT: 'RPC request timed out',
+  NETWORK_ERROR: 'RPC network error'
+};
+
+/**
+ * Name of a round status
+ * @param {number|bigint} status - RoundStatus value
+ * @returns {string}
+ */
+export function statusName(status) {
+  return ROUND_STATUS_NAMES[Number(status)] || `Unknown(${status})`;
+}
+
+/**
+ * Describe why a call or transaction failed (custom error, require string, or RPC error)
+ * @param {Error} error - Error thrown by ethers
+ * @returns {string}
+ */
+export function describeRevert(error) {
+  if (error.revert) {
+    return `${error.revert.name}(${error.revert.args.join(', ')})`;
+  }
+  if (error.reason) {
+    return error.reason;
+  }
+  if (RPC_ERROR_HINTS[error.code]) {
+    return `${RPC_ERROR_HINTS[error.code]} (${error.shortMessage || error.message})`;
+  }
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Gas settings from environment variables
+ * @dev GAS_LIMIT_MULTIPLIER_PCT, MAX_FEE_PER_GAS_GWEI and MAX_PRIORITY_FEE_PER_GAS_GWEI;
+ *      unset variables keep DEFAULT_GAS_SETTINGS.
+ * @param {Object} env - e.g. process.env
+ * @returns {Object} - Gas settings for createRaffleClient
+ */
+export function readGasSettings(env) {
+  const gwei = value => (value ? ethers.parseUnits(String(value), 'gwei') : null);
+  return {
+    gasLimitMultiplierPct: env.GAS_LIMIT_MULTIPLIER_PCT
+      ? Number(env.GAS_LIMIT_MULTIPLIER_PCT)
+      : DEFAULT_GAS_SETTINGS.gasLimitMultiplierPct,
+    maxFeePerGas: gwei(env.MAX_FEE_PER_GAS_GWEI),
+    maxPriorityFeePerGas: gwei(env.MAX_PRIORITY_FEE_PER_GAS_GWEI)
+  };
+}
+
+/**
+ * Create a PepedawnRaffle client
+ * @param {Object} options
+ * @param {string} options.address - PepedawnRaffle address
+ * @param {ethers.Provider} [options.provider] - Provider (or pass rpcUrl)
+ * @param {string} [options.rpcUrl] - JSON-RPC endpoint
+ * @param {string} [options.privateKey] - Signing key; omit for a read-only client
+ * @param {Object} [options.gas] - Overrides for DEFAULT_GAS_SETTINGS
+ * @param {number} [options.confirmations] - Confirmations execute() waits for (default: 1)
+ * @returns {Object} - { contract, provider, account, getRound, getRoundStatus, getCurrentRoundId, simulate, send, execute }
+ */
+export function createRaffleClient(options) {
+  if (!options.address) {
+    throw new Error('createRaffleClient needs the PepedawnRaffle address');
+  }
+  const provider = options.provider || new ethers.JsonRpcProvider(options.rpcUrl);
+  const gas = { ...DEFAULT_GAS_SETTINGS, ...options.gas };
+  const confirmations = options.confirmations ?? 1;
+
+  // NonceManager hands out sequential nonces, so back-to-back sends never wait for the node's pending count
+  const wallet = options.privateKey ? new ethers.Wallet(options.privateKey, provider) : null;
+  const signer = wallet ? new ethers.NonceManager(wallet) : null;
+  const contract = new ethers.Contract(options.address, RAFFLE_ABI, signer || provider);
+
+  const requireSigner = () => {
+    if (!signer) throw new Error('This raffle client is read-only (no private key)');
+  };
+
+  // Fee fields within the configured caps
+  const feeOverrides = async () => {
+    const feeData = await provider.getFeeData();
+
+    if (feeData.maxFeePerGas === null) {
+      // Legacy chain
+      if (gas.maxFeePerGas !== null && feeData.gasPrice > gas.maxFeePerGas) {
+        throw new Error(`Gas price ${ethers.formatUnits(feeData.gasPrice, 'gwei')} gwei is above the ${ethers.formatUnits(gas.maxFeePerGas, 'gwei')} gwei cap`);
+      }
+      return { gasPrice: feeData.gasPrice };
+    }
+
+    let maxFeePerGas = feeData.maxFeePerGas;
+    let maxPriorityFeePerGas = gas.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+
+    if (gas.maxFeePerGas !== null) {
+      const block = await provider.getBlock('latest');
+      if (block.baseFeePerGas > gas.maxFeePerGas) {
+        throw new Error(`Base fee ${ethers.formatUnits(block.baseFeePerGas, 'gwei')} gwei is above the ${ethers.formatUnits(gas.maxFeePerGas, 'gwei')} gwei cap`);
+      }
+      if (maxFeePerGas > gas.maxFeePerGas) maxFeePerGas = gas.maxFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  };
+
+  const fail = (method, error) => {
+    const wrapped = new Error(`${method} failed: ${describeRevert(error)}`, { cause: error });
+    wrapped.method = method;
+    wrapped.revert = error.revert || null;
+    wrapped.reason = error.reason || null;
+    wrapped.receipt = error.receipt || null;
+    return wrapped;
+  };
+
+  const client = {
+    contract,
+    provider,
+    account: wallet ? wallet.address : null,
+
+    /**
+     * getRound() with status as a number
+     * @param {number|string|bigint} roundId - Round ID
+     * @returns {Promise<Object>}
+     */
+    async getRound(roundId) {
+      const round = await contract.getRound(roundId);
+      return { ...round.toObject(), status: Number(round.status) };
+    },
+
+    /**
+     * @param {number|string|bigint} roundId - Round ID
+     * @returns {Promise<number>} - ROUND_STATUS value
+     */
+    async getRoundStatus(roundId) {
+      const round = await contract.getRound(roundId);
+      return Number(round.status);
+    },
+
+    /**
+     * @returns {Promise<number>} - 0 before the first round
+     */
+    async getCurrentRoundId() {
+      return Number(await contract.currentRoundId());
+    },
+
+    /**
+     * Run a transaction as eth_call and estimate its gas, without signing it
+     * @param {string} method - Contract function
+     * @param {Array} [args] - Arguments
+     * @param {Object} [overrides] - e.g. { value, from }
+     * @returns {Promise<{gasLimit: bigint, fees: Object}>} - Buffered gas limit and fee fields
+     * @throws {Error} - Decoded revert reason (error.revert / error.reason)
+     */
+    async simulate(method, args = [], overrides = {}) {
+      const fees = await feeOverrides();
+      const callOverrides = { ...overrides, ...fees };
+      if (!callOverrides.from && wallet) callOverrides.from = wallet.address;
+
+      try {
+        await contract[method].staticCall(...args, callOverrides);
+        const estimate = await contract[method].estimateGas(...args, callOverrides);
+        return { gasLimit: estimate * BigInt(gas.gasLimitMultiplierPct) / 100n, fees };
+      } catch (error) {
+        throw fail(method, error);
+      }
+    },
+
+    /**
+     * Simulate, then sign and broadcast a transaction
+     * @param {string} method - Contract function
+     * @param {Array} [args] - Arguments
+     * @param {Object} [overrides] - e.g. { value }
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async send(method, args = [], overrides = {}) {
+      requireSigner();
+      const { gasLimit, fees } = await client.simulate(method, args, overrides);
+
+      try {
+        return await contract[method](...args, { ...overrides, ...fees, gasLimit });
+      } catch (error) {
+        // The nonce was handed out but nothing was broadcast - re-sync with the node
+        signer.reset();
+        throw fail(method, error);
+      }
+    },
+
+    /**
+     * send() and wait for the receipt
+     * @param {string} method - Contract function
+     * @param {Array} [args] - Arguments
+     * @param {Object} [overrides] - e.g. { value }
+     * @param {Object} [waitOptions]
+     * @param {number} [waitOptions.confirmations] - Default: the client's confirmations
+     * @param {Function} [waitOptions.onSent] - Called with the TransactionResponse once broadcast
+     * @returns {Promise<ethers.TransactionReceipt>}
+     */
+    async execute(method, args = [], overrides = {}, waitOptions = {}) {
+      const tx = await client.send(method, args, overrides);
+      if (waitOptions.onSent) waitOptions.onSent(tx);
+
+      try {
+        return await tx.wait(waitOptions.confirmations ?? confirmations);
+      } catch (error) {
+        throw fail(method, error);
+      }
+    }
+  };
+
+  return client;
+}
@@ -0,0 +1,76 @@
+/**
+ * @file index.js
+ * @notice PEPEDAWN round engine - public entry point
+ * @dev Used by the owner CLI, automation scripts and the frontend so that all of
+ *      them encode leaves, build trees and select winners the exact same way.
+ */
+
+export {
+  LEAF_FORMATS,
+  encodeParticipantLeaf,
+  encodeWinnerLeaf
+} from './leaves.js';
+
+export {
+  buildParticipantsTree,
+  buildWinnersTree,
+  computeParticipantsRoot,
+  computeWinnersRoot,
+  generateParticipantProof,
+  generateWinnerProof,
+  verifyParticipantProof,
+  verifyWinnerProof
+} from './tree.js';
+
+export {
+  FAKE_PACK_TIER,
+  KEK_PACK_TIER,
+  PEPE_PACK_TIER,
+  NUM_PRIZES,
+  SCALE,
+  BASE_WEIGHT_PER_TICKET,
+  PROOF_WEIGHT_PER_TICKET,
+  RAFFLE_ALGORITHM,
+  getPrizeTier,
+  drawHash,
+  selectWinnersOffChain
+} from './raffle.js';
+
+export {
+  CID_OPTIONS,
+  buildUnixFsDag,
+  computeCid,
+  verifyCid
+} from './cid.js';
+
+export {
+  INDEXER_VERSION,
+  INDEXED_EVENTS,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CONFIRMATIONS,
+  createEventIndex,
+  decodeEventLog,
+  scanLogs,
+  isCompatibleIndex,
+  findDeploymentBlock,
+  syncEvents,
+  buildRoundState,
+  summarizeRefundWithdrawals
+} from './indexer.js';
+
+export {
+  RECONCILE_EVENTS,
+  fetchRoundLedger,
+  reconcileParticipants
+} from './reconcile.js';
+
+export {
+  RAFFLE_ABI,
+  ROUND_STATUS,
+  ROUND_STATUS_NAMES,
+  DEFAULT_GAS_SETTINGS,
+  statusName,
+  describeRevert,
+  readGasSettings,
+  createRaffleClient
+} from './client.js';
@@ -0,0 +1,296 @@
+/**
+ * @file indexer.js
+ * @notice Historical event indexer for PepedawnRaffle
+ * @dev Backfills WagerPlaced, ProofSubmitted, ProofRejected, PrizeClaimed and RefundWithdrawn
+ *      with chunked getLogs and rebuilds per-round participant state from them, so callers
+ *      don't need one getUserStats call per participant.
+ *
+ *      Storage is the caller's job: the index is a plain JSON-serializable object and
+ *      syncEvents() hands it back after every chunk. Only blocks at least `confirmations`
+ *      deep are written into the index (and its checkpoint); the newer tail is re-read on
+ *      every sync, so a reorg can never leave a dropped event in a persisted index.
+ */
+
+import { ethers } from 'ethers';
+
+export const INDEXER_VERSION = 1;
+
+export const INDEXED_EVENTS = [
+  'event WagerPlaced(address indexed wallet, uint256 indexed roundId, uint256 amount, uint256 tickets, uint256 effectiveWeight)',
+  'event ProofSubmitted(address indexed wallet, uint256 indexed roundId, bytes32 proofHash, uint256 newWeight)',
+  'event ProofRejected(address indexed wallet, uint256 indexed roundId, bytes32 proofHash)',
+  'event PrizeClaimed(uint256 indexed roundId, address indexed winner, uint8 prizeIndex, uint8 prizeTier, uint256 emblemVaultTokenId)',
+  'event RefundWithdrawn(address indexed user, uint256 amount)'
+];
+
+const eventsInterface = new ethers.Interface(INDEXED_EVENTS);
+const EVENT_TOPICS = eventsInterface.fragments.map(fragment => fragment.topicHash);
+
+export const DEFAULT_CHUNK_SIZE = 2000;
+export const DEFAULT_CONFIRMATIONS = 12;
+
+// Provider errors that mean "ask for fewer blocks", not "give up"
+const RANGE_ERROR_PATTERN = /range|limit|too many|exceed|10000|response size|timeout/i;
+
+/**
+ * Create an empty index for a contract
+ * @param {string} contractAddress - PepedawnRaffle address
+ * @param {number} startBlock - First block to scan (deployment block)
+ * @returns {Object} - Index: { version, contractAddress, startBlock, checkpoint, events }
+ */
+export function createEventIndex(contractAddress, startBlock) {
+  return {
+    version: INDEXER_VERSION,
+    contractAddress: ethers.getAddress(contractAddress),
+    startBlock,
+    checkpoint: startBlock - 1,
+    events: []
+  };
+}
+
+/**
+ * Check that a stored index can be extended (same contract, same format)
+ * @param {Object|null} index - Stored index
+ * @param {string} contractAddress - Expected contract
+ * @returns {boolean}
+ */
+export function isCompatibleIndex(index, contractAddress) {
+  return Boolean(index) &&
+    index.version === INDEXER_VERSION &&
+    index.contractAddress.toLowerCase() === contractAddress.toLowerCase();
+}
+
+/**
+ * Find the block a contract was deployed in (binary search over eth_getCode)
+ * @dev Needs an RPC that serves historical state; pass the block explicitly otherwise.
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} contractAddress - Contract address
+ * @returns {Promise<number>} - Deployment block
+ */
+export async function findDeploymentBlock(provider, contractAddress) {
+  let high = await provider.getBlockNumber();
+  if ((await provider.getCode(contractAddress, high)) === '0x') {
+    throw new Error(`No contract deployed at ${contractAddress}`);
+  }
+
+  let low = 0;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if ((await provider.getCode(contractAddress, mid)) === '0x') {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Decode a raw log into a compact, JSON-serializable event
+ * @param {ethers.Interface} iface - Interface holding the log's event fragment
+ * @param {ethers.Log} log - Raw log
+ * @returns {Object|null} - { name, blockNumber, logIndex, transactionHash, args } or null if unknown
+ */
+export function decodeEventLog(iface, log) {
+  const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  return {
+    name: parsed.name,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    transactionHash: log.transactionHash,
+    args
+  };
+}
+
+/**
+ * Fetch logs in [fromBlock, toBlock] in chunks, splitting the range on provider limits
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} filter - getLogs filter without the block range ({ address, topics })
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Object} options - { chunkSize, onChunk(logs, chunkToBlock) } - logs sorted by block and log index
+ * @returns {Promise<number>} - Chunk size that worked last (reuse it for the next call)
+ */
+export async function scanLogs(provider, filter, fromBlock, toBlock, { chunkSize = DEFAULT_CHUNK_SIZE, onChunk }) {
+  let size = chunkSize;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = Math.min(start + size - 1, toBlock);
+    let logs;
+    try {
+      logs = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+    } catch (error) {
+      if (size > 1 && RANGE_ERROR_PATTERN.test(error.message || '')) {
+        size = Math.max(1, Math.floor(size / 2));
+        continue;
+      }
+      throw error;
+    }
+
+    await onChunk([...logs].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index), end);
+    start = end + 1;
+  }
+
+  return size;
+}
+
+/**
+ * Fetch and decode indexed events in [fromBlock, toBlock]
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} contractAddress - Contract address
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Object} options - { chunkSize, onChunk(events, chunkToBlock) }
+ * @returns {Promise<number>} - Chunk size that worked last
+ */
+function scanRange(provider, contractAddress, fromBlock, toBlock, { chunkSize, onChunk }) {
+  return scanLogs(provider, { address: contractAddress, topics: [EVENT_TOPICS] }, fromBlock, toBlock, {
+    chunkSize,
+    onChunk: (logs, end) => onChunk(
+      logs.map(log => decodeEventLog(eventsInterface, log)).filter(Boolean),
+      end
+    )
+  });
+}
+
+/**
+ * Bring an index up to date and return every event up to the chain head
+ * @param {ethers.Provider} provider - Provider
+ * @param {Object} index - Index from createEventIndex (mutated: events appended, checkpoint advanced)
+ * @param {Object} options
+ * @param {number} [options.toBlock] - Chain head to sync to (default: latest)
+ * @param {number} [options.confirmations] - Depth before events are written into the index
+ * @param {number} [options.chunkSize] - Blocks per getLogs call (shrinks automatically)
+ * @param {Function} [options.onCheckpoint] - Called with the index after each confirmed chunk (persist it)
+ * @returns {Promise<Array>} - Confirmed events plus the unconfirmed tail, in chain order
+ */
+export async function syncEvents(provider, index, options = {}) {
+  const head = options.toBlock ?? await provider.getBlockNumber();
+  const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+  const safeBlock = head - confirmations;
+  let chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+
+  if (index.checkpoint < safeBlock) {
+    chunkSize = await scanRange(provider, index.contractAddress, index.checkpoint + 1, safeBlock, {
+      chunkSize,
+      onChunk: async (events, chunkToBlock) => {
+        index.events.push(...events);
+        index.checkpoint = chunkToBlock;
+        if (options.onCheckpoint) {
+          await options.onCheckpoint(index);
+        }
+      }
+    });
+  }
+
+  // Unconfirmed tail: returned to the caller but never stored
+  const tail = [];
+  const tailStart = Math.max(index.checkpoint + 1, index.startBlock);
+  if (tailStart <= head) {
+    await scanRange(provider, index.contractAddress, tailStart, head, {
+      chunkSize,
+      onChunk: events => { tail.push(...events); }
+    });
+  }
+
+  return [...index.events, ...tail];
+}
+
+/**
+ * Rebuild a round's participant state from events
+ * @dev Mirrors the contract: WagerPlaced adds amount/tickets/effectiveWeight, ProofSubmitted
+ *      replaces the weight, either proof event sets hasProof. Participants keep first-wager
+ *      order, which is the order getRoundParticipants() returns.
+ * @param {Array} events - Events in chain order (from syncEvents)
+ * @param {number|string|bigint} roundId - Round ID
+ * @returns {Object} - { roundId, participants, participantCount, totalTickets, totalWeight, totalWagered, claims }
+ *   participants: [{ address, wagered, tickets, weight, hasProof, proofVerified }] (bigint amounts)
+ */
+export function buildRoundState(events, roundId) {
+  const id = roundId.toString();
+  const participants = new Map();
+  const claims = [];
+
+  const participantFor = address => {
+    const key = address.toLowerCase();
+    if (!participants.has(key)) {
+      participants.set(key, {
+        address: ethers.getAddress(address),
+        wagered: 0n,
+        tickets: 0n,
+        weight: 0n,
+        hasProof: false,
+        proofVerified: false
+      });
+    }
+    return participants.get(key);
+  };
+
+  for (const event of events) {
+    if (event.args.roundId !== id) continue;
+
+    switch (event.name) {
+      case 'WagerPlaced': {
+        const participant = participantFor(event.args.wallet);
+        participant.wagered += BigInt(event.args.amount);
+        participant.tickets += BigInt(event.args.tickets);
+        participant.weight += BigInt(event.args.effectiveWeight);
+        break;
+      }
+      case 'ProofSubmitted': {
+        const participant = participantFor(event.args.wallet);
+        participant.weight = BigInt(event.args.newWeight);
+        participant.hasProof = true;
+        participant.proofVerified = true;
+        break;
+      }
+      case 'ProofRejected':
+        participantFor(event.args.wallet).hasProof = true;
+        break;
+      case 'PrizeClaimed':
+        claims.push({
+          winner: ethers.getAddress(event.args.winner),
+          prizeIndex: Number(event.args.prizeIndex),
+          prizeTier: Number(event.args.prizeTier),
+          emblemVaultTokenId: event.args.emblemVaultTokenId,
+          transactionHash: event.transactionHash
+        });
+        break;
+    }
+  }
+
+  const list = [...participants.values()];
+  return {
+    roundId: id,
+    participants: list,
+    participantCount: list.length,
+    totalTickets: list.reduce((sum, p) => sum + p.tickets, 0n),
+    totalWeight: list.reduce((sum, p) => sum + p.weight, 0n),
+    totalWagered: list.reduce((sum, p) => sum + p.wagered, 0n),
+    claims
+  };
+}
+
+/**
+ * Total refunds withdrawn per address (RefundWithdrawn is not round-scoped)
+ * @param {Array} events - Events in chain order
+ * @returns {Map<string, bigint>} - Lowercase address -> wei withdrawn
+ */
+export function summarizeRefundWithdrawals(events) {
+  const totals = new Map();
+  for (const event of events) {
+    if (event.name !== 'RefundWithdrawn') continue;
+    const key = event.args.user.toLowerCase();
+    totals.set(key, (totals.get(key) || 0n) + BigInt(event.args.amount));
+  }
+  return totals;
+}
@@ -0,0 +1,44 @@
+/**
+ * @file leaves.js
+ * @notice Merkle leaf encoders for Participants and Winners files
+ * @dev These MUST match what the contract (and previously committed roots) expect.
+ *      Winners leaves are checked on-chain in claim(); participants leaves are
+ *      only committed, but every root published so far uses the packed encoding.
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * Human-readable leaf formats written into generated files
+ */
+export const LEAF_FORMATS = {
+  participants: 'keccak256(abi.encodePacked(address, uint128 weight))',
+  winners: 'keccak256(abi.encodePacked(address, uint8 prizeTier, uint8 prizeIndex))'
+};
+
+/**
+ * Encode a participant leaf
+ * @param {string} address - Participant address
+ * @param {string|number|bigint} weight - Participant total weight
+ * @returns {string} - Leaf hash (0x-prefixed)
+ */
+export function encodeParticipantLeaf(address, weight) {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'uint128'],
+    [address, BigInt(weight)]
+  );
+}
+
+/**
+ * Encode a winner leaf (matches PepedawnRaffle.claim)
+ * @param {string} address - Winner address
+ * @param {number} prizeTier - Prize tier (1-3)
+ * @param {number} prizeIndex - Prize index (0-9)
+ * @returns {string} - Leaf hash (0x-prefixed)
+ */
+export function encodeWinnerLeaf(address, prizeTier, prizeIndex) {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'uint8', 'uint8'],
+    [address, prizeTier, prizeIndex]
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * @file raffle.js
+ * @notice Off-chain winner selection from the VRF seed - RAFFLE MODEL
+ * @dev Deterministic: the same participants list (in file order) and seed always
+ *      produce the same winners. Anyone holding the Participants File and the
+ *      on-chain vrfSeed can reproduce the Winners File with this module.
+ */
+
+import { ethers } from 'ethers';
+
+// Prize tier constants (from contract)
+export const FAKE_PACK_TIER = 1;
+export const KEK_PACK_TIER = 2;
+export const PEPE_PACK_TIER = 3;
+
+export const NUM_PRIZES = 10;
+
+// Integer scaling to preserve proof bonus (1.4x) precision
+export const SCALE = 1000n;
+export const BASE_WEIGHT_PER_TICKET = 1000n;   // 1.0x = 1000 scaled
+export const PROOF_WEIGHT_PER_TICKET = 1400n;  // 1.4x = 1400 scaled (contract PROOF_MULTIPLIER)
+
+/**
+ * Algorithm block written into Winners Files so verifiers know what to rerun
+ */
+export const RAFFLE_ALGORITHM = {
+  type: 'weighted-raffle-without-replacement',
+  scale: SCALE.toString(),
+  baseWeightPerTicket: BASE_WEIGHT_PER_TICKET.toString(),
+  proofWeightPerTicket: PROOF_WEIGHT_PER_TICKET.toString(),
+  description: 'Each ticket is consumed on win. Proof bonus = 1.4x weight per ticket.'
+};
+
+/**
+ * Get prize tier for a given prize index
+ * @param {number} prizeIndex - Prize index (0-9)
+ * @returns {number} - Prize tier
+ */
+export function getPrizeTier(prizeIndex) {
+  if (prizeIndex === 0) return FAKE_PACK_TIER;  // 1st place
+  if (prizeIndex === 1) return KEK_PACK_TIER;   // 2nd place
+  return PEPE_PACK_TIER;                        // 3rd-10th place
+}
+
+/**
+ * Derive the random hash for a prize draw
+ * @param {string} vrfSeed - VRF seed (bytes32)
+ * @param {number} prizeIndex - Prize index
+ * @returns {string} - keccak256(abi.encode(uint256 seed, uint256 prizeIndex))
+ */
+export function drawHash(vrfSeed, prizeIndex) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'uint256'],
+      [BigInt(vrfSeed), prizeIndex]
+    )
+  );
+}
+
+/**
+ * Select winners off-chain using VRF seed
+ * @param {Array} participants - Participant objects with {address, weight, tickets, hasProof}
+ * @param {string} vrfSeed - The VRF seed (bytes32)
+ * @param {Object} options - { numPrizes }
+ * @returns {{winners: Array, draws: Array}} - Winners ({address, prizeTier, prizeIndex})
+ *   and a per-draw trace (bigint weights) for logging and independent verification
+ *
+ * RAFFLE LOGIC:
+ * - Each ticket can win ONE pack (tickets are consumed on win)
+ * - Each participant can win multiple packs (up to their ticket count)
+ * - After each win, the winning ticket is removed from the pool
+ * - Total weight decreases by the ticket weight (1000 or 1400 scaled units)
+ * - Odds change dynamically like a physical raffle
+ *
+ * WEIGHT CALCULATION (CRITICAL):
+ * - Contract stores TOTAL weight per user (e.g., 5 tickets with proof = weight 7)
+ * - We need PER-TICKET weight for consumption: 1000 (no proof) or 1400 (with proof)
+ * - Use integer scaling to preserve decimals: SCALE = 1000
+ */
+export function selectWinnersOffChain(participants, vrfSeed, { numPrizes = NUM_PRIZES } = {}) {
+  const winners = [];
+  const draws = [];
+
+  // Create mutable participant pool with remaining tickets
+  const participantPool = participants.map(p => {
+    const tickets = Number(p.tickets);
+    const totalWeight = Number(p.weight);
+
+    // Calculate ACTUAL per-ticket weight from participant data
+    // Contract weight = tickets * (hasProof ? 1.4 : 1.0)
+    const actualWeightPerTicket = totalWeight / tickets;
+    const scaledWeightPerTicket = BigInt(Math.round(actualWeightPerTicket * Number(SCALE)));
+
+    return {
+      address: p.address,
+      ticketsRemaining: tickets,
+      weightPerTicket: scaledWeightPerTicket,
+      hasProof: p.hasProof || false
+    };
+  });
+
+  const poolWeight = () => participantPool.reduce(
+    (sum, p) => p.ticketsRemaining > 0 ? sum + BigInt(p.ticketsRemaining) * p.weightPerTicket : sum,
+    0n
+  );
+
+  for (let i = 0; i < numPrizes; i++) {
+    const totalTicketsRemaining = participantPool.reduce((sum, p) => sum + p.ticketsRemaining, 0);
+    if (totalTicketsRemaining === 0) {
+      break; // Fewer tickets than prizes - caller decides how to report it
+    }
+
+    // Random hash for this prize (deterministic based on VRF seed + prize index)
+    const randomHash = drawHash(vrfSeed, i);
+
+    // Current total weight is computed from remaining tickets only
+    const dynamicTotalWeight = poolWeight();
+    const randomWeight = BigInt(randomHash) % dynamicTotalWeight;
+
+    // Find winner by cumulative weight (weighted lottery)
+    let cumulative = 0n;
+    let winnerIndex = -1;
+
+    for (let j = 0; j < participantPool.length; j++) {
+      const participant = participantPool[j];
+      if (participant.ticketsRemaining === 0) continue;
+
+      cumulative += BigInt(participant.ticketsRemaining) * participant.weightPerTicket;
+      if (cumulative > randomWeight) {
+        winnerIndex = j;
+        break;
+      }
+    }
+
+    // Fallback: shouldn't happen, but pick last participant with tickets
+    if (winnerIndex === -1) {
+      for (let j = participantPool.length - 1; j >= 0; j--) {
+        if (participantPool[j].ticketsRemaining > 0) {
+          winnerIndex = j;
+          break;
+        }
+      }
+    }
+
+    const winner = participantPool[winnerIndex];
+    const prizeTier = getPrizeTier(i);
+
+    winners.push({
+      address: winner.address,
+      prizeTier: prizeTier,
+      prizeIndex: i
+    });
+
+    // CRITICAL: Consume one ticket from the winner (raffle mechanic)
+    winner.ticketsRemaining -= 1;
+
+    draws.push({
+      prizeIndex: i,
+      prizeTier: prizeTier,
+      randomHash: randomHash,
+      totalWeight: dynamicTotalWeight,
+      randomWeight: randomWeight,
+      winner: winner.address,
+      winnerPoolIndex: winnerIndex,
+      weightPerTicket: winner.weightPerTicket,
+      ticketsRemaining: winner.ticketsRemaining,
+      remainingWeight: poolWeight()
+    });
+  }
+
+  return { winners, draws };
+}
@@ -0,0 +1,166 @@
+/**
+ * @file reconcile.js
+ * @notice Independent check of a Participants File against the round's own event logs
+ * @dev The file is built from getRoundParticipants + getUserStats (or the event index).
+ *      This re-reads the round's WagerPlaced / ProofSubmitted / RoundSnapshot logs straight
+ *      from the chain (filtered by roundId, no cached index), replays them and compares the
+ *      result with every file entry and with the totals frozen by snapshotRound().
+ *
+ *      A participants root can't be replaced once VRF is requested, so callers must refuse
+ *      to commit unless reconcileParticipants() reports no discrepancies.
+ */
+
+import { ethers } from 'ethers';
+import { buildRoundState, decodeEventLog, scanLogs } from './indexer.js';
+
+export const RECONCILE_EVENTS = [
+  'event WagerPlaced(address indexed wallet, uint256 indexed roundId, uint256 amount, uint256 tickets, uint256 effectiveWeight)',
+  'event ProofSubmitted(address indexed wallet, uint256 indexed roundId, bytes32 proofHash, uint256 newWeight)',
+  'event RoundSnapshot(uint256 indexed roundId, uint256 totalTickets, uint256 totalWeight)'
+];
+
+const reconcileInterface = new ethers.Interface(RECONCILE_EVENTS);
+const topicOf = name => reconcileInterface.getEvent(name).topicHash;
+
+/**
+ * Read a round's wager, proof and snapshot logs from the chain
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} contractAddress - PepedawnRaffle address
+ * @param {number|string|bigint} roundId - Round ID
+ * @param {Object} options
+ * @param {number} options.fromBlock - First block to scan (deployment block or earlier)
+ * @param {number} [options.toBlock] - Last block to scan (default: latest)
+ * @param {number} [options.chunkSize] - Blocks per getLogs call (shrinks automatically)
+ * @returns {Promise<{roundId: string, events: Array, snapshots: Array, toBlock: number}>}
+ *   events: WagerPlaced/ProofSubmitted in chain order; snapshots: RoundSnapshot events for the round
+ */
+export async function fetchRoundLedger(provider, contractAddress, roundId, options) {
+  if (options.fromBlock === null || options.fromBlock === undefined) {
+    throw new Error('fetchRoundLedger needs a fromBlock (the contract deployment block)');
+  }
+
+  const toBlock = options.toBlock ?? await provider.getBlockNumber();
+  const roundTopic = ethers.zeroPadValue(ethers.toBeHex(BigInt(roundId)), 32);
+  const events = [];
+  const snapshots = [];
+
+  // roundId is the second indexed argument of the participant events...
+  await scanLogs(provider, {
+    address: contractAddress,
+    topics: [[topicOf('WagerPlaced'), topicOf('ProofSubmitted')], null, roundTopic]
+  }, options.fromBlock, toBlock, {
+    chunkSize: options.chunkSize,
+    onChunk: logs => { events.push(...logs.map(log => decodeEventLog(reconcileInterface, log))); }
+  });
+
+  // ...and the first of RoundSnapshot
+  await scanLogs(provider, {
+    address: contractAddress,
+    topics: [topicOf('RoundSnapshot'), roundTopic]
+  }, options.fromBlock, toBlock, {
+    chunkSize: options.chunkSize,
+    onChunk: logs => { snapshots.push(...logs.map(log => decodeEventLog(reconcileInterface, log))); }
+  });
+
+  return { roundId: roundId.toString(), events, snapshots, toBlock };
+}
+
+/**
+ * Compare a Participants File with a round ledger
+ * @dev Every check runs (nothing short-circuits) so one report lists all problems.
+ * @param {Object} file - Parsed Participants File
+ * @param {Object} ledger - From fetchRoundLedger
+ * @returns {{ok: boolean, discrepancies: string[], expected: Object}}
+ *   expected: { participantCount, totalTickets, totalWeight } as replayed from the logs (strings)
+ */
+export function reconcileParticipants(file, ledger) {
+  const discrepancies = [];
+  const state = buildRoundState(ledger.events, ledger.roundId);
+
+  if (String(file.roundId) !== ledger.roundId) {
+    discrepancies.push(`file is for round ${file.roundId}, ledger is for round ${ledger.roundId}`);
+  }
+
+  // Snapshot totals vs. the replayed logs
+  const snapshot = ledger.snapshots[ledger.snapshots.length - 1];
+  if (!snapshot) {
+    discrepancies.push(`no RoundSnapshot event for round ${ledger.roundId} (through block ${ledger.toBlock})`);
+  } else {
+    if (ledger.snapshots.length > 1) {
+      discrepancies.push(`${ledger.snapshots.length} RoundSnapshot events for round ${ledger.roundId}`);
+    }
+    if (BigInt(snapshot.args.totalTickets) !== state.totalTickets) {
+      discrepancies.push(`RoundSnapshot totalTickets ${snapshot.args.totalTickets}, WagerPlaced logs sum to ${state.totalTickets}`);
+    }
+    if (BigInt(snapshot.args.totalWeight) !== state.totalWeight) {
+      discrepancies.push(`RoundSnapshot totalWeight ${snapshot.args.totalWeight}, wager/proof logs sum to ${state.totalWeight}`);
+    }
+    if (snapshot.blockNumber < Math.max(0, ...ledger.events.map(event => event.blockNumber))) {
+      discrepancies.push(`wager/proof events after the RoundSnapshot in block ${snapshot.blockNumber}`);
+    }
+  }
+
+  // File header vs. the replayed logs
+  if (String(file.totalTickets) !== state.totalTickets.toString()) {
+    discrepancies.push(`file totalTickets ${file.totalTickets}, logs ${state.totalTickets}`);
+  }
+  if (String(file.totalWeight) !== state.totalWeight.toString()) {
+    discrepancies.push(`file totalWeight ${file.totalWeight}, logs ${state.totalWeight}`);
+  }
+  if (Number(file.participantCount) !== state.participantCount) {
+    discrepancies.push(`file participantCount ${file.participantCount}, logs ${state.participantCount}`);
+  }
+
+  // File entries vs. the replayed logs, per wallet
+  const expected = new Map(state.participants.map(p => [p.address.toLowerCase(), p]));
+  const seen = new Set();
+  let fileTickets = 0n;
+  let fileWeight = 0n;
+
+  for (const entry of file.participants || []) {
+    const key = entry.address.toLowerCase();
+    fileTickets += BigInt(entry.tickets);
+    fileWeight += BigInt(entry.weight);
+
+    if (seen.has(key)) {
+      discrepancies.push(`${entry.address} appears more than once in the file`);
+      continue;
+    }
+    seen.add(key);
+
+    const stats = expected.get(key);
+    if (!stats) {
+      discrepancies.push(`${entry.address} is in the file but has no WagerPlaced events`);
+      continue;
+    }
+    if (BigInt(entry.tickets) !== stats.tickets) {
+      discrepancies.push(`${entry.address} tickets: file ${entry.tickets}, logs ${stats.tickets}`);
+    }
+    if (BigInt(entry.weight) !== stats.weight) {
+      discrepancies.push(`${entry.address} weight: file ${entry.weight}, logs ${stats.weight}`);
+    }
+  }
+
+  for (const stats of state.participants) {
+    if (!seen.has(stats.address.toLowerCase())) {
+      discrepancies.push(`${stats.address} placed wagers but is missing from the file`);
+    }
+  }
+
+  if (fileTickets !== state.totalTickets) {
+    discrepancies.push(`file entries sum to ${fileTickets} tickets, logs ${state.totalTickets}`);
+  }
+  if (fileWeight !== state.totalWeight) {
+    discrepancies.push(`file entries sum to ${fileWeight} weight, logs ${state.totalWeight}`);
+  }
+
+  return {
+    ok: discrepancies.length === 0,
+    discrepancies,
+    expected: {
+      participantCount: state.participantCount,
+      totalTickets: state.totalTickets.toString(),
+      totalWeight: state.totalWeight.toString()
+    }
+  };
+}
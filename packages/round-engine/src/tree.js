@@ -0,0 +1,124 @@
+/**
+ * @file tree.js
+ * @notice Merkle tree building, proof generation and verification
+ * @dev Trees use keccak256 with sorted pairs so roots are deterministic
+ *      regardless of leaf order (matches OpenZeppelin MerkleProof).
+ */
+
+import { ethers } from 'ethers';
+import { MerkleTree } from 'merkletreejs';
+import { encodeParticipantLeaf, encodeWinnerLeaf } from './leaves.js';
+
+const TREE_OPTIONS = { sortPairs: true };
+
+/**
+ * Build Merkle tree from participants data
+ * @param {Array} participants - Array of participant objects with address and weight
+ * @returns {MerkleTree} - Constructed Merkle tree
+ */
+export function buildParticipantsTree(participants) {
+  if (!participants || participants.length === 0) {
+    throw new Error('Cannot build tree: no participants provided');
+  }
+
+  const leaves = participants.map(p => encodeParticipantLeaf(p.address, p.weight));
+  return new MerkleTree(leaves, ethers.keccak256, TREE_OPTIONS);
+}
+
+/**
+ * Build Merkle tree from winners data
+ * @param {Array} winners - Array of winner objects with address, prizeTier, and prizeIndex
+ * @returns {MerkleTree} - Constructed Merkle tree
+ */
+export function buildWinnersTree(winners) {
+  if (!winners || winners.length === 0) {
+    throw new Error('Cannot build tree: no winners provided');
+  }
+
+  const leaves = winners.map(w => encodeWinnerLeaf(w.address, w.prizeTier, w.prizeIndex));
+  return new MerkleTree(leaves, ethers.keccak256, TREE_OPTIONS);
+}
+
+/**
+ * Compute the participants Merkle root
+ * @param {Array} participants - Array of participant objects
+ * @returns {string} - Hex root
+ */
+export function computeParticipantsRoot(participants) {
+  return buildParticipantsTree(participants).getHexRoot();
+}
+
+/**
+ * Compute the winners Merkle root
+ * @param {Array} winners - Array of winner objects
+ * @returns {string} - Hex root
+ */
+export function computeWinnersRoot(winners) {
+  return buildWinnersTree(winners).getHexRoot();
+}
+
+/**
+ * Generate Merkle proof for a participant
+ * @param {Array} participants - Array of all participants
+ * @param {string} address - Address to generate proof for
+ * @returns {Array<string>} - Merkle proof (array of hashes)
+ */
+export function generateParticipantProof(participants, address) {
+  const participant = participants.find(
+    p => p.address.toLowerCase() === address.toLowerCase()
+  );
+
+  if (!participant) {
+    throw new Error(`Address ${address} not found in participants`);
+  }
+
+  const tree = buildParticipantsTree(participants);
+  return tree.getHexProof(encodeParticipantLeaf(participant.address, participant.weight));
+}
+
+/**
+ * Generate Merkle proof for a winner
+ * @param {Array} winners - Array of all winners
+ * @param {string} address - Address to generate proof for
+ * @param {number} prizeIndex - Prize index to generate proof for
+ * @returns {Array<string>} - Merkle proof (array of hashes)
+ */
+export function generateWinnerProof(winners, address, prizeIndex) {
+  const winner = winners.find(
+    w => w.address.toLowerCase() === address.toLowerCase() && w.prizeIndex === prizeIndex
+  );
+
+  if (!winner) {
+    throw new Error(`Winner not found: ${address} for prize ${prizeIndex}`);
+  }
+
+  const tree = buildWinnersTree(winners);
+  return tree.getHexProof(encodeWinnerLeaf(winner.address, winner.prizeTier, winner.prizeIndex));
+}
+
+/**
+ * Verify a participant proof against a root
+ * @param {Array<string>} proof - Merkle proof
+ * @param {string} root - Merkle root
+ * @param {string} address - Participant address
+ * @param {string} weight - Participant weight
+ * @returns {boolean} - True if proof is valid
+ */
+export function verifyParticipantProof(proof, root, address, weight) {
+  const leaf = encodeParticipantLeaf(address, weight);
+  return MerkleTree.verify(proof, leaf, root, ethers.keccak256, TREE_OPTIONS);
+}
+
+/**
+ * Verify a winner proof against a root
+ * @param {Array<string>} proof - Merkle proof
+ * @param {string} root - Merkle root
+ * @param {string} address - Winner address
+ * @param {number} prizeTier - Prize tier
+ * @param {number} prizeIndex - Prize index
+ * @returns {boolean} - True if proof is valid
+ */
+export function verifyWinnerProof(proof, root, address, prizeTier, prizeIndex) {
+  const leaf = encodeWinnerLeaf(address, prizeTier, prizeIndex);
+  return MerkleTree.verify(proof, leaf, root, ethers.keccak256, TREE_OPTIONS);
+}
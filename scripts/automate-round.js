@@ -17,6 +17,8 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { ethers } = require('ethers');
 require('dotenv').config({ path: path.join(__dirname, '../contracts/.env') });
 
 // Load environment variables
@@ -54,6 +56,103 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+let raffleClient = null;
+
+/**
+ * Shared PepedawnRaffle client (signs with PRIVATE_KEY)
+ * @dev Every transaction is simulated first (decoded revert reasons), nonces come from one
+ *      NonceManager for the whole process, and gas follows GAS_LIMIT_MULTIPLIER_PCT,
+ *      MAX_FEE_PER_GAS_GWEI and MAX_PRIORITY_FEE_PER_GAS_GWEI from contracts/.env.
+ * @param {string} contractAddress - PepedawnRaffle address
+ */
+async function getClient(contractAddress) {
+  if (!raffleClient || raffleClient.contract.target !== contractAddress) {
+    const { createRaffleClient, readGasSettings } = await import('@pepedawn/round-engine');
+    raffleClient = createRaffleClient({
+      rpcUrl: process.env.SEPOLIA_RPC_URL,
+      address: contractAddress,
+      privateKey: process.env.PRIVATE_KEY,
+      gas: readGasSettings(process.env)
+    });
+  }
+  return raffleClient;
+}
+
+/**
+ * Send an owner transaction through the client and wait for its receipt
+ * @param {Object} client - From getClient
+ * @param {string} method - Contract function
+ * @param {Array} [args] - Arguments
+ * @param {Object} [overrides] - e.g. { value }
+ * @param {Object} [options] - { quiet }
+ */
+async function send(client, method, args = [], overrides = {}, options = {}) {
+  const receipt = await client.execute(method, args, overrides, {
+    onSent: tx => {
+      if (!options.quiet) console.log(`   ${method} tx: ${tx.hash}`);
+    }
+  });
+  if (!options.quiet) console.log(`   ✅ ${method} confirmed in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+  return receipt;
+}
+
+/**
+ * Recompute a generated file's Merkle root with the shared round engine
+ * and refuse to continue if it differs from the root written in the file.
+ * @param {'participants'|'winners'} kind - File type
+ * @param {string} filePath - Path to the generated JSON file
+ * @returns {Promise<string>} - Verified root
+ */
+async function readVerifiedRoot(kind, filePath) {
+  const { computeParticipantsRoot, computeWinnersRoot } = await import('@pepedawn/round-engine');
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const computedRoot = kind === 'participants'
+    ? computeParticipantsRoot(data.participants)
+    : computeWinnersRoot(data.winners);
+
+  if (computedRoot.toLowerCase() !== data.merkle.root.toLowerCase()) {
+    throw new Error(`${kind} root mismatch in ${path.basename(filePath)}: file has ${data.merkle.root}, engine computed ${computedRoot}`);
+  }
+  return computedRoot;
+}
+
+/**
+ * Seconds until resetVrf is allowed for a VRFRequested round
+ * @dev Block time against vrfRequestedAt + VRF_REQUEST_TIMEOUT, as the contract checks it.
+ * @returns {Promise<number>} - Negative once the request has timed out
+ */
+async function vrfSecondsLeft(client, roundId) {
+  const [round, timeout, latest] = await Promise.all([
+    client.getRound(roundId),
+    client.contract.VRF_REQUEST_TIMEOUT(),
+    client.provider.getBlock('latest')
+  ]);
+  return Number(round.vrfRequestedAt) + Number(timeout) - latest.timestamp;
+}
+
+/**
+ * Alert on a timed-out VRF request, then reset it and request VRF again
+ * @dev Runs "manage-round.js reset-vrf" with the CLI's DEFAULT_MAX_VRF_REQUESTS limit, which journals
+ *      the timeout, the reset and the new request ID in round-<id>-journal.json (a later
+ *      "manage-round.js run" continues that journal).
+ */
+async function resetTimedOutVRF(client, roundId, quiet = false) {
+  console.error(`\n🚨 VRF TIMEOUT: round ${roundId} was not fulfilled within VRF_REQUEST_TIMEOUT - resetting and requesting again`);
+  console.error('   Check the subscription\'s LINK balance at https://vrf.chain.link/');
+  
+  const cliDir = path.join(__dirname, '../contracts/scripts/cli');
+  const { DEFAULT_MAX_VRF_REQUESTS } = await import(pathToFileURL(path.join(cliDir, 'round-steps.js')).href);
+  try {
+    execSync(`node manage-round.js reset-vrf ${roundId} --max-vrf-requests ${DEFAULT_MAX_VRF_REQUESTS}`, {
+      cwd: cliDir,
+      stdio: quiet ? 'pipe' : 'inherit'
+    });
+  } finally {
+    // The child process signed with the same key - re-sync this process's nonces
+    client.contract.runner.reset();
+  }
+}
+
 async function deployContract() {
   console.log('\n🚀 ========================================');
   console.log('   DEPLOYING NEW CONTRACT');
@@ -117,13 +216,18 @@ async function deployContract() {
     console.log('   Add manually at: https://vrf.chain.link/');
   } else {
     try {
-      exec(
-        `cast send ${process.env.VRF_COORDINATOR} "addConsumer(uint256,address)" ${process.env.VRF_SUBSCRIPTION_ID} ${contractAddress} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`,
-        { allowFail: true }
+      const provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
+      const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+      const coordinator = new ethers.Contract(
+        process.env.VRF_COORDINATOR,
+        ['function addConsumer(uint256 subId, address consumer)'],
+        wallet
       );
+      const tx = await coordinator.addConsumer(process.env.VRF_SUBSCRIPTION_ID, contractAddress);
+      await tx.wait();
       console.log('✅ Contract added as VRF consumer!');
     } catch (error) {
-      console.log('⚠️  Failed to add VRF consumer automatically.');
+      console.log(`⚠️  Failed to add VRF consumer automatically: ${error.shortMessage || error.message}`);
       console.log('   You may not be the subscription owner, or it may already be added.');
       console.log('   Add manually at: https://vrf.chain.link/');
     }
@@ -137,45 +241,36 @@ async function createAndOpenRound(contractAddress) {
   console.log('   CREATING & OPENING ROUND');
   console.log('========================================\n');
   
+  const client = await getClient(contractAddress);
+  
   // Get current round ID
-  const currentRoundIdHex = exec(
-    `cast call ${contractAddress} "currentRoundId()" --rpc-url ${process.env.SEPOLIA_RPC_URL}`,
-    { silent: true }
-  ).trim();
-  const currentRoundId = parseInt(currentRoundIdHex, 16);
+  const currentRoundId = await client.getCurrentRoundId();
   const roundId = currentRoundId + 1;
   
   console.log(`📊 Current round: ${currentRoundId}, creating round: ${roundId}`);
   
   // Create round
   console.log(`\n📝 Creating round ${roundId}...`);
-  exec(`cast send ${contractAddress} "createRound()" --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL} --gas-limit 500000`);
-  
-  await sleep(2000); // Wait for block confirmation
+  await send(client, 'createRound');
   
   // Set prizes (using mock NFT IDs 1-10)
   console.log('🎁 Setting prizes for round...');
   try {
-    exec(`cast send ${contractAddress} "setPrizesForRound(uint256,uint256[])" ${roundId} "[1,2,3,4,5,6,7,8,9,10]" --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`, { allowFail: true });
+    await send(client, 'setPrizesForRound', [roundId, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]]);
     console.log('✅ Prizes set!');
   } catch (error) {
-    console.log('⚠️  Failed to set prizes - contract may not have NFTs yet.');
+    console.log(`⚠️  Failed to set prizes: ${error.message}`);
     console.log('   Transfer 10 NFTs to contract before running a full round.');
     console.log('   Continuing without prizes (for testing betting/proof flow)...');
   }
   
-  await sleep(1000);
-  
   // Set valid proof
   console.log('🧩 Setting puzzle proof...');
-  const proofHash = execSync(`cast keccak256 "pepedawn2025"`, { encoding: 'utf8' }).trim();
-  exec(`cast send ${contractAddress} "setValidProof(uint256,bytes32)" ${roundId} ${proofHash} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`);
-  
-  await sleep(2000);
+  await send(client, 'setValidProof', [roundId, ethers.id('pepedawn2025')]);
   
   // Open round
   console.log(`🟢 Opening round ${roundId} for betting...`);
-  exec(`cast send ${contractAddress} "openRound(uint256)" ${roundId} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`);
+  await send(client, 'openRound', [roundId]);
   
   console.log(`\n✅ Round ${roundId} opened! Users can now place bets.`);
   return roundId;
@@ -186,21 +281,19 @@ async function placeBetsAndClose(contractAddress, roundId = 1) {
   console.log('   PLACING BETS & CLOSING ROUND');
   console.log('========================================\n');
   
-  // Place bet (10 tickets for 0.04 ETH)
-  console.log('💰 Placing bet (10 tickets, 0.04 ETH)...');
-  exec(`cast send ${contractAddress} "placeBet(uint256)" 10 --value 0.04ether --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`);
+  const client = await getClient(contractAddress);
   
-  await sleep(2000);
+  // Buy tickets (10 tickets for 0.04 ETH)
+  console.log('💰 Buying 10 tickets (0.04 ETH)...');
+  await send(client, 'buyTickets', [10], { value: ethers.parseEther('0.04') });
   
   // Close round
   console.log('🔒 Closing round...');
-  exec(`cast send ${contractAddress} "closeRound(uint256)" ${roundId} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`);
-  
-  await sleep(2000);
+  await send(client, 'closeRound', [roundId]);
   
   // Snapshot round
   console.log('📸 Taking snapshot...');
-  exec(`cast send ${contractAddress} "snapshotRound(uint256)" ${roundId} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`);
+  await send(client, 'snapshotRound', [roundId]);
   
   console.log('\n✅ Round closed and snapshotted!');
 }
@@ -212,6 +305,8 @@ async function commitParticipantsAndRequestVRF(contractAddress, roundId = 1, qui
     console.log('========================================\n');
   }
   
+  const client = await getClient(contractAddress);
+  
   // Generate participants file
   if (!quiet) console.log('📄 Generating participants file...');
   const cliDir = path.join(__dirname, '../contracts/scripts/cli');
@@ -221,12 +316,11 @@ async function commitParticipantsAndRequestVRF(contractAddress, roundId = 1, qui
   });
   
   const participantsFile = path.join(cliDir, `participants-round-${roundId}.json`);
-  const participantsData = JSON.parse(fs.readFileSync(participantsFile, 'utf8'));
-  const participantsRoot = participantsData.merkle.root;
+  const participantsRoot = await readVerifiedRoot('participants', participantsFile);
   
   if (!quiet) {
     console.log(`\n📋 Participants Root: ${participantsRoot}`);
-    console.log('💡 File auto-copied to frontend/public/participants/ for local testing');
+    console.log('💡 File auto-copied to frontend/public/participants/ (served when VITE_ROUND_DATA_SOURCE=local-fixtures)');
   }
   
   // ⚠️ TESTING ONLY: Using mock CID (in production, upload to IPFS first)
@@ -234,17 +328,15 @@ async function commitParticipantsAndRequestVRF(contractAddress, roundId = 1, qui
   
   // Commit participants root
   if (!quiet) console.log('🌳 Committing participants root (TESTING ONLY - MOCK CID)...');
-  exec(`cast send ${contractAddress} "commitParticipantsRoot(uint256,bytes32,string)" ${roundId} ${participantsRoot} "${mockCID}" --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`, { silent: quiet });
-  
-  await sleep(2000);
+  await send(client, 'commitParticipantsRoot', [roundId, participantsRoot, mockCID], {}, { quiet });
   
   // Request VRF
   if (!quiet) console.log('🎲 Requesting VRF randomness...');
-  exec(`cast send ${contractAddress} "requestVrf(uint256)" ${roundId} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`, { silent: quiet });
+  await send(client, 'requestVrf', [roundId], {}, { quiet });
   
   if (!quiet) {
     console.log('\n✅ VRF requested! Wait 1-5 minutes for fulfillment...');
-    console.log('💡 Monitor status: cd contracts/scripts/cli && node manage-round.js status 1');
+    console.log(`💡 Monitor status: cd contracts/scripts/cli && node manage-round.js status ${roundId}`);
   }
 }
 
@@ -253,42 +345,48 @@ async function waitForVRFAndCommitWinners(contractAddress, roundId = 1) {
   console.log('   WAITING FOR VRF & COMMITTING WINNERS');
   console.log('========================================\n');
   
-  // Poll for VRF fulfillment using reliable CLI status checker
+  const { ROUND_STATUS, statusName } = await import('@pepedawn/round-engine');
+  const client = await getClient(contractAddress);
+  
+  // Poll getRound() for VRF fulfillment
   console.log('⏳ Waiting for VRF fulfillment...');
   console.log('💡 This typically takes 1-5 minutes on Sepolia');
   
   let attempts = 0;
-  const maxAttempts = 60; // 5 minutes max (5 second intervals) - back to working version
+  const maxAttempts = 60; // 5 minutes max (5 second intervals)
+  let status;
   
   while (attempts < maxAttempts) {
     try {
-      const statusOutput = execSync(
-        `node manage-round.js status ${roundId}`,
-        {
-          cwd: path.join(__dirname, '../contracts/scripts/cli'),
-          encoding: 'utf8'
-        }
-      );
-      
-      // Check for WinnersReady status (exact match from working version)
-      if (statusOutput.includes('WinnersReady (5)') || statusOutput.includes('Status: 5')) {
-        console.log('✅ VRF fulfilled!');
-        break;
-      }
-      
-      // Log progress every 30 seconds
-      if (attempts % 6 === 0 && attempts > 0) {
-        const elapsed = Math.floor(attempts * 5 / 60);
-        const remaining = Math.floor((maxAttempts - attempts) * 5 / 60);
-        console.log(`⏳ Still waiting... (${elapsed}m elapsed, ${remaining}m remaining)`);
-        console.log(`   Current status: VRFRequested`);
-      }
-      
+      status = await client.getRoundStatus(roundId);
     } catch (error) {
-      // Continue polling even if status check fails
+      // Continue polling through RPC errors
       if (attempts % 12 === 0) { // Log errors every minute
         console.log(`⚠️  Status check error (continuing): ${error.message.split('\n')[0]}`);
       }
+      status = null;
+    }
+    
+    if (status === ROUND_STATUS.WinnersReady) {
+      console.log('✅ VRF fulfilled!');
+      break;
+    }
+    if (status !== null && status !== ROUND_STATUS.VRFRequested) {
+      throw new Error(`Round ${roundId} is ${statusName(status)} (${status}), expected VRFRequested or WinnersReady`);
+    }
+    
+    // Check the on-chain VRF timeout every minute (a rerun can find an old request)
+    if (status === ROUND_STATUS.VRFRequested && attempts % 12 === 0 && await vrfSecondsLeft(client, roundId) < 0) {
+      await resetTimedOutVRF(client, roundId);
+      attempts = 0; // wait the full window for the new request
+      continue;
+    }
+    
+    // Log progress every 30 seconds
+    if (attempts % 6 === 0 && attempts > 0) {
+      const elapsed = Math.floor(attempts * 5 / 60);
+      const remaining = Math.floor((maxAttempts - attempts) * 5 / 60);
+      console.log(`⏳ Still waiting... (${elapsed}m elapsed, ${remaining}m remaining)`);
     }
     
     await sleep(5000);
@@ -296,7 +394,11 @@ async function waitForVRFAndCommitWinners(contractAddress, roundId = 1) {
   }
   
   if (attempts >= maxAttempts) {
-    throw new Error(`VRF fulfillment timeout after ${Math.floor(maxAttempts * 5 / 60)} minutes. Check Chainlink VRF dashboard: https://vrf.chain.link/`);
+    const resetIn = Math.max(0, Math.ceil(await vrfSecondsLeft(client, roundId) / 60));
+    throw new Error(
+      `VRF fulfillment timeout after ${Math.floor(maxAttempts * 5 / 60)} minutes. Check Chainlink VRF dashboard: https://vrf.chain.link/\n` +
+      `   resetVrf is allowed in ${resetIn}m: cd contracts/scripts/cli && node manage-round.js reset-vrf ${roundId}`
+    );
   }
   
   // Generate winners file
@@ -308,89 +410,42 @@ async function waitForVRFAndCommitWinners(contractAddress, roundId = 1) {
   });
   
   const winnersFile = path.join(cliDir, `winners-round-${roundId}.json`);
-  const winnersData = JSON.parse(fs.readFileSync(winnersFile, 'utf8'));
-  const winnersRoot = winnersData.merkle.root;
+  const winnersRoot = await readVerifiedRoot('winners', winnersFile);
   
   console.log(`\n📋 Winners Root: ${winnersRoot}`);
-  console.log('💡 File auto-copied to frontend/public/winners/ for local testing');
+  console.log('💡 File auto-copied to frontend/public/winners/ (served when VITE_ROUND_DATA_SOURCE=local-fixtures)');
   
   // ⚠️ TESTING ONLY: Using mock CID (in production, upload to IPFS first)
   const mockCID = `bafkrei-test-winners-${roundId}-${Date.now()}`;
   
-  // Submit winners root with robust retry logic using CLI status checker
+  // The send is simulated first, so a load-balanced RPC still serving pre-fulfillment
+  // state fails fast with the decoded revert reason and is retried
   console.log('🌳 Submitting winners root (TESTING ONLY - MOCK CID)...');
-  let retries = 10; // More retries for reliability
-  let submissionSuccess = false;
+  let retries = 5;
   
-  while (retries > 0 && !submissionSuccess) {
+  for (;;) {
     try {
-      // Use the reliable CLI status checker (same as watch mode)
-      console.log(`🔍 Verifying round status before submission (attempt ${11 - retries})...`);
-      
-      const statusOutput = execSync(
-        `node manage-round.js status ${roundId}`,
-        {
-          cwd: path.join(__dirname, '../contracts/scripts/cli'),
-          encoding: 'utf8'
-        }
-      );
-      
-      // Check if round is in WinnersReady status (flexible matching)
-      const isWinnersReady = statusOutput.includes('WinnersReady') || statusOutput.includes('Status: 5');
-      
-      console.log(`📊 Round status check: ${isWinnersReady ? '✅ WinnersReady' : '❌ Not ready yet'}`);
-      
-      if (!isWinnersReady) {
-        console.log(`⚠️  Round not ready yet, waiting 15 seconds... (${retries} attempts left)`);
-        await sleep(15000);
-        retries--;
-        continue;
-      }
-      
-      console.log(`✅ Round confirmed as WinnersReady, submitting...`);
-      
-      // Small delay to ensure RPC synchronization
-      console.log('⏳ Waiting 5 seconds for RPC sync...');
-      await sleep(10000);
-      
-      // Try the actual submission
-      console.log(`🔧 Attempting submission with:`);
-      console.log(`   Contract: ${contractAddress}`);
-      console.log(`   Round: ${roundId}`);
-      console.log(`   Root: ${winnersRoot}`);
-      console.log(`   CID: ${mockCID}`);
-      
-      exec(`cast send ${contractAddress} "submitWinnersRoot(uint256,bytes32,string)" ${roundId} ${winnersRoot} "${mockCID}" --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`);
-      
-      submissionSuccess = true;
-      console.log('✅ Winners root submitted successfully!');
-      
+      await send(client, 'submitWinnersRoot', [roundId, winnersRoot, mockCID]);
+      break;
     } catch (error) {
       retries--;
-      console.log(`❌ Submission attempt failed:`);
-      console.log(`   Full error: ${error.message}`);
-      console.log(`   Error type: ${error.constructor.name}`);
+      console.log(`❌ Submission attempt failed: ${error.message}`);
       
-      if (retries > 0) {
-        console.log(`⚠️  Retrying in 20 seconds... (${retries} attempts left)`);
-        await sleep(20000); // Longer delay between retries
-      } else {
+      if (retries === 0) {
         console.error('\n❌ All retries exhausted. Possible issues:');
         console.error('   1. VRF callback hasn\'t been processed yet (check Chainlink VRF dashboard)');
         console.error('   2. RPC node is behind (try a different RPC URL)');
-        console.error('   3. Transaction is timing out (check network congestion)');
-        console.error(`\nManual recovery:`);
-        console.error(`   cast send ${contractAddress} "submitWinnersRoot(uint256,bytes32,string)" ${roundId} ${winnersRoot} "${mockCID}" --private-key $PRIVATE_KEY --rpc-url $SEPOLIA_RPC_URL`);
-        throw error; // Re-throw if all retries failed
+        console.error('   3. Gas is above MAX_FEE_PER_GAS_GWEI (check network congestion)');
+        console.error('\nManual recovery:');
+        console.error(`   cd contracts/scripts/cli && node manage-round.js resume ${roundId} --winners-cid <CID>`);
+        throw error;
       }
+      
+      console.log(`⚠️  Retrying in 20 seconds... (${retries} attempts left)`);
+      await sleep(20000);
     }
   }
   
-  // Only report success if submission actually succeeded
-  if (!submissionSuccess) {
-    throw new Error('Failed to submit winners root after all retry attempts');
-  }
-  
   console.log('\n✅ Winners committed! Round is complete and ready for claims!');
   console.log(`\n🎉 Check the frontend at http://localhost:5173/main.html`);
 }
@@ -399,6 +454,9 @@ async function watchAndAutomate(contractAddress) {
   console.log(`👁️  ${contractAddress} | Polling every 30s`);
   console.log(`⚠️  WATCH MODE: TESTING ONLY - Uses mock CIDs, not real IPFS uploads\n`);
   
+  const { ROUND_STATUS } = await import('@pepedawn/round-engine');
+  const client = await getClient(contractAddress);
+  
   const state = {
     lastRoundId: 0,
     lastStatus: null,
@@ -410,11 +468,7 @@ async function watchAndAutomate(contractAddress) {
   async function checkAndAct() {
     try {
       // Get current round
-      const currentRoundIdHex = exec(
-        `cast call ${contractAddress} "currentRoundId()" --rpc-url ${process.env.SEPOLIA_RPC_URL}`,
-        { silent: true }
-      ).trim();
-      const roundId = parseInt(currentRoundIdHex, 16);
+      const roundId = await client.getCurrentRoundId();
       
       if (roundId === 0) {
         return; // Silent wait
@@ -429,40 +483,27 @@ async function watchAndAutomate(contractAddress) {
         state.winnersSubmitted = false;
       }
       
-      // Get round status
-      const statusOutput = execSync(
-        `node manage-round.js status ${roundId}`,
-        {
-          cwd: path.join(__dirname, '../contracts/scripts/cli'),
-          encoding: 'utf8'
-        }
-      );
-      
-      // Parse status
-      let status = null;
-      if (statusOutput.includes('Created (0)')) status = 0;
-      else if (statusOutput.includes('Open (1)')) status = 1;
-      else if (statusOutput.includes('Closed (2)')) status = 2;
-      else if (statusOutput.includes('Snapshot (3)')) status = 3;
-      else if (statusOutput.includes('VRFRequested (4)')) status = 4;
-      else if (statusOutput.includes('WinnersReady (5)')) status = 5;
-      else if (statusOutput.includes('Distributed (6)')) status = 6;
+      const status = await client.getRoundStatus(roundId);
       
       // Act based on status - only log the next action
-      if (status === 2 && !state.snapshotDone) {
+      if (status === ROUND_STATUS.Closed && !state.snapshotDone) {
         console.log('→ snapshotRound()');
-        exec(`cast send ${contractAddress} "snapshotRound(uint256)" ${roundId} --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`, { silent: true });
-        await sleep(2000);
+        await send(client, 'snapshotRound', [roundId], {}, { quiet: true });
         state.snapshotDone = true;
         state.lastStatus = status;
         
-      } else if (status === 3 && !state.vrfRequested) {
+      } else if (status === ROUND_STATUS.Snapshot && !state.vrfRequested) {
         console.log('→ commitParticipantsRoot() + requestVrf()');
         await commitParticipantsAndRequestVRF(contractAddress, roundId, true);
         state.vrfRequested = true;
         state.lastStatus = status;
         
-      } else if (status === 5 && !state.winnersSubmitted) {
+      } else if (status === ROUND_STATUS.VRFRequested && await vrfSecondsLeft(client, roundId) < 0) {
+        console.log('→ resetVrf() + requestVrf()');
+        await resetTimedOutVRF(client, roundId, true);
+        state.lastStatus = status;
+        
+      } else if (status === ROUND_STATUS.WinnersReady && !state.winnersSubmitted) {
         console.log('→ submitWinnersRoot()');
         
         // Generate winners file
@@ -473,11 +514,10 @@ async function watchAndAutomate(contractAddress) {
         });
         
         const winnersFile = path.join(cliDir, `winners-round-${roundId}.json`);
-        const winnersData = JSON.parse(fs.readFileSync(winnersFile, 'utf8'));
-        const winnersRoot = winnersData.merkle.root;
+        const winnersRoot = await readVerifiedRoot('winners', winnersFile);
         const mockCID = `bafkrei-test-winners-${roundId}-${Date.now()}`;
         
-        exec(`cast send ${contractAddress} "submitWinnersRoot(uint256,bytes32,string)" ${roundId} ${winnersRoot} "${mockCID}" --private-key ${process.env.PRIVATE_KEY} --rpc-url ${process.env.SEPOLIA_RPC_URL}`, { silent: true });
+        await send(client, 'submitWinnersRoot', [roundId, winnersRoot, mockCID], {}, { quiet: true });
         
         state.winnersSubmitted = true;
         state.lastStatus = status;
@@ -488,11 +528,12 @@ async function watchAndAutomate(contractAddress) {
     }
   }
   
-  // Initial check
-  await checkAndAct();
-  
-  // Poll every 30 seconds
-  setInterval(checkAndAct, 30000);
+  // Check every 30 seconds, never overlapping: a check that is still waiting for a
+  // receipt must finish before the next one reads the round and sends again
+  for (;;) {
+    await checkAndAct();
+    await sleep(30000);
+  }
 }
 
 async function main() {
@@ -558,8 +599,8 @@ Requirements:
     
     // WATCH mode: Monitor and auto-complete
     if (mode === 'WATCH') {
-      await watchAndAutomate(contractAddress);
-      return; // Keep running forever
+      await watchAndAutomate(contractAddress); // Runs forever
+      return;
     }
     
     let roundId;
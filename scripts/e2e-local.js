@@ -0,0 +1,545 @@
+#!/usr/bin/env node
+
+/**
+ * PEPEDAWN Local End-to-End Harness
+ *
+ * Runs one full round on a throwaway anvil chain - no Sepolia, no Chainlink, no IPFS:
+ *   Deploy (PepedawnRaffle + MockVRFCoordinatorV2Plus + MockERC1155 prizes)
+ *   → Create/open round → Buys + proofs → Close → Snapshot
+ *   → generate-participants-file.js → Reconcile → Commit participants → Request VRF
+ *   → Mock VRF fulfillment → generate-winners-file.js → Commit winners → Claims
+ *
+ * and then asserts round state, prize ownership and ETH balances. The committed CIDs are
+ * the real CIDs of the generated files (computed offline), not placeholders.
+ *
+ * Exits non-zero on the first failed step or assertion, so it doubles as a regression
+ * test for the JS tooling (round engine, CLI generators, event index).
+ *
+ * Usage:
+ *   node scripts/e2e-local.js [--port 8546] [--seed <uint256>] [--skip-build] [--keep-files] [--verbose]
+ *
+ * Requires Foundry (forge + anvil) on PATH.
+ */
+
+const { spawn, execSync, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const CONTRACTS_DIR = path.join(__dirname, '../contracts');
+const CLI_DIR = path.join(CONTRACTS_DIR, 'scripts/cli');
+
+// anvil's default dev mnemonic - every account starts with 10000 ETH
+const ANVIL_MNEMONIC = 'test test test test test test test test test test test junk';
+
+// Any non-zero values pass the constructor; the mock coordinator ignores them
+const VRF_KEY_HASH = '0x474e34a077df58807dbe9c96d3c009b23b3c6d0cce433e59bbf5b34f823bc56c';
+const VRF_SUBSCRIPTION_ID = 1;
+
+const PRIZE_TOKEN_IDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const PUZZLE_ANSWER = 'pepedawn2025';
+
+const TICKET_PRICES = {
+  1: ethers.parseEther('0.005'),
+  5: ethers.parseEther('0.0225'),
+  10: ethers.parseEther('0.04')
+};
+
+// What each player does while the round is open, in order. Covers plain wagers, a
+// correct proof, a rejected proof and a purchase after a correct proof (1.4x weight).
+const PLAYERS = [
+  { name: 'alice', steps: [{ buy: 10 }, { proof: PUZZLE_ANSWER }] },
+  { name: 'bob', steps: [{ buy: 5 }, { buy: 1 }, { proof: 'not the answer' }] },
+  { name: 'carol', steps: [{ buy: 1 }] },
+  { name: 'dave', steps: [{ buy: 5 }, { proof: PUZZLE_ANSWER }, { buy: 5 }] }
+];
+
+const STATUS = { Snapshot: 3, WinnersReady: 5, Distributed: 6 };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseArgs(args) {
+  const valueOf = (flag, fallback) => {
+    const index = args.indexOf(flag);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+
+  return {
+    help: args.includes('--help') || args.includes('-h'),
+    port: Number(valueOf('--port', 8546)),
+    seed: BigInt(valueOf('--seed', ethers.id('pepedawn-e2e'))),
+    skipBuild: args.includes('--skip-build'),
+    keepFiles: args.includes('--keep-files'),
+    verbose: args.includes('--verbose')
+  };
+}
+
+function section(title) {
+  console.log(`\n━━━ ${title} ━━━`);
+}
+
+function assertEqual(actual, expected, what) {
+  const normalize = value => typeof value === 'string' ? value.toLowerCase() : value;
+  if (normalize(actual) !== normalize(expected)) {
+    throw new Error(`${what}: expected ${expected}, got ${actual}`);
+  }
+  console.log(`   ✓ ${what}`);
+}
+
+async function expectRevert(promise, reason, what) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error.reason === reason || error.message.includes(reason)) {
+      console.log(`   ✓ ${what} (reverted: ${reason})`);
+      return;
+    }
+    throw new Error(`${what}: expected revert "${reason}", got: ${error.shortMessage || error.message}`);
+  }
+  throw new Error(`${what}: expected revert "${reason}", but the call succeeded`);
+}
+
+/**
+ * Load a forge artifact from contracts/out
+ */
+function loadArtifact(sourceFile, contractName) {
+  const artifactPath = path.join(CONTRACTS_DIR, 'out', sourceFile, `${contractName}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`Artifact not found: contracts/out/${sourceFile}/${contractName}.json (run without --skip-build)`);
+  }
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  return { abi: artifact.abi, bytecode: artifact.bytecode.object };
+}
+
+/**
+ * Wait until a JSON-RPC endpoint answers eth_chainId
+ */
+async function waitForRpc(rpcUrl, isAlive, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (!isAlive()) return false;
+    try {
+      const response = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+      });
+      if (response.ok) return true;
+    } catch {
+      // Not listening yet
+    }
+    await sleep(200);
+  }
+  return false;
+}
+
+/**
+ * Start anvil and wait for its RPC
+ * @returns {Promise<{process: ChildProcess, rpcUrl: string, provider: ethers.JsonRpcProvider}>}
+ */
+async function startAnvil(port) {
+  const rpcUrl = `http://127.0.0.1:${port}`;
+  const anvil = spawn('anvil', ['--port', String(port), '--chain-id', '31337', '--mnemonic', ANVIL_MNEMONIC, '--silent'], {
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  let exitReason = null;
+  let stderr = '';
+  anvil.stderr.on('data', chunk => { stderr += chunk; });
+  anvil.once('error', error => { exitReason = error.code === 'ENOENT' ? 'anvil not found on PATH (install Foundry)' : error.message; });
+  anvil.once('exit', code => { exitReason = exitReason || `anvil exited with code ${code}: ${stderr.trim()}`; });
+
+  const ready = await waitForRpc(rpcUrl, () => exitReason === null);
+  if (!ready) {
+    anvil.kill();
+    throw new Error(exitReason || `anvil did not answer on ${rpcUrl}`);
+  }
+
+  // cacheTimeout: -1 - back-to-back sends from one wallet must never reuse a cached nonce
+  const provider = new ethers.JsonRpcProvider(rpcUrl, 31337, { staticNetwork: true, cacheTimeout: -1, pollingInterval: 250 });
+  return { process: anvil, rpcUrl, provider };
+}
+
+/**
+ * Run a CLI script from contracts/scripts/cli against the local chain
+ * @dev cwd is the harness work directory, so the generated files, round journals and
+ *      event index never touch the real ones next to the CLI.
+ */
+function runCli(ctx, script, args) {
+  try {
+    return execFileSync(process.execPath, [path.join(CLI_DIR, script), ...args], {
+      cwd: ctx.workDir,
+      encoding: 'utf8',
+      stdio: ctx.options.verbose ? 'inherit' : 'pipe',
+      env: {
+        ...process.env,
+        // Both names: the CLI prefers SEPOLIA_RPC_URL, which contracts/.env may set
+        SEPOLIA_RPC_URL: ctx.rpcUrl,
+        RPC_URL: ctx.rpcUrl,
+        CONTRACT_ADDRESS: ctx.addresses.raffle,
+        DEPLOYMENT_BLOCK: String(ctx.deploymentBlock)
+      }
+    });
+  } catch (error) {
+    const output = `${error.stdout || ''}${error.stderr || ''}`.trim().split('\n').slice(-15).join('\n');
+    throw new Error(`${script} ${args.join(' ')} failed${output ? `:\n${output}` : ''}`);
+  }
+}
+
+/**
+ * Send a transaction, wait for it and charge its value + fee to the sender
+ */
+async function send(ctx, label, wallet, txPromise, value = 0n) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  if (receipt.status !== 1) {
+    throw new Error(`${label} reverted (tx ${receipt.hash})`);
+  }
+  const spent = ctx.spent.get(wallet.address) || 0n;
+  ctx.spent.set(wallet.address, spent + value + receipt.fee);
+  if (ctx.options.verbose) {
+    console.log(`   · ${label} (block ${receipt.blockNumber}, gas ${receipt.gasUsed})`);
+  }
+  return receipt;
+}
+
+/**
+ * Read a generated file and check its Merkle root with the round engine
+ * @returns {Promise<{data: Object, bytes: Buffer, root: string, cid: string}>}
+ */
+async function readRoundFile(ctx, kind, fileName) {
+  const { computeParticipantsRoot, computeWinnersRoot, computeCid } = ctx.engine;
+  const bytes = fs.readFileSync(path.join(ctx.workDir, fileName));
+  const data = JSON.parse(bytes.toString('utf8'));
+  const root = kind === 'participants'
+    ? computeParticipantsRoot(data.participants)
+    : computeWinnersRoot(data.winners);
+
+  assertEqual(data.merkle.root, root, `${fileName} root matches the round engine`);
+  return { data, bytes, root, cid: await computeCid(bytes) };
+}
+
+async function deployContracts(ctx) {
+  section('DEPLOY');
+  const { owner, creators } = ctx.accounts;
+
+  const deploy = async (artifact, args) => {
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, owner);
+    const contract = await factory.deploy(...args);
+    const receipt = await contract.deploymentTransaction().wait();
+    return { contract, receipt };
+  };
+
+  const vrf = await deploy(ctx.artifacts.vrf, []);
+  const vault = await deploy(ctx.artifacts.vault, ['https://emblem.vault/']);
+  const raffle = await deploy(ctx.artifacts.raffle, [
+    await vrf.contract.getAddress(),
+    VRF_SUBSCRIPTION_ID,
+    VRF_KEY_HASH,
+    creators.address,
+    await vault.contract.getAddress()
+  ]);
+
+  ctx.vrf = vrf.contract;
+  ctx.vault = vault.contract;
+  ctx.raffle = raffle.contract;
+  ctx.deploymentBlock = raffle.receipt.blockNumber;
+  ctx.addresses = {
+    vrf: await vrf.contract.getAddress(),
+    vault: await vault.contract.getAddress(),
+    raffle: await raffle.contract.getAddress()
+  };
+
+  console.log(`✅ PepedawnRaffle ${ctx.addresses.raffle} (block ${ctx.deploymentBlock})`);
+  console.log(`✅ MockVRFCoordinatorV2Plus ${ctx.addresses.vrf}`);
+  console.log(`✅ MockERC1155 (Emblem Vault) ${ctx.addresses.vault}`);
+
+  // Prize NFTs live in the raffle contract, one of each token
+  for (const tokenId of PRIZE_TOKEN_IDS) {
+    await send(ctx, `mint prize ${tokenId}`, owner, ctx.vault.mint(ctx.addresses.raffle, tokenId, 1, '0x'));
+  }
+  console.log(`✅ Minted ${PRIZE_TOKEN_IDS.length} prize NFTs to the raffle`);
+}
+
+async function openRound(ctx) {
+  section('OPEN ROUND');
+  const { owner } = ctx.accounts;
+
+  await send(ctx, 'createRound', owner, ctx.raffle.createRound());
+  ctx.roundId = await ctx.raffle.currentRoundId();
+
+  await send(ctx, 'setValidProof', owner, ctx.raffle.setValidProof(ctx.roundId, ethers.id(PUZZLE_ANSWER)));
+  await send(ctx, 'setPrizesForRound', owner, ctx.raffle.setPrizesForRound(ctx.roundId, PRIZE_TOKEN_IDS));
+  await send(ctx, 'openRound', owner, ctx.raffle.openRound(ctx.roundId));
+
+  console.log(`✅ Round ${ctx.roundId} open`);
+}
+
+async function playRound(ctx) {
+  section('BUYS & PROOFS');
+
+  for (const [i, player] of PLAYERS.entries()) {
+    const wallet = ctx.accounts.players[i];
+    const raffle = ctx.raffle.connect(wallet);
+
+    for (const step of player.steps) {
+      if (step.buy) {
+        const value = TICKET_PRICES[step.buy];
+        await send(ctx, `${player.name} buyTickets(${step.buy})`, wallet, raffle.buyTickets(step.buy, { value }), value);
+      } else {
+        await send(ctx, `${player.name} submitProof`, wallet, raffle.submitProof(ethers.id(step.proof)));
+      }
+    }
+
+    const stats = await ctx.raffle.getUserStats(ctx.roundId, wallet.address);
+    console.log(`   ${player.name}: ${stats.tickets} tickets, weight ${stats.weight}${stats.hasProof ? ' (proof submitted)' : ''}`);
+  }
+
+  section('CLOSE & SNAPSHOT');
+  const { owner } = ctx.accounts;
+  await send(ctx, 'closeRound', owner, ctx.raffle.closeRound(ctx.roundId));
+  await send(ctx, 'snapshotRound', owner, ctx.raffle.snapshotRound(ctx.roundId));
+
+  const round = await ctx.raffle.getRound(ctx.roundId);
+  assertEqual(Number(round.status), STATUS.Snapshot, 'round is in Snapshot');
+  ctx.totalWagered = round.totalWagered;
+  console.log(`   ${round.totalTickets} tickets, weight ${round.totalWeight}, ${ethers.formatEther(round.totalWagered)} ETH wagered`);
+}
+
+async function commitParticipants(ctx) {
+  section('PARTICIPANTS');
+  const { owner } = ctx.accounts;
+  const roundId = ctx.roundId.toString();
+  const fileName = `participants-round-${roundId}.json`;
+
+  // Event-index path (default) and getUserStats path must agree byte-for-byte on the root
+  runCli(ctx, 'generate-participants-file.js', [roundId, '--no-frontend-copy']);
+  runCli(ctx, 'generate-participants-file.js', [roundId, '--direct', '--output', 'participants-direct.json', '--no-frontend-copy']);
+
+  const participants = await readRoundFile(ctx, 'participants', fileName);
+  const direct = await readRoundFile(ctx, 'participants', 'participants-direct.json');
+  assertEqual(direct.root, participants.root, 'event-index and --direct files have the same root');
+
+  // Every player's entry matches the contract
+  for (const [i, player] of PLAYERS.entries()) {
+    const address = ctx.accounts.players[i].address;
+    const entry = participants.data.participants.find(p => p.address.toLowerCase() === address.toLowerCase());
+    const stats = await ctx.raffle.getUserStats(ctx.roundId, address);
+    assertEqual(entry && BigInt(entry.weight), stats.weight, `${player.name} weight in file`);
+  }
+
+  // Same check manage-round runs before committing
+  const ledger = await ctx.engine.fetchRoundLedger(ctx.provider, ctx.addresses.raffle, ctx.roundId, { fromBlock: ctx.deploymentBlock });
+  const report = ctx.engine.reconcileParticipants(participants.data, ledger);
+  if (!report.ok) {
+    throw new Error(`Participants file does not reconcile:\n  - ${report.discrepancies.join('\n  - ')}`);
+  }
+  console.log('   ✓ file reconciles with WagerPlaced / ProofSubmitted / RoundSnapshot logs');
+
+  await send(ctx, 'commitParticipantsRoot', owner, ctx.raffle.commitParticipantsRoot(ctx.roundId, participants.root, participants.cid));
+  console.log(`✅ Participants root ${participants.root}`);
+  console.log(`   CID ${participants.cid}`);
+  ctx.participants = participants;
+}
+
+async function fulfillVrf(ctx) {
+  section('VRF');
+  const { owner } = ctx.accounts;
+
+  await send(ctx, 'requestVrf', owner, ctx.raffle.requestVrf(ctx.roundId));
+  const { vrfRequestId } = await ctx.raffle.getRound(ctx.roundId);
+  console.log(`   request ${vrfRequestId}`);
+
+  // The mock swallows a failed callback (it only emits success=false), so check the round
+  await send(ctx, 'fulfillRandomWords', owner, ctx.vrf.fulfillRandomWords(vrfRequestId, [ctx.options.seed]));
+
+  const round = await ctx.raffle.getRound(ctx.roundId);
+  assertEqual(Number(round.status), STATUS.WinnersReady, 'round is in WinnersReady');
+  assertEqual(round.vrfSeed, ethers.toBeHex(ctx.options.seed, 32), 'vrfSeed stored');
+}
+
+async function commitWinners(ctx) {
+  section('WINNERS');
+  const { owner } = ctx.accounts;
+  const roundId = ctx.roundId.toString();
+
+  runCli(ctx, 'generate-winners-file.js', [roundId, '--no-frontend-copy']);
+
+  const winners = await readRoundFile(ctx, 'winners', `winners-round-${roundId}.json`);
+  assertEqual(winners.data.winners.length, PRIZE_TOKEN_IDS.length, 'every prize has a winner');
+
+  // The engine must reproduce the generator's selection from the committed participants
+  const { winners: reselected } = ctx.engine.selectWinnersOffChain(ctx.participants.data.participants, ethers.toBeHex(ctx.options.seed, 32));
+  assertEqual(ctx.engine.computeWinnersRoot(reselected), winners.root, 'winners reproducible from participants file + seed');
+
+  await send(ctx, 'submitWinnersRoot', owner, ctx.raffle.submitWinnersRoot(ctx.roundId, winners.root, winners.cid));
+  console.log(`✅ Winners root ${winners.root}`);
+  console.log(`   CID ${winners.cid}`);
+  ctx.winners = winners;
+}
+
+async function claimPrizes(ctx) {
+  section('CLAIMS');
+  const walletsByAddress = new Map(ctx.accounts.players.map(wallet => [wallet.address.toLowerCase(), wallet]));
+  const winners = ctx.winners.data.winners;
+
+  for (const winner of winners) {
+    const wallet = walletsByAddress.get(winner.address.toLowerCase());
+    if (!wallet) {
+      throw new Error(`Winner ${winner.address} is not one of the harness players`);
+    }
+    const proof = ctx.engine.generateWinnerProof(winners, winner.address, winner.prizeIndex);
+    const name = PLAYERS[ctx.accounts.players.indexOf(wallet)].name;
+
+    const valid = await ctx.raffle.isWinner(ctx.roundId, winner.address, winner.prizeIndex, winner.prizeTier, proof);
+    assertEqual(valid, true, `isWinner for ${name} prize ${winner.prizeIndex}`);
+
+    await send(ctx, `${name} claim(${winner.prizeIndex})`, wallet,
+      ctx.raffle.connect(wallet).claim(ctx.roundId, winner.prizeIndex, winner.prizeTier, proof));
+  }
+  console.log(`✅ ${winners.length} prizes claimed`);
+
+  // A replayed claim must fail
+  const first = winners[0];
+  const firstWallet = walletsByAddress.get(first.address.toLowerCase());
+  await expectRevert(
+    ctx.raffle.connect(firstWallet).claim.staticCall(ctx.roundId, first.prizeIndex, first.prizeTier,
+      ctx.engine.generateWinnerProof(winners, first.address, first.prizeIndex)),
+    'Prize already claimed',
+    'second claim of prize ' + first.prizeIndex
+  );
+
+  // Creators pull their 80%
+  const { creators } = ctx.accounts;
+  ctx.creatorsBalanceBefore = await ctx.provider.getBalance(creators.address);
+  ctx.creatorsOwed = await ctx.raffle.creatorBalances(creators.address);
+  await send(ctx, 'withdrawCreatorFees', creators, ctx.raffle.connect(creators).withdrawCreatorFees());
+}
+
+async function assertFinalState(ctx) {
+  section('FINAL STATE');
+  const { creators, players } = ctx.accounts;
+
+  const round = await ctx.raffle.getRound(ctx.roundId);
+  assertEqual(Number(round.status), STATUS.Distributed, 'round is Distributed');
+
+  const [participantsRoot, participantsCid] = await ctx.raffle.getParticipantsData(ctx.roundId);
+  assertEqual(participantsRoot, ctx.participants.root, 'on-chain participants root');
+  assertEqual(participantsCid, ctx.participants.cid, 'on-chain participants CID');
+
+  const [winnersRoot, winnersCid] = await ctx.raffle.getWinnersData(ctx.roundId);
+  assertEqual(winnersRoot, ctx.winners.root, 'on-chain winners root');
+  assertEqual(winnersCid, ctx.winners.cid, 'on-chain winners CID');
+
+  // Prizes: each claimed by its winner, NFT moved out of the raffle
+  for (const winner of ctx.winners.data.winners) {
+    const [claimer, claimed] = await ctx.raffle.getClaimStatus(ctx.roundId, winner.prizeIndex);
+    const tokenId = await ctx.raffle.prizeNFTs(ctx.roundId, winner.prizeIndex);
+    assertEqual(claimed && claimer, winner.address, `prize ${winner.prizeIndex} claimed by its winner`);
+    assertEqual(await ctx.vault.balanceOf(winner.address, tokenId), 1n, `winner holds token ${tokenId}`);
+    assertEqual(await ctx.vault.balanceOf(ctx.addresses.raffle, tokenId), 0n, `raffle no longer holds token ${tokenId}`);
+  }
+
+  // ETH: players paid exactly their wagers + gas, creators got 80%, the rest stays for the next round
+  for (const [i, wallet] of players.entries()) {
+    const balance = await ctx.provider.getBalance(wallet.address);
+    assertEqual(balance, ctx.startBalances[i] - (ctx.spent.get(wallet.address) || 0n), `${PLAYERS[i].name} balance`);
+  }
+
+  const creatorsAmount = ctx.totalWagered * 80n / 100n;
+  const nextRoundAmount = ctx.totalWagered * 20n / 100n;
+  assertEqual(ctx.creatorsOwed, creatorsAmount, 'creators credited 80% of wagers');
+  assertEqual(await ctx.provider.getBalance(creators.address),
+    ctx.creatorsBalanceBefore + creatorsAmount - ctx.spent.get(creators.address), 'creators balance after withdrawal');
+  assertEqual(await ctx.raffle.nextRoundFunds(), nextRoundAmount, 'next round funds hold 20% of wagers');
+  assertEqual(await ctx.provider.getBalance(ctx.addresses.raffle), ctx.totalWagered - creatorsAmount, 'raffle ETH balance');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(`
+🧪 PEPEDAWN Local End-to-End Harness
+
+Usage:
+  node scripts/e2e-local.js [options]
+
+Runs deploy → buys/proofs → snapshot → participants → VRF → winners → claims on a
+fresh anvil chain and asserts the final round, prize and ETH state.
+
+Options:
+  --port <n>      anvil port (default: 8546, so it doesn't clash with a dev anvil on 8545)
+  --seed <n>      VRF random word delivered by the mock (default: keccak256("pepedawn-e2e"))
+  --skip-build    Use the existing contracts/out artifacts instead of running forge build
+  --keep-files    Keep the work directory (generated files, event index)
+  --verbose       Show CLI output and every transaction
+
+Requirements:
+  - Foundry (forge + anvil) on PATH
+  - npm install at the repo root and in contracts/scripts/cli
+`);
+    return;
+  }
+
+  if (!options.skipBuild) {
+    console.log('🔨 Building contracts...');
+    execSync('forge build', { cwd: CONTRACTS_DIR, stdio: options.verbose ? 'inherit' : 'pipe' });
+  }
+
+  const ctx = {
+    options,
+    engine: await import('@pepedawn/round-engine'),
+    artifacts: {
+      raffle: loadArtifact('PepedawnRaffle.sol', 'PepedawnRaffle'),
+      vrf: loadArtifact('MockVRFCoordinatorV2Plus.sol', 'MockVRFCoordinatorV2Plus'),
+      vault: loadArtifact('MockERC1155.sol', 'MockERC1155')
+    },
+    workDir: fs.mkdtempSync(path.join(os.tmpdir(), 'pepedawn-e2e-')),
+    spent: new Map()
+  };
+
+  console.log(`🔥 Starting anvil on port ${options.port}...`);
+  const anvil = await startAnvil(options.port);
+  const stopAnvil = () => anvil.process.kill();
+  process.once('SIGINT', () => { stopAnvil(); process.exit(130); });
+
+  try {
+    ctx.rpcUrl = anvil.rpcUrl;
+    ctx.provider = anvil.provider;
+
+    const wallets = Array.from({ length: 2 + PLAYERS.length }, (_, i) =>
+      ethers.HDNodeWallet.fromPhrase(ANVIL_MNEMONIC, undefined, `m/44'/60'/0'/0/${i}`).connect(anvil.provider));
+    ctx.accounts = { owner: wallets[0], creators: wallets[1], players: wallets.slice(2) };
+    ctx.startBalances = await Promise.all(ctx.accounts.players.map(wallet => anvil.provider.getBalance(wallet.address)));
+
+    await deployContracts(ctx);
+    await openRound(ctx);
+    await playRound(ctx);
+    await commitParticipants(ctx);
+    await fulfillVrf(ctx);
+    await commitWinners(ctx);
+    await claimPrizes(ctx);
+    await assertFinalState(ctx);
+
+    console.log('\n🎉 ========================================');
+    console.log('   E2E PASSED - full round lifecycle on anvil');
+    console.log('========================================');
+  } finally {
+    stopAnvil();
+    anvil.provider.destroy();
+    if (options.keepFiles) {
+      console.log(`\n📁 Work files kept in ${ctx.workDir}`);
+    } else {
+      fs.rmSync(ctx.workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ E2E FAILED:', error.message);
+  process.exit(1);
+});
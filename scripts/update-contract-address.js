@@ -3,26 +3,86 @@
 /**
  * Update Contract Address Script
  * 
- * Updates addresses.json with a new contract address and syncs all config files.
- * Use this after deploying a new contract.
+ * Updates the deployment registry (deploy/artifacts/addresses.json) with a new contract
+ * address and syncs its copies. Use this after deploying a new contract.
+ * 
+ * The registry is keyed by chainId; the frontend imports it and uses the entry matching
+ * the connected wallet's chain, so deploying to one network never touches the others.
  */
 
 const fs = require('fs');
 const path = require('path');
 
+// Defaults for a new registry entry (existing entries keep their own values)
+const NETWORK_DEFAULTS = {
+  1: {
+    network: 'mainnet',
+    name: 'Ethereum Mainnet',
+    explorerUrl: 'https://etherscan.io',
+    rpcUrls: ['https://eth.llamarpc.com', 'https://eth.merkle.io', 'https://rpc.ankr.com/eth'],
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    vrf: null
+  },
+  11155111: {
+    network: 'sepolia',
+    name: 'Sepolia Testnet',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    rpcUrls: ['https://rpc.sepolia.org', 'https://ethereum-sepolia.publicnode.com', 'https://1rpc.io/sepolia'],
+    nativeCurrency: { name: 'SepoliaETH', symbol: 'ETH', decimals: 18 },
+    vrf: {
+      coordinator: '0x8103B0A8A00be2DDC778e6e7eaa21791Cd364625',
+      subscriptionId: 1,
+      keyHash: '0x474e34a077df58807dbe9c96d3c009b23b3c6d0cce433e59bbf5b34f823bc56c',
+      callbackGasLimit: 500000,
+      requestConfirmations: 5
+    }
+  },
+  31337: {
+    network: 'anvil',
+    name: 'Anvil (local)',
+    explorerUrl: null,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    vrf: null
+  }
+};
+
 class ConfigurationUpdater {
   constructor() {
     this.contractPath = 'contracts/src/PepedawnRaffle.sol';
     this.abiPath = 'contracts/out/PepedawnRaffle.sol/PepedawnRaffle.json';
     this.addressesPath = 'deploy/artifacts/addresses.json';
     this.envPath = 'contracts/.env';
-    this.frontendConfigPath = 'frontend/src/contract-config.js';
+    this.contractsAddressesPath = 'contracts/deploy/artifacts/addresses.json';
     this.frontendAddressesPath = 'frontend/public/deploy/artifacts/addresses.json';
     this.frontendAbiPath = 'frontend/public/deploy/PepedawnRaffle-abi.json';
   }
 
   /**
-   * Update contract addresses
+   * Read the registry ({} if it doesn't exist yet)
+   */
+  readRegistry() {
+    if (!fs.existsSync(this.addressesPath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.addressesPath, 'utf8'));
+  }
+
+  /**
+   * Write the registry
+   */
+  writeRegistry(addressesJson) {
+    const deployDir = path.dirname(this.addressesPath);
+    if (!fs.existsSync(deployDir)) {
+      fs.mkdirSync(deployDir, { recursive: true });
+    }
+    fs.writeFileSync(this.addressesPath, JSON.stringify(addressesJson, null, 2));
+  }
+
+  /**
+   * Sync the registry copies (contracts/ and frontend/public/)
+   * The frontend bundle imports deploy/artifacts/addresses.json directly; the public copy
+   * is for anything that fetches it at runtime.
    */
   async updateAddresses() {
     // Check if addresses file exists
@@ -31,20 +91,15 @@ class ConfigurationUpdater {
       return;
     }
 
-    const addressesJson = JSON.parse(fs.readFileSync(this.addressesPath, 'utf8'));
-    // Resolve latest PepedawnRaffle address (prefer Sepolia 11155111 if present)
-    const sepolia = addressesJson['11155111'] || {};
-    const mainnet = addressesJson['1'] || {};
-    const latestAddress = sepolia.PepedawnRaffle || mainnet.PepedawnRaffle || null;
+    const addressesJson = this.readRegistry();
     
     // Also update contracts/deploy/artifacts/addresses.json
-    const contractsAddressesPath = 'contracts/deploy/artifacts/addresses.json';
-    const contractsAddressesDir = path.dirname(contractsAddressesPath);
+    const contractsAddressesDir = path.dirname(this.contractsAddressesPath);
     if (!fs.existsSync(contractsAddressesDir)) {
       fs.mkdirSync(contractsAddressesDir, { recursive: true });
     }
-    fs.writeFileSync(contractsAddressesPath, JSON.stringify(addressesJson, null, 2));
-    console.log(`✅ Contracts addresses updated - ${contractsAddressesPath}`);
+    fs.writeFileSync(this.contractsAddressesPath, JSON.stringify(addressesJson, null, 2));
+    console.log(`✅ Contracts addresses updated - ${this.contractsAddressesPath}`);
     
     // Update frontend addresses
     const frontendArtifactsDir = path.dirname(this.frontendAddressesPath);
@@ -54,140 +109,40 @@ class ConfigurationUpdater {
     fs.writeFileSync(this.frontendAddressesPath, JSON.stringify(addressesJson, null, 2));
     console.log(`✅ Frontend addresses updated - ${this.frontendAddressesPath}`);
 
-    // Update frontend config with latest address
-    if (fs.existsSync(this.frontendConfigPath) && latestAddress) {
-      let content = fs.readFileSync(this.frontendConfigPath, 'utf8');
-      // Replace pattern: address: "0x..."
-      const cfgAddrRegex = /address:\s*"0x[a-fA-F0-9]{40}"/;
-      const newCfgAddr = `address: "${latestAddress}"`;
-      if (cfgAddrRegex.test(content)) {
-        content = content.replace(cfgAddrRegex, newCfgAddr);
-        fs.writeFileSync(this.frontendConfigPath, content);
-        console.log(`✅ Frontend contract-config updated - ${this.frontendConfigPath}`);
-      } else {
-        console.warn('⚠️  Could not find address field in frontend contract-config.js');
-      }
-    }
   }
 
   /**
-   * Update addresses.json with new contract address
+   * Update the registry entry for a chain with a new contract address
    * @param {string} newAddress - New contract address
    * @param {number} chainId - Chain ID (default: 11155111 for Sepolia)
+   * @param {Object} options
+   * @param {number} [options.deploymentBlock] - Block the contract was deployed in (event index start)
    */
-  async updateContractAddress(newAddress, chainId = 11155111) {
+  async updateContractAddress(newAddress, chainId = 11155111, options = {}) {
     console.log(`📝 Updating contract address to: ${newAddress}`);
     
-    let addressesJson = {};
+    const addressesJson = this.readRegistry();
+    const version = JSON.parse(fs.readFileSync('package.json', 'utf8')).version;
     
-    // Read existing addresses if file exists
-    if (fs.existsSync(this.addressesPath)) {
-      addressesJson = JSON.parse(fs.readFileSync(this.addressesPath, 'utf8'));
-    }
-    
-    // Ensure chain entry exists
-    if (!addressesJson[chainId]) {
-      addressesJson[chainId] = {};
-    }
+    // Ensure chain entry exists, filling in what the frontend needs for the chain
+    addressesJson[chainId] = { ...NETWORK_DEFAULTS[chainId], ...addressesJson[chainId] };
+    const entry = addressesJson[chainId];
     
     // Update the address
-    addressesJson[chainId].PepedawnRaffle = newAddress;
-    addressesJson[chainId].deployedAt = new Date().toISOString();
-    addressesJson[chainId].deployedBy = "deployment-script";
-    addressesJson[chainId].verified = false; // Will be updated after verification
-    
-    // Ensure deploy directory exists
-    const deployDir = path.dirname(this.addressesPath);
-    if (!fs.existsSync(deployDir)) {
-      fs.mkdirSync(deployDir, { recursive: true });
-    }
+    entry.PepedawnRaffle = newAddress;
+    entry.deploymentBlock = options.deploymentBlock ?? null; // null = frontend finds it with eth_getCode
+    entry.abiVersion = `v${version}`;
+    entry.deployedAt = new Date().toISOString();
+    entry.deployedBy = "deployment-script";
+    entry.verified = false; // Will be updated after verification
     
     // Write updated addresses
-    fs.writeFileSync(this.addressesPath, JSON.stringify(addressesJson, null, 2));
-    console.log(`✅ Contract address updated - ${this.addressesPath}`);
+    this.writeRegistry(addressesJson);
+    console.log(`✅ Contract address updated - ${this.addressesPath} [${chainId}]`);
     
     return addressesJson;
   }
 
-  /**
-   * Update frontend configuration
-   * @param {number} chainId - Chain ID to update to (1 for mainnet, 11155111 for sepolia)
-   */
-  async updateFrontendConfig(chainId = 11155111) {
-    if (!fs.existsSync(this.frontendConfigPath)) {
-      console.log('⚠️  Frontend config not found, skipping');
-      return;
-    }
-
-    let content = fs.readFileSync(this.frontendConfigPath, 'utf8');
-    
-    // Update network and chainId based on chainId parameter
-    const networkName = chainId === 1 ? 'mainnet' : 'sepolia';
-    
-    // Update network field
-    content = content.replace(
-      /network:\s*['"]sepolia['"]/,
-      `network: '${networkName}'`
-    ).replace(
-      /network:\s*['"]mainnet['"]/,
-      `network: '${networkName}'`
-    );
-    
-    // Update chainId field
-    content = content.replace(
-      /chainId:\s*11155111/,
-      `chainId: ${chainId}`
-    ).replace(
-      /chainId:\s*1,/,
-      `chainId: ${chainId},`
-    );
-    
-    // Define VRF config as a JavaScript object
-    const vrfConfigObj = {
-      coordinator: '0x8103B0A8A00be2DDC778e6e7eaa21791Cd364625', // Sepolia VRF Coordinator
-      subscriptionId: 1, // Update with your subscription ID
-      keyHash: '0x474e34a077df58807dbe9c96d3c009b23b3c6d0cce433e59bbf5b34f823bc56c', // Sepolia key hash
-      callbackGasLimit: 500000, // Dynamic gas estimation
-      requestConfirmations: 5
-    };
-    
-    // Update network configuration
-    const networkConfig = `
-// Network configuration
-const NETWORKS = {
-  sepolia: {
-    chainId: 11155111,
-    name: 'Sepolia',
-    rpcUrl: 'https://sepolia.drpc.org',
-    blockExplorer: 'https://sepolia.etherscan.io'
-  },
-  mainnet: {
-    chainId: 1,
-    name: 'Ethereum Mainnet',
-    rpcUrl: 'https://eth.drpc.org',
-    blockExplorer: 'https://etherscan.io'
-  }
-};
-
-// VRF Configuration
-const VRF_CONFIG = ${JSON.stringify(vrfConfigObj, null, 2)};
-`;
-
-    // Add network config if not exists
-    if (!content.includes('const NETWORKS')) {
-      content = content.replace(/(const\s+CONTRACT_ADDRESS)/, `${networkConfig}\n\n$1`);
-    }
-
-    // Update VRF config if exists
-    if (content.includes('const VRF_CONFIG')) {
-      content = content.replace(/const\s+VRF_CONFIG\s*=\s*{[\s\S]*?};/, 
-        `const VRF_CONFIG = ${JSON.stringify(vrfConfigObj, null, 2)};`);
-    }
-
-    fs.writeFileSync(this.frontendConfigPath, content);
-    console.log('✅ Frontend configuration updated');
-  }
-
   /**
    * Update .env file with new contract address
    */
@@ -217,16 +172,30 @@ const VRF_CONFIG = ${JSON.stringify(vrfConfigObj, null, 2)};
 
   /**
    * Update VRF configuration
+   * Stored in the chain's registry entry; Sepolia's is also written to vrf-config.json.
+   * @param {number} chainId - Chain ID
    */
-  async updateVRFConfig() {
+  async updateVRFConfig(chainId = 11155111) {
     const vrfConfigPath = 'deploy/artifacts/vrf-config.json';
     
+    const addressesJson = this.readRegistry();
+    const entry = addressesJson[chainId];
+    const vrf = entry?.vrf || NETWORK_DEFAULTS[chainId]?.vrf;
+    if (!entry || !vrf) {
+      console.log(`⚠️  No VRF configuration for chain ${chainId}, skipping`);
+      return;
+    }
+    
+    entry.vrf = vrf;
+    this.writeRegistry(addressesJson);
+    console.log(`✅ VRF configuration updated - ${this.addressesPath} [${chainId}]`);
+    
+    if (chainId !== 11155111) {
+      return;
+    }
+    
     const vrfConfig = {
-      coordinator: '0x8103B0A8A00be2DDC778e6e7eaa21791Cd364625',
-      subscriptionId: 1,
-      keyHash: '0x474e34a077df58807dbe9c96d3c009b23b3c6d0cce433e59bbf5b34f823bc56c',
-      callbackGasLimit: 500000,
-      requestConfirmations: 5,
+      ...vrf,
       lastUpdated: new Date().toISOString(),
       notes: 'Dynamic gas estimation enabled - callbackGasLimit calculated per request'
     };
@@ -311,21 +280,27 @@ async function main() {
 🔧 Update Contract Address
 
 Usage:
-  node scripts/update-contract-address.js <contract-address> [chain-id]
+  node scripts/update-contract-address.js <contract-address> [chain-id] [--deployment-block <n>]
 
 Examples:
   node scripts/update-contract-address.js 0xCc0678a598F9c2D12e0770f8e83966bd129482Ca
-  node scripts/update-contract-address.js 0xCc0678a598F9c2D12e0770f8e83966bd129482Ca 11155111
+  node scripts/update-contract-address.js 0xCc0678a598F9c2D12e0770f8e83966bd129482Ca 11155111 --deployment-block 9412345
+  node scripts/update-contract-address.js 0x5FbDB2315678afecb367f032d93F642f64180aa3 31337
 
 Chain IDs:
   1         - Ethereum Mainnet
   11155111  - Sepolia Testnet (default)
+  31337     - Anvil (local)
 `);
     process.exit(1);
   }
 
-  const contractAddress = args[0];
-  const chainId = args[1] ? parseInt(args[1]) : 11155111;
+  const blockFlag = args.indexOf('--deployment-block');
+  const deploymentBlock = blockFlag !== -1 ? parseInt(args[blockFlag + 1]) : null;
+  const positional = args.filter((arg, i) => blockFlag === -1 || (i !== blockFlag && i !== blockFlag + 1));
+
+  const contractAddress = positional[0];
+  const chainId = positional[1] ? parseInt(positional[1]) : 11155111;
 
   // Validate contract address
   if (!/^0x[a-fA-F0-9]{40}$/.test(contractAddress)) {
@@ -334,31 +309,37 @@ Chain IDs:
   }
 
   // Validate chain ID
-  if (![1, 11155111].includes(chainId)) {
-    console.error('❌ Unsupported chain ID. Use 1 (mainnet) or 11155111 (sepolia)');
+  if (!NETWORK_DEFAULTS[chainId]) {
+    console.error('❌ Unsupported chain ID. Use 1 (mainnet), 11155111 (sepolia) or 31337 (anvil)');
+    process.exit(1);
+  }
+
+  if (blockFlag !== -1 && !(deploymentBlock >= 0)) {
+    console.error('❌ --deployment-block must be a block number');
     process.exit(1);
   }
 
   console.log('🚀 Updating contract address...\n');
   console.log(`Contract: ${contractAddress}`);
-  console.log(`Chain ID: ${chainId} (${chainId === 1 ? 'Mainnet' : 'Sepolia'})\n`);
+  console.log(`Chain ID: ${chainId} (${NETWORK_DEFAULTS[chainId].name})\n`);
 
   try {
     const updater = new ConfigurationUpdater();
     
-    // 1. Update addresses.json
-    await updater.updateContractAddress(contractAddress, chainId);
+    // 1. Update this chain's registry entry (other chains are left alone)
+    await updater.updateContractAddress(contractAddress, chainId, { deploymentBlock });
+    await updater.updateVRFConfig(chainId);
     
     // 2. Update .env file
     await updater.updateEnvFile(contractAddress);
     
-    // 3. Update all frontend configs
+    // 3. Sync the registry copies (the frontend reads the registry, no config patching)
     await updater.updateAddresses();
-    await updater.updateFrontendConfig(chainId);  // Pass chainId to update network/chainId fields
-    await updater.updateVRFConfig();
     
-    // 4. Add as VRF consumer
-    await updater.addVRFConsumer(contractAddress);
+    // 4. Add as VRF consumer (a local chain uses a mock coordinator)
+    if (chainId !== 31337) {
+      await updater.addVRFConsumer(contractAddress);
+    }
     
     console.log('\n✅ Contract address update complete!');
     console.log('\n📋 Next steps:');